@@ -60,6 +60,26 @@ public sealed class ArchiveBrowseServiceUnitTests
         Assert.AreEqual("readme inside archive\n", text);
     }
 
+    [TestMethod]
+    public async Task ReadEntryAsync_ReadsTextChunksOfEntry()
+    {
+        using var tempDir = new TestTempDirectory("ArchiveBrowse-ReadEntry");
+        var archivePath = Path.Combine(tempDir.Path, "test.zip");
+        CreateZip(archivePath);
+        var service = new ArchiveBrowseService();
+
+        var from = await service.ReadEntryAsync(
+            archivePath, "readme.txt", entryStream => Task.FromResult(TextPreviewReader.ReadFrom(entryStream, 7)), CancellationToken.None);
+        var tail = await service.ReadEntryAsync(
+            archivePath, "folder/data.txt", entryStream => Task.FromResult(TextPreviewReader.ReadTail(entryStream, 1)), CancellationToken.None);
+
+        Assert.AreEqual("inside archive\n", from.Text);
+        Assert.AreEqual(7L, from.Offset);
+        Assert.AreEqual(22L, from.End);
+        Assert.AreEqual("nested data\n", tail.Text);
+        Assert.AreEqual(1L, tail.FirstLine);
+    }
+
     private static void CreateZip(string archivePath)
     {
         using var fs = new FileStream(archivePath, FileMode.Create, FileAccess.Write);
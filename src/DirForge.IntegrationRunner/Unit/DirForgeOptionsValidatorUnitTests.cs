@@ -121,6 +121,30 @@ public sealed class DirForgeOptionsValidatorUnitTests
         Assert.IsTrue(result.Succeeded);
     }
 
+    [TestMethod]
+    public void Validate_ReadmeDisplayInvalid_ReturnsFailure()
+    {
+        using var tempDir = new TestTempDirectory("validator-readme-invalid");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.ReadmeDisplay = "sidebar";
+
+        var result = _validator.Validate(null, options);
+
+        Assert.IsTrue(result.Failed);
+    }
+
+    [TestMethod]
+    public void Validate_ListingPageSizeNegative_ReturnsFailure()
+    {
+        using var tempDir = new TestTempDirectory("validator-page-size-negative");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.ListingPageSize = -1;
+
+        var result = _validator.Validate(null, options);
+
+        Assert.IsTrue(result.Failed);
+    }
+
     [TestMethod]
     public void Validate_OperationTimeBudget_ZeroIsValid()
     {
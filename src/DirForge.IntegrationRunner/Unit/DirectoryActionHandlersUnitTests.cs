@@ -0,0 +1,178 @@
+using System.Collections;
+using System.Text;
+using DirForge.Models;
+using DirForge.Pages;
+using DirForge.Services;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Primitives;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class DirectoryActionHandlersUnitTests
+{
+    [TestMethod]
+    public void HandleGet_WhenFolderExceedsPageSize_RendersFirstPageWithFullSummary()
+    {
+        using var tempDir = new TestTempDirectory("ActionHandlers-PagedGet");
+        CreateFiles(tempDir.Path, "photos", "a.txt", "b.txt", "c.txt", "d.txt", "e.txt");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.ListingPageSize = 2;
+        var handlers = CreateHandlers(options);
+
+        var result = handlers.HandleGet(CreateContext("/photos/", "name"), requestPath: "photos", shareContext: null);
+
+        Assert.IsNotNull(result.State);
+        Assert.IsTrue(result.State.ListingPaged);
+        Assert.AreEqual(5, result.State.ListingTotalCount);
+        Assert.AreEqual(2, result.State.EntryViews.Count);
+        StringAssert.StartsWith(result.State.Summary.FilesText, "Files: 5");
+    }
+
+    [TestMethod]
+    public void HandleGetListingPage_WhenOffsetGiven_ReturnsFollowingPage()
+    {
+        using var tempDir = new TestTempDirectory("ActionHandlers-ListingPage");
+        CreateFiles(tempDir.Path, "photos", "a.txt", "b.txt", "c.txt", "d.txt", "e.txt");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.ListingPageSize = 2;
+        var handlers = CreateHandlers(options);
+
+        var result = handlers.HandleGetListingPage(CreateContext("/photos/", "name", ("offset", "2")), requestPath: "photos", shareContext: null);
+
+        var json = result as JsonResult;
+        Assert.IsNotNull(json);
+        Assert.AreEqual(5, GetJsonProperty(json.Value, "total"));
+        Assert.AreEqual(4, GetJsonProperty(json.Value, "nextOffset"));
+        CollectionAssert.AreEqual(new[] { "c.txt", "d.txt" }, GetEntryNames(json));
+    }
+
+    [TestMethod]
+    public void HandleGetListingPage_WhenGlobFilterGiven_FiltersBeforePaging()
+    {
+        using var tempDir = new TestTempDirectory("ActionHandlers-ListingPageFilter");
+        CreateFiles(tempDir.Path, "photos", "a.log", "b.txt", "c.log", "d.txt", "e.log");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.ListingPageSize = 2;
+        var handlers = CreateHandlers(options);
+
+        var result = handlers.HandleGetListingPage(
+            CreateContext("/photos/", "name", ("filter", "*.log"), ("filter-mode", "glob")),
+            requestPath: "photos",
+            shareContext: null);
+
+        var json = result as JsonResult;
+        Assert.IsNotNull(json);
+        Assert.AreEqual(3, GetJsonProperty(json.Value, "total"));
+        Assert.AreEqual(2, GetJsonProperty(json.Value, "nextOffset"));
+        CollectionAssert.AreEqual(new[] { "a.log", "c.log" }, GetEntryNames(json));
+    }
+
+    [TestMethod]
+    public void HandleGetListingPage_WhenRegexInvalid_ReturnsBadRequest()
+    {
+        using var tempDir = new TestTempDirectory("ActionHandlers-ListingPageRegex");
+        CreateFiles(tempDir.Path, "photos", "a.txt");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path));
+
+        var result = handlers.HandleGetListingPage(
+            CreateContext("/photos/", "name", ("filter", "(unclosed"), ("filter-mode", "regex")),
+            requestPath: "photos",
+            shareContext: null);
+
+        Assert.IsNotNull(result as BadRequestObjectResult);
+    }
+
+    [TestMethod]
+    public async Task HandleGetListingEventsAsync_WhenLiveRefreshDisabled_ReturnsNotFound()
+    {
+        using var tempDir = new TestTempDirectory("ActionHandlers-ListingEventsDisabled");
+        CreateFiles(tempDir.Path, "photos", "a.txt");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.EnableLiveRefresh = false;
+        var handlers = CreateHandlers(options);
+
+        var result = await handlers.HandleGetListingEventsAsync(
+            CreateContext("/photos/", "name"),
+            requestPath: "photos",
+            shareContext: null,
+            CancellationToken.None);
+
+        Assert.IsNotNull(result as NotFoundResult);
+    }
+
+    [TestMethod]
+    public async Task HandleGetListingEventsAsync_WhenVersionIsStale_SendsResetWithAllEntries()
+    {
+        using var tempDir = new TestTempDirectory("ActionHandlers-ListingEventsReset");
+        CreateFiles(tempDir.Path, "photos", "a.txt", "b.txt");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path));
+        var context = CreateContext("/photos/", "name", ("since", "stale"));
+        using var body = new MemoryStream();
+        context.Response.Body = body;
+        using var cts = new CancellationTokenSource(TimeSpan.FromMilliseconds(500));
+
+        var result = await handlers.HandleGetListingEventsAsync(context, requestPath: "photos", shareContext: null, cts.Token);
+
+        Assert.IsNotNull(result as EmptyResult);
+        Assert.AreEqual("text/event-stream", context.Response.ContentType);
+        var stream = Encoding.UTF8.GetString(body.ToArray());
+        StringAssert.Contains(stream, "event: change");
+        StringAssert.Contains(stream, "\"reset\":true");
+        StringAssert.Contains(stream, "\"name\":\"a.txt\"");
+        StringAssert.Contains(stream, "\"name\":\"b.txt\"");
+    }
+
+    private static DirectoryActionHandlers CreateHandlers(DirForgeOptions options)
+    {
+        var listing = TestServiceFactory.CreateDirectoryListingService(options);
+        var guards = TestServiceFactory.CreateRequestGuards(listing, options);
+        return new DirectoryActionHandlers(
+            listing,
+            new ArchiveBrowseService(),
+            new DirectoryWatchService(NullLogger<DirectoryWatchService>.Instance),
+            options,
+            new DashboardMetricsService(),
+            guards);
+    }
+
+    private static DefaultHttpContext CreateContext(string path, string sortKey, params (string Key, string Value)[] query)
+    {
+        var values = new Dictionary<string, StringValues> { [sortKey] = "1" };
+        foreach (var (key, value) in query)
+        {
+            values[key] = value;
+        }
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = path;
+        context.Request.Query = new QueryCollection(values);
+        return context;
+    }
+
+    private static void CreateFiles(string rootPath, string folder, params string[] names)
+    {
+        var folderPath = Path.Combine(rootPath, folder);
+        Directory.CreateDirectory(folderPath);
+        foreach (var name in names)
+        {
+            File.WriteAllText(Path.Combine(folderPath, name), name);
+        }
+    }
+
+    private static string[] GetEntryNames(JsonResult result)
+    {
+        var entries = (IEnumerable)GetJsonProperty(result.Value, "entries")!;
+        return entries.Cast<object>().Select(entry => (string)GetJsonProperty(entry, "name")!).ToArray();
+    }
+
+    private static object? GetJsonProperty(object? value, string name)
+    {
+        return value?.GetType().GetProperty(name)?.GetValue(value);
+    }
+}
@@ -1,3 +1,6 @@
+using System.IO.Compression;
+using System.Text;
+using DirForge.Models;
 using DirForge.Pages;
 using DirForge.Services;
 using Microsoft.AspNetCore.Http;
@@ -18,38 +21,625 @@ public sealed class DirectoryFileActionHandlersUnitTests
         var options = TestOptionsFactory.Create(tempDir.Path);
         options.AllowFolderDownload = false;
 
+        var handlers = CreateHandlers(options, tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/folder";
+
+        var result = await handlers.HandleGetDownloadZipAsync(
+            context,
+            requestPath: "folder",
+            shareContext: null,
+            cancellationToken: CancellationToken.None);
+
+        var status = result as StatusCodeResult;
+        Assert.IsNotNull(status);
+        Assert.AreEqual(StatusCodes.Status403Forbidden, status.StatusCode);
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenMarkdownFile_ReturnsMarkdownModeWithText()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-PreviewMarkdown");
+        File.WriteAllText(Path.Combine(tempDir.Path, "README.md"), "# Title\n\nBody text.\n");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/README.md";
+
+        var result = handlers.HandleGetPreviewInfo(context, "README.md", shareContext: null);
+
+        var json = result as JsonResult;
+        Assert.IsNotNull(json);
+        Assert.AreEqual("markdown", GetJsonProperty(json, "previewMode"));
+        Assert.AreEqual("# Title\n\nBody text.\n", GetJsonProperty(json, "textContent"));
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenMarkdownFileForcedToText_ReturnsTextMode()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-PreviewMarkdownSource");
+        File.WriteAllText(Path.Combine(tempDir.Path, "guide.adoc"), "= Guide\n");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/guide.adoc";
+
+        var result = handlers.HandleGetPreviewInfo(context, "guide.adoc", shareContext: null, forceText: true);
+
+        var json = result as JsonResult;
+        Assert.IsNotNull(json);
+        Assert.AreEqual("text", GetJsonProperty(json, "previewMode"));
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenOffsetOrTailRequested_ReturnsThatChunk()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-PreviewChunks");
+        File.WriteAllText(Path.Combine(tempDir.Path, "app.log"), "one\ntwo\nthree\n");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var fromOffset = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "app.log", null, offset: 4) as JsonResult;
+        var tail = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "app.log", null, tail: 1) as JsonResult;
+        var invalid = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "app.log", null, line: 0);
+        var fromLine = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "app.log", null, offset: 4, line: 3, fromLine: 2) as JsonResult;
+        var fromLineWithoutOffset = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "app.log", null, line: 3, fromLine: 2);
+
+        Assert.IsNotNull(fromOffset);
+        Assert.AreEqual("two\nthree\n", GetJsonProperty(fromOffset, "textContent"));
+        Assert.AreEqual(4L, GetJsonProperty(fromOffset, "textOffset"));
+        Assert.AreEqual(false, GetJsonProperty(fromOffset, "textTruncated"));
+        Assert.IsNull(GetJsonProperty(fromOffset, "textLine"));
+        Assert.IsNotNull(tail);
+        Assert.AreEqual("three\n", GetJsonProperty(tail, "textContent"));
+        Assert.AreEqual(14L, GetJsonProperty(tail, "textEnd"));
+        Assert.AreEqual("/app.log?handler=Follow", GetJsonProperty(tail, "followUrl"));
+        Assert.IsNotNull(invalid as BadRequestObjectResult);
+        Assert.IsNotNull(fromLine);
+        Assert.AreEqual("three\n", GetJsonProperty(fromLine, "textContent"));
+        Assert.AreEqual(3L, GetJsonProperty(fromLine, "textLine"));
+        Assert.IsNotNull(fromLineWithoutOffset as BadRequestObjectResult);
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenTextFileOverPreviewLimit_ReturnsPagedText()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-PreviewLargeText");
+        File.WriteAllText(Path.Combine(tempDir.Path, "app.log"), "one\ntwo\nthree\n");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.MaxPreviewFileSize = 8;
+        var handlers = CreateHandlers(options, tempDir.Path);
+
+        var info = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "app.log", null) as JsonResult;
+
+        Assert.IsNotNull(info);
+        Assert.AreEqual("text", GetJsonProperty(info, "previewMode"));
+        Assert.AreEqual("one\ntwo\nthree\n", GetJsonProperty(info, "textContent"));
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenFlacFile_ReturnsAudioMetadata()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-PreviewMetadata");
+        var header = new byte[42];
+        "fLaC"u8.CopyTo(header);
+        header[4] = 0x80;
+        header[7] = 34;
+        header[18] = 0x0A;
+        header[19] = 0xC4;
+        header[20] = 0x40;
+        header[21] = 0xF0;
+        File.WriteAllBytes(Path.Combine(tempDir.Path, "song.flac"), header);
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/song.flac";
+
+        var result = handlers.HandleGetPreviewInfo(context, "song.flac", shareContext: null);
+
+        var json = result as JsonResult;
+        Assert.IsNotNull(json);
+        var metadata = GetJsonProperty(json, "metadata") as MediaMetadata;
+        Assert.IsNotNull(metadata);
+        Assert.AreEqual("audio", metadata.Kind);
+        Assert.AreEqual(44100, metadata.SampleRate);
+        Assert.AreEqual(1, metadata.Channels);
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenVideoHasSiblingSubtitles_ListsSubtitleTracks()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-PreviewSubtitles");
+        var folder = Path.Combine(tempDir.Path, "films");
+        Directory.CreateDirectory(folder);
+        File.WriteAllBytes(Path.Combine(folder, "movie.mp4"), new byte[16]);
+        File.WriteAllText(Path.Combine(folder, "movie.srt"), "1\n00:00:01,000 --> 00:00:02,000\nHi\n");
+        File.WriteAllText(Path.Combine(folder, "movie.en.vtt"), "WEBVTT\n");
+        File.WriteAllText(Path.Combine(folder, "movie.nfo"), "info");
+        File.WriteAllText(Path.Combine(folder, "other.srt"), "");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/films/movie.mp4";
+
+        var result = handlers.HandleGetPreviewInfo(context, "films/movie.mp4", shareContext: null);
+
+        var json = result as JsonResult;
+        Assert.IsNotNull(json);
+        Assert.AreEqual("video", GetJsonProperty(json, "previewMode"));
+        var subtitles = (GetJsonProperty(json, "subtitles") as IEnumerable<object>)?.ToList();
+        Assert.IsNotNull(subtitles);
+        Assert.AreEqual(2, subtitles.Count);
+        Assert.AreEqual("en", GetProperty(subtitles[0], "label"));
+        Assert.AreEqual("en", GetProperty(subtitles[0], "language"));
+        Assert.AreEqual("/films/movie.en.vtt?handler=Subtitle", GetProperty(subtitles[0], "url"));
+        Assert.AreEqual("SRT", GetProperty(subtitles[1], "label"));
+        Assert.IsNull(GetProperty(subtitles[1], "language"));
+    }
+
+    [TestMethod]
+    public void HandleGetSubtitle_WhenSubRip_ReturnsWebVtt()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-Subtitle");
+        File.WriteAllText(Path.Combine(tempDir.Path, "movie.srt"), "1\n00:00:01,000 --> 00:00:02,000\nHi\n");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/movie.srt";
+
+        var result = handlers.HandleGetSubtitle(context, "movie.srt", shareContext: null);
+
+        var content = result as ContentResult;
+        Assert.IsNotNull(content);
+        Assert.AreEqual(SubtitleConverter.ContentType, content.ContentType);
+        Assert.AreEqual("WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi\n\n", content.Content);
+    }
+
+    [TestMethod]
+    public void HandleGetPlaylist_WhenM3u_ResolvesPlayableRelativeEntries()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-Playlist");
+        var music = Path.Combine(tempDir.Path, "music");
+        Directory.CreateDirectory(Path.Combine(music, "album"));
+        Directory.CreateDirectory(Path.Combine(tempDir.Path, "other"));
+        File.WriteAllBytes(Path.Combine(music, "album", "01 Intro.mp3"), new byte[8]);
+        File.WriteAllBytes(Path.Combine(tempDir.Path, "other", "b-side.ogg"), new byte[8]);
+        File.WriteAllText(Path.Combine(music, "notes.txt"), "notes");
+        File.WriteAllText(Path.Combine(music, "mix.m3u"), string.Join('\n',
+            "#EXTM3U",
+            "#EXTINF:215,Artist - Intro",
+            "album\\01 Intro.mp3",
+            "../other/b-side.ogg",
+            "../../outside.mp3",
+            "missing.mp3",
+            "notes.txt",
+            "http://example.com/stream.mp3",
+            "/etc/passwd"));
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/music/mix.m3u";
+
+        var result = handlers.HandleGetPlaylist(context, "music/mix.m3u", shareContext: null);
+
+        var json = result as JsonResult;
+        Assert.IsNotNull(json);
+        var tracks = (GetJsonProperty(json, "tracks") as IEnumerable<object>)?.ToList();
+        Assert.IsNotNull(tracks);
+        Assert.AreEqual(2, tracks.Count);
+        Assert.AreEqual("01 Intro.mp3", GetProperty(tracks[0], "name"));
+        Assert.AreEqual("Artist - Intro", GetProperty(tracks[0], "title"));
+        Assert.AreEqual(215.0, GetProperty(tracks[0], "duration"));
+        Assert.AreEqual("/music/album/01%20Intro.mp3?handler=View", GetProperty(tracks[0], "url"));
+        Assert.AreEqual("/other/b-side.ogg?handler=View", GetProperty(tracks[1], "url"));
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenHlsPlaylist_ReturnsHlsMode()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-HlsPreview");
+        File.WriteAllText(Path.Combine(tempDir.Path, "index.m3u8"), "#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6.0,\nseg0.ts\n");
+        File.WriteAllText(Path.Combine(tempDir.Path, "mix.m3u8"), "#EXTM3U\n#EXTINF:215,Intro\nintro.mp3\n");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var hls = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "index.m3u8", shareContext: null) as JsonResult;
+        var audioList = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "mix.m3u8", shareContext: null) as JsonResult;
+
+        Assert.IsNotNull(hls);
+        Assert.AreEqual("hls", GetJsonProperty(hls, "previewMode"));
+        Assert.AreEqual("/index.m3u8?handler=Hls", GetJsonProperty(hls, "hlsUrl"));
+        Assert.IsNotNull(audioList);
+        Assert.AreEqual("text", GetJsonProperty(audioList, "previewMode"));
+        Assert.IsNull(GetJsonProperty(audioList, "hlsUrl"));
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenPdfInDirectoryShare_ReturnsPdfModeWithTokenedViewUrl()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-PdfShare");
+        Directory.CreateDirectory(Path.Combine(tempDir.Path, "docs"));
+        File.WriteAllText(Path.Combine(tempDir.Path, "docs", "manual.pdf"), "%PDF-1.7\n");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+        var shareContext = new ShareAccessContext(
+            ShareMode.Directory,
+            "docs",
+            DateTimeOffset.UtcNow.AddHours(1).ToUnixTimeSeconds(),
+            "token");
+
+        var result = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "docs/manual.pdf", shareContext) as JsonResult;
+
+        Assert.IsNotNull(result);
+        Assert.AreEqual("pdf", GetJsonProperty(result, "previewMode"));
+        Assert.AreEqual("/docs/manual.pdf?handler=View&s=token", GetJsonProperty(result, "viewUrl"));
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenRtfDocument_ReturnsOfficeModeWithHtml()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-Office");
+        File.WriteAllText(Path.Combine(tempDir.Path, "letter.rtf"), @"{\rtf1\ansi{\fonttbl{\f0 Arial;}}\f0 Dear {\b reader}\par}");
+        File.WriteAllText(Path.Combine(tempDir.Path, "broken.docx"), "not a zip");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var result = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "letter.rtf", null) as JsonResult;
+        var broken = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "broken.docx", null) as JsonResult;
+
+        Assert.IsNotNull(result);
+        Assert.AreEqual("office", GetJsonProperty(result, "previewMode"));
+        var office = GetJsonProperty(result, "office") as OfficePreview;
+        Assert.IsNotNull(office);
+        Assert.AreEqual("document", office.Kind);
+        Assert.AreEqual("<p>Dear <strong>reader</strong></p>", office.Html);
+        Assert.IsNotNull(broken);
+        Assert.AreEqual("hex", GetJsonProperty(broken, "previewMode"));
+        Assert.IsNull(GetJsonProperty(broken, "office"));
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenBinaryWithoutPreview_ReturnsHexModeWithMagicBytes()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-HexInfo");
+        File.WriteAllBytes(Path.Combine(tempDir.Path, "tool.bin"), [0x7F, 0x45, 0x4C, 0x46, 0x02, 0x01, 0x01, 0x00]);
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var result = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "tool.bin", null) as JsonResult;
+
+        Assert.IsNotNull(result);
+        Assert.AreEqual("hex", GetJsonProperty(result, "previewMode"));
+        Assert.AreEqual("/tool.bin?handler=Hex", GetJsonProperty(result, "hexUrl"));
+        var magicBytes = ((IEnumerable<object>)GetJsonProperty(result, "magicBytes")!).ToList();
+        Assert.AreEqual(1, magicBytes.Count);
+        Assert.AreEqual(0, GetProperty(magicBytes[0], "offset"));
+        Assert.AreEqual(4, GetProperty(magicBytes[0], "length"));
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenFileOverPreviewLimit_OnlyFallsBackToHexWithoutOtherPreview()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-PreviewLimit");
+        File.WriteAllBytes(Path.Combine(tempDir.Path, "tool.bin"), [0x7F, 0x45, 0x4C, 0x46, 0x02, 0x01, 0x01, 0x00]);
+        File.WriteAllBytes(Path.Combine(tempDir.Path, "photo.png"), ThumbnailServiceUnitTests.OnePixelPng);
+        File.WriteAllBytes(Path.Combine(tempDir.Path, "report.pdf"), "%PDF-1.7\n%%EOF\n"u8.ToArray());
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.MaxPreviewFileSize = 4;
+        var handlers = CreateHandlers(options, tempDir.Path);
+
+        var binary = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "tool.bin", null) as JsonResult;
+        var image = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "photo.png", null) as JsonResult;
+        var pdf = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "report.pdf", null) as JsonResult;
+
+        Assert.IsNotNull(binary);
+        Assert.AreEqual("hex", GetJsonProperty(binary, "previewMode"));
+        Assert.IsNotNull(image);
+        Assert.AreEqual("none", GetJsonProperty(image, "previewMode"));
+        Assert.IsNull(GetJsonProperty(image, "hexUrl"));
+        Assert.IsNotNull(pdf);
+        Assert.AreEqual("none", GetJsonProperty(pdf, "previewMode"));
+    }
+
+    [TestMethod]
+    public async Task HandleGetHexAsync_WhenPageOrPatternRequested_ReturnsBytesOrMatch()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-Hex");
+        File.WriteAllBytes(Path.Combine(tempDir.Path, "data.bin"), [0x00, 0x01, 0x02, 0xCA, 0xFE, 0x05]);
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var page = await handlers.HandleGetHexAsync(new DefaultHttpContext(), "data.bin", null, 2, 3, null) as JsonResult;
+        var found = await handlers.HandleGetHexAsync(new DefaultHttpContext(), "data.bin", null, 0, null, "ca fe") as JsonResult;
+        var invalid = await handlers.HandleGetHexAsync(new DefaultHttpContext(), "data.bin", null, 0, null, "cafe1");
+        var negative = await handlers.HandleGetHexAsync(new DefaultHttpContext(), "data.bin", null, -1, null, null);
+
+        Assert.IsNotNull(page);
+        Assert.AreEqual(6L, GetJsonProperty(page, "size"));
+        Assert.AreEqual(Convert.ToBase64String(new byte[] { 0x02, 0xCA, 0xFE }), GetJsonProperty(page, "data"));
+        Assert.IsNotNull(found);
+        Assert.AreEqual(3L, GetJsonProperty(found, "match"));
+        Assert.IsNotNull(invalid as BadRequestObjectResult);
+        Assert.IsNotNull(negative as BadRequestObjectResult);
+    }
+
+    [TestMethod]
+    public void HandleGetTable_WhenCsvFile_ReturnsTableModeAndRows()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-Table");
+        File.WriteAllText(Path.Combine(tempDir.Path, "sales.csv"), "region,units\nnorth,3\nsouth,12\n");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var info = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "sales.csv", null) as JsonResult;
+        var rows = handlers.HandleGetTable(new DefaultHttpContext(), "sales.csv", null, 0) as JsonResult;
+        var negative = handlers.HandleGetTable(new DefaultHttpContext(), "sales.csv", null, -1);
+
+        Assert.IsNotNull(info);
+        Assert.AreEqual("table", GetJsonProperty(info, "previewMode"));
+        Assert.AreEqual("/sales.csv?handler=Table", GetJsonProperty(info, "tableUrl"));
+        Assert.IsTrue(((TablePreview)GetJsonProperty(info, "table")!).HasHeader);
+        Assert.IsNotNull(rows);
+        var parsed = (List<string[]>)GetJsonProperty(rows, "rows")!;
+        Assert.AreEqual(2, parsed.Count);
+        CollectionAssert.AreEqual(new[] { "south", "12" }, parsed[1]);
+        Assert.AreEqual(GetJsonProperty(rows, "size"), GetJsonProperty(rows, "end"));
+        Assert.IsNotNull(negative as BadRequestObjectResult);
+    }
+
+    [TestMethod]
+    public void HandleGetPreviewInfo_WhenJsonFile_ReturnsStructuredMode()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-Structured");
+        File.WriteAllText(Path.Combine(tempDir.Path, "config.json"), "{\"name\": \"alpha\", \"ports\": [80, 443]}");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var info = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "config.json", null) as JsonResult;
+        var source = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "config.json", null, forceText: true) as JsonResult;
+
+        Assert.IsNotNull(info);
+        Assert.AreEqual("structured", GetJsonProperty(info, "previewMode"));
+        var structured = (StructuredPreview)GetJsonProperty(info, "structured")!;
+        Assert.AreEqual("json", structured.Format);
+        Assert.AreEqual("ports", structured.Root!.Children![1].Name);
+        StringAssert.StartsWith((string)GetJsonProperty(info, "textContent")!, "{\"name\"");
+        Assert.IsNotNull(source);
+        Assert.AreEqual("text", GetJsonProperty(source, "previewMode"));
+        Assert.IsNull(GetJsonProperty(source, "structured"));
+    }
+
+    [TestMethod]
+    public async Task HandleGetFollowAsync_WhenFileFollowDisabled_ReturnsNotFound()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-FollowDisabled");
+        File.WriteAllText(Path.Combine(tempDir.Path, "app.log"), "one\n");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.EnableFileFollow = false;
+        var handlers = CreateHandlers(options, tempDir.Path);
+
+        var result = await handlers.HandleGetFollowAsync(new DefaultHttpContext(), "app.log", null, offset: null);
+        var info = handlers.HandleGetPreviewInfo(new DefaultHttpContext(), "app.log", null) as JsonResult;
+
+        Assert.IsNotNull(result as NotFoundResult);
+        Assert.IsNotNull(info);
+        Assert.IsNull(GetJsonProperty(info, "followUrl"));
+    }
+
+    [TestMethod]
+    public async Task HandleGetFollowAsync_WhenFileGrowsThenTruncates_SendsAppendsAndReset()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-Follow");
+        var path = Path.Combine(tempDir.Path, "app.log");
+        File.WriteAllText(path, "one\ntwo\n");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+        var context = new DefaultHttpContext();
+        using var body = new MemoryStream();
+        context.Response.Body = body;
+        using var cts = new CancellationTokenSource(TimeSpan.FromMilliseconds(2500));
+
+        var follow = handlers.HandleGetFollowAsync(context, "app.log", null, offset: 4, cts.Token);
+        await Task.Delay(300);
+        File.WriteAllText(path, "x\n");
+        var result = await follow;
+
+        Assert.IsNotNull(result as EmptyResult);
+        Assert.AreEqual("text/event-stream", context.Response.ContentType);
+        var stream = Encoding.UTF8.GetString(body.ToArray());
+        StringAssert.Contains(stream, "id: 8\nevent: append\ndata: {\"text\":\"two\\n\",\"offset\":4,\"end\":8");
+        StringAssert.Contains(stream, "event: reset\ndata: {\"reason\":\"truncated\"}");
+        StringAssert.Contains(stream, "id: 2\nevent: append\ndata: {\"text\":\"x\\n\"");
+    }
+
+    [TestMethod]
+    public void HandleGetHls_WhenRelativeUris_PointsThemAtInScopeHandlers()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-Hls");
+        var camera = Path.Combine(tempDir.Path, "cam 1");
+        Directory.CreateDirectory(Path.Combine(camera, "low"));
+        File.WriteAllBytes(Path.Combine(camera, "low", "seg 0.ts"), new byte[188]);
+        File.WriteAllText(Path.Combine(camera, "low", "index.m3u8"), "#EXTM3U\n#EXT-X-TARGETDURATION:6\n");
+        File.WriteAllText(Path.Combine(camera, "master.m3u8"), string.Join('\n',
+            "#EXTM3U",
+            "#EXT-X-STREAM-INF:BANDWIDTH=800000",
+            "low/index.m3u8",
+            "#EXT-X-TARGETDURATION:6",
+            "#EXT-X-MAP:URI=\"low/seg%200.ts\"",
+            "#EXTINF:6.0,",
+            "low/seg 0.ts",
+            "#EXTINF:6.0,",
+            "../../outside.ts"));
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        var result = handlers.HandleGetHls(context, "cam 1/master.m3u8", shareContext: null);
+
+        var content = result as ContentResult;
+        Assert.IsNotNull(content);
+        Assert.AreEqual(HlsPlaylist.ContentType, content.ContentType);
+        var lines = content.Content!.Split('\n');
+        Assert.AreEqual("/cam%201/low/index.m3u8?handler=Hls", lines[2]);
+        Assert.AreEqual("#EXT-X-MAP:URI=\"/cam%201/low/seg%200.ts?handler=View\"", lines[4]);
+        Assert.AreEqual("/cam%201/low/seg%200.ts?handler=View", lines[6]);
+        Assert.AreEqual("../../outside.ts", lines[8]);
+    }
+
+    [TestMethod]
+    public async Task HandleDownloadSelectionZipAsync_WhenEntriesSelected_ZipsOnlySelection()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-SelectionZip");
+        var folder = Path.Combine(tempDir.Path, "folder");
+        Directory.CreateDirectory(Path.Combine(folder, "docs"));
+        File.WriteAllText(Path.Combine(folder, "a.txt"), "a");
+        File.WriteAllText(Path.Combine(folder, "b.txt"), "b");
+        File.WriteAllText(Path.Combine(folder, "docs", "c.txt"), "c");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Post;
+        context.Request.Path = "/folder";
+        using var body = new MemoryStream();
+        context.Response.Body = body;
+
+        await handlers.HandleDownloadSelectionZipAsync(
+            context,
+            requestPath: "folder",
+            paths: ["folder/a.txt", "folder/docs"],
+            shareContext: null,
+            cancellationToken: CancellationToken.None);
+
+        body.Position = 0;
+        using var archive = new ZipArchive(body, ZipArchiveMode.Read);
+        var names = archive.Entries.Select(entry => entry.FullName).OrderBy(name => name, StringComparer.Ordinal).ToArray();
+        CollectionAssert.AreEqual(new[] { "a.txt", "docs/c.txt" }, names);
+    }
+
+    [TestMethod]
+    public async Task HandleDownloadSelectionZipAsync_WhenPathOutsideFolder_ReturnsBadRequest()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-SelectionOutside");
+        Directory.CreateDirectory(Path.Combine(tempDir.Path, "folder"));
+        File.WriteAllText(Path.Combine(tempDir.Path, "secret.txt"), "s");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Post;
+        context.Request.Path = "/folder";
+
+        var result = await handlers.HandleDownloadSelectionZipAsync(
+            context,
+            requestPath: "folder",
+            paths: ["secret.txt"],
+            shareContext: null,
+            cancellationToken: CancellationToken.None);
+
+        Assert.IsNotNull(result as BadRequestObjectResult);
+    }
+
+    [TestMethod]
+    public async Task HandleDownloadSelectionZipAsync_WhenSymlinkLeadsOutOfSelection_LeavesItOut()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-SelectionSymlink");
+        var folder = Path.Combine(tempDir.Path, "folder");
+        Directory.CreateDirectory(Path.Combine(folder, "docs"));
+        File.WriteAllText(Path.Combine(tempDir.Path, "secret.txt"), "s");
+        File.WriteAllText(Path.Combine(folder, "b.txt"), "b");
+        File.WriteAllText(Path.Combine(folder, "docs", "c.txt"), "c");
+        File.CreateSymbolicLink(Path.Combine(folder, "secret-link.txt"), Path.Combine(tempDir.Path, "secret.txt"));
+        File.CreateSymbolicLink(Path.Combine(folder, "docs", "b-link.txt"), Path.Combine(folder, "b.txt"));
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+        var shareContext = new ShareAccessContext(
+            ShareMode.Selection, "folder", DateTimeOffset.UtcNow.AddHours(1).ToUnixTimeSeconds(), "token",
+            SelectionPaths: ["secret-link.txt"]);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Post;
+        context.Request.Path = "/folder";
+        var linkedOut = await handlers.HandleDownloadSelectionZipAsync(
+            context, requestPath: "folder", paths: ["folder/secret-link.txt"], shareContext: null,
+            cancellationToken: CancellationToken.None);
+        var sharedLinkedOut = await handlers.HandleDownloadSelectionZipAsync(
+            context, requestPath: "folder", paths: null, shareContext: shareContext,
+            cancellationToken: CancellationToken.None);
+
+        using var body = new MemoryStream();
+        context.Response.Body = body;
+        await handlers.HandleDownloadSelectionZipAsync(
+            context, requestPath: "folder", paths: ["folder/docs"], shareContext: null,
+            cancellationToken: CancellationToken.None);
+
+        Assert.IsNotNull(linkedOut as BadRequestObjectResult);
+        Assert.IsNotNull(sharedLinkedOut as BadRequestObjectResult);
+        body.Position = 0;
+        using var archive = new ZipArchive(body, ZipArchiveMode.Read);
+        CollectionAssert.AreEqual(new[] { "docs/c.txt" }, archive.Entries.Select(entry => entry.FullName).ToArray());
+    }
+
+    [TestMethod]
+    public async Task HandleGetThumbnailAsync_WhenThumbnailsDisabled_ReturnsNotFound()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-ThumbnailDisabled");
+        File.WriteAllBytes(Path.Combine(tempDir.Path, "photo.png"), ThumbnailServiceUnitTests.OnePixelPng);
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.EnableThumbnails = false;
+        var handlers = CreateHandlers(options, tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/photo.png";
+
+        var result = await handlers.HandleGetThumbnailAsync(context, "photo.png", shareContext: null);
+
+        Assert.IsNotNull(result as NotFoundResult);
+    }
+
+    [TestMethod]
+    public async Task HandleGetThumbnailAsync_WhenFormatNotDecoded_ReturnsNotFound()
+    {
+        using var tempDir = new TestTempDirectory("FileHandlers-ThumbnailSvg");
+        File.WriteAllText(Path.Combine(tempDir.Path, "logo.svg"), "<svg xmlns=\"http://www.w3.org/2000/svg\"/>");
+        var handlers = CreateHandlers(TestOptionsFactory.Create(tempDir.Path), tempDir.Path);
+
+        var context = new DefaultHttpContext();
+        context.Request.Method = HttpMethods.Get;
+        context.Request.Path = "/logo.svg";
+
+        var result = await handlers.HandleGetThumbnailAsync(context, "logo.svg", shareContext: null);
+
+        Assert.IsNotNull(result as NotFoundResult);
+    }
+
+    private static DirectoryFileActionHandlers CreateHandlers(DirForgeOptions options, string rootPath)
+    {
         var listing = TestServiceFactory.CreateDirectoryListingService(options);
         var guards = TestServiceFactory.CreateRequestGuards(listing, options);
         var share = new ShareLinkService(options);
         var archive = new ArchiveBrowseService();
         var icon = new IconResolver(new TestWebHostEnvironment
         {
-            WebRootPath = Path.Combine(tempDir.Path, "wwwroot"),
-            ContentRootPath = tempDir.Path
+            WebRootPath = Path.Combine(rootPath, "wwwroot"),
+            ContentRootPath = rootPath
         });
         var metrics = new DashboardMetricsService();
-        var handlers = new DirectoryFileActionHandlers(
+        return new DirectoryFileActionHandlers(
             listing,
             share,
             archive,
+            new ThumbnailService(options, NullLogger<ThumbnailService>.Instance),
             icon,
             options,
             metrics,
             NullLogger<DirectoryListingModel>.Instance,
             guards);
+    }
 
-        var context = new DefaultHttpContext();
-        context.Request.Method = HttpMethods.Get;
-        context.Request.Path = "/folder";
-
-        var result = await handlers.HandleGetDownloadZipAsync(
-            context,
-            requestPath: "folder",
-            shareContext: null,
-            cancellationToken: CancellationToken.None);
+    private static object? GetJsonProperty(JsonResult result, string name)
+    {
+        return result.Value is null ? null : GetProperty(result.Value, name);
+    }
 
-        var status = result as StatusCodeResult;
-        Assert.IsNotNull(status);
-        Assert.AreEqual(StatusCodes.Status403Forbidden, status.StatusCode);
+    private static object? GetProperty(object value, string name)
+    {
+        return value.GetType().GetProperty(name)?.GetValue(value);
     }
 }
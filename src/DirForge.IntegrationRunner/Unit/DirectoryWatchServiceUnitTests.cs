@@ -0,0 +1,55 @@
+using DirForge.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class DirectoryWatchServiceUnitTests
+{
+    [TestMethod]
+    public void Subscribe_SameFolderTwice_SharesOneWatcher()
+    {
+        using var tempDir = new TestTempDirectory("watch-shared");
+        using var service = new DirectoryWatchService(NullLogger<DirectoryWatchService>.Instance);
+
+        var first = service.Subscribe(tempDir.Path, () => { });
+        var second = service.Subscribe(tempDir.Path, () => { });
+
+        Assert.IsNotNull(first);
+        Assert.IsNotNull(second);
+        Assert.AreEqual(1, service.WatchedDirectoryCount);
+
+        first.Dispose();
+        Assert.AreEqual(1, service.WatchedDirectoryCount);
+
+        second.Dispose();
+        Assert.AreEqual(0, service.WatchedDirectoryCount);
+    }
+
+    [TestMethod]
+    public void Subscribe_MissingFolder_ReturnsNull()
+    {
+        using var tempDir = new TestTempDirectory("watch-missing");
+        using var service = new DirectoryWatchService(NullLogger<DirectoryWatchService>.Instance);
+
+        var subscription = service.Subscribe(Path.Combine(tempDir.Path, "missing"), () => { });
+
+        Assert.IsNull(subscription);
+        Assert.AreEqual(0, service.WatchedDirectoryCount);
+    }
+
+    [TestMethod]
+    public void Subscribe_FileCreated_InvokesCallback()
+    {
+        using var tempDir = new TestTempDirectory("watch-created");
+        using var service = new DirectoryWatchService(NullLogger<DirectoryWatchService>.Instance);
+        using var changed = new ManualResetEventSlim();
+
+        using var subscription = service.Subscribe(tempDir.Path, changed.Set);
+        File.WriteAllText(Path.Combine(tempDir.Path, "new.txt"), "new");
+
+        Assert.IsTrue(changed.Wait(TimeSpan.FromSeconds(5)));
+    }
+}
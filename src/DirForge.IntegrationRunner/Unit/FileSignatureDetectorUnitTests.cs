@@ -68,6 +68,26 @@ public sealed class FileSignatureDetectorUnitTests
         Assert.IsNull(FileSignatureDetector.Detect(path));
     }
 
+    [TestMethod]
+    public void FindMagicBytes_PngSignature_ReturnsSignatureRange()
+    {
+        using var temp = new TestTempDirectory("Sig-Magic");
+        var path = Path.Combine(temp.Path, "test.png");
+        File.WriteAllBytes(path, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+
+        CollectionAssert.AreEqual(new[] { (0, 8) }, FileSignatureDetector.FindMagicBytes(path).ToArray());
+    }
+
+    [TestMethod]
+    public void FindMagicBytes_UnknownBytes_ReturnsEmpty()
+    {
+        using var temp = new TestTempDirectory("Sig-MagicUnknown");
+        var path = Path.Combine(temp.Path, "test.bin");
+        File.WriteAllBytes(path, [0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08]);
+
+        Assert.AreEqual(0, FileSignatureDetector.FindMagicBytes(path).Count);
+    }
+
     [TestMethod]
     public void Detect_EmptyFile_ReturnsNull()
     {
@@ -0,0 +1,54 @@
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class HexPreviewReaderUnitTests
+{
+    [TestMethod]
+    public async Task ReadPageAsync_WhenPageRunsPastEnd_ReturnsRemainingBytes()
+    {
+        using var temp = new TestTempDirectory("Hex-Page");
+        var path = Path.Combine(temp.Path, "data.bin");
+        File.WriteAllBytes(path, [0x10, 0x11, 0x12, 0x13, 0x14]);
+
+        CollectionAssert.AreEqual(new byte[] { 0x13, 0x14 }, await HexPreviewReader.ReadPageAsync(path, 3, HexPreviewReader.PageSize));
+        Assert.AreEqual(0, (await HexPreviewReader.ReadPageAsync(path, 5, HexPreviewReader.PageSize)).Length);
+    }
+
+    [TestMethod]
+    public void TryParsePattern_WhenSeparatorsOrPrefixes_ParsesBytes()
+    {
+        Assert.IsTrue(HexPreviewReader.TryParsePattern("0x4d,0x5A 90", out var pattern));
+        CollectionAssert.AreEqual(new byte[] { 0x4D, 0x5A, 0x90 }, pattern);
+
+        Assert.IsFalse(HexPreviewReader.TryParsePattern("4d5", out _));
+        Assert.IsFalse(HexPreviewReader.TryParsePattern("zz", out _));
+        Assert.IsFalse(HexPreviewReader.TryParsePattern(" ", out _));
+        Assert.IsFalse(HexPreviewReader.TryParsePattern(new string('a', (HexPreviewReader.MaxPatternLength + 1) * 2), out _));
+    }
+
+    [TestMethod]
+    public async Task FindAsync_WhenMatchStraddlesReadWindows_FindsIt()
+    {
+        using var temp = new TestTempDirectory("Hex-Find");
+        var path = Path.Combine(temp.Path, "data.bin");
+        var content = new byte[1024 * 1024 + 64];
+        var matchOffset = 1024 * 1024 - 2;
+        content[matchOffset] = 0xDE;
+        content[matchOffset + 1] = 0xAD;
+        content[matchOffset + 2] = 0xBE;
+        content[matchOffset + 3] = 0xEF;
+        File.WriteAllBytes(path, content);
+        byte[] pattern = [0xDE, 0xAD, 0xBE, 0xEF];
+
+        var first = await HexPreviewReader.FindAsync(path, pattern, 0);
+        var next = await HexPreviewReader.FindAsync(path, pattern, matchOffset + 1);
+
+        Assert.AreEqual(matchOffset, first.Match);
+        Assert.IsNull(next.Match);
+        Assert.IsNull(next.ResumeOffset);
+    }
+}
@@ -0,0 +1,35 @@
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class HlsPlaylistUnitTests
+{
+    [TestMethod]
+    public void IsHls_WhenMediaOrMasterPlaylist_ReturnsTrue()
+    {
+        Assert.IsTrue(HlsPlaylist.IsHls("#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6.0,\nseg0.ts\n"));
+        Assert.IsTrue(HlsPlaylist.IsHls("#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nlow/index.m3u8\n"));
+    }
+
+    [TestMethod]
+    public void IsHls_WhenAudioPlaylist_ReturnsFalse()
+    {
+        Assert.IsFalse(HlsPlaylist.IsHls("#EXTM3U\n#EXTINF:215,Artist - Intro\nintro.mp3\n"));
+        Assert.IsFalse(HlsPlaylist.IsHls("notes about #EXT-X-TARGETDURATION\n"));
+    }
+
+    [TestMethod]
+    public void Rewrite_WhenUriLinesAndAttributes_ReplacesResolvedUris()
+    {
+        var text = "#EXTM3U\r\n#EXT-X-KEY:METHOD=AES-128,URI=\"key.bin\"\r\n#EXTINF:6.0,\r\nseg0.ts\r\n\r\n#EXTINF:6.0,\r\nhttp://cdn/seg1.ts\r\n#EXT-X-ENDLIST";
+
+        var rewritten = HlsPlaylist.Rewrite(text, uri => uri.StartsWith("http", StringComparison.Ordinal) ? null : "/cam/" + uri);
+
+        Assert.AreEqual(
+            "#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI=\"/cam/key.bin\"\n#EXTINF:6.0,\n/cam/seg0.ts\n\n#EXTINF:6.0,\nhttp://cdn/seg1.ts\n#EXT-X-ENDLIST\n",
+            rewritten);
+    }
+}
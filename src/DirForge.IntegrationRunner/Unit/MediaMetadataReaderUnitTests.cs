@@ -0,0 +1,215 @@
+using System.Buffers.Binary;
+using System.Text;
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class MediaMetadataReaderUnitTests
+{
+    [TestMethod]
+    public void Read_WavFile_ReturnsPcmFormatAndDuration()
+    {
+        using var temp = new TestTempDirectory("Media-WAV");
+        var path = Path.Combine(temp.Path, "tone.wav");
+        var header = new byte[44];
+        "RIFF"u8.CopyTo(header);
+        BinaryPrimitives.WriteUInt32LittleEndian(header.AsSpan(4), 36 + 352800);
+        "WAVEfmt "u8.CopyTo(header.AsSpan(8));
+        BinaryPrimitives.WriteUInt32LittleEndian(header.AsSpan(16), 16);
+        BinaryPrimitives.WriteUInt16LittleEndian(header.AsSpan(20), 1);
+        BinaryPrimitives.WriteUInt16LittleEndian(header.AsSpan(22), 2);
+        BinaryPrimitives.WriteUInt32LittleEndian(header.AsSpan(24), 44100);
+        BinaryPrimitives.WriteUInt32LittleEndian(header.AsSpan(28), 176400);
+        BinaryPrimitives.WriteUInt16LittleEndian(header.AsSpan(32), 4);
+        BinaryPrimitives.WriteUInt16LittleEndian(header.AsSpan(34), 16);
+        "data"u8.CopyTo(header.AsSpan(36));
+        BinaryPrimitives.WriteUInt32LittleEndian(header.AsSpan(40), 352800);
+        File.WriteAllBytes(path, header);
+
+        var metadata = MediaMetadataReader.Read(path, "wav");
+
+        Assert.IsNotNull(metadata);
+        Assert.AreEqual("audio", metadata.Kind);
+        Assert.AreEqual("PCM 16-bit", metadata.AudioCodec);
+        Assert.AreEqual(44100, metadata.SampleRate);
+        Assert.AreEqual(2, metadata.Channels);
+        Assert.AreEqual(1411200L, metadata.Bitrate);
+        Assert.AreEqual(2.0, metadata.DurationSeconds);
+    }
+
+    [TestMethod]
+    public void Read_Mp4WithMovieBoxAfterMediaData_ReturnsVideoDetails()
+    {
+        using var temp = new TestTempDirectory("Media-MP4");
+        var path = Path.Combine(temp.Path, "clip.mp4");
+
+        var movieHeader = new byte[100];
+        BinaryPrimitives.WriteUInt32BigEndian(movieHeader.AsSpan(12), 1000);
+        BinaryPrimitives.WriteUInt32BigEndian(movieHeader.AsSpan(16), 12500);
+
+        var trackHeader = new byte[84];
+        BinaryPrimitives.WriteUInt32BigEndian(trackHeader.AsSpan(76), 1920u << 16);
+        BinaryPrimitives.WriteUInt32BigEndian(trackHeader.AsSpan(80), 1080u << 16);
+
+        var handler = new byte[24];
+        "vide"u8.CopyTo(handler.AsSpan(8));
+
+        var sampleEntry = new byte[78];
+        BinaryPrimitives.WriteUInt32BigEndian(sampleEntry, 78);
+        "avc1"u8.CopyTo(sampleEntry.AsSpan(4));
+        var sampleDescription = new byte[8 + sampleEntry.Length];
+        BinaryPrimitives.WriteUInt32BigEndian(sampleDescription.AsSpan(4), 1);
+        sampleEntry.CopyTo(sampleDescription.AsSpan(8));
+
+        var movie = Box("moov",
+            Box("mvhd", movieHeader),
+            Box("trak",
+                Box("tkhd", trackHeader),
+                Box("mdia",
+                    Box("hdlr", handler),
+                    Box("minf", Box("stbl", Box("stsd", sampleDescription))))));
+        File.WriteAllBytes(path, [.. Box("ftyp", "isom\0\0\0\0isom"u8.ToArray()), .. Box("mdat", new byte[4096]), .. movie]);
+
+        var metadata = MediaMetadataReader.Read(path, "mp4");
+
+        Assert.IsNotNull(metadata);
+        Assert.AreEqual("video", metadata.Kind);
+        Assert.AreEqual("MPEG-4", metadata.Container);
+        Assert.AreEqual("H.264", metadata.VideoCodec);
+        Assert.AreEqual(1920, metadata.Width);
+        Assert.AreEqual(1080, metadata.Height);
+        Assert.AreEqual(12.5, metadata.DurationSeconds);
+        Assert.IsNotNull(metadata.Bitrate);
+    }
+
+    [TestMethod]
+    public void Read_FlacStreamInfo_ReturnsSampleRateChannelsAndDuration()
+    {
+        using var temp = new TestTempDirectory("Media-FLAC");
+        var path = Path.Combine(temp.Path, "song.flac");
+        var header = new byte[42];
+        "fLaC"u8.CopyTo(header);
+        header[4] = 0x80;
+        header[7] = 34;
+        // 48000 Hz, 2 channels, 24 bits per sample, 144000 samples.
+        header[18] = 0x0B;
+        header[19] = 0xB8;
+        header[20] = 0x03;
+        header[21] = 0x70;
+        BinaryPrimitives.WriteUInt32BigEndian(header.AsSpan(22), 144000);
+        File.WriteAllBytes(path, header);
+
+        var metadata = MediaMetadataReader.Read(path, "flac");
+
+        Assert.IsNotNull(metadata);
+        Assert.AreEqual("FLAC 24-bit", metadata.AudioCodec);
+        Assert.AreEqual(48000, metadata.SampleRate);
+        Assert.AreEqual(2, metadata.Channels);
+        Assert.AreEqual(3.0, metadata.DurationSeconds);
+    }
+
+    [TestMethod]
+    public void Read_PlainTextFile_ReturnsNull()
+    {
+        using var temp = new TestTempDirectory("Media-Text");
+        var path = Path.Combine(temp.Path, "notes.txt");
+        File.WriteAllText(path, "just some notes");
+
+        Assert.IsNull(MediaMetadataReader.Read(path, "txt"));
+    }
+
+    [TestMethod]
+    public void Read_TruncatedMp4_ReturnsNull()
+    {
+        using var temp = new TestTempDirectory("Media-Truncated");
+        var path = Path.Combine(temp.Path, "broken.mp4");
+        File.WriteAllBytes(path, [.. Box("ftyp", "isom\0\0\0\0"u8.ToArray()), 0x00, 0x00, 0x10, 0x00, .. "moov"u8.ToArray()]);
+
+        Assert.IsNull(MediaMetadataReader.Read(path, "mp4"));
+    }
+
+    [TestMethod]
+    public void Read_Mp4WithDeeplyNestedBoxes_StopsDescending()
+    {
+        using var temp = new TestTempDirectory("Media-NestedMp4");
+        var path = Path.Combine(temp.Path, "nested.mp4");
+        var movieHeader = new byte[100];
+        BinaryPrimitives.WriteUInt32BigEndian(movieHeader.AsSpan(12), 1000);
+        BinaryPrimitives.WriteUInt32BigEndian(movieHeader.AsSpan(16), 2000);
+
+        // 200,000 "trak" boxes, each holding the next.
+        var nested = new byte[200_000 * 8];
+        for (var level = 0; level < 200_000; level++)
+        {
+            BinaryPrimitives.WriteUInt32BigEndian(nested.AsSpan(level * 8), (uint)(nested.Length - level * 8));
+            "trak"u8.CopyTo(nested.AsSpan(level * 8 + 4));
+        }
+
+        File.WriteAllBytes(path, [.. Box("ftyp", "isom\0\0\0\0isom"u8.ToArray()), .. Box("moov", Box("mvhd", movieHeader), nested)]);
+
+        var metadata = MediaMetadataReader.Read(path, "mp4");
+
+        Assert.IsNotNull(metadata);
+        Assert.AreEqual(2.0, metadata.DurationSeconds);
+    }
+
+    [TestMethod]
+    public void Read_MatroskaWithDeeplyNestedElements_StopsDescending()
+    {
+        using var temp = new TestTempDirectory("Media-NestedMkv");
+        var path = Path.Combine(temp.Path, "nested.webm");
+
+        // EBML header with a "webm" doc type, then a Segment of Video elements of unknown size, each holding the next.
+        byte[] prefix = [0x1A, 0x45, 0xDF, 0xA3, 0x87, 0x42, 0x82, 0x84, .. "webm"u8.ToArray(), 0x18, 0x53, 0x80, 0x67, 0xFF];
+        var header = new byte[64 * 1024];
+        prefix.CopyTo(header, 0);
+        for (var offset = prefix.Length; offset + 2 <= header.Length; offset += 2)
+        {
+            header[offset] = 0xE0;
+            header[offset + 1] = 0xFF;
+        }
+
+        File.WriteAllBytes(path, header);
+
+        var metadata = MediaMetadataReader.Read(path, "webm");
+
+        Assert.IsNotNull(metadata);
+        Assert.AreEqual("WebM", metadata.Container);
+    }
+
+    [TestMethod]
+    public void ReadImageHead_WhenPng_ReturnsDimensions()
+    {
+        var metadata = MediaMetadataReader.ReadImageHead(ThumbnailServiceUnitTests.OnePixelPng);
+
+        Assert.IsNotNull(metadata);
+        Assert.AreEqual("image", metadata.Kind);
+        Assert.AreEqual(1, metadata.Width);
+        Assert.AreEqual(1, metadata.Height);
+    }
+
+    [TestMethod]
+    public void ReadImageHead_WhenNotAnImage_ReturnsNull()
+    {
+        Assert.IsNull(MediaMetadataReader.ReadImageHead("just some notes"u8.ToArray()));
+    }
+
+    private static byte[] Box(string type, params byte[][] children)
+    {
+        var length = 8 + children.Sum(child => child.Length);
+        var box = new byte[length];
+        BinaryPrimitives.WriteUInt32BigEndian(box, (uint)length);
+        Encoding.ASCII.GetBytes(type).CopyTo(box, 4);
+        var offset = 8;
+        foreach (var child in children)
+        {
+            child.CopyTo(box, offset);
+            offset += child.Length;
+        }
+
+        return box;
+    }
+}
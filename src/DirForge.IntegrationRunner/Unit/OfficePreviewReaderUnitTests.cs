@@ -0,0 +1,252 @@
+using System.IO.Compression;
+using System.Text;
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class OfficePreviewReaderUnitTests
+{
+    private const string WordNamespace = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+    private const string SheetNamespace = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+    private const string RelationshipsNamespace = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+    private const string PackageRelationshipsNamespace = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+    [TestMethod]
+    public void Read_WhenDocx_RendersHeadingsFormattingListsAndEncodedText()
+    {
+        using var temp = new TestTempDirectory("Office-DOCX");
+        var path = Path.Combine(temp.Path, "report.docx");
+        WriteZip(path,
+            ("word/styles.xml", $"""
+                <w:styles xmlns:w="{WordNamespace}">
+                  <w:style w:type="paragraph" w:styleId="berschrift1"><w:name w:val="heading 1"/></w:style>
+                </w:styles>
+                """),
+            ("word/document.xml", $"""
+                <w:document xmlns:w="{WordNamespace}"><w:body>
+                  <w:p><w:pPr><w:pStyle w:val="berschrift1"/></w:pPr><w:r><w:t>Summary</w:t></w:r></w:p>
+                  <w:p><w:r><w:t xml:space="preserve">Plain </w:t></w:r><w:r><w:rPr><w:b/><w:i w:val="0"/></w:rPr><w:t>bold</w:t></w:r><w:del><w:r><w:delText>gone</w:delText></w:r></w:del></w:p>
+                  <w:p/>
+                  <w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>&lt;script&gt;</w:t></w:r></w:p>
+                  <w:tbl><w:tr><w:tc><w:p><w:r><w:t>A1</w:t></w:r></w:p></w:tc></w:tr></w:tbl>
+                </w:body></w:document>
+                """));
+
+        var preview = OfficePreviewReader.Read(path, "docx");
+
+        Assert.IsNotNull(preview);
+        Assert.AreEqual("document", preview.Kind);
+        Assert.AreEqual(
+            "<h1>Summary</h1><p>Plain <strong>bold</strong></p><ul><li>&lt;script&gt;</li></ul><table><tr><td><p>A1</p></td></tr></table>",
+            preview.Html);
+        Assert.IsFalse(preview.Truncated);
+    }
+
+    [TestMethod]
+    public void Read_WhenStylesPartTooLargeToLoad_RendersDocumentWithoutStyles()
+    {
+        using var temp = new TestTempDirectory("Office-LargeStyles");
+        var path = Path.Combine(temp.Path, "report.docx");
+        WriteZip(path,
+            ("word/styles.xml", $"""
+                <w:styles xmlns:w="{WordNamespace}">
+                  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+                  {new string(' ', 4 * 1024 * 1024)}
+                </w:styles>
+                """),
+            ("word/document.xml", $"""
+                <w:document xmlns:w="{WordNamespace}"><w:body>
+                  <w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Summary</w:t></w:r></w:p>
+                </w:body></w:document>
+                """));
+
+        var preview = OfficePreviewReader.Read(path, "docx");
+
+        Assert.IsNotNull(preview);
+        Assert.AreEqual("<p>Summary</p>", preview.Html);
+    }
+
+    [TestMethod]
+    public void Read_WhenXlsx_ReadsVisibleSheetsWithSharedStringsAndDates()
+    {
+        using var temp = new TestTempDirectory("Office-XLSX");
+        var path = Path.Combine(temp.Path, "budget.xlsx");
+        WriteZip(path,
+            ("xl/workbook.xml", $"""
+                <workbook xmlns="{SheetNamespace}" xmlns:r="{RelationshipsNamespace}"><sheets>
+                  <sheet name="Costs" sheetId="1" r:id="rId1"/>
+                  <sheet name="Secret" sheetId="2" state="hidden" r:id="rId2"/>
+                </sheets></workbook>
+                """),
+            ("xl/_rels/workbook.xml.rels", $"""
+                <Relationships xmlns="{PackageRelationshipsNamespace}">
+                  <Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+                  <Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/>
+                </Relationships>
+                """),
+            ("xl/sharedStrings.xml", $"""<sst xmlns="{SheetNamespace}"><si><t>Item</t></si><si><r><t>Rent</t></r><r><t> (net)</t></r></si></sst>"""),
+            ("xl/styles.xml", $"""<styleSheet xmlns="{SheetNamespace}"><cellXfs><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>"""),
+            ("xl/worksheets/sheet1.xml", $"""
+                <worksheet xmlns="{SheetNamespace}"><sheetData>
+                  <row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1"><v>0.30000000000000004</v></c></row>
+                  <row r="3"><c r="B3" t="s"><v>1</v></c><c r="C3" s="1"><v>45292</v></c><c r="D3"/></row>
+                </sheetData></worksheet>
+                """));
+
+        var preview = OfficePreviewReader.Read(path, "xlsx");
+
+        Assert.IsNotNull(preview);
+        Assert.AreEqual("spreadsheet", preview.Kind);
+        Assert.IsNotNull(preview.Sheets);
+        Assert.AreEqual(1, preview.Sheets.Count);
+        Assert.AreEqual("Costs", preview.Sheets[0].Name);
+        Assert.AreEqual(3, preview.Sheets[0].Rows.Count);
+        CollectionAssert.AreEqual(new[] { "Item", "", "0.3" }, preview.Sheets[0].Rows[0]);
+        CollectionAssert.AreEqual(new[] { "", "", "" }, preview.Sheets[0].Rows[1]);
+        CollectionAssert.AreEqual(new[] { "", "Rent (net)", "2024-01-01" }, preview.Sheets[0].Rows[2]);
+    }
+
+    [TestMethod]
+    public void Read_WhenOdsHasRepeatedCellsAndRows_ExpandsThemWithinLimits()
+    {
+        using var temp = new TestTempDirectory("Office-ODS");
+        var path = Path.Combine(temp.Path, "grid.ods");
+        WriteZip(path, ("content.xml", """
+            <office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+                xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"
+                xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+              <office:body><office:spreadsheet>
+                <table:table table:name="Data">
+                  <table:table-row table:number-rows-repeated="2"><table:table-cell table:number-columns-repeated="2"><text:p>x<text:s text:c="2"/>y</text:p></table:table-cell></table:table-row>
+                  <table:table-row table:number-rows-repeated="1048574"><table:table-cell table:number-columns-repeated="16384"/></table:table-row>
+                </table:table>
+                <table:table table:name="Wide"><table:table-row><table:table-cell table:number-columns-repeated="60"><text:p>w</text:p></table:table-cell></table:table-row></table:table>
+              </office:spreadsheet></office:body>
+            </office:document-content>
+            """));
+
+        var preview = OfficePreviewReader.Read(path, "ods");
+
+        Assert.IsNotNull(preview);
+        Assert.IsNotNull(preview.Sheets);
+        Assert.AreEqual(2, preview.Sheets.Count);
+        Assert.AreEqual(2, preview.Sheets[0].Rows.Count);
+        CollectionAssert.AreEqual(new[] { "x  y", "x  y" }, preview.Sheets[0].Rows[1]);
+        Assert.IsFalse(preview.Sheets[0].Truncated);
+        Assert.AreEqual(OfficePreviewReader.MaxColumns, preview.Sheets[1].Rows[0].Length);
+        Assert.IsTrue(preview.Sheets[1].Truncated);
+        Assert.IsTrue(preview.Truncated);
+    }
+
+    [TestMethod]
+    public void Read_WhenPptx_ReadsSlideTitlesAndBodyTextInOrder()
+    {
+        using var temp = new TestTempDirectory("Office-PPTX");
+        var path = Path.Combine(temp.Path, "deck.pptx");
+        const string slideNamespaces =
+            """xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" """;
+        WriteZip(path,
+            ("ppt/presentation.xml", $"""
+                <p:presentation {slideNamespaces} xmlns:r="{RelationshipsNamespace}">
+                  <p:sldIdLst><p:sldId id="257" r:id="rId3"/><p:sldId id="256" r:id="rId2"/></p:sldIdLst>
+                </p:presentation>
+                """),
+            ("ppt/_rels/presentation.xml.rels", $"""
+                <Relationships xmlns="{PackageRelationshipsNamespace}">
+                  <Relationship Id="rId2" Type="slide" Target="slides/slide1.xml"/>
+                  <Relationship Id="rId3" Type="slide" Target="slides/slide2.xml"/>
+                </Relationships>
+                """),
+            ("ppt/slides/slide1.xml", Slide(slideNamespaces, "Closing", "Thanks")),
+            ("ppt/slides/slide2.xml", Slide(slideNamespaces, "Opening", "Agenda")));
+
+        var preview = OfficePreviewReader.Read(path, "pptx");
+
+        Assert.IsNotNull(preview);
+        Assert.AreEqual("presentation", preview.Kind);
+        Assert.IsNotNull(preview.Slides);
+        Assert.AreEqual(2, preview.Slides.Count);
+        Assert.AreEqual("Opening", preview.Slides[0].Title);
+        CollectionAssert.AreEqual(new[] { "Agenda", "second line" }, preview.Slides[0].Paragraphs);
+        Assert.AreEqual(2, preview.Slides[1].Number);
+        Assert.AreEqual("Closing", preview.Slides[1].Title);
+    }
+
+    [TestMethod]
+    public void Read_WhenOdt_AppliesStyleFormattingAndListTypes()
+    {
+        using var temp = new TestTempDirectory("Office-ODT");
+        var path = Path.Combine(temp.Path, "notes.odt");
+        WriteZip(path, ("content.xml", """
+            <office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+                xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"
+                xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"
+                xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0">
+              <office:automatic-styles>
+                <style:style style:name="T1" style:family="text"><style:text-properties fo:font-style="italic"/></style:style>
+                <text:list-style style:name="L1"><text:list-level-style-number text:level="1"/></text:list-style>
+              </office:automatic-styles>
+              <office:body><office:text>
+                <text:h text:outline-level="2">Intro</text:h>
+                <text:p>One<text:s text:c="2"/><text:span text:style-name="T1">two</text:span><text:note><text:note-body><text:p>note</text:p></text:note-body></text:note></text:p>
+                <text:list text:style-name="L1"><text:list-item><text:p>first</text:p></text:list-item><text:list-item><text:p>second</text:p></text:list-item></text:list>
+              </office:text></office:body>
+            </office:document-content>
+            """));
+
+        var preview = OfficePreviewReader.Read(path, "odt");
+
+        Assert.IsNotNull(preview);
+        Assert.AreEqual("<h2>Intro</h2><p>One  <em>two</em></p><ol><li>first</li><li>second</li></ol>", preview.Html);
+    }
+
+    [TestMethod]
+    public void Read_WhenRtf_DecodesEscapesAndSkipsDestinations()
+    {
+        using var temp = new TestTempDirectory("Office-RTF");
+        var path = Path.Combine(temp.Path, "memo.rtf");
+        File.WriteAllText(path,
+            @"{\rtf1\ansi\ansicpg1252\uc1{\fonttbl{\f0 Times;}}{\*\generator Writer;}" +
+            @"{\pard\outlinelevel0 Title\par}\pard Caf\'e9 {\i and} \u8364? {\ul 5}\line next\par{\info{\title Hidden}}}",
+            Encoding.ASCII);
+
+        var preview = OfficePreviewReader.Read(path, "rtf");
+
+        Assert.IsNotNull(preview);
+        Assert.AreEqual("<h1>Title</h1><p>Caf&#233; <em>and</em> \u20AC <u>5</u><br>next</p>", preview.Html);
+    }
+
+    [TestMethod]
+    public void Read_WhenFileIsNotAPackage_ReturnsNull()
+    {
+        using var temp = new TestTempDirectory("Office-Invalid");
+        var path = Path.Combine(temp.Path, "fake.xlsx");
+        File.WriteAllText(path, "plain text");
+
+        Assert.IsNull(OfficePreviewReader.Read(path, "xlsx"));
+        Assert.IsNull(OfficePreviewReader.Read(path, "txt"));
+    }
+
+    private static string Slide(string namespaces, string title, string body)
+    {
+        return $"""
+            <p:sld {namespaces}><p:cSld><p:spTree>
+              <p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>{title}</a:t></a:r></a:p></p:txBody></p:sp>
+              <p:sp><p:txBody><a:p><a:r><a:t>{body}</a:t></a:r></a:p><a:p/><a:p><a:r><a:t>second line</a:t></a:r></a:p></p:txBody></p:sp>
+            </p:spTree></p:cSld></p:sld>
+            """;
+    }
+
+    private static void WriteZip(string path, params (string Name, string Content)[] entries)
+    {
+        using var archive = ZipFile.Open(path, ZipArchiveMode.Create);
+        foreach (var (name, content) in entries)
+        {
+            using var writer = new StreamWriter(archive.CreateEntry(name).Open());
+            writer.Write(content);
+        }
+    }
+}
@@ -0,0 +1,32 @@
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class PlaylistParserUnitTests
+{
+    [TestMethod]
+    public void Parse_WhenExtendedM3u_ReadsTitlesAndDurations()
+    {
+        var entries = PlaylistParser.Parse("#EXTM3U\r\n#EXTINF:123 tvg-id=\"x\",Artist - Song, Part 2\r\nsong.mp3\r\n#EXTINF:-1,\r\nlive.mp3\r\n");
+
+        Assert.AreEqual(2, entries.Count);
+        Assert.AreEqual("song.mp3", entries[0].Location);
+        Assert.AreEqual("Artist - Song, Part 2", entries[0].Title);
+        Assert.AreEqual(123.0, entries[0].DurationSeconds);
+        Assert.AreEqual("live.mp3", entries[1].Location);
+        Assert.IsNull(entries[1].Title);
+        Assert.IsNull(entries[1].DurationSeconds);
+    }
+
+    [TestMethod]
+    public void Parse_WhenPlainM3u_SkipsCommentsAndBlankLines()
+    {
+        var entries = PlaylistParser.Parse("# my mix\n\nfirst.flac\n  second.ogg  \n");
+
+        CollectionAssert.AreEqual(new[] { "first.flac", "second.ogg" }, entries.Select(entry => entry.Location).ToArray());
+        Assert.IsTrue(entries.All(entry => entry.Title is null));
+    }
+}
@@ -90,6 +90,7 @@ public sealed class ShareLinkServiceUnitTests
         deniedRequest.Request.Method = HttpMethods.Get;
 
         Assert.IsTrue(service.IsRequestAllowed(allowedRequest.Request, context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/archive/shared-file.txt", "PreviewInfoEntry"), context));
         Assert.IsFalse(service.IsRequestAllowed(deniedRequest.Request, context));
     }
 
@@ -109,11 +110,105 @@ public sealed class ShareLinkServiceUnitTests
         nestedRequest.Request.Path = "/shared-folder/inner.txt";
         nestedRequest.Request.Method = HttpMethods.Get;
 
+        var readmeRequest = new DefaultHttpContext();
+        readmeRequest.Request.Path = "/shared-folder/README.md";
+        readmeRequest.Request.QueryString = new QueryString("?handler=PreviewInfo");
+        readmeRequest.Request.Method = HttpMethods.Get;
+
         var outsideRequest = new DefaultHttpContext();
         outsideRequest.Request.Path = "/private.txt";
         outsideRequest.Request.Method = HttpMethods.Get;
 
         Assert.IsTrue(service.IsRequestAllowed(nestedRequest.Request, context));
+        Assert.IsTrue(service.IsRequestAllowed(readmeRequest.Request, context));
         Assert.IsFalse(service.IsRequestAllowed(outsideRequest.Request, context));
     }
+
+    [TestMethod]
+    public void CreateAndValidate_SelectionToken_RoundTripsPaths()
+    {
+        using var tempDir = new TestTempDirectory("ShareLink-Selection");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        var service = new ShareLinkService(options);
+        var nowUtc = DateTimeOffset.UtcNow;
+        var expiresAt = nowUtc.AddHours(1).ToUnixTimeSeconds();
+
+        var token = service.CreateToken(ShareMode.Selection, "shared-folder", expiresAt,
+            selectionPaths: ["a.txt", "docs"]);
+
+        var ok = service.TryValidateToken(token, nowUtc, out var context, out _);
+
+        Assert.IsTrue(ok);
+        Assert.IsNotNull(context);
+        Assert.AreEqual(ShareMode.Selection, context.Mode);
+        Assert.AreEqual("shared-folder", context.ScopePath);
+        CollectionAssert.AreEqual(new[] { "a.txt", "docs" }, context.SelectionPaths!.ToArray());
+    }
+
+    [TestMethod]
+    public void IsRequestAllowed_SelectionScope_AllowsOnlySelectionDownload()
+    {
+        using var tempDir = new TestTempDirectory("ShareLink-SelectionScope");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        var service = new ShareLinkService(options);
+        var context = new ShareAccessContext(
+            ShareMode.Selection,
+            "shared-folder",
+            DateTimeOffset.UtcNow.AddHours(1).ToUnixTimeSeconds(),
+            "token",
+            SelectionPaths: ["a.txt"]);
+
+        var zipRequest = new DefaultHttpContext();
+        zipRequest.Request.Path = "/shared-folder";
+        zipRequest.Request.QueryString = new QueryString("?handler=DownloadSelection");
+        zipRequest.Request.Method = HttpMethods.Get;
+
+        var listingRequest = new DefaultHttpContext();
+        listingRequest.Request.Path = "/shared-folder";
+        listingRequest.Request.Method = HttpMethods.Get;
+
+        var nestedRequest = new DefaultHttpContext();
+        nestedRequest.Request.Path = "/shared-folder/a.txt";
+        nestedRequest.Request.Method = HttpMethods.Get;
+
+        Assert.IsTrue(service.IsRequestAllowed(zipRequest.Request, context));
+        Assert.IsFalse(service.IsRequestAllowed(listingRequest.Request, context));
+        Assert.IsFalse(service.IsRequestAllowed(nestedRequest.Request, context));
+    }
+
+    [TestMethod]
+    public void IsRequestAllowed_DirectoryScope_AllowsListingHandlersInsideScope()
+    {
+        using var tempDir = new TestTempDirectory("ShareLink-DirectoryHandlers");
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        var service = new ShareLinkService(options);
+        var context = new ShareAccessContext(
+            ShareMode.Directory,
+            "shared-folder",
+            DateTimeOffset.UtcNow.AddHours(1).ToUnixTimeSeconds(),
+            "token");
+
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder", "ListingPage"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder/docs", "ListingEvents"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder/photo.jpg", "Thumbnail"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder/video/movie.en.srt", "Subtitle"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder/music/mix.m3u", "Playlist"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder/cam/index.m3u8", "Hls"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder/firmware.bin", "Hex"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder/logs/app.log", "Follow"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/shared-folder/data/sales.csv", "Table"), context));
+        Assert.IsTrue(service.IsRequestAllowed(CreateRequest("/archive/shared-folder/photos.zip", "PreviewInfoEntry"), context));
+        Assert.IsFalse(service.IsRequestAllowed(CreateRequest("/archive/other-folder/photos.zip", "PreviewInfoEntry"), context));
+        Assert.IsFalse(service.IsRequestAllowed(CreateRequest("/other-folder", "ListingPage"), context));
+        Assert.IsFalse(service.IsRequestAllowed(CreateRequest("/shared-folder", "ShareLink"), context));
+    }
+
+    private static HttpRequest CreateRequest(string path, string handler)
+    {
+        var httpContext = new DefaultHttpContext();
+        httpContext.Request.Path = path;
+        httpContext.Request.QueryString = new QueryString("?handler=" + handler);
+        httpContext.Request.Method = HttpMethods.Get;
+        return httpContext.Request;
+    }
 }
@@ -0,0 +1,158 @@
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class StructuredPreviewReaderUnitTests
+{
+    [TestMethod]
+    public void Read_WhenJson_BuildsTreeAndKeepsNumbersAsWritten()
+    {
+        var preview = StructuredPreviewReader.Read("{\"india\": {\"languages\": [\"hindi\", \"english\"], \"population\": 1.50e9, \"capital\": null}}", "json");
+
+        Assert.IsNull(preview.Error);
+        var india = preview.Root!.Children![0];
+        Assert.AreEqual("india", india.Name);
+        Assert.AreEqual("object", india.Kind);
+        Assert.AreEqual("array", india.Children![0].Kind);
+        Assert.AreEqual("english", india.Children[0].Children![1].Value);
+        Assert.AreEqual("1.50e9", india.Children[1].Value);
+        Assert.AreEqual("null", india.Children[2].Kind);
+        StringAssert.Contains(preview.Pretty!, "\"population\": 1.50e9");
+    }
+
+    [TestMethod]
+    public void Read_WhenJsonMalformed_ReturnsErrorWithLine()
+    {
+        var preview = StructuredPreviewReader.Read("{\n  \"a\": 1,\n  \"b\" 2\n}", "json");
+
+        Assert.IsNull(preview.Root);
+        Assert.IsNotNull(preview.Error);
+        StringAssert.Contains(preview.Error, "LineNumber: 2");
+    }
+
+    [TestMethod]
+    public void Read_WhenYamlUsesBlockAndFlowCollections_BuildsTypedTree()
+    {
+        const string yaml = """
+            # countries
+            india:
+              data_age: '2011-03-01'
+              languages: [hindi, english]
+              population: 1210569573
+            servers:
+              - name: alpha
+                enabled: true
+              - name: "beta # one"
+                enabled: ~
+            """;
+
+        var preview = StructuredPreviewReader.Read(yaml, "yaml");
+
+        Assert.IsNull(preview.Error);
+        var india = preview.Root!.Children![0];
+        Assert.AreEqual("2011-03-01", india.Children![0].Value);
+        Assert.AreEqual("string", india.Children[0].Kind);
+        Assert.AreEqual("hindi", india.Children[1].Children![0].Value);
+        Assert.AreEqual("number", india.Children[2].Kind);
+        var servers = preview.Root.Children[1];
+        Assert.AreEqual(2, servers.Children!.Count);
+        Assert.AreEqual("boolean", servers.Children[0].Children![1].Kind);
+        Assert.AreEqual("beta # one", servers.Children[1].Children![0].Value);
+        Assert.AreEqual("null", servers.Children[1].Children![1].Kind);
+        StringAssert.Contains(preview.Pretty!, "  - name: alpha\n    enabled: true\n");
+        StringAssert.Contains(preview.Pretty!, "data_age: \"2011-03-01\"");
+    }
+
+    [TestMethod]
+    public void Read_WhenYamlHasBlockScalarsAnchorsAndMerges_ResolvesThem()
+    {
+        const string yaml = """
+            defaults: &defaults
+              retries: 3
+              timeout: 10
+            job:
+              <<: *defaults
+              timeout: 30
+              script: |
+                echo one
+                echo two
+              summary: >-
+                folded
+                text
+            """;
+
+        var preview = StructuredPreviewReader.Read(yaml, "yaml");
+
+        Assert.IsNull(preview.Error);
+        var job = preview.Root!.Children![1].Children!;
+        CollectionAssert.AreEqual(new[] { "retries", "timeout", "script", "summary" }, job.Select(n => n.Name).ToArray());
+        Assert.AreEqual("30", job[1].Value);
+        Assert.AreEqual("echo one\necho two\n", job[2].Value);
+        Assert.AreEqual("folded text", job[3].Value);
+    }
+
+    [TestMethod]
+    public void Read_WhenYamlMalformed_ReturnsErrorWithLine()
+    {
+        var preview = StructuredPreviewReader.Read("a: 1\n    b: 2\n", "yaml");
+        var alias = StructuredPreviewReader.Read("a: *missing\n", "yaml");
+
+        Assert.IsNull(preview.Root);
+        StringAssert.Contains(preview.Error!, "line 2");
+        StringAssert.Contains(alias.Error!, "*missing");
+    }
+
+    [TestMethod]
+    public void Read_WhenXml_ListsAttributesBeforeChildElements()
+    {
+        const string xml = """
+            <?xml version="1.0"?>
+            <catalog xmlns:x="urn:extra">
+              <book id="bk101" x:lang="en"><title>XML Guide</title><price>44.95</price></book>
+              <note>Mixed <b>content</b> here</note>
+            </catalog>
+            """;
+
+        var preview = StructuredPreviewReader.Read(xml, "xml");
+
+        Assert.IsNull(preview.Error);
+        Assert.AreEqual("catalog", preview.Root!.Name);
+        Assert.AreEqual("xmlns:x", preview.Root.Children![0].Name);
+        var book = preview.Root.Children[1];
+        Assert.AreEqual("attribute", book.Children![0].Kind);
+        Assert.AreEqual("x:lang", book.Children[1].Name);
+        Assert.AreEqual("XML Guide", book.Children[2].Value);
+        var note = preview.Root.Children[2].Children!;
+        Assert.AreEqual("text", note[0].Kind);
+        Assert.AreEqual("b", note[1].Name);
+        StringAssert.StartsWith(preview.Pretty!, "<?xml version=\"1.0\"?>\n<catalog");
+    }
+
+    [TestMethod]
+    public void Read_WhenAliasesExpandPastNodeLimit_MarksTruncated()
+    {
+        var yaml = "a: &a [x, x, x, x, x, x, x, x, x, x]\n";
+        for (var level = 'b'; level <= 'h'; level++)
+        {
+            var previous = (char)(level - 1);
+            yaml += $"{level}: &{level} [*{previous}, *{previous}, *{previous}, *{previous}, *{previous}, *{previous}, *{previous}, *{previous}, *{previous}, *{previous}]\n";
+        }
+
+        var preview = StructuredPreviewReader.Read(yaml, "yaml");
+
+        Assert.IsNull(preview.Error);
+        Assert.IsTrue(preview.Truncated);
+    }
+
+    [TestMethod]
+    public void GetFormat_WhenExtensionKnown_ReturnsFormat()
+    {
+        Assert.AreEqual("json", StructuredPreviewReader.GetFormat("JSON"));
+        Assert.AreEqual("yaml", StructuredPreviewReader.GetFormat("yml"));
+        Assert.AreEqual("xml", StructuredPreviewReader.GetFormat("xsd"));
+        Assert.IsNull(StructuredPreviewReader.GetFormat("toml"));
+    }
+}
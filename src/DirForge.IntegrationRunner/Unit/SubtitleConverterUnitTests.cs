@@ -0,0 +1,59 @@
+using System.Text;
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class SubtitleConverterUnitTests
+{
+    [TestMethod]
+    public void ToWebVtt_WhenSubRip_ConvertsTimingsAndStripsIndexes()
+    {
+        var srt = "1\r\n00:00:01,5 --> 00:00:03,250\r\n<font color=\"red\">Hello</font>\r\nworld\r\n\r\n2\r\n00:01:00,000 --> 00:01:02,000\r\nA --> B\r\n";
+
+        var vtt = SubtitleConverter.ToWebVtt(Encoding.UTF8.GetBytes(srt), "srt");
+
+        Assert.AreEqual(
+            "WEBVTT\n\n00:00:01.500 --> 00:00:03.250\nHello\nworld\n\n00:01:00.000 --> 00:01:02.000\nA -> B\n\n",
+            vtt);
+    }
+
+    [TestMethod]
+    public void ToWebVtt_WhenSubStation_UsesFormatLineAndSortsCues()
+    {
+        var ass = string.Join('\n',
+            "[Script Info]",
+            "Title: Test",
+            "",
+            "[Events]",
+            "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+            "Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,{\\i1}Second{\\i0}, with comma",
+            "Dialogue: 0,0:00:01.20,0:00:02.00,Default,,0,0,0,,First\\Nline\\htwo");
+
+        var vtt = SubtitleConverter.ToWebVtt(Encoding.UTF8.GetBytes(ass), "ass");
+
+        Assert.AreEqual(
+            "WEBVTT\n\n00:00:01.200 --> 00:00:02.000\nFirst\nline two\n\n00:00:05.000 --> 00:00:06.500\nSecond, with comma\n\n",
+            vtt);
+    }
+
+    [TestMethod]
+    public void ToWebVtt_WhenWebVttWithoutHeader_AddsHeader()
+    {
+        var vtt = SubtitleConverter.ToWebVtt("00:01.000 --> 00:02.000\nHi\n"u8.ToArray(), "vtt");
+
+        Assert.AreEqual("WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n", vtt);
+    }
+
+    [TestMethod]
+    public void ToWebVtt_WhenNotUtf8_DecodesAsLatin1()
+    {
+        var srt = Encoding.Latin1.GetBytes("1\n00:00:01,000 --> 00:00:02,000\nCafé\n");
+
+        var vtt = SubtitleConverter.ToWebVtt(srt, "srt");
+
+        StringAssert.Contains(vtt, "Café");
+    }
+}
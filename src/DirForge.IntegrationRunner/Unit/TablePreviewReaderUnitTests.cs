@@ -0,0 +1,76 @@
+using System.Text;
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class TablePreviewReaderUnitTests
+{
+    [TestMethod]
+    public void Detect_WhenHeaderAboveTypedColumns_FindsHeaderAndTypes()
+    {
+        using var temp = new TestTempDirectory("Table-Header");
+        var path = Path.Combine(temp.Path, "sales.csv");
+        File.WriteAllText(path, "\uFEFFregion,units,price,day,paid\nnorth,3,1.5,2024-01-02,true\nsouth,12,-0.25,2024-02-29,no\n", new UTF8Encoding(false));
+
+        var table = TablePreviewReader.Detect(path, "csv");
+
+        Assert.IsNotNull(table);
+        Assert.AreEqual(",", table.Delimiter);
+        Assert.IsTrue(table.HasHeader);
+        Assert.AreEqual(3 + "region,units,price,day,paid\n".Length, table.DataOffset);
+        CollectionAssert.AreEqual(new[] { "region", "units", "price", "day", "paid" }, table.Columns.Select(c => c.Name).ToArray());
+        CollectionAssert.AreEqual(new[] { "text", "integer", "number", "date", "boolean" }, table.Columns.Select(c => c.Type).ToArray());
+    }
+
+    [TestMethod]
+    public void Detect_WhenSemicolonsAndQuotedDelimiters_PicksSemicolon()
+    {
+        using var temp = new TestTempDirectory("Table-Semicolon");
+        var path = Path.Combine(temp.Path, "export.csv");
+        File.WriteAllText(path, "name;note\n\"Smith, J\";\"said \"\"hi\"\"\"\n\"Doe, A\";plain\n");
+
+        var table = TablePreviewReader.Detect(path, "csv");
+
+        Assert.IsNotNull(table);
+        Assert.AreEqual(";", table.Delimiter);
+        Assert.AreEqual("\"", table.Quote);
+        Assert.AreEqual(2, table.Columns.Count);
+    }
+
+    [TestMethod]
+    public void Detect_WhenFirstRowIsData_ReportsNoHeader()
+    {
+        using var temp = new TestTempDirectory("Table-NoHeader");
+        var path = Path.Combine(temp.Path, "points.tsv");
+        File.WriteAllText(path, "1\t2.5\n3\t4.5\n5\t6.5\n");
+
+        var table = TablePreviewReader.Detect(path, "tsv");
+
+        Assert.IsNotNull(table);
+        Assert.AreEqual("\t", table.Delimiter);
+        Assert.IsFalse(table.HasHeader);
+        Assert.AreEqual(0L, table.DataOffset);
+        Assert.AreEqual("Column 1", table.Columns[0].Name);
+    }
+
+    [TestMethod]
+    public void ReadRows_WhenChunkEndsInsideQuotedLineBreak_ContinuesFromThatRecord()
+    {
+        using var temp = new TestTempDirectory("Table-Chunks");
+        var path = Path.Combine(temp.Path, "notes.csv");
+        File.WriteAllText(path, "id,text\r1,\"two\rlines\"\r2,plain\r\r3,last");
+        var table = TablePreviewReader.Detect(path, "csv")!;
+
+        var first = TablePreviewReader.ReadRows(path, table, 0, maxBytes: 16);
+        var rest = TablePreviewReader.ReadRows(path, table, first.End);
+
+        Assert.AreEqual(1, first.Rows.Count);
+        CollectionAssert.AreEqual(new[] { "1", "two\rlines" }, first.Rows[0]);
+        Assert.AreEqual(2, rest.Rows.Count);
+        CollectionAssert.AreEqual(new[] { "3", "last" }, rest.Rows[1]);
+        Assert.AreEqual(new FileInfo(path).Length, rest.End);
+    }
+}
@@ -28,6 +28,12 @@ internal static class TestOptionsFactory
             MaxZipSize = 0,
             SiteTitle = "DirForge",
             MaxPreviewFileSize = 10 * 1024 * 1024,
+            ReadmeDisplay = "below",
+            ListingPageSize = 1000,
+            EnableLiveRefresh = true,
+            EnableFileFollow = true,
+            EnableThumbnails = true,
+            MaxThumbnailCacheSize = 64 * 1024 * 1024,
             MaxFileSizeForHashing = 50 * 1024 * 1024,
             ShareSecret = "test-share-secret-12345",
             ShareSecretWarning = null,
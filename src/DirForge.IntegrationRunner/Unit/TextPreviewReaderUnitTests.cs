@@ -0,0 +1,165 @@
+using System.IO.Compression;
+using System.Text;
+using DirForge.Services;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class TextPreviewReaderUnitTests
+{
+    [TestMethod]
+    public void ReadFrom_WhenChunkEndsMidLine_StopsAfterLastLineBreak()
+    {
+        using var temp = new TestTempDirectory("TextPreview-From");
+        var path = Path.Combine(temp.Path, "app.log");
+        File.WriteAllText(path, "one\ntwo\nthree\n");
+
+        var first = TextPreviewReader.ReadFrom(path, 0, maxBytes: 10);
+        var next = TextPreviewReader.ReadFrom(path, first.End, maxBytes: 10);
+
+        Assert.AreEqual("one\ntwo\n", first.Text);
+        Assert.AreEqual(1L, first.FirstLine);
+        Assert.AreEqual(8L, first.End);
+        Assert.AreEqual("three\n", next.Text);
+        Assert.IsNull(next.FirstLine);
+        Assert.AreEqual(14L, next.End);
+    }
+
+    [TestMethod]
+    public void ReadFrom_WhenOffsetInsideCharacter_SkipsToNextCharacter()
+    {
+        using var temp = new TestTempDirectory("TextPreview-Utf8");
+        var path = Path.Combine(temp.Path, "notes.txt");
+        File.WriteAllText(path, "a\u00e9b", new UTF8Encoding(false));
+
+        var chunk = TextPreviewReader.ReadFrom(path, 2);
+
+        Assert.AreEqual("b", chunk.Text);
+        Assert.AreEqual(3L, chunk.Offset);
+    }
+
+    [TestMethod]
+    public void ReadFromLine_WhenLineExists_StartsAtThatLine()
+    {
+        using var temp = new TestTempDirectory("TextPreview-Line");
+        var path = Path.Combine(temp.Path, "app.log");
+        File.WriteAllText(path, "one\r\ntwo\r\nthree\r\n");
+
+        var chunk = TextPreviewReader.ReadFromLine(path, 3).Chunk!;
+        var past = TextPreviewReader.ReadFromLine(path, 10).Chunk!;
+
+        Assert.AreEqual("three\r\n", chunk.Text);
+        Assert.AreEqual(10L, chunk.Offset);
+        Assert.AreEqual(3L, chunk.FirstLine);
+        Assert.AreEqual(string.Empty, past.Text);
+        Assert.AreEqual(17L, past.Offset);
+    }
+
+    [TestMethod]
+    public void ReadFromLine_WhenScanLimitReached_ReturnsWhereToResume()
+    {
+        using var temp = new TestTempDirectory("TextPreview-LineResume");
+        var path = Path.Combine(temp.Path, "app.log");
+        File.WriteAllText(path, "one\ntwo\nthree\nfour\n");
+
+        var first = TextPreviewReader.ReadFromLine(path, 4, maxScanBytes: 6);
+        var second = TextPreviewReader.ReadFromLine(path, 4, first.ResumeOffset, first.ResumeLine, maxScanBytes: 6);
+        var third = TextPreviewReader.ReadFromLine(path, 4, second.ResumeOffset, second.ResumeLine, maxScanBytes: 6);
+
+        Assert.IsNull(first.Chunk);
+        Assert.AreEqual(6L, first.ResumeOffset);
+        Assert.AreEqual(2L, first.ResumeLine);
+        Assert.IsNull(second.Chunk);
+        Assert.AreEqual(3L, second.ResumeLine);
+        Assert.IsNotNull(third.Chunk);
+        Assert.AreEqual("four\n", third.Chunk.Text);
+        Assert.AreEqual(4L, third.Chunk.FirstLine);
+    }
+
+    [TestMethod]
+    public void ReadFromLine_WhenStreamCannotSeek_ReadsOnFromTheScannedBytes()
+    {
+        using var stream = CreateForwardOnlyStream("one\ntwo\nthree\nfour\n");
+
+        var chunk = TextPreviewReader.ReadFromLine(stream, 3).Chunk!;
+
+        Assert.AreEqual("three\nfour\n", chunk.Text);
+        Assert.AreEqual(8L, chunk.Offset);
+        Assert.AreEqual(19L, chunk.End);
+        Assert.AreEqual(3L, chunk.FirstLine);
+    }
+
+    [TestMethod]
+    public void ReadTail_WhenStreamCannotSeek_KeepsLastLinesBeforeEnd()
+    {
+        using var stream = CreateForwardOnlyStream("alpha\nbravo\ncharlie\ndelta\n");
+
+        var tail = TextPreviewReader.ReadTail(stream, 2, end: 20, maxBytes: 8);
+
+        Assert.AreEqual("charlie\n", tail.Text);
+        Assert.AreEqual(12L, tail.Offset);
+        Assert.AreEqual(20L, tail.End);
+        Assert.IsNull(tail.FirstLine);
+    }
+
+    [TestMethod]
+    public void ReadTail_WhenLinesRequested_ReturnsLastLinesBeforeEnd()
+    {
+        using var temp = new TestTempDirectory("TextPreview-Tail");
+        var path = Path.Combine(temp.Path, "app.log");
+        File.WriteAllText(path, "one\ntwo\nthree\nfour\n");
+
+        var tail = TextPreviewReader.ReadTail(path, 2);
+        var earlier = TextPreviewReader.ReadTail(path, 5, end: tail.Offset);
+
+        Assert.AreEqual("three\nfour\n", tail.Text);
+        Assert.AreEqual(8L, tail.Offset);
+        Assert.IsNull(tail.FirstLine);
+        Assert.AreEqual("one\ntwo\n", earlier.Text);
+        Assert.AreEqual(1L, earlier.FirstLine);
+    }
+
+    [TestMethod]
+    public void ReadTail_WhenLinesExceedMaxBytes_StartsAtFirstWholeLine()
+    {
+        using var temp = new TestTempDirectory("TextPreview-TailLimit");
+        var path = Path.Combine(temp.Path, "app.log");
+        File.WriteAllText(path, "alpha\nbravo\ncharlie\n");
+
+        var tail = TextPreviewReader.ReadTail(path, 3, maxBytes: 12);
+
+        Assert.AreEqual("charlie\n", tail.Text);
+        Assert.AreEqual(20L, tail.End);
+    }
+
+    [TestMethod]
+    public void ReadAppended_WhenEndSplitsCharacter_StopsBeforeIt()
+    {
+        using var temp = new TestTempDirectory("TextPreview-Appended");
+        var path = Path.Combine(temp.Path, "app.log");
+        File.WriteAllText(path, "one\nt\u00e9", new UTF8Encoding(false));
+
+        var split = TextPreviewReader.ReadAppended(path, 4, 6);
+        var whole = TextPreviewReader.ReadAppended(path, 4, 7);
+
+        Assert.AreEqual("t", split.Text);
+        Assert.AreEqual(5L, split.End);
+        Assert.AreEqual("t\u00e9", whole.Text);
+        Assert.AreEqual(7L, whole.End);
+    }
+
+    // Decompressing, like an archive entry, so it can only be read forward.
+    private static GZipStream CreateForwardOnlyStream(string text)
+    {
+        var compressed = new MemoryStream();
+        using (var gzip = new GZipStream(compressed, CompressionMode.Compress, leaveOpen: true))
+        {
+            gzip.Write(Encoding.UTF8.GetBytes(text));
+        }
+
+        compressed.Position = 0;
+        return new GZipStream(compressed, CompressionMode.Decompress);
+    }
+}
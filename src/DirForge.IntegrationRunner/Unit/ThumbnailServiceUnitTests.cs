@@ -0,0 +1,111 @@
+using DirForge.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace DirForge.IntegrationRunner.Unit;
+
+[TestClass]
+[TestCategory("Unit")]
+public sealed class ThumbnailServiceUnitTests
+{
+    internal static readonly byte[] OnePixelPng = Convert.FromBase64String(
+        "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==");
+
+    [TestMethod]
+    public void NormalizeSize_RoundsUpToRenderedSizes()
+    {
+        Assert.AreEqual(ThumbnailService.DefaultSize, ThumbnailService.NormalizeSize(null));
+        Assert.AreEqual(ThumbnailService.DefaultSize, ThumbnailService.NormalizeSize(0));
+        Assert.AreEqual(160, ThumbnailService.NormalizeSize(100));
+        Assert.AreEqual(320, ThumbnailService.NormalizeSize(161));
+        Assert.AreEqual(640, ThumbnailService.NormalizeSize(5000));
+    }
+
+    [TestMethod]
+    public void IsSupportedExtension_VectorAndIconFormats_ReturnsFalse()
+    {
+        Assert.IsTrue(ThumbnailService.IsSupportedExtension("JPG"));
+        Assert.IsTrue(ThumbnailService.IsSupportedExtension("webp"));
+        Assert.IsFalse(ThumbnailService.IsSupportedExtension("svg"));
+        Assert.IsFalse(ThumbnailService.IsSupportedExtension("ico"));
+        Assert.IsFalse(ThumbnailService.IsSupportedExtension(null));
+    }
+
+    [TestMethod]
+    public async Task GetThumbnailAsync_WhenPng_ReturnsCachedWebp()
+    {
+        using var tempDir = new TestTempDirectory("thumbnail-png");
+        var path = Path.Combine(tempDir.Path, "dot.png");
+        File.WriteAllBytes(path, OnePixelPng);
+        var service = new ThumbnailService(TestOptionsFactory.Create(tempDir.Path), NullLogger<ThumbnailService>.Instance);
+
+        var first = await service.GetThumbnailAsync(new FileInfo(path), 160, CancellationToken.None);
+        var second = await service.GetThumbnailAsync(new FileInfo(path), 160, CancellationToken.None);
+
+        Assert.IsNotNull(first);
+        Assert.AreEqual("RIFF", System.Text.Encoding.ASCII.GetString(first, 0, 4));
+        Assert.AreEqual("WEBP", System.Text.Encoding.ASCII.GetString(first, 8, 4));
+        Assert.AreSame(first, second);
+        Assert.AreEqual(first.Length, service.CachedBytes);
+    }
+
+    [TestMethod]
+    public async Task GetThumbnailAsync_WhenCacheDisabled_DoesNotKeepResults()
+    {
+        using var tempDir = new TestTempDirectory("thumbnail-no-cache");
+        var path = Path.Combine(tempDir.Path, "dot.png");
+        File.WriteAllBytes(path, OnePixelPng);
+        var options = TestOptionsFactory.Create(tempDir.Path);
+        options.MaxThumbnailCacheSize = 0;
+        var service = new ThumbnailService(options, NullLogger<ThumbnailService>.Instance);
+
+        await service.GetThumbnailAsync(new FileInfo(path), 160, CancellationToken.None);
+
+        Assert.AreEqual(0, service.CachedBytes);
+    }
+
+    [TestMethod]
+    public async Task GetThumbnailAsync_WhenContentIsNotAnImage_ReturnsNull()
+    {
+        using var tempDir = new TestTempDirectory("thumbnail-not-image");
+        var path = Path.Combine(tempDir.Path, "fake.jpg");
+        File.WriteAllText(path, "not really a jpeg");
+        var service = new ThumbnailService(TestOptionsFactory.Create(tempDir.Path), NullLogger<ThumbnailService>.Instance);
+
+        var thumbnail = await service.GetThumbnailAsync(new FileInfo(path), 320, CancellationToken.None);
+
+        Assert.IsNull(thumbnail);
+    }
+
+    [TestMethod]
+    public async Task GetThumbnailAsync_WhenBmpTooLargeToDecodeAtFullSize_ReturnsNull()
+    {
+        using var tempDir = new TestTempDirectory("thumbnail-large-bmp");
+        var smallPath = Path.Combine(tempDir.Path, "small.bmp");
+        var largePath = Path.Combine(tempDir.Path, "large.bmp");
+        File.WriteAllBytes(smallPath, [.. BmpHeader(2, 2), .. new byte[16]]);
+        // 8000 x 8000 is under the JPEG limit but past the full-size decode limit; the header alone is enough.
+        File.WriteAllBytes(largePath, BmpHeader(8000, 8000));
+        var service = new ThumbnailService(TestOptionsFactory.Create(tempDir.Path), NullLogger<ThumbnailService>.Instance);
+
+        var small = await service.GetThumbnailAsync(new FileInfo(smallPath), 160, CancellationToken.None);
+        var large = await service.GetThumbnailAsync(new FileInfo(largePath), 160, CancellationToken.None);
+
+        Assert.IsNotNull(small);
+        Assert.IsNull(large);
+    }
+
+    private static byte[] BmpHeader(int width, int height)
+    {
+        var header = new byte[54];
+        "BM"u8.CopyTo(header);
+        BitConverter.GetBytes(54 + width * height * 3).CopyTo(header, 2);
+        BitConverter.GetBytes(54).CopyTo(header, 10);
+        BitConverter.GetBytes(40).CopyTo(header, 14);
+        BitConverter.GetBytes(width).CopyTo(header, 18);
+        BitConverter.GetBytes(height).CopyTo(header, 22);
+        BitConverter.GetBytes((short)1).CopyTo(header, 26);
+        BitConverter.GetBytes((short)24).CopyTo(header, 28);
+        return header;
+    }
+}
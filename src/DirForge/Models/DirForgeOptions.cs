@@ -22,6 +22,12 @@ public sealed class DirForgeOptions
     public long MaxZipSize { get; set; }
     public string? SiteTitle { get; set; }
     public long MaxPreviewFileSize { get; set; }
+    public string ReadmeDisplay { get; set; } = null!;
+    public int ListingPageSize { get; set; }
+    public bool EnableLiveRefresh { get; set; }
+    public bool EnableFileFollow { get; set; }
+    public bool EnableThumbnails { get; set; }
+    public long MaxThumbnailCacheSize { get; set; }
     public long MaxFileSizeForHashing { get; set; }
     public string ShareSecret { get; set; } = null!;
     public string? ShareSecretWarning { get; set; }
@@ -0,0 +1,6 @@
+namespace DirForge.Models;
+
+public sealed record ListingSummary(
+    string FilesText,
+    string FoldersText,
+    string VisibleTotalText);
@@ -0,0 +1,24 @@
+namespace DirForge.Models;
+
+public sealed class MediaMetadata
+{
+    public required string Kind { get; set; }
+    public string? Container { get; set; }
+    public int? Width { get; set; }
+    public int? Height { get; set; }
+    public string? Camera { get; set; }
+    public string? Lens { get; set; }
+    public double? ExposureTime { get; set; }
+    public double? FNumber { get; set; }
+    public int? Iso { get; set; }
+    public double? FocalLength { get; set; }
+    public string? CapturedAt { get; set; }
+    public double? Latitude { get; set; }
+    public double? Longitude { get; set; }
+    public double? DurationSeconds { get; set; }
+    public string? VideoCodec { get; set; }
+    public string? AudioCodec { get; set; }
+    public long? Bitrate { get; set; }
+    public int? SampleRate { get; set; }
+    public int? Channels { get; set; }
+}
@@ -0,0 +1,10 @@
+namespace DirForge.Models;
+
+public sealed class OfficePreview
+{
+    public required string Kind { get; set; }
+    public string? Html { get; set; }
+    public List<OfficeSheet>? Sheets { get; set; }
+    public List<OfficeSlide>? Slides { get; set; }
+    public bool Truncated { get; set; }
+}
@@ -0,0 +1,8 @@
+namespace DirForge.Models;
+
+public sealed class OfficeSheet
+{
+    public required string Name { get; set; }
+    public List<string[]> Rows { get; set; } = [];
+    public bool Truncated { get; set; }
+}
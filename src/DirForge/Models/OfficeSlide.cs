@@ -0,0 +1,8 @@
+namespace DirForge.Models;
+
+public sealed class OfficeSlide
+{
+    public int Number { get; set; }
+    public string? Title { get; set; }
+    public List<string> Paragraphs { get; set; } = [];
+}
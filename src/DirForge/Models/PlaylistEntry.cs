@@ -0,0 +1,8 @@
+namespace DirForge.Models;
+
+public sealed class PlaylistEntry
+{
+    public required string Location { get; init; }
+    public string? Title { get; init; }
+    public double? DurationSeconds { get; init; }
+}
@@ -6,4 +6,5 @@ public sealed record ShareAccessContext(
     long ExpiresAtUnix,
     string Token,
     bool IsOneTime = false,
-    string Nonce = "");
+    string Nonce = "",
+    IReadOnlyList<string>? SelectionPaths = null);
@@ -3,5 +3,6 @@ namespace DirForge.Models;
 public enum ShareMode
 {
     File,
-    Directory
+    Directory,
+    Selection
 }
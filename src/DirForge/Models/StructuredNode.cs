@@ -0,0 +1,15 @@
+namespace DirForge.Models;
+
+public sealed class StructuredNode
+{
+    // "object", "array", "string", "number", "boolean" or "null" for JSON and YAML;
+    // "element", "attribute" or "text" for XML.
+    public required string Kind { get; init; }
+
+    // Property key, element or attribute name; null for array items and text.
+    public string? Name { get; init; }
+
+    // Scalar value as written, or the text of an element that holds nothing else.
+    public string? Value { get; init; }
+    public List<StructuredNode>? Children { get; init; }
+}
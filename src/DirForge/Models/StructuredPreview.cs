@@ -0,0 +1,15 @@
+namespace DirForge.Models;
+
+public sealed class StructuredPreview
+{
+    // "json", "yaml" or "xml".
+    public required string Format { get; init; }
+    public StructuredNode? Root { get; init; }
+
+    // The document re-indented, or null when it could not be parsed.
+    public string? Pretty { get; init; }
+
+    // Parser message, with the line it stopped at, when the document is malformed.
+    public string? Error { get; init; }
+    public bool Truncated { get; init; }
+}
@@ -0,0 +1,12 @@
+namespace DirForge.Models;
+
+public sealed class TablePreview
+{
+    public required string Delimiter { get; init; }
+    public required string Quote { get; init; }
+    public bool HasHeader { get; init; }
+    public List<TablePreviewColumn> Columns { get; init; } = [];
+
+    // Byte offset of the first data row, past any byte order mark and the header.
+    public long DataOffset { get; init; }
+}
@@ -0,0 +1,10 @@
+namespace DirForge.Models;
+
+public sealed class TablePreviewChunk
+{
+    public List<string[]> Rows { get; init; } = [];
+
+    // Byte range of the file the rows were parsed from; End is where the next chunk starts.
+    public long Offset { get; init; }
+    public long End { get; init; }
+}
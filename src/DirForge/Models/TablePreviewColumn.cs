@@ -0,0 +1,9 @@
+namespace DirForge.Models;
+
+public sealed class TablePreviewColumn
+{
+    public required string Name { get; init; }
+
+    // "integer", "number", "date", "boolean" or "text", inferred from the first rows.
+    public required string Type { get; init; }
+}
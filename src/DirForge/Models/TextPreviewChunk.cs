@@ -0,0 +1,13 @@
+namespace DirForge.Models;
+
+public sealed class TextPreviewChunk
+{
+    public required string Text { get; init; }
+
+    // Byte range of the file the text was decoded from.
+    public long Offset { get; init; }
+    public long End { get; init; }
+
+    // 1-based number of the first line, or null when the chunk was found without counting the lines before it.
+    public long? FirstLine { get; init; }
+}
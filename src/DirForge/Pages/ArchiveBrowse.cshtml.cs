@@ -45,6 +45,7 @@ public sealed class ArchiveBrowseModel : PageModel
     public string DefaultTheme { get; private set; } = "dark";
     public string? SiteTitle { get; private set; }
     public string PageTitle { get; private set; } = "DirForge :: archive";
+    public string ShareToken => _shareToken;
     public bool ShareAccessActive { get; private set; }
     public bool DashboardEnabled { get; private set; }
     public bool IsArchiveRoot => string.IsNullOrEmpty(CurrentArchivePath);
@@ -147,7 +148,14 @@ public sealed class ArchiveBrowseModel : PageModel
         return new EmptyResult();
     }
 
-    public async Task<IActionResult> OnGetPreviewInfoEntry(string? requestPath, string? entryPath, CancellationToken cancellationToken, bool forceText = false)
+    /// <summary>
+    /// Preview details of an archive entry. Text entries of a known size page like files do, by
+    /// <paramref name="offset"/>, <paramref name="line"/> or <paramref name="tail"/>. Each chunk decompresses
+    /// the entry up to it, so entries over the preview size limit still get no text preview.
+    /// </summary>
+    public async Task<IActionResult> OnGetPreviewInfoEntry(
+        string? requestPath, string? entryPath, CancellationToken cancellationToken, bool forceText = false,
+        long? offset = null, long? line = null, int? tail = null, long? fromLine = null)
     {
         if (!_options.OpenArchivesInline)
         {
@@ -165,6 +173,16 @@ public sealed class ArchiveBrowseModel : PageModel
             return BadRequest("Invalid archive entry path.");
         }
 
+        if (offset < 0 || line < 1 || tail < 1)
+        {
+            return BadRequest("Offset must not be negative, and line and tail must be positive.");
+        }
+
+        if (fromLine is not null && (line is null || offset is null || fromLine < 1 || fromLine > line))
+        {
+            return BadRequest("fromLine needs a line and an offset, and must be between 1 and line.");
+        }
+
         if (!_options.AllowFileDownload || _directoryListingService.IsFileDownloadBlocked(normalizedEntryPath))
         {
             _directoryListingService.LogBlockedExtension(
@@ -183,11 +201,13 @@ public sealed class ArchiveBrowseModel : PageModel
         var type = _iconResolver.ResolveType(entryInfo.FileName, isDirectory: false, effectiveSize);
         var iconPath = _iconResolver.ResolveIconPath(entryInfo.FileName, type);
         var mimeType = DirectoryListingModel.GetContentType(entryInfo.FileName);
-        var previewMode = TextPreviewDefaults.IsTextLikeMimeType(mimeType) ? "text" : "none";
+        var previewMode = DirectoryFileActionHandlers.PreviewMarkdownExtensions.Contains(extension)
+            ? "markdown"
+            : TextPreviewDefaults.IsTextLikeMimeType(mimeType) ? "text" : "none";
 
         if (forceText)
             previewMode = "text";
-        if (previewMode == "text" &&
+        if (previewMode is "text" or "markdown" &&
             _options.MaxPreviewFileSize > 0 &&
             entryInfo.Size is long knownSize &&
             knownSize > _options.MaxPreviewFileSize)
@@ -197,9 +217,88 @@ public sealed class ArchiveBrowseModel : PageModel
 
         string? textContent = null;
         var textTruncated = false;
+        long? textOffset = null;
+        long? textEnd = null;
+        long? textLine = null;
 
-        if (previewMode == "text")
+        // Entries of a known size that fits are read whole for the structured tree view.
+        StructuredPreview? structured = null;
+        if (previewMode == "text" && !forceText && offset is null && line is null && tail is null &&
+            entryInfo.Size <= StructuredPreviewReader.MaxBytes &&
+            StructuredPreviewReader.GetFormat(extension) is { } structuredFormat)
+        {
+            try
+            {
+                var bytes = await _archiveBrowseService.ReadEntryHeadBytesAsync(
+                    physicalPath,
+                    normalizedEntryPath,
+                    StructuredPreviewReader.MaxBytes,
+                    cancellationToken);
+                textContent = Encoding.UTF8.GetString(bytes);
+                structured = StructuredPreviewReader.Read(textContent, structuredFormat);
+                previewMode = "structured";
+                textOffset = 0;
+                textEnd = bytes.Length;
+                textLine = 1;
+            }
+            catch (Exception)
+            {
+                textContent = null;
+            }
+        }
+
+        if (previewMode is "text" or "markdown" && entryInfo.Size is long entrySize)
+        {
+            try
+            {
+                TextPreviewChunk chunk;
+                if (line is not null && tail is null)
+                {
+                    var (lineChunk, resumeOffset, resumeLine) = await _archiveBrowseService.ReadEntryAsync(
+                        physicalPath,
+                        normalizedEntryPath,
+                        entryStream => Task.FromResult(TextPreviewReader.ReadFromLine(
+                            entryStream, line.Value, fromLine is null ? 0 : offset!.Value, fromLine ?? 1,
+                            cancellationToken: cancellationToken)),
+                        cancellationToken);
+                    if (lineChunk is null)
+                    {
+                        return new JsonResult(new { lineResume = new { offset = resumeOffset, line = resumeLine }, size = entrySize });
+                    }
+
+                    chunk = lineChunk;
+                }
+                else
+                {
+                    chunk = await _archiveBrowseService.ReadEntryAsync(
+                        physicalPath,
+                        normalizedEntryPath,
+                        entryStream => Task.FromResult(tail is not null
+                            ? TextPreviewReader.ReadTail(entryStream, tail.Value, offset, cancellationToken: cancellationToken)
+                            : TextPreviewReader.ReadFrom(entryStream, offset ?? 0, cancellationToken: cancellationToken)),
+                        cancellationToken);
+                }
+
+                textContent = chunk.Text;
+                textTruncated = chunk.End < entrySize;
+                textOffset = chunk.Offset;
+                textEnd = chunk.End;
+                textLine = chunk.FirstLine;
+            }
+            catch (OperationCanceledException)
+            {
+                return new EmptyResult();
+            }
+            catch (Exception)
+            {
+                previewMode = "none";
+                textContent = null;
+                textTruncated = false;
+            }
+        }
+        else if (previewMode is "text" or "markdown")
         {
+            // An entry of unknown size, the content of a .gz file, shows its first chunk only.
             try
             {
                 var bytes = await _archiveBrowseService.ReadEntryHeadBytesAsync(
@@ -208,9 +307,7 @@ public sealed class ArchiveBrowseModel : PageModel
                     TextPreviewDefaults.MaxBytes,
                     cancellationToken);
                 textContent = Encoding.UTF8.GetString(bytes);
-                textTruncated = entryInfo.Size is long knownTextSize
-                    ? knownTextSize > TextPreviewDefaults.MaxBytes
-                    : bytes.Length >= TextPreviewDefaults.MaxBytes;
+                textTruncated = bytes.Length >= TextPreviewDefaults.MaxBytes;
             }
             catch (Exception)
             {
@@ -220,6 +317,24 @@ public sealed class ArchiveBrowseModel : PageModel
             }
         }
 
+        MediaMetadata? metadata = null;
+        if (DirectoryListingModel.IsImageExtension(extension))
+        {
+            try
+            {
+                var head = await _archiveBrowseService.ReadEntryHeadBytesAsync(
+                    physicalPath,
+                    normalizedEntryPath,
+                    MediaMetadataReader.ImageHeadSize,
+                    cancellationToken);
+                metadata = MediaMetadataReader.ReadImageHead(head);
+            }
+            catch (Exception)
+            {
+                metadata = null;
+            }
+        }
+
         var size = entryInfo.Size ?? -1;
         var humanSize = entryInfo.Size is long knownEntrySize and >= 0
             ? DirectoryListingService.HumanizeSize(knownEntrySize)
@@ -245,12 +360,17 @@ public sealed class ArchiveBrowseModel : PageModel
             size,
             humanSize,
             modified,
+            metadata,
             previewMode,
             viewUrl = string.Empty,
             downloadUrl,
             iconPath,
             textContent,
             textTruncated,
+            textOffset,
+            textEnd,
+            textLine,
+            structured,
             maxFileSizeForHashing = _options.MaxFileSizeForHashing
         });
     }
@@ -316,6 +436,7 @@ public sealed class ArchiveBrowseModel : PageModel
                 Path = entry.Path,
                 IsDirectory = entry.IsDirectory,
                 Type = entry.IsDirectory ? "folder" : "file",
+                IsImage = !entry.IsDirectory && DirectoryListingModel.IsImageExtension(IconResolver.GetExtension(entry.Name)),
                 IsTextPreviewable = !entry.IsDirectory && TextPreviewDefaults.IsTextLikeMimeType(DirectoryListingModel.GetContentType(entry.Name)),
                 IconPath = entry.IsDirectory
                     ? StaticAssetRouteHelper.AssetPath("file-icon-vectors/folder.svg")
@@ -432,6 +553,7 @@ public sealed class ArchiveBrowseModel : PageModel
         public required string Type { get; init; }
         public required string IconPath { get; init; }
         public required bool IsDirectory { get; init; }
+        public required bool IsImage { get; init; }
         public required bool IsTextPreviewable { get; init; }
         public required string ModifiedString { get; init; }
         public required string HumanSize { get; init; }
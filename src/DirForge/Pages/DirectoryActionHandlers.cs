@@ -1,7 +1,12 @@
 using System.Diagnostics;
+using System.Globalization;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Threading.Channels;
 using DirForge.Models;
 using DirForge.Services;
 using Microsoft.AspNetCore.Http.Extensions;
+using Microsoft.AspNetCore.Http.Features;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Net.Http.Headers;
 
@@ -9,18 +14,34 @@ namespace DirForge.Pages;
 
 public sealed class DirectoryActionHandlers
 {
+    private static readonly string[] ReadmeFileNames =
+    [
+        "README.md", "README.markdown", "README.adoc", "README.txt", "README", "index.md"
+    ];
+
+    private static readonly TimeSpan ListingFilterRegexTimeout = TimeSpan.FromMilliseconds(250);
+    private static readonly TimeSpan LiveRefreshDebounce = TimeSpan.FromMilliseconds(250);
+    private static readonly TimeSpan LiveRefreshHeartbeat = TimeSpan.FromSeconds(25);
+    private static readonly JsonSerializerOptions LiveEventJsonOptions = new(JsonSerializerDefaults.Web);
+
     private readonly DirectoryListingService _directoryListingService;
+    private readonly ArchiveBrowseService _archiveBrowseService;
     private readonly DirForgeOptions _options;
     private readonly DashboardMetricsService _dashboardMetrics;
+    private readonly DirectoryWatchService _directoryWatchService;
     private readonly DirectoryRequestGuards _guards;
 
     public DirectoryActionHandlers(
         DirectoryListingService directoryListingService,
+        ArchiveBrowseService archiveBrowseService,
+        DirectoryWatchService directoryWatchService,
         DirForgeOptions options,
         DashboardMetricsService dashboardMetrics,
         DirectoryRequestGuards guards)
     {
         _directoryListingService = directoryListingService;
+        _archiveBrowseService = archiveBrowseService;
+        _directoryWatchService = directoryWatchService;
         _options = options;
         _dashboardMetrics = dashboardMetrics;
         _guards = guards;
@@ -36,12 +57,7 @@ public sealed class DirectoryActionHandlers
         var shareControlsEnabled = _options.EnableSharing && !shareAccessActive;
         var shareToken = shareContext?.Token ?? string.Empty;
         var shareHiddenInputToken = shareToken;
-        var shareQuerySuffix = string.IsNullOrEmpty(shareToken)
-            ? string.Empty
-            : $"?{ShareLinkService.TokenQueryParameter}={Uri.EscapeDataString(shareToken)}";
-        var shareActionSuffix = string.IsNullOrEmpty(shareToken)
-            ? string.Empty
-            : $"&{ShareLinkService.TokenQueryParameter}={Uri.EscapeDataString(shareToken)}";
+        BuildShareSuffixes(shareToken, out var shareQuerySuffix, out var shareActionSuffix);
 
         if (!_guards.TryResolvePhysicalPath(httpContext, requestPath, out var relativePath, out var physicalPath))
         {
@@ -139,9 +155,23 @@ public sealed class DirectoryActionHandlers
             return DirectoryListingPageResult.FromResult(notModifiedResult);
         }
 
+        var readmeRelativePath = searchActive ? string.Empty : FindReadmeRelativePath(entries, relativePath);
+
+        // Large folders render only the first page; the rest is fetched from the ListingPage handler.
+        var listingPaged = !searchActive && _options.ListingPageSize > 0 && entries.Count > _options.ListingPageSize;
+        var liveRefreshEnabled = _options.EnableLiveRefresh && !searchActive && !listingPaged;
+        var listingVersion = listingPaged || liveRefreshEnabled
+            ? DirectoryListingService.ComputeETag(entries, sortMode, sortDirection, relativePath)
+            : string.Empty;
+
         var state = BuildPageState(
             request,
-            entries,
+            listingPaged ? entries.GetRange(0, _options.ListingPageSize) : entries,
+            DirectoryListingService.BuildListingSummary(entries),
+            listingPaged,
+            entries.Count,
+            listingVersion,
+            liveRefreshEnabled,
             relativePath,
             sortMode,
             sortDirection,
@@ -159,14 +189,452 @@ public sealed class DirectoryActionHandlers
             shareHiddenInputToken,
             shareQuerySuffix,
             shareActionSuffix,
+            readmeRelativePath,
             dosMode);
 
         return DirectoryListingPageResult.FromState(state);
     }
 
+    public IActionResult HandleGetListingPage(HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext)
+    {
+        var request = httpContext.Request;
+        if (_options.ListingPageSize <= 0)
+        {
+            return new JsonResult(new { }) { StatusCode = StatusCodes.Status404NotFound };
+        }
+
+        if (!_guards.TryResolvePhysicalPath(httpContext, requestPath, out var relativePath, out var physicalPath))
+        {
+            return new JsonResult(new { }) { StatusCode = StatusCodes.Status403Forbidden };
+        }
+
+        if (!Directory.Exists(physicalPath))
+        {
+            return new JsonResult(new { }) { StatusCode = StatusCodes.Status404NotFound };
+        }
+
+        if (_guards.IsDirectoryShareScopeViolation(shareContext, physicalPath))
+        {
+            return new JsonResult(new { }) { StatusCode = StatusCodes.Status403Forbidden };
+        }
+
+        if (_directoryListingService.IsPathHiddenByPolicy(relativePath, isDirectory: true))
+        {
+            return new JsonResult(new { }) { StatusCode = StatusCodes.Status404NotFound };
+        }
+
+        if (!TryBuildNameFilter(request.Query["filter"].ToString().Trim(), request.Query["filter-mode"].ToString(), out var nameFilter))
+        {
+            return new BadRequestObjectResult(new { error = "Invalid filter pattern." });
+        }
+
+        var offset = 0;
+        var rawOffset = request.Query["offset"].ToString();
+        if (!string.IsNullOrEmpty(rawOffset) &&
+            !int.TryParse(rawOffset, NumberStyles.None, CultureInfo.InvariantCulture, out offset))
+        {
+            return new BadRequestObjectResult(new { error = "Invalid offset." });
+        }
+
+        var sortMode = DirectoryListingService.GetSortMode(request.Query);
+        var sortDirection = DirectoryListingService.GetSortDirection(request.Query, sortMode);
+        List<DirectoryEntry> entries;
+        try
+        {
+            entries = _directoryListingService.GetSortedEntries(physicalPath, relativePath, sortMode, sortDirection);
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return new JsonResult(new { }) { StatusCode = StatusCodes.Status403Forbidden };
+        }
+
+        var listingVersion = DirectoryListingService.ComputeETag(entries, sortMode, sortDirection, relativePath);
+        List<DirectoryEntry> matches;
+        try
+        {
+            matches = nameFilter is null ? entries : entries.Where(entry => nameFilter(entry.Name)).ToList();
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            return new BadRequestObjectResult(new { error = "Filter pattern took too long to evaluate." });
+        }
+
+        var shareToken = shareContext?.Token ?? string.Empty;
+        BuildShareSuffixes(shareToken, out var shareQuerySuffix, out var shareActionSuffix);
+        var orderSuffix = BuildQuerySuffix(
+            GetSortQueryKey(sortMode),
+            GetSortDirectionQueryKey(sortDirection),
+            null,
+            shareToken,
+            request.Query.ContainsKey("dos"));
+        var currentRequestPath = DirectoryListingService.BuildRequestPath(relativePath);
+        var start = Math.Min(offset, matches.Count);
+        var count = Math.Min(_options.ListingPageSize, matches.Count - start);
+        var summary = DirectoryListingService.BuildListingSummary(matches);
+
+        return new JsonResult(new
+        {
+            offset = start,
+            nextOffset = start + count < matches.Count ? start + count : (int?)null,
+            total = matches.Count,
+            version = listingVersion,
+            summary = new
+            {
+                files = summary.FilesText,
+                folders = summary.FoldersText,
+                visibleTotal = summary.VisibleTotalText
+            },
+            entries = matches
+                .GetRange(start, count)
+                .Select(entry => ToEntryJson(CreateEntryView(entry, relativePath, currentRequestPath, orderSuffix, shareQuerySuffix, shareActionSuffix)))
+        });
+    }
+
+    // Server-sent events for the Live toggle. Each burst of file system activity becomes one "change"
+    // event with the entries that appeared or changed and the paths that went away. Listings are read
+    // through the listing cache, so a burst is re-checked once ListingCacheTtlSeconds has passed to pick
+    // up edits that do not touch the folder's own timestamp.
+    public async Task<IActionResult> HandleGetListingEventsAsync(
+        HttpContext httpContext,
+        string? requestPath,
+        ShareAccessContext? shareContext,
+        CancellationToken cancellationToken)
+    {
+        var request = httpContext.Request;
+        var response = httpContext.Response;
+        if (!_options.EnableLiveRefresh)
+        {
+            return new NotFoundResult();
+        }
+
+        if (!_guards.TryResolvePhysicalPath(httpContext, requestPath, out var relativePath, out var physicalPath))
+        {
+            return new StatusCodeResult(StatusCodes.Status403Forbidden);
+        }
+
+        if (!Directory.Exists(physicalPath))
+        {
+            return new NotFoundResult();
+        }
+
+        if (_guards.IsDirectoryShareScopeViolation(shareContext, physicalPath))
+        {
+            return new StatusCodeResult(StatusCodes.Status403Forbidden);
+        }
+
+        if (_directoryListingService.IsPathHiddenByPolicy(relativePath, isDirectory: true))
+        {
+            return new NotFoundResult();
+        }
+
+        var sortMode = DirectoryListingService.GetSortMode(request.Query);
+        var sortDirection = DirectoryListingService.GetSortDirection(request.Query, sortMode);
+        var shareToken = shareContext?.Token ?? string.Empty;
+        BuildShareSuffixes(shareToken, out var shareQuerySuffix, out var shareActionSuffix);
+        var orderSuffix = BuildQuerySuffix(
+            GetSortQueryKey(sortMode),
+            GetSortDirectionQueryKey(sortDirection),
+            null,
+            shareToken,
+            request.Query.ContainsKey("dos"));
+        var currentRequestPath = DirectoryListingService.BuildRequestPath(relativePath);
+
+        var signal = Channel.CreateBounded<bool>(new BoundedChannelOptions(1) { FullMode = BoundedChannelFullMode.DropWrite });
+        using var subscription = _directoryWatchService.Subscribe(physicalPath, () => signal.Writer.TryWrite(true));
+        if (subscription is null)
+        {
+            return new StatusCodeResult(StatusCodes.Status503ServiceUnavailable);
+        }
+
+        List<ListingEntryView> views;
+        try
+        {
+            views = _directoryListingService.GetSortedEntries(physicalPath, relativePath, sortMode, sortDirection)
+                .Select(entry => CreateEntryView(entry, relativePath, currentRequestPath, orderSuffix, shareQuerySuffix, shareActionSuffix))
+                .ToList();
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return new StatusCodeResult(StatusCodes.Status403Forbidden);
+        }
+
+        response.ContentType = "text/event-stream";
+        response.Headers[HeaderNames.CacheControl] = "no-cache";
+        response.Headers["X-Accel-Buffering"] = "no";
+        httpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+        var stopping = httpContext.RequestServices?.GetService<IHostApplicationLifetime>()?.ApplicationStopping ?? CancellationToken.None;
+        using var streamCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken, stopping);
+        var streamToken = streamCts.Token;
+        var recheckDelay = TimeSpan.FromSeconds(_options.ListingCacheTtlSeconds) + LiveRefreshDebounce;
+
+        var snapshot = CreateLiveSnapshot(views);
+        var version = ComputeLiveVersion(views, sortMode, sortDirection, relativePath);
+        // EventSource replays the last event id when it reconnects; the first connection sends the rendered version.
+        var since = request.Headers["Last-Event-ID"].ToString();
+        if (string.IsNullOrEmpty(since))
+        {
+            since = request.Query["since"].ToString();
+        }
+
+        try
+        {
+            await response.WriteAsync("retry: 5000\n\n", streamToken);
+            if (!string.Equals(since, version, StringComparison.Ordinal))
+            {
+                await WriteLiveChangeAsync(response, version, reset: true, views, [], streamToken);
+            }
+            else
+            {
+                await response.Body.FlushAsync(streamToken);
+            }
+
+            DateTime? recheckAtUtc = null;
+            while (!streamToken.IsCancellationRequested)
+            {
+                var wait = recheckAtUtc is null
+                    ? LiveRefreshHeartbeat
+                    : TimeSpan.FromTicks(Math.Min(LiveRefreshHeartbeat.Ticks, Math.Max(0, (recheckAtUtc.Value - DateTime.UtcNow).Ticks)));
+                if (await WaitForSignalAsync(signal.Reader, wait, streamToken))
+                {
+                    await Task.Delay(LiveRefreshDebounce, streamToken);
+                    while (signal.Reader.TryRead(out _))
+                    {
+                    }
+
+                    recheckAtUtc = DateTime.UtcNow + recheckDelay;
+                }
+                else if (recheckAtUtc is not null && DateTime.UtcNow >= recheckAtUtc.Value)
+                {
+                    recheckAtUtc = null;
+                }
+                else
+                {
+                    await response.WriteAsync(": keep-alive\n\n", streamToken);
+                    await response.Body.FlushAsync(streamToken);
+                    continue;
+                }
+
+                if (!Directory.Exists(physicalPath))
+                {
+                    await response.WriteAsync("event: gone\ndata: {}\n\n", streamToken);
+                    await response.Body.FlushAsync(streamToken);
+                    break;
+                }
+
+                try
+                {
+                    views = _directoryListingService.GetSortedEntries(physicalPath, relativePath, sortMode, sortDirection)
+                        .Select(entry => CreateEntryView(entry, relativePath, currentRequestPath, orderSuffix, shareQuerySuffix, shareActionSuffix))
+                        .ToList();
+                }
+                catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+                {
+                    continue;
+                }
+
+                var nextSnapshot = CreateLiveSnapshot(views);
+                var changed = views.Where(view => !snapshot.TryGetValue(view.Entry.Name, out var stamp) || stamp != nextSnapshot[view.Entry.Name]).ToList();
+                var removed = snapshot.Where(item => !nextSnapshot.ContainsKey(item.Key)).Select(item => item.Value.Path).ToList();
+                if (changed.Count == 0 && removed.Count == 0)
+                {
+                    continue;
+                }
+
+                snapshot = nextSnapshot;
+                version = ComputeLiveVersion(views, sortMode, sortDirection, relativePath);
+                await WriteLiveChangeAsync(response, version, reset: false, changed, removed, streamToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+        }
+        catch (IOException)
+        {
+            // The client went away mid-write.
+        }
+
+        return new EmptyResult();
+    }
+
+    private static Dictionary<string, LiveEntryStamp> CreateLiveSnapshot(IEnumerable<ListingEntryView> views)
+    {
+        return views.ToDictionary(
+            view => view.Entry.Name,
+            view => new LiveEntryStamp(
+                view.RootRelativePath,
+                view.Entry.IsDirectory,
+                view.Entry.Size,
+                view.Entry.Modified.Ticks,
+                view.Entry.HumanSize),
+            StringComparer.Ordinal);
+    }
+
+    private static string ComputeLiveVersion(
+        List<ListingEntryView> views,
+        SortMode sortMode,
+        SortDirection sortDirection,
+        string relativePath)
+    {
+        return DirectoryListingService.ComputeETag(views.Select(view => view.Entry).ToList(), sortMode, sortDirection, relativePath);
+    }
+
+    private static async Task<bool> WaitForSignalAsync(ChannelReader<bool> reader, TimeSpan timeout, CancellationToken cancellationToken)
+    {
+        using var timeoutCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeoutCts.CancelAfter(timeout);
+        try
+        {
+            return await reader.WaitToReadAsync(timeoutCts.Token);
+        }
+        catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            return false;
+        }
+    }
+
+    private static async Task WriteLiveChangeAsync(
+        HttpResponse response,
+        string version,
+        bool reset,
+        IEnumerable<ListingEntryView> changed,
+        IEnumerable<string> removed,
+        CancellationToken cancellationToken)
+    {
+        var payload = JsonSerializer.Serialize(new
+        {
+            reset,
+            entries = changed.Select(ToEntryJson),
+            removed
+        }, LiveEventJsonOptions);
+
+        await response.WriteAsync($"id: {version}\nevent: change\ndata: {payload}\n\n", cancellationToken);
+        await response.Body.FlushAsync(cancellationToken);
+    }
+
+    private static object ToEntryJson(ListingEntryView view)
+    {
+        return new
+        {
+            name = view.Entry.Name,
+            path = view.RootRelativePath,
+            dir = view.Entry.IsDirectory ? view.Entry.RelativePath : string.Empty,
+            type = view.Entry.Type,
+            iconPath = view.Entry.IconPath,
+            isDirectory = view.Entry.IsDirectory,
+            sizeKnown = view.SizeKnown,
+            size = view.Entry.Size,
+            humanSize = view.Entry.HumanSize,
+            sizeTooltip = view.Entry.SizeTooltip,
+            modified = view.ModifiedUnixMs,
+            modifiedText = view.Entry.ModifiedString,
+            isToday = view.IsModifiedToday,
+            isImage = view.IsImage,
+            isInlineArchive = view.IsInlineArchive,
+            showThumbnail = view.ShowThumbnail,
+            href = view.OpenHref,
+            downloadHref = view.DownloadHref,
+            viewHref = view.ViewHref,
+            imageHref = view.ImageHref,
+            thumbnailHref = view.ThumbnailHref,
+            audioHref = view.AudioHref,
+            playlistHref = view.PlaylistHref
+        };
+    }
+
+    private ListingEntryView CreateEntryView(
+        DirectoryEntry entry,
+        string relativePath,
+        string currentRequestPath,
+        string orderSuffix,
+        string shareQuerySuffix,
+        string shareActionSuffix)
+    {
+        return ListingEntryView.Create(
+            entry,
+            relativePath,
+            currentRequestPath,
+            orderSuffix,
+            shareQuerySuffix,
+            shareActionSuffix,
+            _options.OpenArchivesInline && entry.Type == "archive" && _archiveBrowseService.IsSupportedArchiveName(entry.Name),
+            _options.EnableThumbnails);
+    }
+
+    // Mirrors the client-side listing filter modes: text (substring), glob (* and ?), regex.
+    private static bool TryBuildNameFilter(string query, string mode, out Func<string, bool>? filter)
+    {
+        filter = null;
+        if (string.IsNullOrEmpty(query))
+        {
+            return true;
+        }
+
+        if (string.Equals(mode, "regex", StringComparison.OrdinalIgnoreCase))
+        {
+            Regex regex;
+            try
+            {
+                regex = new Regex(query, RegexOptions.IgnoreCase | RegexOptions.CultureInvariant, ListingFilterRegexTimeout);
+            }
+            catch (ArgumentException)
+            {
+                return false;
+            }
+
+            filter = regex.IsMatch;
+            return true;
+        }
+
+        if (string.Equals(mode, "glob", StringComparison.OrdinalIgnoreCase))
+        {
+            filter = name => GlobMatcher.IsSimpleWildcardMatch(name, query, ignoreCase: true);
+            return true;
+        }
+
+        filter = name => name.Contains(query, StringComparison.OrdinalIgnoreCase);
+        return true;
+    }
+
+    private string FindReadmeRelativePath(List<DirectoryEntry> entries, string relativePath)
+    {
+        if (string.Equals(_options.ReadmeDisplay, "off", StringComparison.OrdinalIgnoreCase))
+        {
+            return string.Empty;
+        }
+
+        foreach (var fileName in ReadmeFileNames)
+        {
+            var entry = entries.FirstOrDefault(e =>
+                !e.IsDirectory && string.Equals(e.Name, fileName, StringComparison.OrdinalIgnoreCase));
+            if (entry is null)
+            {
+                continue;
+            }
+
+            var readmeRelativePath = string.IsNullOrEmpty(relativePath)
+                ? entry.RelativePath
+                : relativePath.Trim('/') + "/" + entry.RelativePath.Trim('/');
+            if (!_guards.IsFileDownloadAllowed(readmeRelativePath) ||
+                (_options.MaxPreviewFileSize > 0 && entry.Size > _options.MaxPreviewFileSize))
+            {
+                continue;
+            }
+
+            return readmeRelativePath;
+        }
+
+        return string.Empty;
+    }
+
     private DirectoryListingPageState BuildPageState(
         HttpRequest request,
-        IEnumerable<DirectoryEntry> entries,
+        List<DirectoryEntry> entries,
+        ListingSummary summary,
+        bool listingPaged,
+        int listingTotalCount,
+        string listingVersion,
+        bool liveRefreshEnabled,
         string relativePath,
         SortMode sortMode,
         SortDirection sortDirection,
@@ -184,16 +652,28 @@ public sealed class DirectoryActionHandlers
         string shareHiddenInputToken,
         string shareQuerySuffix,
         string shareActionSuffix,
+        string readmeRelativePath,
         bool dosMode = false)
     {
+        var currentRequestPath = DirectoryListingService.BuildRequestPath(relativePath);
+        var orderSuffix = BuildQuerySuffix(currentSortKey, currentSortDirectionKey, searchActive ? searchQuery : null, shareToken, dosMode);
+
         return new DirectoryListingPageState
         {
             Entries = entries,
+            EntryViews = entries
+                .Select(entry => CreateEntryView(entry, relativePath, currentRequestPath, orderSuffix, shareQuerySuffix, shareActionSuffix))
+                .ToList(),
+            Summary = summary,
+            ListingPaged = listingPaged,
+            ListingTotalCount = listingTotalCount,
+            ListingVersion = listingVersion,
+            LiveRefreshEnabled = liveRefreshEnabled,
             CurrentRelativePath = relativePath,
-            CurrentRequestPath = DirectoryListingService.BuildRequestPath(relativePath),
+            CurrentRequestPath = currentRequestPath,
             CurrentSortKey = currentSortKey,
             CurrentSortDirectionKey = currentSortDirectionKey,
-            OrderSuffix = BuildQuerySuffix(currentSortKey, currentSortDirectionKey, searchActive ? searchQuery : null, shareToken, dosMode),
+            OrderSuffix = orderSuffix,
             TypeSortSuffix = BuildQuerySuffix(
                 "type",
                 GetSortDirectionQueryKey(GetNextSortDirection(sortMode, sortDirection, SortMode.Type)),
@@ -231,6 +711,8 @@ public sealed class DirectoryActionHandlers
             ShareHiddenInputToken = shareHiddenInputToken,
             ShareQuerySuffix = shareQuerySuffix,
             ShareActionSuffix = shareActionSuffix,
+            ReadmeRelativePath = readmeRelativePath,
+            ReadmeDisplay = _options.ReadmeDisplay,
             DefaultTheme = _options.DefaultTheme,
             CalculateDirectorySizes = _options.CalculateDirectorySizes,
             AllowFileDownload = _options.AllowFileDownload,
@@ -318,6 +800,16 @@ public sealed class DirectoryActionHandlers
         return DirectoryListingService.GetDefaultSortDirection(targetSortMode);
     }
 
+    private static void BuildShareSuffixes(string shareToken, out string shareQuerySuffix, out string shareActionSuffix)
+    {
+        shareQuerySuffix = string.IsNullOrEmpty(shareToken)
+            ? string.Empty
+            : $"?{ShareLinkService.TokenQueryParameter}={Uri.EscapeDataString(shareToken)}";
+        shareActionSuffix = string.IsNullOrEmpty(shareToken)
+            ? string.Empty
+            : $"&{ShareLinkService.TokenQueryParameter}={Uri.EscapeDataString(shareToken)}";
+    }
+
     private static string BuildQuerySuffix(string sortKey, string sortDirection, string? searchQuery, string? shareToken, bool dosMode = false)
     {
         var queryParts = new List<string> { sortKey, $"dir={sortDirection}" };
@@ -333,6 +825,8 @@ public sealed class DirectoryActionHandlers
         ShareLinkService.AppendTokenQuery(queryParts, shareToken);
         return "?" + string.Join("&", queryParts);
     }
+
+    private sealed record LiveEntryStamp(string Path, bool IsDirectory, long Size, long ModifiedTicks, string HumanSize);
 }
 
 public sealed class DirectoryListingPageResult
@@ -358,6 +852,12 @@ public sealed class DirectoryListingPageState
     public string CurrentRequestPath { get; init; } = "/";
     public string OrderSuffix { get; init; } = string.Empty;
     public IEnumerable<DirectoryEntry> Entries { get; init; } = [];
+    public IReadOnlyList<ListingEntryView> EntryViews { get; init; } = [];
+    public ListingSummary Summary { get; init; } = DirectoryListingService.BuildListingSummary([]);
+    public bool ListingPaged { get; init; }
+    public int ListingTotalCount { get; init; }
+    public string ListingVersion { get; init; } = string.Empty;
+    public bool LiveRefreshEnabled { get; init; }
     public string DefaultTheme { get; init; } = "dark";
     public bool CalculateDirectorySizes { get; init; }
     public bool AllowFileDownload { get; init; }
@@ -383,5 +883,7 @@ public sealed class DirectoryListingPageState
     public string ShareHiddenInputToken { get; init; } = string.Empty;
     public string ShareQuerySuffix { get; init; } = string.Empty;
     public string ShareActionSuffix { get; init; } = string.Empty;
+    public string ReadmeRelativePath { get; init; } = string.Empty;
+    public string ReadmeDisplay { get; init; } = "below";
     public bool DosMode { get; init; }
 }
@@ -1,10 +1,13 @@
 using System.Diagnostics;
+using System.Globalization;
 using System.IO.Compression;
 using System.Net;
 using System.Security.Cryptography;
 using System.Text;
+using System.Text.Json;
 using DirForge.Models;
 using DirForge.Services;
+using Microsoft.AspNetCore.Http.Features;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using Microsoft.Net.Http.Headers;
@@ -47,14 +50,29 @@ public sealed class DirectoryFileActionHandlers
     {
         "mp4", "webm", "ogv", "mov"
     };
-    private static readonly HashSet<string> PreviewAudioExtensions = new(StringComparer.OrdinalIgnoreCase)
+    internal static readonly HashSet<string> PreviewAudioExtensions = new(StringComparer.OrdinalIgnoreCase)
     {
         "mp3", "wav", "ogg", "opus", "flac", "aac", "m4a"
     };
+    internal static readonly HashSet<string> PreviewMarkdownExtensions = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "md", "markdown", "mdown", "mkd", "mkdn", "adoc", "asciidoc"
+    };
+    private static readonly TimeSpan FollowPollInterval = TimeSpan.FromSeconds(1);
+    private static readonly TimeSpan FollowHeartbeat = TimeSpan.FromSeconds(25);
+    private const int FollowFingerprintSize = 64;
+    private static readonly JsonSerializerOptions FollowEventJsonOptions = new(JsonSerializerDefaults.Web);
+    private static readonly StringComparison PathComparison = OperatingSystem.IsWindows()
+        ? StringComparison.OrdinalIgnoreCase
+        : StringComparison.Ordinal;
+
+    internal const int MaxSelectionEntries = 1000;
+    internal const int MaxSelectionShareEntries = 100;
 
     private readonly DirectoryListingService _directoryListingService;
     private readonly ShareLinkService _shareLinkService;
     private readonly ArchiveBrowseService _archiveBrowseService;
+    private readonly ThumbnailService _thumbnailService;
     private readonly IconResolver _iconResolver;
     private readonly DirForgeOptions _options;
     private readonly DashboardMetricsService _dashboardMetrics;
@@ -65,6 +83,7 @@ public sealed class DirectoryFileActionHandlers
         DirectoryListingService directoryListingService,
         ShareLinkService shareLinkService,
         ArchiveBrowseService archiveBrowseService,
+        ThumbnailService thumbnailService,
         IconResolver iconResolver,
         DirForgeOptions options,
         DashboardMetricsService dashboardMetrics,
@@ -74,6 +93,7 @@ public sealed class DirectoryFileActionHandlers
         _directoryListingService = directoryListingService;
         _shareLinkService = shareLinkService;
         _archiveBrowseService = archiveBrowseService;
+        _thumbnailService = thumbnailService;
         _iconResolver = iconResolver;
         _options = options;
         _dashboardMetrics = dashboardMetrics;
@@ -120,6 +140,33 @@ public sealed class DirectoryFileActionHandlers
         };
     }
 
+    public async Task<IActionResult> HandleGetThumbnailAsync(HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext, CancellationToken cancellationToken = default)
+    {
+        if (!_options.EnableThumbnails)
+        {
+            return new NotFoundResult();
+        }
+
+        var guard = GuardFileAccess(httpContext, requestPath, shareContext, out _, out _, out var fileInfo);
+        if (guard is not null) return guard;
+
+        if (!ThumbnailService.IsSupportedExtension(fileInfo.Extension.TrimStart('.')))
+        {
+            return new NotFoundResult();
+        }
+
+        int? requestedSize = int.TryParse(httpContext.Request.Query["size"], out var size) ? size : null;
+        var thumbnail = await _thumbnailService.GetThumbnailAsync(fileInfo, ThumbnailService.NormalizeSize(requestedSize), cancellationToken);
+        if (thumbnail is null)
+        {
+            return new NotFoundResult();
+        }
+
+        // Thumbnail links carry the file's modification time, so an edited image gets a fresh URL.
+        httpContext.Response.Headers.CacheControl = "private, max-age=604800";
+        return new FileContentResult(thumbnail, ThumbnailService.ContentType);
+    }
+
     public IActionResult HandleGetArchive(
         HttpContext httpContext,
         string? requestPath,
@@ -262,7 +309,6 @@ public sealed class DirectoryFileActionHandlers
         CancellationToken cancellationToken)
     {
         var request = httpContext.Request;
-        var response = httpContext.Response;
 
         if (!_options.AllowFolderDownload)
         {
@@ -316,26 +362,97 @@ public sealed class DirectoryFileActionHandlers
             }
         }
 
-        var folderName = Path.GetFileName(physicalPath.TrimEnd(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar));
-        if (string.IsNullOrEmpty(folderName))
+        var opBudgetMs = _options.OperationTimeBudgetMs;
+        Stopwatch? opTimer = opBudgetMs > 0 ? Stopwatch.StartNew() : null;
+        IEnumerable<string> sourceFilePaths = searchActive
+            ? GetFilteredFilePaths(physicalPath, filteredEntries!)
+            : _directoryListingService.EnumerateFilePathsRecursive(physicalPath, opTimer, opBudgetMs);
+
+        return await WriteZipResponseAsync(
+            httpContext,
+            physicalPath,
+            relativePath,
+            GetZipFolderName(physicalPath) + ".zip",
+            sourceFilePaths,
+            shareContext,
+            cancellationToken);
+    }
+
+    public async Task<IActionResult> HandleDownloadSelectionZipAsync(
+        HttpContext httpContext,
+        string? requestPath,
+        IReadOnlyList<string>? paths,
+        ShareAccessContext? shareContext,
+        CancellationToken cancellationToken)
+    {
+        if (!_options.AllowFolderDownload)
+        {
+            _logger.LogWarning("[SECURITY] FOLDER_DOWNLOAD_DISABLED ClientIP={ClientIp} Path={RequestPath} Selection download not allowed",
+                httpContext.Connection.RemoteIpAddress?.ToString() ?? "unknown", httpContext.Request.Path.Value ?? "/");
+            return new StatusCodeResult(StatusCodes.Status403Forbidden);
+        }
+
+        if (!_guards.TryResolvePhysicalPath(httpContext, requestPath, out var relativePath, out var physicalPath))
+        {
+            return new StatusCodeResult(StatusCodes.Status403Forbidden);
+        }
+
+        if (!Directory.Exists(physicalPath))
+        {
+            return new NotFoundResult();
+        }
+
+        if (_guards.IsDirectoryShareScopeViolation(shareContext, physicalPath))
+        {
+            return _guards.CreateShareScopeForbidden(httpContext);
+        }
+
+        if (_directoryListingService.IsPathHiddenByPolicy(relativePath, isDirectory: true))
+        {
+            return new NotFoundResult();
+        }
+
+        // A selection share link carries its own path list; the request cannot widen it.
+        var requestedPaths = shareContext?.Mode == ShareMode.Selection
+            ? shareContext.SelectionPaths!.Select(path => CombineRelativePath(shareContext.ScopePath, path)).ToList()
+            : paths ?? [];
+        var selection = ResolveSelection(relativePath, requestedPaths, shareContext);
+        if (selection is null)
         {
-            folderName = "download";
+            return new BadRequestObjectResult("Selection is empty or invalid.");
         }
 
+        var opBudgetMs = _options.OperationTimeBudgetMs;
+        Stopwatch? opTimer = opBudgetMs > 0 ? Stopwatch.StartNew() : null;
+
+        return await WriteZipResponseAsync(
+            httpContext,
+            physicalPath,
+            relativePath,
+            GetZipFolderName(physicalPath) + "-selection.zip",
+            EnumerateSelectionFilePaths(selection, opTimer, opBudgetMs),
+            shareContext,
+            cancellationToken);
+    }
+
+    private async Task<IActionResult> WriteZipResponseAsync(
+        HttpContext httpContext,
+        string physicalPath,
+        string relativePath,
+        string archiveFileName,
+        IEnumerable<string> sourceFilePaths,
+        ShareAccessContext? shareContext,
+        CancellationToken cancellationToken)
+    {
+        var response = httpContext.Response;
         response.ContentType = "application/zip";
-        response.Headers[HeaderNames.ContentDisposition] = DirectoryListingModel.BuildContentDisposition("attachment", folderName + ".zip");
+        response.Headers[HeaderNames.ContentDisposition] = DirectoryListingModel.BuildContentDisposition("attachment", archiveFileName);
 
         long totalBytes = 0;
         try
         {
             await using (var archive = new ZipArchive(response.Body, ZipArchiveMode.Create, leaveOpen: true))
             {
-                var opBudgetMs = _options.OperationTimeBudgetMs;
-                Stopwatch? opTimer = opBudgetMs > 0 ? Stopwatch.StartNew() : null;
-                IEnumerable<string> sourceFilePaths = searchActive
-                    ? GetFilteredFilePaths(physicalPath, filteredEntries!)
-                    : _directoryListingService.EnumerateFilePathsRecursive(physicalPath, opTimer, opBudgetMs);
-
                 var maxZip = _options.MaxZipSize;
 
                 foreach (var filePath in sourceFilePaths)
@@ -414,19 +531,79 @@ public sealed class DirectoryFileActionHandlers
         return new EmptyResult();
     }
 
-    public IActionResult HandleGetPreviewInfo(HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext, bool forceText = false)
+    /// <summary>
+    /// Describes a file for the preview modal. Text previews hold one chunk of the file: the start by default,
+    /// the chunk at byte <paramref name="offset"/> or <paramref name="line"/>, or with <paramref name="tail"/>
+    /// the last lines before <paramref name="offset"/> (or the end of the file). A line lookup that scanned as
+    /// far as one request may returns only where to resume: the next request passes that as
+    /// <paramref name="offset"/> and <paramref name="fromLine"/>.
+    /// </summary>
+    public IActionResult HandleGetPreviewInfo(
+        HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext, bool forceText = false,
+        long? offset = null, long? line = null, int? tail = null, long? fromLine = null,
+        CancellationToken cancellationToken = default)
     {
         var guard = GuardFileAccess(httpContext, requestPath, shareContext, out var relativePath, out var physicalPath, out var fileInfo);
         if (guard is not null) return guard;
 
+        if (offset < 0 || line < 1 || tail < 1)
+        {
+            return new BadRequestObjectResult("Offset must not be negative, and line and tail must be positive.");
+        }
+
+        if (fromLine is not null && (line is null || offset is null || fromLine < 1 || fromLine > line))
+        {
+            return new BadRequestObjectResult("fromLine needs a line and an offset, and must be between 1 and line.");
+        }
+
         var extension = IconResolver.GetExtension(fileInfo.Name);
         var type = _iconResolver.ResolveType(fileInfo.FullName, isDirectory: false, fileInfo.Length);
         var mimeType = DirectoryListingModel.GetContentType(fileInfo.Name);
         var previewMode = ResolvePreviewMode(type, extension, mimeType, fileInfo.Length, _options.MaxPreviewFileSize);
 
+        if (previewMode == "text" && PlaylistParser.Extensions.Contains(extension) &&
+            fileInfo.Length <= HlsPlaylist.MaxFileSize && IsHlsPlaylistFile(physicalPath))
+        {
+            previewMode = "hls";
+        }
+
         if (forceText)
             previewMode = "text";
 
+        // Delimited text that cannot be made sense of as a table falls back to the text preview.
+        TablePreview? table = null;
+        if (previewMode == "table")
+        {
+            try
+            {
+                table = TablePreviewReader.Detect(physicalPath, extension);
+            }
+            catch (IOException)
+            {
+            }
+
+            if (table is null)
+                previewMode = "text";
+        }
+
+        // JSON, YAML and XML small enough to parse whole get a tree view; larger files stay paged text.
+        StructuredPreview? structured = null;
+        string? structuredText = null;
+        if (previewMode == "text" && !forceText && offset is null && line is null && tail is null &&
+            fileInfo.Length <= StructuredPreviewReader.MaxBytes &&
+            StructuredPreviewReader.GetFormat(extension) is { } structuredFormat)
+        {
+            try
+            {
+                structuredText = System.IO.File.ReadAllText(physicalPath);
+                structured = StructuredPreviewReader.Read(structuredText, structuredFormat);
+                previewMode = "structured";
+            }
+            catch (IOException)
+            {
+            }
+        }
+
         var shareToken = shareContext?.Token;
         var viewSuffix = string.IsNullOrEmpty(shareToken)
             ? string.Empty
@@ -439,16 +616,58 @@ public sealed class DirectoryFileActionHandlers
 
         string? textContent = null;
         var textTruncated = false;
+        long? textOffset = null;
+        long? textEnd = null;
+        long? textLine = null;
 
-        if (previewMode == "text")
+        if (previewMode is "text" or "markdown" && line is not null && tail is null)
+        {
+            try
+            {
+                var (chunk, resumeOffset, resumeLine) = TextPreviewReader.ReadFromLine(
+                    physicalPath, line.Value, fromLine is null ? 0 : offset!.Value, fromLine ?? 1,
+                    cancellationToken: cancellationToken);
+                // The line lies past what one request scans; the client asks again from where this one stopped.
+                if (chunk is null)
+                {
+                    return new JsonResult(new { lineResume = new { offset = resumeOffset, line = resumeLine }, size = fileInfo.Length });
+                }
+
+                textContent = chunk.Text;
+                textTruncated = chunk.End < fileInfo.Length;
+                textOffset = chunk.Offset;
+                textEnd = chunk.End;
+                textLine = chunk.FirstLine;
+            }
+            catch (OperationCanceledException)
+            {
+                return new EmptyResult();
+            }
+            catch (Exception)
+            {
+                textContent = null;
+                previewMode = "none";
+            }
+        }
+        else if (previewMode == "structured")
+        {
+            textContent = structuredText;
+            textOffset = 0;
+            textEnd = fileInfo.Length;
+            textLine = 1;
+        }
+        else if (previewMode is "text" or "markdown")
         {
             try
             {
-                var bytes = new byte[Math.Min(fileInfo.Length, TextPreviewDefaults.MaxBytes)];
-                using var fs = new FileStream(physicalPath, FileMode.Open, FileAccess.Read, FileShare.Read);
-                var bytesRead = fs.Read(bytes, 0, bytes.Length);
-                textContent = Encoding.UTF8.GetString(bytes, 0, bytesRead);
-                textTruncated = fileInfo.Length > TextPreviewDefaults.MaxBytes;
+                var chunk = tail is not null
+                    ? TextPreviewReader.ReadTail(physicalPath, tail.Value, offset)
+                    : TextPreviewReader.ReadFrom(physicalPath, offset ?? 0);
+                textContent = chunk.Text;
+                textTruncated = chunk.End < fileInfo.Length;
+                textOffset = chunk.Offset;
+                textEnd = chunk.End;
+                textLine = chunk.FirstLine;
             }
             catch (Exception)
             {
@@ -457,8 +676,37 @@ public sealed class DirectoryFileActionHandlers
             }
         }
 
+        // A document that cannot be read has no other preview, so it falls back to the hex dump.
+        OfficePreview? office = null;
+        if (previewMode == "office")
+        {
+            office = OfficePreviewReader.Read(physicalPath, extension);
+            if (office is null)
+                previewMode = "hex";
+        }
+
+        var subtitles = previewMode == "video"
+            ? FindSubtitles(relativePath, physicalPath, viewSuffix)
+            : null;
+        var hlsUrl = previewMode == "hls"
+            ? $"/{encodedPath}?handler=Hls{viewSuffix}"
+            : null;
+        var tableUrl = previewMode == "table"
+            ? $"/{encodedPath}?handler=Table{viewSuffix}"
+            : null;
+        var hexUrl = previewMode == "hex"
+            ? $"/{encodedPath}?handler=Hex{viewSuffix}"
+            : null;
+        var followUrl = previewMode == "text" && _options.EnableFileFollow
+            ? $"/{encodedPath}?handler=Follow{viewSuffix}"
+            : null;
+        var magicBytes = previewMode == "hex"
+            ? FileSignatureDetector.FindMagicBytes(physicalPath).Select(range => new { offset = range.Offset, length = range.Length })
+            : null;
+
         var iconPath = _iconResolver.ResolveIconPath(fileInfo.Name, type);
         var detectedFileType = FileSignatureDetector.Detect(physicalPath);
+        var metadata = MediaMetadataReader.Read(physicalPath, extension);
 
         string? sidecarAlgorithm = null;
         (string ext, string algo)[] sidecarExts =
@@ -509,18 +757,375 @@ public sealed class DirectoryFileActionHandlers
             size = fileInfo.Length,
             humanSize = DirectoryListingService.HumanizeSize(fileInfo.Length),
             modified = fileInfo.LastWriteTime.ToString("yyyy-MM-dd  HH:mm:ss"),
+            metadata,
             previewMode,
             viewUrl,
             downloadUrl,
+            subtitles,
+            hlsUrl,
+            office,
+            table,
+            tableUrl,
+            structured,
+            hexUrl,
+            magicBytes,
             iconPath,
             textContent,
             textTruncated,
+            textOffset,
+            textEnd,
+            textLine,
+            followUrl,
             maxFileSizeForHashing = _options.MaxFileSizeForHashing,
             sidecarAlgorithm,
             sidecarTargetPath
         });
     }
 
+    public IActionResult HandleGetSubtitle(HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext)
+    {
+        var guard = GuardFileAccess(httpContext, requestPath, shareContext, out _, out var physicalPath, out var fileInfo);
+        if (guard is not null) return guard;
+
+        var extension = IconResolver.GetExtension(fileInfo.Name);
+        if (!SubtitleConverter.Extensions.Contains(extension) || fileInfo.Length > SubtitleConverter.MaxFileSize)
+        {
+            return new NotFoundResult();
+        }
+
+        return new ContentResult
+        {
+            Content = SubtitleConverter.ToWebVtt(System.IO.File.ReadAllBytes(physicalPath), extension),
+            ContentType = SubtitleConverter.ContentType
+        };
+    }
+
+    public IActionResult HandleGetPlaylist(HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext)
+    {
+        var guard = GuardFileAccess(httpContext, requestPath, shareContext, out var relativePath, out var physicalPath, out var fileInfo);
+        if (guard is not null) return guard;
+
+        if (!PlaylistParser.Extensions.Contains(IconResolver.GetExtension(fileInfo.Name)) || fileInfo.Length > PlaylistParser.MaxFileSize)
+        {
+            return new NotFoundResult();
+        }
+
+        var shareToken = shareContext?.Token;
+        var viewSuffix = string.IsNullOrEmpty(shareToken)
+            ? string.Empty
+            : $"&{ShareLinkService.TokenQueryParameter}={Uri.EscapeDataString(shareToken)}";
+        var slash = relativePath.LastIndexOf('/');
+        var playlistDirectory = slash < 0 ? string.Empty : relativePath[..slash];
+
+        var tracks = new List<object>();
+        var text = TextPreviewDefaults.DecodeLegacyText(System.IO.File.ReadAllBytes(physicalPath));
+        // HLS segments are pieces of one stream rather than tracks; those playlists open in the video preview.
+        List<PlaylistEntry> entries = HlsPlaylist.IsHls(text) ? [] : PlaylistParser.Parse(text);
+        foreach (var entry in entries)
+        {
+            var trackPath = ResolvePlaylistTrack(playlistDirectory, entry.Location, shareContext);
+            if (trackPath is null)
+                continue;
+
+            tracks.Add(new
+            {
+                name = Path.GetFileName(trackPath),
+                title = entry.Title,
+                duration = entry.DurationSeconds,
+                url = $"/{EncodePathSegments(trackPath)}?handler=View{viewSuffix}"
+            });
+        }
+
+        return new JsonResult(new
+        {
+            name = fileInfo.Name,
+            tracks
+        });
+    }
+
+    public IActionResult HandleGetHls(HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext)
+    {
+        var guard = GuardFileAccess(httpContext, requestPath, shareContext, out var relativePath, out var physicalPath, out var fileInfo);
+        if (guard is not null) return guard;
+
+        if (!PlaylistParser.Extensions.Contains(IconResolver.GetExtension(fileInfo.Name)) || fileInfo.Length > HlsPlaylist.MaxFileSize)
+        {
+            return new NotFoundResult();
+        }
+
+        var text = TextPreviewDefaults.DecodeLegacyText(System.IO.File.ReadAllBytes(physicalPath));
+        if (!HlsPlaylist.IsHls(text))
+        {
+            return new NotFoundResult();
+        }
+
+        var shareToken = shareContext?.Token;
+        var viewSuffix = string.IsNullOrEmpty(shareToken)
+            ? string.Empty
+            : $"&{ShareLinkService.TokenQueryParameter}={Uri.EscapeDataString(shareToken)}";
+        var slash = relativePath.LastIndexOf('/');
+        var playlistDirectory = slash < 0 ? string.Empty : relativePath[..slash];
+
+        // Segments go through View for range support; variant playlists come back through this handler.
+        var content = HlsPlaylist.Rewrite(text, uri =>
+        {
+            var query = uri.IndexOf('?');
+            var location = Uri.UnescapeDataString(query < 0 ? uri : uri[..query]);
+            var targetPath = ResolvePlaylistLocation(playlistDirectory, location, shareContext);
+            if (targetPath is null)
+                return null;
+
+            var handler = PlaylistParser.Extensions.Contains(IconResolver.GetExtension(targetPath)) ? "Hls" : "View";
+            return $"/{EncodePathSegments(targetPath)}?handler={handler}{viewSuffix}";
+        });
+
+        httpContext.Response.Headers[HeaderNames.CacheControl] = "no-cache";
+        return new ContentResult
+        {
+            Content = content,
+            ContentType = HlsPlaylist.ContentType
+        };
+    }
+
+    public async Task<IActionResult> HandleGetHexAsync(
+        HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext,
+        long offset, int? length, string? find, CancellationToken cancellationToken = default)
+    {
+        var guard = GuardFileAccess(httpContext, requestPath, shareContext, out _, out var physicalPath, out var fileInfo);
+        if (guard is not null) return guard;
+
+        if (offset < 0)
+        {
+            return new BadRequestObjectResult("Offset must not be negative.");
+        }
+
+        if (find is not null)
+        {
+            if (!HexPreviewReader.TryParsePattern(find, out var pattern))
+            {
+                return new BadRequestObjectResult($"Search pattern must be 1 to {HexPreviewReader.MaxPatternLength} bytes of hex.");
+            }
+
+            var (match, resumeOffset) = await HexPreviewReader.FindAsync(physicalPath, pattern, offset, cancellationToken);
+            return new JsonResult(new { match, resumeOffset });
+        }
+
+        var data = await HexPreviewReader.ReadPageAsync(physicalPath, offset, length ?? HexPreviewReader.PageSize, cancellationToken);
+        return new JsonResult(new
+        {
+            offset,
+            size = fileInfo.Length,
+            data = Convert.ToBase64String(data)
+        });
+    }
+
+    // Rows of a CSV or TSV file from a byte offset, parsed with the format Detect finds for it. `end` is the
+    // offset of the next chunk, and equals `size` once the last row has been read.
+    public IActionResult HandleGetTable(HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext, long offset)
+    {
+        var guard = GuardFileAccess(httpContext, requestPath, shareContext, out _, out var physicalPath, out var fileInfo);
+        if (guard is not null) return guard;
+
+        if (offset < 0)
+        {
+            return new BadRequestObjectResult("Offset must not be negative.");
+        }
+
+        var table = TablePreviewReader.Detect(physicalPath, IconResolver.GetExtension(fileInfo.Name));
+        if (table is null)
+        {
+            return new BadRequestObjectResult("The file is not delimited text.");
+        }
+
+        var chunk = TablePreviewReader.ReadRows(physicalPath, table, offset);
+        return new JsonResult(new
+        {
+            rows = chunk.Rows,
+            offset = chunk.Offset,
+            end = chunk.End,
+            size = fileInfo.Length
+        });
+    }
+
+    // Server-sent events for following a growing text file, such as a log. The file is polled rather than
+    // watched, since change notifications rarely arrive for network shares. New text goes out as "append"
+    // events whose id is the offset it ends at; a file that shrank, disappeared, or whose first bytes
+    // changed was truncated or rotated, and is followed again from its start after a "reset" event.
+    public async Task<IActionResult> HandleGetFollowAsync(
+        HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext, long? offset, CancellationToken cancellationToken = default)
+    {
+        if (!_options.EnableFileFollow)
+        {
+            return new NotFoundResult();
+        }
+
+        var guard = GuardFileAccess(httpContext, requestPath, shareContext, out _, out var physicalPath, out _);
+        if (guard is not null) return guard;
+
+        var response = httpContext.Response;
+        response.ContentType = "text/event-stream";
+        response.Headers[HeaderNames.CacheControl] = "no-cache";
+        response.Headers["X-Accel-Buffering"] = "no";
+        httpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+        var stopping = httpContext.RequestServices?.GetService<IHostApplicationLifetime>()?.ApplicationStopping ?? CancellationToken.None;
+        using var streamCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken, stopping);
+        var streamToken = streamCts.Token;
+
+        // EventSource replays the last event id when it reconnects. Without an offset the stream opens
+        // with the last lines of the file.
+        if (long.TryParse(httpContext.Request.Headers["Last-Event-ID"].ToString(), NumberStyles.None, CultureInfo.InvariantCulture, out var lastEventOffset))
+        {
+            offset = lastEventOffset;
+        }
+
+        var position = offset ?? -1;
+        var fingerprint = ReadFollowFingerprint(physicalPath);
+        var lastLength = -1L;
+        var missing = false;
+        var lastWriteUtc = DateTime.UtcNow;
+
+        try
+        {
+            await response.WriteAsync("retry: 5000\n\n", streamToken);
+            await response.Body.FlushAsync(streamToken);
+            while (!streamToken.IsCancellationRequested)
+            {
+                var length = GetFollowedLength(physicalPath);
+                if (length < 0)
+                {
+                    if (!missing)
+                    {
+                        missing = true;
+                        await WriteFollowEventAsync(response, "missing", null, new { }, streamToken);
+                        lastWriteUtc = DateTime.UtcNow;
+                    }
+                }
+                else
+                {
+                    string? reason = null;
+                    if (missing)
+                        reason = "rotated";
+                    else if (position > length)
+                        reason = "truncated";
+                    else if (length != lastLength && !FollowFingerprintMatches(physicalPath, ref fingerprint))
+                        reason = "rotated";
+
+                    if (reason is not null)
+                    {
+                        missing = false;
+                        position = 0;
+                        fingerprint = ReadFollowFingerprint(physicalPath);
+                        await WriteFollowEventAsync(response, "reset", null, new { reason }, streamToken);
+                        lastWriteUtc = DateTime.UtcNow;
+                    }
+
+                    lastLength = length;
+                    if (position < 0 || length > position)
+                    {
+                        // A reader that fell further behind than one chunk skips ahead to the last lines.
+                        var chunk = ReadFollowChunk(physicalPath, position, length);
+                        if (chunk is not null && chunk.End > position)
+                        {
+                            var skipped = position < 0 ? 0 : chunk.Offset - position;
+                            position = chunk.End;
+                            await WriteFollowEventAsync(
+                                response,
+                                "append",
+                                position,
+                                new { text = chunk.Text, offset = chunk.Offset, end = chunk.End, size = length, skipped },
+                                streamToken);
+                            lastWriteUtc = DateTime.UtcNow;
+                        }
+                    }
+                }
+
+                if (DateTime.UtcNow - lastWriteUtc >= FollowHeartbeat)
+                {
+                    await response.WriteAsync(": keep-alive\n\n", streamToken);
+                    await response.Body.FlushAsync(streamToken);
+                    lastWriteUtc = DateTime.UtcNow;
+                }
+
+                await Task.Delay(FollowPollInterval, streamToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+        }
+        catch (IOException)
+        {
+            // The client went away mid-write.
+        }
+
+        return new EmptyResult();
+    }
+
+    // A file that can no longer be opened, such as one whose permissions changed, counts as missing.
+    private static long GetFollowedLength(string physicalPath)
+    {
+        try
+        {
+            using var stream = new FileStream(physicalPath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete);
+            return stream.Length;
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            return -1;
+        }
+    }
+
+    // Null when the file stopped being readable since the length check; the next poll reports it missing.
+    private static TextPreviewChunk? ReadFollowChunk(string physicalPath, long position, long length)
+    {
+        try
+        {
+            return position < 0 || length - position > TextPreviewDefaults.MaxBytes
+                ? TextPreviewReader.ReadTail(physicalPath, TextPreviewReader.MaxTailLines, length)
+                : TextPreviewReader.ReadAppended(physicalPath, position, length);
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            return null;
+        }
+    }
+
+    // The first bytes of the file tell a rotated log, which starts over with different content, from one
+    // that only grew. A fingerprint taken while the file was shorter is extended once the prefix matches.
+    private static byte[] ReadFollowFingerprint(string physicalPath)
+    {
+        try
+        {
+            using var stream = new FileStream(physicalPath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete);
+            var buffer = new byte[FollowFingerprintSize];
+            var read = stream.ReadAtLeast(buffer, buffer.Length, throwOnEndOfStream: false);
+            return buffer[..read];
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            return [];
+        }
+    }
+
+    private static bool FollowFingerprintMatches(string physicalPath, ref byte[] fingerprint)
+    {
+        var current = ReadFollowFingerprint(physicalPath);
+        if (current.Length < fingerprint.Length || !current.AsSpan(0, fingerprint.Length).SequenceEqual(fingerprint))
+            return false;
+
+        fingerprint = current;
+        return true;
+    }
+
+    private static async Task WriteFollowEventAsync(
+        HttpResponse response, string eventName, long? id, object data, CancellationToken cancellationToken)
+    {
+        var idLine = id is null ? string.Empty : $"id: {id.Value.ToString(CultureInfo.InvariantCulture)}\n";
+        var payload = JsonSerializer.Serialize(data, FollowEventJsonOptions);
+        await response.WriteAsync($"{idLine}event: {eventName}\ndata: {payload}\n\n", cancellationToken);
+        await response.Body.FlushAsync(cancellationToken);
+    }
+
     public async Task<IActionResult> HandleGetFileHashesAsync(HttpContext httpContext, string? requestPath, ShareAccessContext? shareContext, CancellationToken cancellationToken = default)
     {
         var guard = GuardFileAccess(httpContext, requestPath, shareContext, out _, out var physicalPath, out var fileInfo);
@@ -733,6 +1338,7 @@ public sealed class DirectoryFileActionHandlers
         string? targetType,
         string? ttl,
         string? oneTime,
+        IReadOnlyList<string>? selectionPaths,
         ShareAccessContext? shareContext,
         string shareWarning)
     {
@@ -758,6 +1364,7 @@ public sealed class DirectoryFileActionHandlers
         {
             "file" => ShareMode.File,
             "folder" => ShareMode.Directory,
+            "selection" => ShareMode.Selection,
             _ => (ShareMode?)null
         };
 
@@ -766,6 +1373,11 @@ public sealed class DirectoryFileActionHandlers
             return new BadRequestObjectResult(new { error = "Invalid targetType." });
         }
 
+        if (mode == ShareMode.Selection && !_options.AllowFolderDownload)
+        {
+            return new BadRequestObjectResult(new { error = "Selection links require folder downloads to be enabled." });
+        }
+
         if (!TryResolveTtl(ttl.Trim(), out var duration))
         {
             return new BadRequestObjectResult(new { error = "Invalid ttl." });
@@ -788,7 +1400,7 @@ public sealed class DirectoryFileActionHandlers
             return new NotFoundResult();
         }
 
-        var isDirectory = mode == ShareMode.Directory;
+        var isDirectory = mode != ShareMode.File;
         if (_directoryListingService.IsPathHiddenByPolicy(relativePath, isDirectory))
         {
             return new NotFoundResult();
@@ -809,13 +1421,36 @@ public sealed class DirectoryFileActionHandlers
             }
         }
 
+        List<string>? tokenSelectionPaths = null;
+        if (mode == ShareMode.Selection)
+        {
+            var selection = selectionPaths is { Count: <= MaxSelectionShareEntries }
+                ? ResolveSelection(relativePath, selectionPaths, shareContext)
+                : null;
+            if (selection is null)
+            {
+                return new BadRequestObjectResult(new { error = $"Select between 1 and {MaxSelectionShareEntries} visible entries." });
+            }
+
+            // Stored relative to the shared folder to keep the token short.
+            tokenSelectionPaths = selection
+                .Select(entry => string.IsNullOrEmpty(relativePath)
+                    ? entry.RelativePath
+                    : entry.RelativePath[(relativePath.Length + 1)..])
+                .ToList();
+        }
+
         var expiresAt = DateTimeOffset.UtcNow.Add(duration);
-        var token = _shareLinkService.CreateToken(mode.Value, relativePath, expiresAt.ToUnixTimeSeconds(), isOneTime);
+        var token = _shareLinkService.CreateToken(mode.Value, relativePath, expiresAt.ToUnixTimeSeconds(), isOneTime, tokenSelectionPaths);
 
-        var sharePath = mode == ShareMode.Directory
-            ? DirectoryListingService.BuildRequestPath(relativePath)
-            : "/" + EncodePathSegments(relativePath);
-        var shareUrl = $"{sharePath}?{ShareLinkService.TokenQueryParameter}={Uri.EscapeDataString(token)}";
+        var sharePath = mode switch
+        {
+            ShareMode.Directory => DirectoryListingService.BuildRequestPath(relativePath),
+            ShareMode.Selection => DirectoryListingService.BuildRequestPath(relativePath) + "?handler=DownloadSelection",
+            _ => "/" + EncodePathSegments(relativePath)
+        };
+        var tokenSeparator = sharePath.Contains('?') ? '&' : '?';
+        var shareUrl = $"{sharePath}{tokenSeparator}{ShareLinkService.TokenQueryParameter}={Uri.EscapeDataString(token)}";
         _dashboardMetrics.RecordShareLinkCreated();
 
         return new JsonResult(new
@@ -864,6 +1499,234 @@ public sealed class DirectoryFileActionHandlers
         return null;
     }
 
+    /// <summary>
+    /// Lists subtitle files next to a video that share its base name, e.g. <c>movie.srt</c> or <c>movie.en.vtt</c>
+    /// for <c>movie.mp4</c>. The part between the base name and the extension becomes the track label.
+    /// </summary>
+    private List<object> FindSubtitles(string relativePath, string physicalPath, string viewSuffix)
+    {
+        var subtitles = new List<object>();
+        var directory = Path.GetDirectoryName(physicalPath);
+        if (directory is null)
+            return subtitles;
+
+        var baseName = Path.GetFileNameWithoutExtension(physicalPath);
+        var slash = relativePath.LastIndexOf('/');
+        var relativeDirectory = slash < 0 ? string.Empty : relativePath[..(slash + 1)];
+
+        List<string> candidates;
+        try
+        {
+            candidates = Directory.EnumerateFiles(directory, baseName + ".*")
+                .OrderBy(path => path, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            return subtitles;
+        }
+
+        foreach (var candidate in candidates)
+        {
+            var name = Path.GetFileName(candidate);
+            var extension = IconResolver.GetExtension(name);
+            if (!SubtitleConverter.Extensions.Contains(extension) ||
+                !name.StartsWith(baseName + ".", PathComparison))
+            {
+                continue;
+            }
+
+            var candidateRelativePath = relativeDirectory + name;
+            if (_directoryListingService.IsPathHiddenByPolicy(candidateRelativePath, isDirectory: false) ||
+                !_guards.IsFileDownloadAllowed(candidateRelativePath))
+            {
+                continue;
+            }
+
+            var label = Path.GetFileNameWithoutExtension(name)[baseName.Length..].TrimStart('.');
+            subtitles.Add(new
+            {
+                label = label.Length == 0 ? extension.ToUpperInvariant() : label,
+                language = IsLanguageTag(label) ? label : null,
+                url = $"/{EncodePathSegments(candidateRelativePath)}?handler=Subtitle{viewSuffix}"
+            });
+        }
+
+        return subtitles;
+    }
+
+    /// <summary>
+    /// Resolves a playlist location relative to the playlist's folder. Returns null for URLs, absolute paths,
+    /// locations above the root, and anything that is not a visible, downloadable audio file in scope.
+    /// </summary>
+    private string? ResolvePlaylistTrack(string playlistDirectory, string location, ShareAccessContext? shareContext)
+    {
+        var trackPath = ResolvePlaylistLocation(playlistDirectory, location, shareContext);
+        return trackPath is not null && PreviewAudioExtensions.Contains(IconResolver.GetExtension(trackPath))
+            ? trackPath
+            : null;
+    }
+
+    private string? ResolvePlaylistLocation(string playlistDirectory, string location, ShareAccessContext? shareContext)
+    {
+        location = location.Replace('\\', '/');
+        if (location.StartsWith('/') || location.Contains("://", StringComparison.Ordinal) ||
+            location.Length > 1 && location[1] == ':')
+        {
+            return null;
+        }
+
+        var segments = playlistDirectory.Split('/', StringSplitOptions.RemoveEmptyEntries).ToList();
+        foreach (var segment in location.Split('/', StringSplitOptions.RemoveEmptyEntries))
+        {
+            if (segment == ".")
+                continue;
+
+            if (segment == "..")
+            {
+                if (segments.Count == 0)
+                    return null;
+                segments.RemoveAt(segments.Count - 1);
+                continue;
+            }
+
+            segments.Add(segment);
+        }
+
+        var relativePath = string.Join('/', segments);
+        var physicalPath = _directoryListingService.ResolvePhysicalPath(relativePath);
+        if (physicalPath is null ||
+            _guards.IsDirectoryShareScopeViolation(shareContext, physicalPath) ||
+            _directoryListingService.IsPathHiddenByPolicy(relativePath, isDirectory: false) ||
+            !_guards.IsFileDownloadAllowed(relativePath) ||
+            !System.IO.File.Exists(physicalPath))
+        {
+            return null;
+        }
+
+        return relativePath;
+    }
+
+    private static bool IsHlsPlaylistFile(string physicalPath)
+    {
+        try
+        {
+            var head = new byte[16 * 1024];
+            using var fs = new FileStream(physicalPath, FileMode.Open, FileAccess.Read, FileShare.Read);
+            var bytesRead = fs.ReadAtLeast(head, head.Length, throwOnEndOfStream: false);
+            return HlsPlaylist.IsHls(TextPreviewDefaults.DecodeLegacyText(head[..bytesRead]));
+        }
+        catch (IOException)
+        {
+            return false;
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return false;
+        }
+    }
+
+    private static bool IsLanguageTag(string value)
+    {
+        var parts = value.Split('-');
+        return parts.Length <= 2 &&
+               parts[0].Length is 2 or 3 && parts[0].All(char.IsAsciiLetterLower) &&
+               (parts.Length == 1 || parts[1].Length is >= 2 and <= 8 && parts[1].All(char.IsAsciiLetterOrDigit));
+    }
+
+    private static string GetZipFolderName(string physicalPath)
+    {
+        var folderName = Path.GetFileName(physicalPath.TrimEnd(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar));
+        return string.IsNullOrEmpty(folderName) ? "download" : folderName;
+    }
+
+    private static string CombineRelativePath(string basePath, string path)
+    {
+        var normalizedBase = DirectoryListingService.NormalizeRelativePath(basePath);
+        var normalizedPath = DirectoryListingService.NormalizeRelativePath(path);
+        return string.IsNullOrEmpty(normalizedBase) ? normalizedPath : normalizedBase + "/" + normalizedPath;
+    }
+
+    /// <summary>
+    /// Resolves root-relative selection paths that must sit below <paramref name="folderRelativePath"/>,
+    /// also once symlinks are resolved. Returns null when the list is empty, too long, or names anything
+    /// missing, hidden, or out of scope.
+    /// Entries nested inside another selected folder are dropped so they are not archived twice.
+    /// </summary>
+    private List<SelectedEntry>? ResolveSelection(
+        string folderRelativePath,
+        IReadOnlyList<string> paths,
+        ShareAccessContext? shareContext)
+    {
+        if (paths.Count == 0 || paths.Count > MaxSelectionEntries)
+        {
+            return null;
+        }
+
+        var selection = new List<SelectedEntry>();
+        foreach (var path in paths)
+        {
+            var relativePath = DirectoryListingService.NormalizeRelativePath(path);
+            if (string.IsNullOrEmpty(relativePath) ||
+                relativePath.Split('/').Any(static segment => segment is "." or "..") ||
+                relativePath.Equals(folderRelativePath, PathComparison) ||
+                !_shareLinkService.IsPathWithinScope(relativePath, folderRelativePath))
+            {
+                return null;
+            }
+
+            var physicalPath = _directoryListingService.ResolvePhysicalPath(relativePath);
+            if (physicalPath is null ||
+                !_directoryListingService.IsCanonicallyWithinScope(physicalPath, folderRelativePath) ||
+                _guards.IsDirectoryShareScopeViolation(shareContext, physicalPath))
+            {
+                return null;
+            }
+
+            var isDirectory = Directory.Exists(physicalPath);
+            if ((!isDirectory && !File.Exists(physicalPath)) ||
+                _directoryListingService.IsPathHiddenByPolicy(relativePath, isDirectory))
+            {
+                return null;
+            }
+
+            selection.Add(new SelectedEntry(relativePath, physicalPath, isDirectory));
+        }
+
+        return selection
+            .Where(entry => !selection.Any(other =>
+                other.IsDirectory &&
+                !ReferenceEquals(other, entry) &&
+                entry.RelativePath.StartsWith(other.RelativePath + "/", PathComparison)))
+            .DistinctBy(entry => entry.RelativePath, PathComparison == StringComparison.Ordinal
+                ? StringComparer.Ordinal
+                : StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    private IEnumerable<string> EnumerateSelectionFilePaths(IEnumerable<SelectedEntry> selection, Stopwatch? opTimer, int opBudgetMs)
+    {
+        foreach (var entry in selection)
+        {
+            if (!entry.IsDirectory)
+            {
+                yield return entry.PhysicalPath;
+                continue;
+            }
+
+            // A symlink inside a selected folder must not reach files that were not selected.
+            foreach (var filePath in _directoryListingService.EnumerateFilePathsRecursive(entry.PhysicalPath, opTimer, opBudgetMs))
+            {
+                if (_directoryListingService.IsCanonicallyWithinScope(filePath, entry.RelativePath))
+                {
+                    yield return filePath;
+                }
+            }
+        }
+    }
+
+    private sealed record SelectedEntry(string RelativePath, string PhysicalPath, bool IsDirectory);
+
     private static IEnumerable<string> GetFilteredFilePaths(string basePhysicalPath, IEnumerable<DirectoryEntry> entries)
     {
         foreach (var entry in entries)
@@ -932,11 +1795,39 @@ public sealed class DirectoryFileActionHandlers
             .Select(Uri.EscapeDataString));
     }
 
+    // MaxPreviewFileSize does not apply to previews that read the file a chunk at a time: text, tables and
+    // the hex dump for files without another preview. Larger images, media, PDFs and documents get none.
     private static string ResolvePreviewMode(string type, string extension, string mimeType, long fileSize, long maxPreviewSize)
     {
-        if (maxPreviewSize > 0 && fileSize > maxPreviewSize)
+        var previewMode = ResolvePreviewModeForType(type, extension, mimeType);
+        if (maxPreviewSize <= 0 || fileSize <= maxPreviewSize)
+        {
+            return previewMode;
+        }
+
+        return previewMode switch
+        {
+            "text" or "markdown" => "text",
+            "table" or "hex" => previewMode,
+            _ => "none"
+        };
+    }
+
+    private static string ResolvePreviewModeForType(string type, string extension, string mimeType)
+    {
+        if (PreviewMarkdownExtensions.Contains(extension))
+        {
+            return "markdown";
+        }
+
+        if (OfficePreviewReader.IsSupported(extension))
+        {
+            return "office";
+        }
+
+        if (TablePreviewReader.Extensions.Contains(extension))
         {
-            return "none";
+            return "table";
         }
 
         if (PreviewTextTypes.Contains(type))
@@ -969,7 +1860,7 @@ public sealed class DirectoryFileActionHandlers
             return "pdf";
         }
 
-        return TextPreviewDefaults.IsTextLikeMimeType(mimeType) ? "text" : "none";
+        return TextPreviewDefaults.IsTextLikeMimeType(mimeType) ? "text" : "hex";
     }
 
     private static string BuildArchiveBrowseHtml(
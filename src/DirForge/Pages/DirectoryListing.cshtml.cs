@@ -17,6 +17,9 @@ public sealed class DirectoryListingModel : PageModel
     public static bool IsImageExtension(string? extension) =>
         !string.IsNullOrEmpty(extension) && DirectoryFileActionHandlers.ImageExtensions.Contains(extension);
 
+    public static bool IsAudioExtension(string? extension) =>
+        !string.IsNullOrEmpty(extension) && DirectoryFileActionHandlers.PreviewAudioExtensions.Contains(extension);
+
     public bool IsSupportedArchive(string fileName) => _archiveBrowseService.IsSupportedArchiveName(fileName);
     private readonly DirForgeOptions _options;
     private readonly DirectoryRequestGuards _guards;
@@ -28,6 +31,8 @@ public sealed class DirectoryListingModel : PageModel
         DirectoryListingService directoryListingService,
         ShareLinkService shareLinkService,
         ArchiveBrowseService archiveBrowseService,
+        DirectoryWatchService directoryWatchService,
+        ThumbnailService thumbnailService,
         IconResolver iconResolver,
         DirForgeOptions options,
         DashboardMetricsService dashboardMetrics,
@@ -36,8 +41,8 @@ public sealed class DirectoryListingModel : PageModel
         _options = options;
         _archiveBrowseService = archiveBrowseService;
         _guards = new DirectoryRequestGuards(directoryListingService, _options, logger);
-        _actions = new DirectoryActionHandlers(directoryListingService, _options, dashboardMetrics, _guards);
-        _fileActions = new DirectoryFileActionHandlers(directoryListingService, shareLinkService, archiveBrowseService, iconResolver, _options, dashboardMetrics, logger, _guards);
+        _actions = new DirectoryActionHandlers(directoryListingService, archiveBrowseService, directoryWatchService, _options, dashboardMetrics, _guards);
+        _fileActions = new DirectoryFileActionHandlers(directoryListingService, shareLinkService, archiveBrowseService, thumbnailService, iconResolver, _options, dashboardMetrics, logger, _guards);
     }
 
     public string PageTitle { get; private set; } = string.Empty;
@@ -45,6 +50,12 @@ public sealed class DirectoryListingModel : PageModel
     public string CurrentRequestPath { get; private set; } = "/";
     public string OrderSuffix { get; private set; } = string.Empty;
     public IEnumerable<DirectoryEntry> Entries { get; private set; } = [];
+    public IReadOnlyList<ListingEntryView> EntryViews { get; private set; } = [];
+    public ListingSummary Summary { get; private set; } = DirectoryListingService.BuildListingSummary([]);
+    public bool ListingPaged { get; private set; }
+    public int ListingTotalCount { get; private set; }
+    public string ListingVersion { get; private set; } = string.Empty;
+    public bool LiveRefreshEnabled { get; private set; }
     public string DefaultTheme { get; private set; } = "dark";
     public bool CalculateDirectorySizes { get; private set; }
     public bool AllowFileDownload { get; private set; }
@@ -70,6 +81,8 @@ public sealed class DirectoryListingModel : PageModel
     public string ShareHiddenInputToken { get; private set; } = string.Empty;
     public string ShareQuerySuffix { get; private set; } = string.Empty;
     public string ShareActionSuffix { get; private set; } = string.Empty;
+    public string ReadmeRelativePath { get; private set; } = string.Empty;
+    public string ReadmeDisplay { get; private set; } = "below";
     public bool DosMode { get; private set; }
     public string ShareWarning => _options.ShareSecretWarning
         ?? "Changing ShareSecret invalidates all existing share links.";
@@ -93,6 +106,12 @@ public sealed class DirectoryListingModel : PageModel
         CurrentRequestPath = state.CurrentRequestPath;
         OrderSuffix = state.OrderSuffix;
         Entries = state.Entries;
+        EntryViews = state.EntryViews;
+        Summary = state.Summary;
+        ListingPaged = state.ListingPaged;
+        ListingTotalCount = state.ListingTotalCount;
+        ListingVersion = state.ListingVersion;
+        LiveRefreshEnabled = state.LiveRefreshEnabled;
         DefaultTheme = state.DefaultTheme;
         CalculateDirectorySizes = state.CalculateDirectorySizes;
         AllowFileDownload = state.AllowFileDownload;
@@ -118,6 +137,8 @@ public sealed class DirectoryListingModel : PageModel
         ShareHiddenInputToken = state.ShareHiddenInputToken;
         ShareQuerySuffix = state.ShareQuerySuffix;
         ShareActionSuffix = state.ShareActionSuffix;
+        ReadmeRelativePath = state.ReadmeRelativePath;
+        ReadmeDisplay = state.ReadmeDisplay;
         DosMode = state.DosMode;
     }
 
@@ -126,11 +147,30 @@ public sealed class DirectoryListingModel : PageModel
         return _fileActions.HandleGetDirectorySizes(HttpContext, requestPath, _guards.GetShareContext(HttpContext));
     }
 
+    public IActionResult OnGetListingPage(string? requestPath)
+    {
+        return _actions.HandleGetListingPage(HttpContext, requestPath, _guards.GetShareContext(HttpContext));
+    }
+
+    public async Task<IActionResult> OnGetListingEvents(string? requestPath, CancellationToken cancellationToken)
+    {
+        return await _actions.HandleGetListingEventsAsync(
+            HttpContext,
+            requestPath,
+            _guards.GetShareContext(HttpContext),
+            cancellationToken);
+    }
+
     public IActionResult OnGetView(string? requestPath)
     {
         return _fileActions.HandleGetView(HttpContext, requestPath, _guards.GetShareContext(HttpContext));
     }
 
+    public async Task<IActionResult> OnGetThumbnail(string? requestPath, CancellationToken cancellationToken)
+    {
+        return await _fileActions.HandleGetThumbnailAsync(HttpContext, requestPath, _guards.GetShareContext(HttpContext), cancellationToken);
+    }
+
     public IActionResult OnGetArchive(string? requestPath, string? ap)
     {
         var relativePath = DirectoryListingService.NormalizeRelativePath(requestPath);
@@ -172,9 +212,82 @@ public sealed class DirectoryListingModel : PageModel
             cancellationToken);
     }
 
-    public IActionResult OnGetPreviewInfo(string? requestPath, bool forceText = false)
+    public async Task<IActionResult> OnGetDownloadSelection(string? requestPath, CancellationToken cancellationToken)
+    {
+        return await _fileActions.HandleDownloadSelectionZipAsync(
+            HttpContext,
+            requestPath,
+            paths: null,
+            _guards.GetShareContext(HttpContext),
+            cancellationToken);
+    }
+
+    public async Task<IActionResult> OnPostDownloadSelection(string? requestPath, string[]? paths, CancellationToken cancellationToken)
+    {
+        return await _fileActions.HandleDownloadSelectionZipAsync(
+            HttpContext,
+            requestPath,
+            paths,
+            _guards.GetShareContext(HttpContext),
+            cancellationToken);
+    }
+
+    public IActionResult OnGetPreviewInfo(
+        string? requestPath, CancellationToken cancellationToken, bool forceText = false, long? offset = null, long? line = null,
+        int? tail = null, long? fromLine = null)
+    {
+        return _fileActions.HandleGetPreviewInfo(
+            HttpContext,
+            requestPath,
+            _guards.GetShareContext(HttpContext),
+            forceText,
+            offset,
+            line,
+            tail,
+            fromLine,
+            cancellationToken);
+    }
+
+    public IActionResult OnGetSubtitle(string? requestPath)
+    {
+        return _fileActions.HandleGetSubtitle(HttpContext, requestPath, _guards.GetShareContext(HttpContext));
+    }
+
+    public IActionResult OnGetPlaylist(string? requestPath)
+    {
+        return _fileActions.HandleGetPlaylist(HttpContext, requestPath, _guards.GetShareContext(HttpContext));
+    }
+
+    public IActionResult OnGetHls(string? requestPath)
+    {
+        return _fileActions.HandleGetHls(HttpContext, requestPath, _guards.GetShareContext(HttpContext));
+    }
+
+    public async Task<IActionResult> OnGetHex(string? requestPath, long offset, int? length, string? find, CancellationToken cancellationToken)
     {
-        return _fileActions.HandleGetPreviewInfo(HttpContext, requestPath, _guards.GetShareContext(HttpContext), forceText);
+        return await _fileActions.HandleGetHexAsync(
+            HttpContext,
+            requestPath,
+            _guards.GetShareContext(HttpContext),
+            offset,
+            length,
+            find,
+            cancellationToken);
+    }
+
+    public IActionResult OnGetTable(string? requestPath, long offset)
+    {
+        return _fileActions.HandleGetTable(HttpContext, requestPath, _guards.GetShareContext(HttpContext), offset);
+    }
+
+    public async Task<IActionResult> OnGetFollow(string? requestPath, long? offset, CancellationToken cancellationToken)
+    {
+        return await _fileActions.HandleGetFollowAsync(
+            HttpContext,
+            requestPath,
+            _guards.GetShareContext(HttpContext),
+            offset,
+            cancellationToken);
     }
 
     public async Task<IActionResult> OnGetFileHashes(string? requestPath, CancellationToken cancellationToken)
@@ -193,7 +306,7 @@ public sealed class DirectoryListingModel : PageModel
         return StatusCode(StatusCodes.Status405MethodNotAllowed);
     }
 
-    public IActionResult OnPostShareLink(string? targetPath, string? targetType, string? ttl, string? oneTime)
+    public IActionResult OnPostShareLink(string? targetPath, string? targetType, string? ttl, string? oneTime, string[]? paths)
     {
         return _fileActions.HandlePostShareLink(
             HttpContext,
@@ -201,6 +314,7 @@ public sealed class DirectoryListingModel : PageModel
             targetType,
             ttl,
             oneTime,
+            paths,
             _guards.GetShareContext(HttpContext),
             ShareWarning);
     }
@@ -48,9 +48,10 @@ public sealed class DirectoryRequestGuards
         return false;
     }
 
+    // Selection shares are scoped to the folder they were created in, like directory shares.
     public bool IsDirectoryShareScopeViolation(ShareAccessContext? shareContext, string physicalPath)
     {
-        return shareContext?.Mode == ShareMode.Directory &&
+        return shareContext?.Mode is ShareMode.Directory or ShareMode.Selection &&
                !_directoryListingService.IsCanonicallyWithinScope(physicalPath, shareContext.ScopePath);
     }
 
@@ -0,0 +1,90 @@
+using DirForge.Models;
+using DirForge.Services;
+
+namespace DirForge.Pages;
+
+// Per-entry links and flags shared by the rendered listing and the paged JSON handler.
+public sealed class ListingEntryView
+{
+    private const long MaxThumbnailSize = 5 * 1024 * 1024;
+
+    public required DirectoryEntry Entry { get; init; }
+    public required string RootRelativePath { get; init; }
+    public required string EncodedUrlPath { get; init; }
+    public required string EncodedRootPath { get; init; }
+    public required bool IsInlineArchive { get; init; }
+    public required bool IsImage { get; init; }
+    public required string OpenHref { get; init; }
+    public required string DownloadHref { get; init; }
+    public required string ViewHref { get; init; }
+    public required string ImageHref { get; init; }
+    // Server-rendered thumbnail, or null when thumbnails are off or the format is not one we decode.
+    public string? ThumbnailHref { get; init; }
+    // Set for entries the audio player can queue: audio files, and M3U playlists it expands through the Playlist handler.
+    public string? AudioHref { get; init; }
+    public string? PlaylistHref { get; init; }
+
+    public bool SizeKnown => !Entry.IsDirectory || Entry.HumanSize != "-";
+    public bool ShowThumbnail => IsImage && (ThumbnailHref is not null || Entry.Size <= MaxThumbnailSize);
+    public string CardImageHref => ThumbnailHref ?? ImageHref;
+    public bool IsModifiedToday => Entry.Modified.Date == DateTime.Today;
+    public long ModifiedUnixMs => new DateTimeOffset(Entry.Modified).ToUnixTimeMilliseconds();
+
+    public static ListingEntryView Create(
+        DirectoryEntry entry,
+        string currentRelativePath,
+        string currentRequestPath,
+        string orderSuffix,
+        string shareQuerySuffix,
+        string shareActionSuffix,
+        bool isInlineArchive,
+        bool thumbnailsEnabled)
+    {
+        var rootRelativePath = string.IsNullOrEmpty(currentRelativePath)
+            ? entry.RelativePath
+            : currentRelativePath.Trim('/') + "/" + entry.RelativePath.Trim('/');
+        rootRelativePath = rootRelativePath.Replace('\\', '/').Trim('/');
+        var encodedUrlPath = DirectoryFileActionHandlers.EncodePathSegments(entry.RelativePath);
+        var encodedRootPath = DirectoryFileActionHandlers.EncodePathSegments(rootRelativePath);
+        var viewHref = $"{currentRequestPath}{encodedUrlPath}?handler=View{shareActionSuffix}";
+
+        string openHref;
+        if (entry.IsDirectory)
+        {
+            openHref = $"{currentRequestPath}{encodedUrlPath}{orderSuffix}";
+        }
+        else if (isInlineArchive)
+        {
+            openHref = $"/archive/{encodedRootPath}{shareQuerySuffix}";
+        }
+        else
+        {
+            openHref = viewHref;
+        }
+
+        var isImage = !entry.IsDirectory && DirectoryListingModel.IsImageExtension(entry.Extension);
+        var thumbnailHref = thumbnailsEnabled && isImage && ThumbnailService.IsSupportedExtension(entry.Extension)
+            ? $"/{encodedRootPath}?handler=Thumbnail&v={entry.Modified.Ticks:x}{shareActionSuffix}"
+            : null;
+
+        var isAudio = !entry.IsDirectory && DirectoryListingModel.IsAudioExtension(entry.Extension);
+        var isPlaylist = !entry.IsDirectory && PlaylistParser.Extensions.Contains(entry.Extension);
+
+        return new ListingEntryView
+        {
+            Entry = entry,
+            RootRelativePath = rootRelativePath,
+            EncodedUrlPath = encodedUrlPath,
+            EncodedRootPath = encodedRootPath,
+            IsInlineArchive = isInlineArchive,
+            IsImage = isImage,
+            OpenHref = openHref,
+            DownloadHref = $"{currentRequestPath}{encodedUrlPath}{orderSuffix}",
+            ViewHref = viewHref,
+            ImageHref = $"/{encodedRootPath}?handler=View{shareActionSuffix}",
+            ThumbnailHref = thumbnailHref,
+            AudioHref = isAudio ? $"/{encodedRootPath}?handler=View{shareActionSuffix}" : null,
+            PlaylistHref = isPlaylist ? $"/{encodedRootPath}?handler=Playlist{shareActionSuffix}" : null
+        };
+    }
+}
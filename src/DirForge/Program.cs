@@ -124,6 +124,8 @@ builder.Services.AddSingleton<DashboardMetricsService>();
 builder.Services.AddSingleton<IconResolver>();
 builder.Services.AddSingleton<DirectoryListingService>();
 builder.Services.AddSingleton<ArchiveBrowseService>();
+builder.Services.AddSingleton<DirectoryWatchService>();
+builder.Services.AddSingleton<ThumbnailService>();
 builder.Services.AddSingleton<ShareLinkService>();
 builder.Services.AddSingleton<OneTimeShareStore>();
 builder.Services.AddRazorPages(options =>
@@ -94,18 +94,36 @@ public sealed class ArchiveBrowseService
             return [];
         }
 
+        return await ReadEntryAsync(
+            archiveFilePath,
+            entryPath,
+            entryStream => ReadStreamHeadBytesAsync(entryStream, maxBytes, cancellationToken),
+            cancellationToken);
+    }
+
+    /// <summary>
+    /// Opens an entry and hands its decompressed content to <paramref name="read"/>. The stream only reads
+    /// forward, so reaching a point in the entry means decompressing everything before it.
+    /// </summary>
+    public async Task<T> ReadEntryAsync<T>(
+        string archiveFilePath,
+        string entryPath,
+        Func<Stream, Task<T>> read,
+        CancellationToken cancellationToken)
+    {
         if (!TryNormalizeVirtualPath(entryPath, out var normalizedPath) || string.IsNullOrEmpty(normalizedPath))
         {
             throw new FileNotFoundException("Archive entry path is invalid.");
         }
 
+        cancellationToken.ThrowIfCancellationRequested();
         var kind = ResolveArchiveKind(Path.GetFileName(archiveFilePath));
         return kind switch
         {
-            ArchiveKind.Zip => await ReadZipEntryHeadBytesAsync(archiveFilePath, normalizedPath, maxBytes, cancellationToken),
-            ArchiveKind.Tar => await ReadTarEntryHeadBytesAsync(archiveFilePath, normalizedPath, compressed: false, maxBytes, cancellationToken),
-            ArchiveKind.TarGz => await ReadTarEntryHeadBytesAsync(archiveFilePath, normalizedPath, compressed: true, maxBytes, cancellationToken),
-            ArchiveKind.GZip => await ReadGzipEntryHeadBytesAsync(archiveFilePath, normalizedPath, maxBytes, cancellationToken),
+            ArchiveKind.Zip => await ReadZipEntryAsync(archiveFilePath, normalizedPath, read),
+            ArchiveKind.Tar => await ReadTarEntryAsync(archiveFilePath, normalizedPath, compressed: false, read),
+            ArchiveKind.TarGz => await ReadTarEntryAsync(archiveFilePath, normalizedPath, compressed: true, read),
+            ArchiveKind.GZip => await ReadGzipEntryAsync(archiveFilePath, normalizedPath, read),
             _ => throw new NotSupportedException("Archive type is not supported.")
         };
     }
@@ -458,26 +476,21 @@ public sealed class ArchiveBrowseService
         return await CopyToAsync(gzip, destination, cancellationToken);
     }
 
-    private static async Task<byte[]> ReadZipEntryHeadBytesAsync(
-        string archiveFilePath,
-        string entryPath,
-        int maxBytes,
-        CancellationToken cancellationToken)
+    private static async Task<T> ReadZipEntryAsync<T>(string archiveFilePath, string entryPath, Func<Stream, Task<T>> read)
     {
         using var fs = new FileStream(archiveFilePath, FileMode.Open, FileAccess.Read, FileShare.Read);
         using var archive = new ZipArchive(fs, ZipArchiveMode.Read, leaveOpen: false);
         var zipEntry = FindZipEntry(archive, entryPath)
             ?? throw new FileNotFoundException("Archive entry not found.", entryPath);
         await using var entryStream = zipEntry.Open();
-        return await ReadStreamHeadBytesAsync(entryStream, maxBytes, cancellationToken);
+        return await read(entryStream);
     }
 
-    private static async Task<byte[]> ReadTarEntryHeadBytesAsync(
+    private static async Task<T> ReadTarEntryAsync<T>(
         string archiveFilePath,
         string entryPath,
         bool compressed,
-        int maxBytes,
-        CancellationToken cancellationToken)
+        Func<Stream, Task<T>> read)
     {
         using var fs = new FileStream(archiveFilePath, FileMode.Open, FileAccess.Read, FileShare.Read);
         Stream source = compressed
@@ -495,15 +508,11 @@ public sealed class ArchiveBrowseService
             }
 
             await using var entryStream = tarEntry.DataStream;
-            return await ReadStreamHeadBytesAsync(entryStream, maxBytes, cancellationToken);
+            return await read(entryStream);
         }
     }
 
-    private static async Task<byte[]> ReadGzipEntryHeadBytesAsync(
-        string archiveFilePath,
-        string entryPath,
-        int maxBytes,
-        CancellationToken cancellationToken)
+    private static async Task<T> ReadGzipEntryAsync<T>(string archiveFilePath, string entryPath, Func<Stream, Task<T>> read)
     {
         var pseudoPath = GetGzipPseudoEntryPath(archiveFilePath);
         if (!pseudoPath.Equals(entryPath, StringComparison.Ordinal))
@@ -513,7 +522,7 @@ public sealed class ArchiveBrowseService
 
         await using var fs = new FileStream(archiveFilePath, FileMode.Open, FileAccess.Read, FileShare.Read);
         await using var gzip = new GZipStream(fs, CompressionMode.Decompress, leaveOpen: false);
-        return await ReadStreamHeadBytesAsync(gzip, maxBytes, cancellationToken);
+        return await read(gzip);
     }
 
     private static async Task<byte[]> ReadStreamHeadBytesAsync(Stream source, int maxBytes, CancellationToken cancellationToken)
@@ -21,6 +21,9 @@ public static class DirForgeOptionsResolver
         }
         options.ListenIp = string.IsNullOrWhiteSpace(options.ListenIp) ? "0.0.0.0" : options.ListenIp.Trim();
         options.DefaultTheme = options.DefaultTheme.ToLowerInvariant();
+        options.ReadmeDisplay = string.IsNullOrWhiteSpace(options.ReadmeDisplay)
+            ? "below"
+            : options.ReadmeDisplay.Trim().ToLowerInvariant();
         options.HidePathPatterns = ReadConfiguredStringList(configuration, nameof(DirForgeOptions.HidePathPatterns))
             .Select(static pattern => pattern.Replace('\\', '/').Trim().Trim('/'))
             .Where(static pattern => !string.IsNullOrEmpty(pattern))
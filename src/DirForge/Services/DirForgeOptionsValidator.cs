@@ -54,6 +54,16 @@ public sealed class DirForgeOptionsValidator : IValidateOptions<DirForgeOptions>
             failures.Add("MaxPreviewFileSize must be 0 or greater.");
         }
 
+        if (options.ListingPageSize is < 0 or > 100_000)
+        {
+            failures.Add("ListingPageSize must be between 0 and 100000 (0 disables paging).");
+        }
+
+        if (options.MaxThumbnailCacheSize < 0)
+        {
+            failures.Add("MaxThumbnailCacheSize must be 0 or greater.");
+        }
+
         if (options.MaxFileSizeForHashing < 0)
         {
             failures.Add("MaxFileSizeForHashing must be 0 or greater.");
@@ -70,6 +80,13 @@ public sealed class DirForgeOptionsValidator : IValidateOptions<DirForgeOptions>
             failures.Add("DefaultTheme must be either 'dark' or 'light'.");
         }
 
+        if (!string.Equals(options.ReadmeDisplay, "below", StringComparison.OrdinalIgnoreCase) &&
+            !string.Equals(options.ReadmeDisplay, "above", StringComparison.OrdinalIgnoreCase) &&
+            !string.Equals(options.ReadmeDisplay, "off", StringComparison.OrdinalIgnoreCase))
+        {
+            failures.Add("ReadmeDisplay must be 'below', 'above', or 'off'.");
+        }
+
         if (string.IsNullOrWhiteSpace(options.ExternalAuthIdentityHeader))
         {
             failures.Add("ExternalAuthIdentityHeader cannot be empty.");
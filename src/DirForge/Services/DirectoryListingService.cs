@@ -515,6 +515,44 @@ public sealed class DirectoryListingService
         return $"\"{hash.ToHashCode():x8}\"";
     }
 
+    // Totals for the summary chips; folders only count towards bytes once their size is known.
+    public static ListingSummary BuildListingSummary(IEnumerable<DirectoryEntry> entries)
+    {
+        var fileCount = 0;
+        var folderCount = 0;
+        var knownFolderCount = 0;
+        long fileBytes = 0;
+        long knownFolderBytes = 0;
+
+        foreach (var entry in entries)
+        {
+            if (!entry.IsDirectory)
+            {
+                fileCount++;
+                fileBytes += entry.Size;
+                continue;
+            }
+
+            folderCount++;
+            if (entry.HumanSize != "-")
+            {
+                knownFolderCount++;
+                knownFolderBytes += entry.Size;
+            }
+        }
+
+        var filesText = $"Files: {fileCount} \u00b7 {HumanizeSize(fileBytes)}";
+        var foldersText = knownFolderCount > 0
+            ? $"Folders: {folderCount} \u00b7 {HumanizeSize(knownFolderBytes)}"
+            : $"Folders: {folderCount}";
+        var totalCount = fileCount + folderCount;
+        var totalText = folderCount == 0 || knownFolderCount == folderCount
+            ? $"Visible total: {totalCount} \u00b7 {HumanizeSize(fileBytes + knownFolderBytes)}"
+            : $"Visible total: {totalCount} \u00b7 {HumanizeSize(fileBytes)} (files only)";
+
+        return new ListingSummary(filesText, foldersText, totalText);
+    }
+
     internal static string HumanizeSize(long size)
     {
         if (size < 1024L)
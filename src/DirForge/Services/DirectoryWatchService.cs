@@ -0,0 +1,164 @@
+using Microsoft.Extensions.Logging;
+
+namespace DirForge.Services;
+
+// One FileSystemWatcher per watched folder, shared by every live listing that shows it.
+// The watcher is disposed when the last subscription for its folder goes away.
+public sealed class DirectoryWatchService : IDisposable
+{
+    private const int MaxWatchedDirectories = 256;
+
+    private readonly Dictionary<string, WatchedDirectory> _watched = new(StringComparer.Ordinal);
+    private readonly object _sync = new();
+    private readonly ILogger _logger;
+    private bool _disposed;
+
+    public DirectoryWatchService(ILogger<DirectoryWatchService> logger)
+    {
+        _logger = logger;
+    }
+
+    public int WatchedDirectoryCount
+    {
+        get
+        {
+            lock (_sync)
+            {
+                return _watched.Count;
+            }
+        }
+    }
+
+    // Returns null when the folder cannot be watched (watcher limits, unsupported file system).
+    // onChange runs on a watcher thread and should only signal; bursts of events arrive as many calls.
+    public IDisposable? Subscribe(string physicalPath, Action onChange)
+    {
+        lock (_sync)
+        {
+            if (_disposed)
+            {
+                return null;
+            }
+
+            if (!_watched.TryGetValue(physicalPath, out var watched))
+            {
+                if (_watched.Count >= MaxWatchedDirectories)
+                {
+                    _logger.LogWarning(
+                        "Live refresh is already watching {Count} folders; not watching {Path}.",
+                        _watched.Count,
+                        physicalPath);
+                    return null;
+                }
+
+                watched = TryStartWatching(physicalPath);
+                if (watched is null)
+                {
+                    return null;
+                }
+
+                _watched[physicalPath] = watched;
+            }
+
+            var subscription = new Subscription(this, physicalPath, onChange);
+            watched.Subscriptions.Add(subscription);
+            return subscription;
+        }
+    }
+
+    public void Dispose()
+    {
+        lock (_sync)
+        {
+            _disposed = true;
+            foreach (var watched in _watched.Values)
+            {
+                watched.Watcher.Dispose();
+            }
+
+            _watched.Clear();
+        }
+    }
+
+    private WatchedDirectory? TryStartWatching(string physicalPath)
+    {
+        FileSystemWatcher? watcher = null;
+        try
+        {
+            watcher = new FileSystemWatcher(physicalPath)
+            {
+                IncludeSubdirectories = false,
+                NotifyFilter = NotifyFilters.FileName | NotifyFilters.DirectoryName |
+                               NotifyFilters.LastWrite | NotifyFilters.Size
+            };
+
+            var watched = new WatchedDirectory(watcher);
+            watcher.Created += (_, _) => Notify(watched);
+            watcher.Deleted += (_, _) => Notify(watched);
+            watcher.Changed += (_, _) => Notify(watched);
+            watcher.Renamed += (_, _) => Notify(watched);
+            // A buffer overflow drops events; subscribers re-read the whole folder anyway.
+            watcher.Error += (_, _) => Notify(watched);
+            watcher.EnableRaisingEvents = true;
+            return watched;
+        }
+        catch (Exception ex) when (ex is IOException or ArgumentException or UnauthorizedAccessException or PlatformNotSupportedException)
+        {
+            watcher?.Dispose();
+            _logger.LogWarning(ex, "Live refresh could not watch {Path}.", physicalPath);
+            return null;
+        }
+    }
+
+    private void Notify(WatchedDirectory watched)
+    {
+        Subscription[] subscriptions;
+        lock (_sync)
+        {
+            subscriptions = watched.Subscriptions.ToArray();
+        }
+
+        foreach (var subscription in subscriptions)
+        {
+            subscription.OnChange();
+        }
+    }
+
+    private void Unsubscribe(Subscription subscription)
+    {
+        lock (_sync)
+        {
+            if (!_watched.TryGetValue(subscription.PhysicalPath, out var watched) ||
+                !watched.Subscriptions.Remove(subscription) ||
+                watched.Subscriptions.Count > 0)
+            {
+                return;
+            }
+
+            _watched.Remove(subscription.PhysicalPath);
+            watched.Watcher.Dispose();
+        }
+    }
+
+    private sealed class WatchedDirectory(FileSystemWatcher watcher)
+    {
+        public FileSystemWatcher Watcher { get; } = watcher;
+        public List<Subscription> Subscriptions { get; } = [];
+    }
+
+    private sealed class Subscription(DirectoryWatchService owner, string physicalPath, Action onChange) : IDisposable
+    {
+        private int _disposed;
+
+        public string PhysicalPath { get; } = physicalPath;
+        public Action OnChange { get; } = onChange;
+
+        public void Dispose()
+        {
+            if (Interlocked.Exchange(ref _disposed, 1) == 0)
+            {
+                owner.Unsubscribe(this);
+            }
+        }
+    }
+}
@@ -14,9 +14,7 @@ public static class FileSignatureDetector
     {
         try
         {
-            using var fs = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read);
-            var buffer = new byte[HeaderSize];
-            var bytesRead = fs.Read(buffer, 0, buffer.Length);
+            var buffer = ReadHeader(filePath, out var bytesRead);
             if (bytesRead == 0) return null;
 
             return Match(buffer, bytesRead);
@@ -27,6 +25,49 @@ public static class FileSignatureDetector
         }
     }
 
+    /// <summary>
+    /// Returns the header byte ranges that identified the file type: every byte whose change would alter
+    /// the detected type, merged into contiguous runs. Empty if the format is unrecognized.
+    /// </summary>
+    public static IReadOnlyList<(int Offset, int Length)> FindMagicBytes(string filePath)
+    {
+        try
+        {
+            var buffer = ReadHeader(filePath, out var bytesRead);
+            var detected = bytesRead == 0 ? null : Match(buffer, bytesRead);
+            if (detected is null) return [];
+
+            var ranges = new List<(int Offset, int Length)>();
+            for (var i = 0; i < bytesRead; i++)
+            {
+                var original = buffer[i];
+                buffer[i] = (byte)~original;
+                var significant = Match(buffer, bytesRead) != detected;
+                buffer[i] = original;
+                if (!significant) continue;
+
+                if (ranges.Count > 0 && ranges[^1].Offset + ranges[^1].Length == i)
+                    ranges[^1] = (ranges[^1].Offset, ranges[^1].Length + 1);
+                else
+                    ranges.Add((i, 1));
+            }
+
+            return ranges;
+        }
+        catch (Exception)
+        {
+            return [];
+        }
+    }
+
+    private static byte[] ReadHeader(string filePath, out int bytesRead)
+    {
+        using var fs = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read);
+        var buffer = new byte[HeaderSize];
+        bytesRead = fs.Read(buffer, 0, buffer.Length);
+        return buffer;
+    }
+
     private static string? Match(byte[] buf, int len)
     {
         // ── Images ──────────────────────────────────────────────────────
@@ -0,0 +1,83 @@
+namespace DirForge.Services;
+
+/// <summary>
+/// Reads pages of a file and searches it for byte patterns for the hex preview, which pages through
+/// files of any size one small range at a time.
+/// </summary>
+public static class HexPreviewReader
+{
+    public const int PageSize = 4096;
+    public const int MaxPageSize = 64 * 1024;
+    public const int MaxPatternLength = 256;
+
+    // One search request scans at most this far and reports where the next one should resume.
+    public const long MaxSearchBytesPerRequest = 64L * 1024 * 1024;
+
+    private const int SearchBufferSize = 1024 * 1024;
+
+    public static async Task<byte[]> ReadPageAsync(string filePath, long offset, int length, CancellationToken cancellationToken = default)
+    {
+        await using var stream = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read, 4096, useAsync: true);
+        if (offset >= stream.Length)
+            return [];
+
+        var buffer = new byte[(int)Math.Min(Math.Clamp(length, 1, MaxPageSize), stream.Length - offset)];
+        stream.Position = offset;
+        var read = await stream.ReadAtLeastAsync(buffer, buffer.Length, throwOnEndOfStream: false, cancellationToken);
+        return read == buffer.Length ? buffer : buffer[..read];
+    }
+
+    /// <summary>
+    /// Parses a pattern written as hex digits, optionally separated by spaces, commas or <c>0x</c> prefixes.
+    /// </summary>
+    public static bool TryParsePattern(string? text, out byte[] pattern)
+    {
+        pattern = [];
+        if (string.IsNullOrWhiteSpace(text))
+            return false;
+
+        var digits = text.Replace("0x", " ", StringComparison.OrdinalIgnoreCase)
+            .Replace(",", " ", StringComparison.Ordinal)
+            .Replace(" ", string.Empty, StringComparison.Ordinal);
+        if (digits.Length == 0 || digits.Length % 2 != 0 || digits.Length / 2 > MaxPatternLength)
+            return false;
+
+        try
+        {
+            pattern = Convert.FromHexString(digits);
+            return true;
+        }
+        catch (FormatException)
+        {
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Finds the first occurrence of <paramref name="pattern"/> at or after <paramref name="offset"/>.
+    /// Returns the match offset, or no match and the offset to resume from when the scan stopped at
+    /// <see cref="MaxSearchBytesPerRequest"/> before the end of the file.
+    /// </summary>
+    public static async Task<(long? Match, long? ResumeOffset)> FindAsync(
+        string filePath, byte[] pattern, long offset, CancellationToken cancellationToken = default)
+    {
+        await using var stream = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read, 4096, useAsync: true);
+        var position = Math.Max(offset, 0);
+        var limit = Math.Min(stream.Length, position + MaxSearchBytesPerRequest);
+
+        // Each window overlaps the next by one byte less than the pattern, so matches across windows are found.
+        var buffer = new byte[SearchBufferSize + pattern.Length - 1];
+        while (position < limit)
+        {
+            stream.Position = position;
+            var read = await stream.ReadAtLeastAsync(buffer, buffer.Length, throwOnEndOfStream: false, cancellationToken);
+            var index = buffer.AsSpan(0, read).IndexOf(pattern);
+            if (index >= 0)
+                return (position + index, null);
+
+            position += SearchBufferSize;
+        }
+
+        return (null, position + pattern.Length <= stream.Length ? position : null);
+    }
+}
@@ -0,0 +1,52 @@
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace DirForge.Services;
+
+/// <summary>
+/// Recognises HLS playlists and rewrites the segment, key and variant URIs inside them, so a playlist
+/// served through a handler URL still points its relative references back at in-scope files.
+/// </summary>
+public static partial class HlsPlaylist
+{
+    public const string ContentType = "application/vnd.apple.mpegurl";
+    public const long MaxFileSize = 4 * 1024 * 1024;
+
+    // Plain M3U audio lists never carry these; every HLS media or master playlist carries one of them.
+    private static readonly string[] HlsTags = ["#EXT-X-TARGETDURATION", "#EXT-X-STREAM-INF", "#EXT-X-MEDIA-SEQUENCE"];
+
+    public static bool IsHls(string text)
+    {
+        return text.TrimStart().StartsWith("#EXTM3U", StringComparison.Ordinal) &&
+               HlsTags.Any(tag => text.Contains(tag, StringComparison.Ordinal));
+    }
+
+    /// <summary>
+    /// Replaces every URI line and <c>URI="..."</c> tag attribute with the result of <paramref name="resolveUri"/>.
+    /// URIs the resolver returns <c>null</c> for are left as written.
+    /// </summary>
+    public static string Rewrite(string text, Func<string, string?> resolveUri)
+    {
+        var sb = new StringBuilder(text.Length + 256);
+        foreach (var rawLine in text.Replace("\r\n", "\n").Split('\n'))
+        {
+            var line = rawLine.Trim();
+            if (line.StartsWith('#'))
+            {
+                sb.Append(UriAttributeRegex().Replace(line, match =>
+                    $"URI=\"{resolveUri(match.Groups[1].Value) ?? match.Groups[1].Value}\""));
+            }
+            else if (line.Length > 0)
+            {
+                sb.Append(resolveUri(line) ?? line);
+            }
+
+            sb.Append('\n');
+        }
+
+        return sb.ToString().TrimEnd('\n') + "\n";
+    }
+
+    [GeneratedRegex("URI=\"([^\"]*)\"")]
+    private static partial Regex UriAttributeRegex();
+}
@@ -0,0 +1,785 @@
+using System.Buffers.Binary;
+using System.Globalization;
+using System.Numerics;
+using System.Text;
+using DirForge.Models;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Metadata.Profiles.Exif;
+
+namespace DirForge.Services;
+
+/// <summary>
+/// Reads photo EXIF data and audio/video stream details from file headers for the preview info panel.
+/// Only bounded parts of the file are read. Returns null if the format is unrecognized.
+/// </summary>
+public static class MediaMetadataReader
+{
+    // Dimensions and EXIF sit near the start of an image; archive entries are read only this far.
+    public const int ImageHeadSize = 256 * 1024;
+
+    private const int HeaderSize = 64 * 1024;
+    private const int MaxMovieBoxSize = 16 * 1024 * 1024;
+    // Stream headers sit a few containers deep; crafted files can nest far deeper than that.
+    private const int MaxContainerDepth = 8;
+    private const string DisplayDateFormat = "yyyy-MM-dd  HH:mm:ss";
+
+    private const uint EbmlHeaderId = 0x1A45DFA3;
+    private const uint EbmlDocTypeId = 0x4282;
+    private const uint SegmentId = 0x18538067;
+    private const uint SegmentInfoId = 0x1549A966;
+    private const uint TimecodeScaleId = 0x2AD7B1;
+    private const uint DurationId = 0x4489;
+    private const uint TracksId = 0x1654AE6B;
+    private const uint TrackEntryId = 0xAE;
+    private const uint TrackTypeId = 0x83;
+    private const uint CodecId = 0x86;
+    private const uint VideoId = 0xE0;
+    private const uint PixelWidthId = 0xB0;
+    private const uint PixelHeightId = 0xBA;
+    private const uint AudioId = 0xE1;
+    private const uint SamplingFrequencyId = 0xB5;
+    private const uint ChannelsId = 0x9F;
+    private const uint ClusterId = 0x1F43B675;
+
+    private static readonly byte[][] ImageSignatures =
+    [
+        [0xFF, 0xD8, 0xFF],             // JPEG
+        [0x89, 0x50, 0x4E, 0x47],       // PNG
+        [0x47, 0x49, 0x46, 0x38],       // GIF8
+        [0x42, 0x4D],                   // BMP
+        [0x49, 0x49, 0x2A, 0x00],       // TIFF, little-endian
+        [0x4D, 0x4D, 0x00, 0x2A]        // TIFF, big-endian
+    ];
+
+    // ISO BMFF sample entry four-character codes and Matroska codec IDs.
+    private static readonly Dictionary<string, string> CodecNames = new(StringComparer.Ordinal)
+    {
+        ["avc1"] = "H.264",
+        ["avc3"] = "H.264",
+        ["hvc1"] = "HEVC",
+        ["hev1"] = "HEVC",
+        ["av01"] = "AV1",
+        ["vp08"] = "VP8",
+        ["vp09"] = "VP9",
+        ["mp4v"] = "MPEG-4 Visual",
+        ["apcn"] = "ProRes",
+        ["apch"] = "ProRes",
+        ["apcs"] = "ProRes",
+        ["apco"] = "ProRes",
+        ["ap4h"] = "ProRes",
+        ["mp4a"] = "AAC",
+        ["ac-3"] = "AC-3",
+        ["ec-3"] = "E-AC-3",
+        ["Opus"] = "Opus",
+        ["fLaC"] = "FLAC",
+        ["alac"] = "ALAC",
+        [".mp3"] = "MP3",
+        ["lpcm"] = "PCM",
+        ["sowt"] = "PCM",
+        ["twos"] = "PCM",
+        ["V_MPEG4/ISO/AVC"] = "H.264",
+        ["V_MPEGH/ISO/HEVC"] = "HEVC",
+        ["V_AV1"] = "AV1",
+        ["V_VP8"] = "VP8",
+        ["V_VP9"] = "VP9",
+        ["V_THEORA"] = "Theora",
+        ["A_AAC"] = "AAC",
+        ["A_OPUS"] = "Opus",
+        ["A_VORBIS"] = "Vorbis",
+        ["A_FLAC"] = "FLAC",
+        ["A_AC3"] = "AC-3",
+        ["A_EAC3"] = "E-AC-3",
+        ["A_MPEG/L3"] = "MP3",
+        ["A_PCM/INT/LIT"] = "PCM"
+    };
+
+    public static MediaMetadata? Read(string filePath, string extension)
+    {
+        try
+        {
+            using var fs = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read);
+            var buffer = new byte[(int)Math.Min(fs.Length, HeaderSize)];
+            var header = buffer.AsSpan(0, fs.ReadAtLeast(buffer, buffer.Length, throwOnEndOfStream: false));
+
+            MediaMetadata? metadata;
+            if (IsImage(header))
+            {
+                fs.Position = 0;
+                metadata = ReadImage(fs);
+            }
+            else if (HasBytes(header, 4, "ftyp"u8))
+                metadata = ReadIsoMedia(fs, header);
+            else if (HasBytes(header, 0, [0x1A, 0x45, 0xDF, 0xA3]))
+                metadata = ReadMatroska(header);
+            else if (HasBytes(header, 0, "RIFF"u8) && HasBytes(header, 8, "WAVE"u8))
+                metadata = ReadWave(header);
+            else if (HasBytes(header, 0, "fLaC"u8))
+                metadata = ReadFlac(header);
+            else if (HasBytes(header, 0, "OggS"u8))
+                metadata = ReadOgg(fs, header);
+            else if (HasBytes(header, 0, "ID3"u8) || extension.Equals("mp3", StringComparison.OrdinalIgnoreCase))
+                metadata = ReadMpegAudio(fs, header);
+            else
+                return null;
+
+            // Containers rarely store an overall bitrate, so fall back to the average over the whole file.
+            if (metadata is { Kind: not "image", Bitrate: null, DurationSeconds: double duration and > 0 })
+                metadata.Bitrate = (long)(fs.Length * 8 / duration);
+
+            return metadata;
+        }
+        catch (Exception)
+        {
+            // Truncated or malformed headers are common in the wild; the panel simply stays empty.
+            return null;
+        }
+    }
+
+    // For images that cannot be opened as a file, such as archive entries, given their leading bytes.
+    public static MediaMetadata? ReadImageHead(byte[] head)
+    {
+        if (!IsImage(head))
+            return null;
+
+        try
+        {
+            using var stream = new MemoryStream(head, writable: false);
+            return ReadImage(stream);
+        }
+        catch (Exception)
+        {
+            return null;
+        }
+    }
+
+    // ── Images ──────────────────────────────────────────────────────
+
+    private static bool IsImage(ReadOnlySpan<byte> header)
+    {
+        if (HasBytes(header, 0, "RIFF"u8) && HasBytes(header, 8, "WEBP"u8))
+            return true;
+
+        foreach (var signature in ImageSignatures)
+        {
+            if (HasBytes(header, 0, signature))
+                return true;
+        }
+
+        return false;
+    }
+
+    private static MediaMetadata ReadImage(Stream stream)
+    {
+        var info = Image.Identify(stream);
+        var metadata = new MediaMetadata
+        {
+            Kind = "image",
+            Container = info.Metadata.DecodedImageFormat?.Name,
+            Width = info.Width,
+            Height = info.Height
+        };
+
+        var exif = info.Metadata.ExifProfile;
+        if (exif is null)
+            return metadata;
+
+        // Orientations 5-8 rotate by a quarter turn, so the image is shown with its edges swapped.
+        if (exif.TryGetValue(ExifTag.Orientation, out var orientation) && orientation.Value is >= 5 and <= 8)
+            (metadata.Width, metadata.Height) = (info.Height, info.Width);
+
+        var make = ExifString(exif, ExifTag.Make);
+        var model = ExifString(exif, ExifTag.Model);
+        metadata.Camera = make is not null && model is not null && !model.StartsWith(make, StringComparison.OrdinalIgnoreCase)
+            ? $"{make} {model}"
+            : model ?? make;
+        metadata.Lens = ExifString(exif, ExifTag.LensModel);
+        metadata.ExposureTime = ExifRational(exif, ExifTag.ExposureTime);
+        metadata.FNumber = ExifRational(exif, ExifTag.FNumber);
+        metadata.FocalLength = ExifRational(exif, ExifTag.FocalLength);
+        if (exif.TryGetValue(ExifTag.ISOSpeedRatings, out var iso) && iso.Value is { Length: > 0 } isoValues)
+            metadata.Iso = isoValues[0];
+
+        var captured = ExifString(exif, ExifTag.DateTimeOriginal) ?? ExifString(exif, ExifTag.DateTime);
+        if (captured is not null &&
+            DateTime.TryParseExact(captured, "yyyy:MM:dd HH:mm:ss", CultureInfo.InvariantCulture, DateTimeStyles.None, out var capturedAt))
+            metadata.CapturedAt = capturedAt.ToString(DisplayDateFormat, CultureInfo.InvariantCulture);
+
+        metadata.Latitude = GpsCoordinate(exif, ExifTag.GPSLatitude, ExifTag.GPSLatitudeRef, "S");
+        metadata.Longitude = GpsCoordinate(exif, ExifTag.GPSLongitude, ExifTag.GPSLongitudeRef, "W");
+        return metadata;
+    }
+
+    private static string? ExifString(ExifProfile exif, ExifTag<string> tag)
+    {
+        var text = exif.TryGetValue(tag, out var value) ? value.Value?.Trim(' ', '\0') : null;
+        return string.IsNullOrEmpty(text) ? null : text;
+    }
+
+    private static double? ExifRational(ExifProfile exif, ExifTag<Rational> tag) =>
+        exif.TryGetValue(tag, out var value) && value.Value.Denominator != 0 ? value.Value.ToDouble() : null;
+
+    private static double? GpsCoordinate(ExifProfile exif, ExifTag<Rational[]> tag, ExifTag<string> referenceTag, string negativeReference)
+    {
+        if (!exif.TryGetValue(tag, out var value) || value.Value is not { Length: 3 } parts || parts.Any(part => part.Denominator == 0))
+            return null;
+
+        var degrees = parts[0].ToDouble() + parts[1].ToDouble() / 60 + parts[2].ToDouble() / 3600;
+        if (string.Equals(ExifString(exif, referenceTag), negativeReference, StringComparison.OrdinalIgnoreCase))
+            degrees = -degrees;
+
+        return Math.Round(degrees, 6);
+    }
+
+    // ── ISO base media (MP4, MOV, M4A) ──────────────────────────────
+
+    private static MediaMetadata? ReadIsoMedia(FileStream stream, ReadOnlySpan<byte> header)
+    {
+        var brand = Encoding.ASCII.GetString(header.Slice(8, 4));
+        var metadata = new MediaMetadata
+        {
+            Kind = "audio",
+            Container = brand switch
+            {
+                "qt  " => "QuickTime",
+                "M4A " or "M4B " => "MPEG-4 Audio",
+                _ => "MPEG-4"
+            }
+        };
+
+        // The movie box is often written after the media data, so walk the top-level boxes to find it.
+        var boxHeader = new byte[16];
+        long position = 0;
+        while (position + 8 <= stream.Length)
+        {
+            stream.Position = position;
+            var read = stream.ReadAtLeast(boxHeader, boxHeader.Length, throwOnEndOfStream: false);
+            long size = BinaryPrimitives.ReadUInt32BigEndian(boxHeader);
+            var headerLength = 8;
+            if (size == 1 && read >= 16)
+            {
+                size = (long)BinaryPrimitives.ReadUInt64BigEndian(boxHeader.AsSpan(8));
+                headerLength = 16;
+            }
+            else if (size == 0)
+            {
+                size = stream.Length - position;
+            }
+
+            if (size < headerLength)
+                return null;
+
+            if (HasBytes(boxHeader, 4, "moov"u8))
+            {
+                if (size - headerLength > MaxMovieBoxSize)
+                    return null;
+
+                var movie = new byte[size - headerLength];
+                stream.Position = position + headerLength;
+                stream.ReadExactly(movie);
+                WalkIsoBoxes(movie, metadata, track: null, depth: 0);
+                return metadata;
+            }
+
+            position += size;
+        }
+
+        return null;
+    }
+
+    private static void WalkIsoBoxes(ReadOnlySpan<byte> data, MediaMetadata metadata, TrackInfo? track, int depth)
+    {
+        if (depth > MaxContainerDepth)
+            return;
+
+        var offset = 0;
+        while (offset + 8 <= data.Length)
+        {
+            long size = BinaryPrimitives.ReadUInt32BigEndian(data[offset..]);
+            var headerLength = 8;
+            if (size == 1 && offset + 16 <= data.Length)
+            {
+                size = (long)BinaryPrimitives.ReadUInt64BigEndian(data[(offset + 8)..]);
+                headerLength = 16;
+            }
+            else if (size == 0)
+            {
+                size = data.Length - offset;
+            }
+
+            if (size < headerLength || size > data.Length - offset)
+                return;
+
+            var body = data.Slice(offset + headerLength, (int)size - headerLength);
+            switch (Encoding.ASCII.GetString(data.Slice(offset + 4, 4)))
+            {
+                case "trak":
+                    var child = new TrackInfo();
+                    WalkIsoBoxes(body, metadata, child, depth + 1);
+                    ApplyTrack(child, metadata);
+                    break;
+                case "mdia" or "minf" or "stbl":
+                    WalkIsoBoxes(body, metadata, track, depth + 1);
+                    break;
+                case "mvhd":
+                    ReadMovieHeader(body, metadata);
+                    break;
+                case "tkhd" when track is not null:
+                    ReadTrackHeader(body, track);
+                    break;
+                case "hdlr" when track is not null && body.Length >= 12:
+                    if (HasBytes(body, 8, "vide"u8)) track.IsVideo = true;
+                    else if (HasBytes(body, 8, "soun"u8)) track.IsVideo = false;
+                    break;
+                case "stsd" when track is not null:
+                    ReadSampleDescription(body, track);
+                    break;
+            }
+
+            offset += (int)size;
+        }
+    }
+
+    private static void ReadMovieHeader(ReadOnlySpan<byte> body, MediaMetadata metadata)
+    {
+        uint timescale;
+        ulong duration;
+        if (body.Length >= 32 && body[0] == 1)
+        {
+            timescale = BinaryPrimitives.ReadUInt32BigEndian(body[20..]);
+            duration = BinaryPrimitives.ReadUInt64BigEndian(body[24..]);
+            if (duration == ulong.MaxValue) return;
+        }
+        else if (body.Length >= 20 && body[0] == 0)
+        {
+            timescale = BinaryPrimitives.ReadUInt32BigEndian(body[12..]);
+            duration = BinaryPrimitives.ReadUInt32BigEndian(body[16..]);
+            if (duration == uint.MaxValue) return;
+        }
+        else
+        {
+            return;
+        }
+
+        if (timescale > 0 && duration > 0)
+            metadata.DurationSeconds = Math.Round((double)duration / timescale, 3);
+    }
+
+    private static void ReadTrackHeader(ReadOnlySpan<byte> body, TrackInfo track)
+    {
+        // Width and height are 16.16 fixed point after the times, the matrix and a few reserved fields.
+        var sizeOffset = body.Length > 0 && body[0] == 1 ? 88 : 76;
+        if (body.Length < sizeOffset + 8)
+            return;
+
+        var width = (int)(BinaryPrimitives.ReadUInt32BigEndian(body[sizeOffset..]) >> 16);
+        var height = (int)(BinaryPrimitives.ReadUInt32BigEndian(body[(sizeOffset + 4)..]) >> 16);
+        if (width > 0 && height > 0)
+        {
+            track.Width = width;
+            track.Height = height;
+        }
+    }
+
+    private static void ReadSampleDescription(ReadOnlySpan<byte> body, TrackInfo track)
+    {
+        // Full box header and entry count, then the first sample entry.
+        if (body.Length < 44)
+            return;
+
+        track.Codec = Encoding.ASCII.GetString(body.Slice(12, 4));
+        if (track.IsVideo == true && track.Width is null)
+        {
+            track.Width = BinaryPrimitives.ReadUInt16BigEndian(body[40..]);
+            track.Height = BinaryPrimitives.ReadUInt16BigEndian(body[42..]);
+        }
+        else if (track.IsVideo == false)
+        {
+            track.Channels = BinaryPrimitives.ReadUInt16BigEndian(body[32..]);
+            track.SampleRate = (int)(BinaryPrimitives.ReadUInt32BigEndian(body[40..]) >> 16);
+        }
+    }
+
+    // ── Matroska / WebM ─────────────────────────────────────────────
+
+    private static MediaMetadata ReadMatroska(ReadOnlySpan<byte> header)
+    {
+        var metadata = new MediaMetadata { Kind = "audio", Container = "Matroska" };
+        var state = new MatroskaState();
+        WalkEbml(header, metadata, state, depth: 0);
+
+        if (state.Duration is double duration && double.IsFinite(duration) && duration > 0)
+            metadata.DurationSeconds = Math.Round(duration * state.TimecodeScale / 1_000_000_000d, 3);
+
+        return metadata;
+    }
+
+    private static void WalkEbml(ReadOnlySpan<byte> data, MediaMetadata metadata, MatroskaState state, int depth)
+    {
+        if (depth > MaxContainerDepth)
+            return;
+
+        var offset = 0;
+        while (TryReadEbmlId(data, ref offset, out var id) && TryReadEbmlSize(data, ref offset, out var size))
+        {
+            // Unknown sizes (live recordings) and elements cut off by the header buffer run to the end of the data.
+            var length = size < 0 || size > data.Length - offset ? data.Length - offset : (int)size;
+            var body = data.Slice(offset, length);
+            switch (id)
+            {
+                case EbmlHeaderId or SegmentId or SegmentInfoId or TracksId or VideoId or AudioId:
+                    WalkEbml(body, metadata, state, depth + 1);
+                    break;
+                case ClusterId:
+                    // Stream headers come before the first cluster of media data.
+                    return;
+                case EbmlDocTypeId:
+                    metadata.Container = Encoding.ASCII.GetString(body) == "webm" ? "WebM" : "Matroska";
+                    break;
+                case TimecodeScaleId:
+                    state.TimecodeScale = (long)ReadEbmlUnsigned(body);
+                    break;
+                case DurationId:
+                    state.Duration = ReadEbmlFloat(body);
+                    break;
+                case TrackEntryId:
+                    state.Track = new TrackInfo();
+                    WalkEbml(body, metadata, state, depth + 1);
+                    ApplyTrack(state.Track, metadata);
+                    state.Track = null;
+                    break;
+                case TrackTypeId when state.Track is not null:
+                    var trackType = ReadEbmlUnsigned(body);
+                    state.Track.IsVideo = trackType == 1 ? true : trackType == 2 ? false : null;
+                    break;
+                case CodecId when state.Track is not null:
+                    state.Track.Codec = Encoding.ASCII.GetString(body).TrimEnd('\0');
+                    break;
+                case PixelWidthId when state.Track is not null:
+                    state.Track.Width = (int)ReadEbmlUnsigned(body);
+                    break;
+                case PixelHeightId when state.Track is not null:
+                    state.Track.Height = (int)ReadEbmlUnsigned(body);
+                    break;
+                case SamplingFrequencyId when state.Track is not null:
+                    var frequency = ReadEbmlFloat(body);
+                    if (double.IsFinite(frequency) && frequency > 0) state.Track.SampleRate = (int)frequency;
+                    break;
+                case ChannelsId when state.Track is not null:
+                    state.Track.Channels = (int)ReadEbmlUnsigned(body);
+                    break;
+            }
+
+            offset += length;
+        }
+    }
+
+    private static bool TryReadEbmlId(ReadOnlySpan<byte> data, ref int offset, out uint id)
+    {
+        id = 0;
+        if (offset >= data.Length || data[offset] == 0)
+            return false;
+
+        // IDs keep their length marker bits and are at most four bytes long.
+        var length = BitOperations.LeadingZeroCount((uint)data[offset]) - 23;
+        if (length > 4 || offset + length > data.Length)
+            return false;
+
+        for (var i = 0; i < length; i++)
+            id = (id << 8) | data[offset + i];
+
+        offset += length;
+        return true;
+    }
+
+    private static bool TryReadEbmlSize(ReadOnlySpan<byte> data, ref int offset, out long size)
+    {
+        size = 0;
+        if (offset >= data.Length || data[offset] == 0)
+            return false;
+
+        var length = BitOperations.LeadingZeroCount((uint)data[offset]) - 23;
+        if (offset + length > data.Length)
+            return false;
+
+        var mask = 0xFF >> length;
+        var value = (ulong)(data[offset] & mask);
+        var unknown = value == (ulong)mask;
+        for (var i = 1; i < length; i++)
+        {
+            value = (value << 8) | data[offset + i];
+            unknown &= data[offset + i] == 0xFF;
+        }
+
+        offset += length;
+        size = unknown || value > int.MaxValue ? -1 : (long)value;
+        return true;
+    }
+
+    private static ulong ReadEbmlUnsigned(ReadOnlySpan<byte> body)
+    {
+        ulong value = 0;
+        foreach (var b in body[..Math.Min(body.Length, 8)])
+            value = (value << 8) | b;
+        return value;
+    }
+
+    private static double ReadEbmlFloat(ReadOnlySpan<byte> body) => body.Length switch
+    {
+        4 => BinaryPrimitives.ReadSingleBigEndian(body),
+        8 => BinaryPrimitives.ReadDoubleBigEndian(body),
+        _ => double.NaN
+    };
+
+    // ── Audio ───────────────────────────────────────────────────────
+
+    private static MediaMetadata? ReadWave(ReadOnlySpan<byte> header)
+    {
+        var metadata = new MediaMetadata { Kind = "audio", Container = "WAV" };
+        uint byteRate = 0;
+        var offset = 12;
+        while (offset + 8 <= header.Length)
+        {
+            var size = BinaryPrimitives.ReadUInt32LittleEndian(header[(offset + 4)..]);
+            var body = header[(offset + 8)..];
+            if (HasBytes(header, offset, "fmt "u8) && body.Length >= 16)
+            {
+                var format = BinaryPrimitives.ReadUInt16LittleEndian(body);
+                var bitsPerSample = BinaryPrimitives.ReadUInt16LittleEndian(body[14..]);
+                byteRate = BinaryPrimitives.ReadUInt32LittleEndian(body[8..]);
+                metadata.AudioCodec = format switch
+                {
+                    1 or 0xFFFE => $"PCM {bitsPerSample}-bit",
+                    3 => "IEEE float",
+                    6 => "A-law",
+                    7 => "µ-law",
+                    0x55 => "MP3",
+                    _ => $"0x{format:X4}"
+                };
+                metadata.Channels = BinaryPrimitives.ReadUInt16LittleEndian(body[2..]);
+                metadata.SampleRate = (int)BinaryPrimitives.ReadUInt32LittleEndian(body[4..]);
+                metadata.Bitrate = byteRate * 8L;
+            }
+            else if (HasBytes(header, offset, "data"u8))
+            {
+                if (byteRate > 0)
+                    metadata.DurationSeconds = Math.Round((double)size / byteRate, 3);
+                break;
+            }
+
+            // Chunks are padded to an even length.
+            var next = offset + 8L + size + (size & 1);
+            if (next > header.Length)
+                break;
+            offset = (int)next;
+        }
+
+        return metadata.AudioCodec is null ? null : metadata;
+    }
+
+    private static MediaMetadata? ReadFlac(ReadOnlySpan<byte> header)
+    {
+        // STREAMINFO is always the first metadata block.
+        if (header.Length < 26 || (header[4] & 0x7F) != 0)
+            return null;
+
+        var info = header[18..];
+        var sampleRate = (info[0] << 12) | (info[1] << 4) | (info[2] >> 4);
+        var totalSamples = ((long)(info[3] & 0x0F) << 32) | BinaryPrimitives.ReadUInt32BigEndian(info[4..]);
+        var bitsPerSample = (((info[2] & 0x01) << 4) | (info[3] >> 4)) + 1;
+        return new MediaMetadata
+        {
+            Kind = "audio",
+            Container = "FLAC",
+            AudioCodec = $"FLAC {bitsPerSample}-bit",
+            SampleRate = sampleRate,
+            Channels = ((info[2] >> 1) & 0x07) + 1,
+            DurationSeconds = sampleRate > 0 && totalSamples > 0 ? Math.Round((double)totalSamples / sampleRate, 3) : null
+        };
+    }
+
+    private static MediaMetadata? ReadOgg(FileStream stream, ReadOnlySpan<byte> header)
+    {
+        if (header.Length < 27 || 27 + header[26] > header.Length)
+            return null;
+
+        var packet = header[(27 + header[26])..];
+        var metadata = new MediaMetadata { Kind = "audio", Container = "Ogg" };
+        var granuleRate = 0;
+        var preSkip = 0;
+        if (packet.Length >= 28 && HasBytes(packet, 1, "vorbis"u8) && packet[0] == 0x01)
+        {
+            metadata.AudioCodec = "Vorbis";
+            metadata.Channels = packet[11];
+            metadata.SampleRate = granuleRate = (int)BinaryPrimitives.ReadUInt32LittleEndian(packet[12..]);
+            var nominalBitrate = BinaryPrimitives.ReadInt32LittleEndian(packet[20..]);
+            if (nominalBitrate > 0) metadata.Bitrate = nominalBitrate;
+        }
+        else if (packet.Length >= 16 && HasBytes(packet, 0, "OpusHead"u8))
+        {
+            // Opus always decodes at 48 kHz; the header also records the rate of the original input.
+            metadata.AudioCodec = "Opus";
+            metadata.Channels = packet[9];
+            preSkip = BinaryPrimitives.ReadUInt16LittleEndian(packet[10..]);
+            var inputRate = (int)BinaryPrimitives.ReadUInt32LittleEndian(packet[12..]);
+            metadata.SampleRate = inputRate > 0 ? inputRate : 48000;
+            granuleRate = 48000;
+        }
+        else
+        {
+            return null;
+        }
+
+        // The granule position of the stream's last page is its length in samples.
+        var serial = BinaryPrimitives.ReadUInt32LittleEndian(header[14..]);
+        var tail = new byte[(int)Math.Min(stream.Length, HeaderSize)];
+        stream.Position = stream.Length - tail.Length;
+        stream.ReadExactly(tail);
+        for (var i = tail.Length - 27; i >= 0; i--)
+        {
+            if (!HasBytes(tail, i, "OggS"u8) || BinaryPrimitives.ReadUInt32LittleEndian(tail.AsSpan(i + 14)) != serial)
+                continue;
+
+            var granule = BinaryPrimitives.ReadInt64LittleEndian(tail.AsSpan(i + 6)) - preSkip;
+            if (granule > 0 && granuleRate > 0)
+                metadata.DurationSeconds = Math.Round((double)granule / granuleRate, 3);
+            break;
+        }
+
+        return metadata;
+    }
+
+    private static MediaMetadata? ReadMpegAudio(FileStream stream, ReadOnlySpan<byte> header)
+    {
+        long audioStart = 0;
+        if (header.Length >= 10 && HasBytes(header, 0, "ID3"u8))
+        {
+            // The tag size is stored as a 28-bit synchsafe integer, plus a footer when flagged.
+            audioStart = 10 + ((header[6] & 0x7F) << 21 | (header[7] & 0x7F) << 14 | (header[8] & 0x7F) << 7 | (header[9] & 0x7F));
+            if ((header[5] & 0x10) != 0) audioStart += 10;
+        }
+
+        // Embedded cover art easily pushes the first frame past the header buffer.
+        var frames = header;
+        if (audioStart > 0)
+        {
+            var buffer = new byte[HeaderSize];
+            stream.Position = Math.Min(audioStart, stream.Length);
+            frames = buffer.AsSpan(0, stream.ReadAtLeast(buffer, buffer.Length, throwOnEndOfStream: false));
+        }
+
+        for (var offset = 0; offset + 4 <= frames.Length; offset++)
+        {
+            if (!TryReadMpegFrame(frames[offset..], out var frame))
+                continue;
+
+            // A real frame is followed by another one; a lone sync word is usually leftover tag data.
+            if (offset + frame.Length + 4 <= frames.Length && !TryReadMpegFrame(frames[(offset + frame.Length)..], out _))
+                continue;
+
+            var metadata = new MediaMetadata
+            {
+                Kind = "audio",
+                Container = "MPEG audio",
+                AudioCodec = "MP3",
+                SampleRate = frame.SampleRate,
+                Channels = frame.Channels
+            };
+
+            // A Xing or Info header in the first frame carries the frame count of VBR files.
+            var xing = offset + 4 + (frame.IsMpeg1 ? (frame.Channels == 1 ? 17 : 32) : (frame.Channels == 1 ? 9 : 17));
+            if (xing + 12 <= frames.Length && (HasBytes(frames, xing, "Xing"u8) || HasBytes(frames, xing, "Info"u8))
+                && (frames[xing + 7] & 0x01) != 0)
+            {
+                var frameCount = BinaryPrimitives.ReadUInt32BigEndian(frames[(xing + 8)..]);
+                metadata.DurationSeconds = Math.Round((double)frameCount * frame.SamplesPerFrame / frame.SampleRate, 3);
+            }
+            else
+            {
+                metadata.Bitrate = frame.Bitrate;
+                metadata.DurationSeconds = Math.Round((stream.Length - audioStart - offset) * 8d / frame.Bitrate, 3);
+            }
+
+            return metadata;
+        }
+
+        return null;
+    }
+
+    private static bool TryReadMpegFrame(ReadOnlySpan<byte> data, out MpegFrame frame)
+    {
+        frame = default;
+        if (data.Length < 4 || data[0] != 0xFF || (data[1] & 0xE0) != 0xE0)
+            return false;
+
+        // Only Layer III is handled; version 1 is reserved.
+        var version = (data[1] >> 3) & 0x03;
+        var layer = (data[1] >> 1) & 0x03;
+        var bitrateIndex = data[2] >> 4;
+        var sampleRateIndex = (data[2] >> 2) & 0x03;
+        if (version == 1 || layer != 1 || bitrateIndex is 0 or 15 || sampleRateIndex == 3)
+            return false;
+
+        var isMpeg1 = version == 3;
+        int[] bitrates = isMpeg1
+            ? [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+            : [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+        int[] sampleRates = [44100, 48000, 32000];
+        var sampleRate = sampleRates[sampleRateIndex] >> (version == 3 ? 0 : version == 2 ? 1 : 2);
+        var bitrate = bitrates[bitrateIndex] * 1000;
+        var samplesPerFrame = isMpeg1 ? 1152 : 576;
+        var padding = (data[2] >> 1) & 0x01;
+
+        frame = new MpegFrame(
+            isMpeg1,
+            bitrate,
+            sampleRate,
+            (data[3] >> 6) == 3 ? 1 : 2,
+            samplesPerFrame,
+            samplesPerFrame / 8 * bitrate / sampleRate + padding);
+        return true;
+    }
+
+    // ── Shared ──────────────────────────────────────────────────────
+
+    private static void ApplyTrack(TrackInfo track, MediaMetadata metadata)
+    {
+        if (track.IsVideo == true && metadata.VideoCodec is null)
+        {
+            metadata.Kind = "video";
+            metadata.VideoCodec = CodecName(track.Codec);
+            metadata.Width = track.Width;
+            metadata.Height = track.Height;
+        }
+        else if (track.IsVideo == false && metadata.AudioCodec is null)
+        {
+            metadata.AudioCodec = CodecName(track.Codec);
+            metadata.SampleRate = track.SampleRate;
+            metadata.Channels = track.Channels;
+        }
+    }
+
+    private static string? CodecName(string? codec) =>
+        codec is null ? null : CodecNames.TryGetValue(codec, out var name) ? name : codec.Trim();
+
+    private static bool HasBytes(ReadOnlySpan<byte> data, int offset, ReadOnlySpan<byte> expected) =>
+        data.Length >= offset + expected.Length && data.Slice(offset, expected.Length).SequenceEqual(expected);
+
+    private sealed class TrackInfo
+    {
+        public bool? IsVideo { get; set; }
+        public string? Codec { get; set; }
+        public int? Width { get; set; }
+        public int? Height { get; set; }
+        public int? SampleRate { get; set; }
+        public int? Channels { get; set; }
+    }
+
+    private sealed class MatroskaState
+    {
+        public long TimecodeScale { get; set; } = 1_000_000;
+        public double? Duration { get; set; }
+        public TrackInfo? Track { get; set; }
+    }
+
+    private readonly record struct MpegFrame(bool IsMpeg1, int Bitrate, int SampleRate, int Channels, int SamplesPerFrame, int Length);
+}
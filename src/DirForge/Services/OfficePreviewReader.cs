@@ -0,0 +1,1471 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Net;
+using System.Text;
+using System.Text.RegularExpressions;
+using System.Xml;
+using System.Xml.Linq;
+using DirForge.Models;
+
+namespace DirForge.Services;
+
+/// <summary>
+/// Extracts a read-only rendering of Office Open XML, OpenDocument and RTF files for the preview modal:
+/// HTML with basic formatting for documents, a cell grid per sheet for spreadsheets and the text of each
+/// slide for presentations. Output is capped, so large files show their beginning only.
+/// Returns null if the file cannot be read.
+/// </summary>
+public static partial class OfficePreviewReader
+{
+    public const int MaxDocumentTextLength = 256 * 1024;
+    public const int MaxSheets = 32;
+    public const int MaxRows = 500;
+    public const int MaxColumns = 50;
+    public const int MaxSlides = 200;
+
+    private const int MaxCells = 100_000;
+    private const int MaxCellLength = 1024;
+    private const int MaxRtfBytes = 8 * 1024 * 1024;
+    private const long MaxPartSize = 64 * 1024 * 1024;
+
+    // Parts loaded whole into an XDocument take several times their size in memory, so they are held to
+    // less than the document bodies and sheets, which are streamed and stop at the output caps.
+    private const long MaxLoadedPartSize = 4 * 1024 * 1024;
+
+    private static readonly XNamespace PackageRelationships = "http://schemas.openxmlformats.org/package/2006/relationships";
+    private static readonly XNamespace Relationships = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+    private static readonly XNamespace Word = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+    private static readonly XNamespace Sheet = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+    private static readonly XNamespace Presentation = "http://schemas.openxmlformats.org/presentationml/2006/main";
+    private static readonly XNamespace Drawing = "http://schemas.openxmlformats.org/drawingml/2006/main";
+    private static readonly XNamespace OdfText = "urn:oasis:names:tc:opendocument:xmlns:text:1.0";
+    private static readonly XNamespace OdfTable = "urn:oasis:names:tc:opendocument:xmlns:table:1.0";
+    private static readonly XNamespace OdfStyle = "urn:oasis:names:tc:opendocument:xmlns:style:1.0";
+    private static readonly XNamespace OdfFormat = "urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0";
+    private static readonly XNamespace OdfDraw = "urn:oasis:names:tc:opendocument:xmlns:drawing:1.0";
+    private static readonly XNamespace OdfPresentation = "urn:oasis:names:tc:opendocument:xmlns:presentation:1.0";
+    private static readonly XName OdsTable = OdfTable + "table";
+    private static readonly XName OdsRow = OdfTable + "table-row";
+
+    // Extension to the reader for its format family; templates and macro-enabled variants share the layout.
+    private static readonly Dictionary<string, string> Formats = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["docx"] = "docx",
+        ["docm"] = "docx",
+        ["dotx"] = "docx",
+        ["dotm"] = "docx",
+        ["xlsx"] = "xlsx",
+        ["xlsm"] = "xlsx",
+        ["xltx"] = "xlsx",
+        ["xltm"] = "xlsx",
+        ["pptx"] = "pptx",
+        ["pptm"] = "pptx",
+        ["potx"] = "pptx",
+        ["ppsx"] = "pptx",
+        ["odt"] = "odt",
+        ["ott"] = "odt",
+        ["ods"] = "ods",
+        ["ots"] = "ods",
+        ["odp"] = "odp",
+        ["otp"] = "odp",
+        ["rtf"] = "rtf"
+    };
+
+    private static readonly (RunFormat Flag, string Tag)[] FormatTags =
+    [
+        (RunFormat.Bold, "strong"),
+        (RunFormat.Italic, "em"),
+        (RunFormat.Underline, "u"),
+        (RunFormat.Strike, "s"),
+        (RunFormat.Superscript, "sup"),
+        (RunFormat.Subscript, "sub")
+    ];
+
+    private static readonly XmlReaderSettings XmlSettings = CreateXmlSettings(MaxPartSize);
+    private static readonly XmlReaderSettings LoadedPartXmlSettings = CreateXmlSettings(MaxLoadedPartSize);
+
+    [Flags]
+    private enum RunFormat
+    {
+        None = 0,
+        Bold = 1,
+        Italic = 2,
+        Underline = 4,
+        Strike = 8,
+        Superscript = 16,
+        Subscript = 32
+    }
+
+    public static bool IsSupported(string extension) => Formats.ContainsKey(extension);
+
+    public static OfficePreview? Read(string filePath, string extension)
+    {
+        if (!Formats.TryGetValue(extension, out var format))
+            return null;
+
+        try
+        {
+            if (format == "rtf")
+                return ReadRtf(filePath);
+
+            using var archive = ZipFile.OpenRead(filePath);
+            return format switch
+            {
+                "docx" => ReadDocx(archive),
+                "xlsx" => ReadXlsx(archive),
+                "pptx" => ReadPptx(archive),
+                "odt" => ReadOdt(archive),
+                "ods" => ReadOds(archive),
+                _ => ReadOdp(archive)
+            };
+        }
+        catch (Exception)
+        {
+            // Damaged, encrypted and non-conforming files are common; the modal falls back to no preview.
+            return null;
+        }
+    }
+
+    // ── Package parts ───────────────────────────────────────────────
+
+    private static XmlReaderSettings CreateXmlSettings(long maxCharacters) => new()
+    {
+        DtdProcessing = DtdProcessing.Prohibit,
+        IgnoreComments = true,
+        IgnoreProcessingInstructions = true,
+        MaxCharactersInDocument = maxCharacters
+    };
+
+    private static Stream? OpenPart(ZipArchive archive, string path, long maxSize = MaxPartSize)
+    {
+        var entry = archive.GetEntry(path);
+        return entry is null || entry.Length > maxSize ? null : entry.Open();
+    }
+
+    // A part over the limit reads as missing. The size in the zip header can lie, so the reader enforces
+    // the limit as well, which fails the preview instead.
+    private static XDocument? LoadPart(ZipArchive archive, string path)
+    {
+        using var stream = OpenPart(archive, path, MaxLoadedPartSize);
+        if (stream is null)
+            return null;
+
+        using var reader = XmlReader.Create(stream, LoadedPartXmlSettings);
+        return XDocument.Load(reader);
+    }
+
+    /// <summary>
+    /// Yields each element with one of the given names in document order without loading the whole part.
+    /// The reader moves past every yielded element, so matches nested inside one are not visited.
+    /// </summary>
+    private static IEnumerable<XElement> StreamElements(Stream stream, params XName[] names)
+    {
+        using var reader = XmlReader.Create(stream, XmlSettings);
+        reader.MoveToContent();
+        while (!reader.EOF)
+        {
+            if (reader.NodeType == XmlNodeType.Element && names.Any(name => IsNamed(reader, name)))
+                yield return (XElement)XNode.ReadFrom(reader);
+            else
+                reader.Read();
+        }
+    }
+
+    private static bool IsNamed(XmlReader reader, XName name)
+    {
+        return reader.LocalName == name.LocalName && reader.NamespaceURI == name.NamespaceName;
+    }
+
+    // The main part is named by the package's root relationships; producers almost always use the default.
+    private static string FindMainPart(ZipArchive archive, string defaultPath)
+    {
+        var root = LoadPart(archive, "_rels/.rels")?.Root;
+        var target = root?.Elements(PackageRelationships + "Relationship")
+            .FirstOrDefault(rel => ((string?)rel.Attribute("Type"))?.EndsWith("/officeDocument", StringComparison.Ordinal) == true)
+            ?.Attribute("Target")?.Value;
+
+        return target is null ? defaultPath : ResolvePartPath(string.Empty, target);
+    }
+
+    // Relationship IDs of a part mapped to the archive paths they point at.
+    private static Dictionary<string, string> ReadRelationships(ZipArchive archive, string partPath)
+    {
+        var folder = PartFolder(partPath);
+        var relationships = new Dictionary<string, string>(StringComparer.Ordinal);
+        var root = LoadPart(archive, $"{folder}_rels/{partPath[folder.Length..]}.rels")?.Root;
+        if (root is null)
+            return relationships;
+
+        foreach (var rel in root.Elements(PackageRelationships + "Relationship"))
+        {
+            var id = (string?)rel.Attribute("Id");
+            var target = (string?)rel.Attribute("Target");
+            if (id is null || target is null || (string?)rel.Attribute("TargetMode") == "External")
+                continue;
+
+            relationships[id] = ResolvePartPath(folder, target);
+        }
+
+        return relationships;
+    }
+
+    private static string ResolvePartPath(string folder, string target)
+    {
+        var segments = new List<string>();
+        var path = target.StartsWith('/') ? target[1..] : folder + target;
+        foreach (var segment in path.Split('/'))
+        {
+            if (segment is "" or ".")
+                continue;
+
+            if (segment == "..")
+            {
+                if (segments.Count > 0)
+                    segments.RemoveAt(segments.Count - 1);
+                continue;
+            }
+
+            segments.Add(Uri.UnescapeDataString(segment));
+        }
+
+        return string.Join('/', segments);
+    }
+
+    private static string PartFolder(string partPath) => partPath[..(partPath.LastIndexOf('/') + 1)];
+
+    // ── Word documents ──────────────────────────────────────────────
+
+    private static OfficePreview? ReadDocx(ZipArchive archive)
+    {
+        var mainPath = FindMainPart(archive, "word/document.xml");
+        var folder = PartFolder(mainPath);
+        var headingLevels = ReadDocxHeadingLevels(LoadPart(archive, folder + "styles.xml"));
+        var numbering = LoadPart(archive, folder + "numbering.xml");
+
+        using var stream = OpenPart(archive, mainPath);
+        if (stream is null)
+            return null;
+
+        var html = new HtmlBuilder();
+        foreach (var block in StreamElements(stream, Word + "p", Word + "tbl"))
+        {
+            if (html.IsFull)
+            {
+                html.MarkTruncated();
+                break;
+            }
+
+            RenderDocxBlock(block, html, headingLevels, numbering);
+        }
+
+        return html.ToPreview();
+    }
+
+    // Paragraph style IDs that stand for headings; the IDs are localized, the style names are not.
+    private static Dictionary<string, int> ReadDocxHeadingLevels(XDocument? styles)
+    {
+        var levels = new Dictionary<string, int>(StringComparer.Ordinal);
+        foreach (var style in styles?.Root?.Elements(Word + "style") ?? [])
+        {
+            var id = (string?)style.Attribute(Word + "styleId");
+            var name = ((string?)style.Element(Word + "name")?.Attribute(Word + "val"))?.ToLowerInvariant();
+            if (id is null || name is null)
+                continue;
+
+            if (name == "title")
+                levels[id] = 1;
+            else if (name.StartsWith("heading ", StringComparison.Ordinal) &&
+                     int.TryParse(name["heading ".Length..], CultureInfo.InvariantCulture, out var level))
+                levels[id] = Math.Clamp(level, 1, 6);
+        }
+
+        return levels;
+    }
+
+    private static void RenderDocxBlock(XElement block, HtmlBuilder html, Dictionary<string, int> headingLevels, XDocument? numbering)
+    {
+        if (block.Name == Word + "tbl")
+        {
+            html.SetList(null);
+            html.Open("table");
+            foreach (var row in block.Elements(Word + "tr"))
+            {
+                html.Open("tr");
+                foreach (var cell in row.Elements(Word + "tc"))
+                {
+                    var span = (int?)cell.Element(Word + "tcPr")?.Element(Word + "gridSpan")?.Attribute(Word + "val") ?? 1;
+                    html.Open(span > 1 ? $"td colspan=\"{Math.Min(span, MaxColumns)}\"" : "td");
+                    foreach (var child in cell.Elements().Where(e => e.Name == Word + "p" || e.Name == Word + "tbl"))
+                        RenderDocxBlock(child, html, headingLevels, numbering);
+                    html.SetList(null);
+                    html.Close("td");
+                }
+
+                html.Close("tr");
+            }
+
+            html.Close("table");
+            return;
+        }
+
+        var properties = block.Element(Word + "pPr");
+        var styleId = (string?)properties?.Element(Word + "pStyle")?.Attribute(Word + "val");
+        var listProperties = properties?.Element(Word + "numPr");
+        var numberingId = (string?)listProperties?.Element(Word + "numId")?.Attribute(Word + "val");
+
+        if (numberingId is not null && numberingId != "0")
+        {
+            var level = (string?)listProperties!.Element(Word + "ilvl")?.Attribute(Word + "val") ?? "0";
+            html.SetList(IsDocxBulletList(numbering, numberingId, level) ? "ul" : "ol");
+            html.Paragraph("li", () => RenderDocxInline(block, html));
+        }
+        else
+        {
+            html.SetList(null);
+            var tag = styleId is not null && headingLevels.TryGetValue(styleId, out var headingLevel)
+                ? $"h{headingLevel}"
+                : "p";
+            html.Paragraph(tag, () => RenderDocxInline(block, html));
+        }
+    }
+
+    private static bool IsDocxBulletList(XDocument? numbering, string numberingId, string level)
+    {
+        var root = numbering?.Root;
+        var abstractId = root?.Elements(Word + "num")
+            .FirstOrDefault(num => (string?)num.Attribute(Word + "numId") == numberingId)
+            ?.Element(Word + "abstractNumId")?.Attribute(Word + "val")?.Value;
+        var format = root?.Elements(Word + "abstractNum")
+            .FirstOrDefault(abs => (string?)abs.Attribute(Word + "abstractNumId") == abstractId)
+            ?.Elements(Word + "lvl")
+            .FirstOrDefault(lvl => (string?)lvl.Attribute(Word + "ilvl") == level)
+            ?.Element(Word + "numFmt")?.Attribute(Word + "val")?.Value;
+
+        return format is null or "bullet" or "none";
+    }
+
+    private static void RenderDocxInline(XElement element, HtmlBuilder html)
+    {
+        foreach (var child in element.Elements())
+        {
+            if (child.Name == Word + "r")
+            {
+                RenderDocxRun(child, html);
+            }
+            else if (child.Name != Word + "del" && child.Name != Word + "moveFrom" &&
+                     child.Name != Word + "p" && child.Name != Word + "tbl")
+            {
+                // Hyperlinks, tracked insertions, fields and content controls wrap their runs.
+                RenderDocxInline(child, html);
+            }
+        }
+    }
+
+    private static void RenderDocxRun(XElement run, HtmlBuilder html)
+    {
+        var format = ReadDocxRunFormat(run.Element(Word + "rPr"));
+        foreach (var child in run.Elements())
+        {
+            if (child.Name == Word + "t")
+                html.Text(child.Value, format);
+            else if (child.Name == Word + "tab")
+                html.Text("\t", format);
+            else if (child.Name == Word + "br" || child.Name == Word + "cr")
+                html.LineBreak();
+            else if (child.Name == Word + "noBreakHyphen")
+                html.Text("-", format);
+        }
+    }
+
+    private static RunFormat ReadDocxRunFormat(XElement? properties)
+    {
+        if (properties is null)
+            return RunFormat.None;
+
+        var format = RunFormat.None;
+        if (IsDocxToggleOn(properties.Element(Word + "b")))
+            format |= RunFormat.Bold;
+        if (IsDocxToggleOn(properties.Element(Word + "i")))
+            format |= RunFormat.Italic;
+        if (IsDocxToggleOn(properties.Element(Word + "strike")) || IsDocxToggleOn(properties.Element(Word + "dstrike")))
+            format |= RunFormat.Strike;
+
+        var underline = properties.Element(Word + "u");
+        if (underline is not null && (string?)underline.Attribute(Word + "val") != "none")
+            format |= RunFormat.Underline;
+
+        format |= (string?)properties.Element(Word + "vertAlign")?.Attribute(Word + "val") switch
+        {
+            "superscript" => RunFormat.Superscript,
+            "subscript" => RunFormat.Subscript,
+            _ => RunFormat.None
+        };
+
+        return format;
+    }
+
+    private static bool IsDocxToggleOn(XElement? element)
+    {
+        return element is not null && (string?)element.Attribute(Word + "val") is null or "1" or "true" or "on";
+    }
+
+    // ── Excel workbooks ─────────────────────────────────────────────
+
+    private static OfficePreview? ReadXlsx(ZipArchive archive)
+    {
+        var mainPath = FindMainPart(archive, "xl/workbook.xml");
+        var workbook = LoadPart(archive, mainPath)?.Root;
+        if (workbook is null)
+            return null;
+
+        var folder = PartFolder(mainPath);
+        var relationships = ReadRelationships(archive, mainPath);
+        var sharedStrings = ReadSharedStrings(archive, folder + "sharedStrings.xml");
+        var dateStyles = ReadDateStyles(LoadPart(archive, folder + "styles.xml"));
+        var date1904 = (string?)workbook.Element(Sheet + "workbookPr")?.Attribute("date1904") is "1" or "true";
+
+        var preview = new OfficePreview { Kind = "spreadsheet", Sheets = [] };
+        var cellBudget = MaxCells;
+        foreach (var sheet in workbook.Element(Sheet + "sheets")?.Elements(Sheet + "sheet") ?? [])
+        {
+            if ((string?)sheet.Attribute("state") is "hidden" or "veryHidden")
+                continue;
+
+            if (preview.Sheets.Count == MaxSheets)
+            {
+                preview.Truncated = true;
+                break;
+            }
+
+            var result = new OfficeSheet { Name = (string?)sheet.Attribute("name") ?? $"Sheet{preview.Sheets.Count + 1}" };
+            preview.Sheets.Add(result);
+
+            var id = (string?)sheet.Attribute(Relationships + "id");
+            if (id is null || !relationships.TryGetValue(id, out var sheetPath))
+                continue;
+
+            using var stream = OpenPart(archive, sheetPath);
+            if (stream is null)
+                continue;
+
+            var grid = new SheetGrid(cellBudget);
+            var rowIndex = 0;
+            foreach (var row in StreamElements(stream, Sheet + "row"))
+            {
+                rowIndex = (int?)row.Attribute("r") - 1 ?? rowIndex;
+                if (rowIndex >= MaxRows)
+                {
+                    // Formatted but empty rows often trail the data; only rows with values are cut off.
+                    if (row.Elements(Sheet + "c").Any(c => c.Element(Sheet + "v") is not null || c.Element(Sheet + "is") is not null))
+                    {
+                        grid.MarkTruncated();
+                        break;
+                    }
+
+                    continue;
+                }
+
+                var columnIndex = 0;
+                foreach (var cell in row.Elements(Sheet + "c"))
+                {
+                    var reference = (string?)cell.Attribute("r");
+                    columnIndex = reference is null ? columnIndex : ParseColumnIndex(reference);
+                    grid.Set(rowIndex, columnIndex, ReadXlsxCellValue(cell, sharedStrings, dateStyles, date1904));
+                    columnIndex++;
+                }
+
+                if (grid.IsFull)
+                    break;
+
+                rowIndex++;
+            }
+
+            grid.CopyTo(result);
+            cellBudget = grid.Budget;
+        }
+
+        preview.Truncated |= preview.Sheets.Any(sheet => sheet.Truncated);
+        return preview;
+    }
+
+    private static List<string> ReadSharedStrings(ZipArchive archive, string path)
+    {
+        var strings = new List<string>();
+        using var stream = OpenPart(archive, path);
+        if (stream is null)
+            return strings;
+
+        foreach (var item in StreamElements(stream, Sheet + "si"))
+        {
+            // Rich text keeps its runs in <r><t>; phonetic guides in <rPh> are not part of the value.
+            var text = string.Concat(item.Elements(Sheet + "t").Concat(item.Elements(Sheet + "r").Elements(Sheet + "t"))
+                .Select(t => t.Value));
+            strings.Add(ClipCell(text));
+        }
+
+        return strings;
+    }
+
+    // Whether each cell style index formats its number as a date or time.
+    private static bool[] ReadDateStyles(XDocument? styles)
+    {
+        var root = styles?.Root;
+        if (root is null)
+            return [];
+
+        var customFormats = root.Element(Sheet + "numFmts")?.Elements(Sheet + "numFmt")
+            .Where(fmt => fmt.Attribute("numFmtId") is not null)
+            .GroupBy(fmt => (int)fmt.Attribute("numFmtId")!)
+            .ToDictionary(group => group.Key, group => (string?)group.First().Attribute("formatCode") ?? string.Empty)
+            ?? [];
+
+        return (root.Element(Sheet + "cellXfs")?.Elements(Sheet + "xf") ?? [])
+            .Select(xf =>
+            {
+                var formatId = (int?)xf.Attribute("numFmtId") ?? 0;
+                return customFormats.TryGetValue(formatId, out var code)
+                    ? IsDateFormatCode(code)
+                    : formatId is >= 14 and <= 22 or >= 45 and <= 47;
+            })
+            .ToArray();
+    }
+
+    private static bool IsDateFormatCode(string code)
+    {
+        // Quoted literals, escaped characters and [colour]/[locale] sections never carry date parts.
+        var stripped = FormatLiteralRegex().Replace(code, string.Empty);
+        return stripped.IndexOfAny(['d', 'D', 'm', 'M', 'y', 'Y', 'h', 'H', 's', 'S']) >= 0;
+    }
+
+    private static string ReadXlsxCellValue(XElement cell, List<string> sharedStrings, bool[] dateStyles, bool date1904)
+    {
+        var value = (string?)cell.Element(Sheet + "v");
+        switch ((string?)cell.Attribute("t"))
+        {
+            case "s":
+                return int.TryParse(value, CultureInfo.InvariantCulture, out var index) && index >= 0 && index < sharedStrings.Count
+                    ? sharedStrings[index]
+                    : string.Empty;
+            case "inlineStr":
+                var inline = cell.Element(Sheet + "is");
+                return inline is null
+                    ? string.Empty
+                    : ClipCell(string.Concat(inline.Elements(Sheet + "t").Concat(inline.Elements(Sheet + "r").Elements(Sheet + "t"))
+                        .Select(t => t.Value)));
+            case "b":
+                return value == "1" ? "TRUE" : "FALSE";
+            case "str" or "e" or "d":
+                return ClipCell(value ?? string.Empty);
+        }
+
+        if (!double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out var number))
+            return ClipCell(value ?? string.Empty);
+
+        var style = (int?)cell.Attribute("s") ?? 0;
+        if (style >= 0 && style < dateStyles.Length && dateStyles[style] && number is >= 0 and < 2958466)
+            return FormatSerialDate(date1904 ? number + 1462 : number);
+
+        return number.ToString("G15", CultureInfo.InvariantCulture);
+    }
+
+    private static string FormatSerialDate(double serial)
+    {
+        var date = DateTime.FromOADate(serial);
+        if (serial < 1)
+            return date.ToString("HH:mm:ss", CultureInfo.InvariantCulture);
+
+        return date.TimeOfDay == TimeSpan.Zero
+            ? date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)
+            : date.ToString("yyyy-MM-dd HH:mm:ss", CultureInfo.InvariantCulture);
+    }
+
+    // "BC12" is column index 54; the row number is ignored.
+    private static int ParseColumnIndex(string reference)
+    {
+        var index = 0;
+        foreach (var c in reference)
+        {
+            if (c is < 'A' or > 'Z')
+                break;
+            index = index * 26 + (c - 'A' + 1);
+        }
+
+        return index - 1;
+    }
+
+    private static string ClipCell(string value) => value.Length > MaxCellLength ? value[..MaxCellLength] : value;
+
+    // ── PowerPoint presentations ────────────────────────────────────
+
+    private static OfficePreview? ReadPptx(ZipArchive archive)
+    {
+        var mainPath = FindMainPart(archive, "ppt/presentation.xml");
+        var presentation = LoadPart(archive, mainPath)?.Root;
+        if (presentation is null)
+            return null;
+
+        var relationships = ReadRelationships(archive, mainPath);
+        var preview = new OfficePreview { Kind = "presentation", Slides = [] };
+        var textBudget = MaxDocumentTextLength;
+
+        foreach (var slideId in presentation.Element(Presentation + "sldIdLst")?.Elements(Presentation + "sldId") ?? [])
+        {
+            if (preview.Slides.Count == MaxSlides || textBudget <= 0)
+            {
+                preview.Truncated = true;
+                break;
+            }
+
+            var slide = new OfficeSlide { Number = preview.Slides.Count + 1 };
+            preview.Slides.Add(slide);
+
+            var id = (string?)slideId.Attribute(Relationships + "id");
+            var tree = id is not null && relationships.TryGetValue(id, out var slidePath)
+                ? LoadPart(archive, slidePath)?.Root?.Element(Presentation + "cSld")?.Element(Presentation + "spTree")
+                : null;
+            if (tree is null)
+                continue;
+
+            foreach (var shape in tree.Descendants().Where(e => e.Name == Presentation + "sp" || e.Name == Presentation + "graphicFrame"))
+            {
+                var placeholder = (string?)shape.Element(Presentation + "nvSpPr")?.Element(Presentation + "nvPr")
+                    ?.Element(Presentation + "ph")?.Attribute("type");
+                var paragraphs = shape.Descendants(Drawing + "p").Select(ReadDrawingParagraph).Where(text => text.Length > 0);
+                AddSlideText(slide, paragraphs, placeholder is "title" or "ctrTitle", ref textBudget);
+            }
+        }
+
+        return preview;
+    }
+
+    private static string ReadDrawingParagraph(XElement paragraph)
+    {
+        var sb = new StringBuilder();
+        foreach (var child in paragraph.Elements())
+        {
+            if (child.Name == Drawing + "r" || child.Name == Drawing + "fld")
+                sb.Append((string?)child.Element(Drawing + "t"));
+            else if (child.Name == Drawing + "br")
+                sb.Append('\n');
+        }
+
+        return sb.ToString().Trim();
+    }
+
+    private static void AddSlideText(OfficeSlide slide, IEnumerable<string> paragraphs, bool isTitle, ref int textBudget)
+    {
+        foreach (var paragraph in paragraphs)
+        {
+            if (textBudget <= 0)
+                return;
+
+            var text = paragraph.Length > textBudget ? paragraph[..textBudget] : paragraph;
+            textBudget -= text.Length;
+            if (isTitle && slide.Title is null)
+                slide.Title = text;
+            else if (isTitle)
+                slide.Title += " " + text;
+            else
+                slide.Paragraphs.Add(text);
+        }
+    }
+
+    // ── OpenDocument ────────────────────────────────────────────────
+
+    private static OfficePreview? ReadOdt(ZipArchive archive)
+    {
+        var styles = new OdfStyles();
+        foreach (var style in LoadPart(archive, "styles.xml")?.Root?.Descendants().Where(IsOdfStyleDefinition) ?? [])
+            styles.Add(style);
+
+        using var stream = OpenPart(archive, "content.xml");
+        if (stream is null)
+            return null;
+
+        var html = new HtmlBuilder();
+        var blocks = StreamElements(stream,
+            OdfStyle + "style", OdfText + "list-style", OdfText + "tracked-changes",
+            OdfText + "p", OdfText + "h", OdfText + "list", OdfTable + "table");
+        foreach (var block in blocks)
+        {
+            if (IsOdfStyleDefinition(block))
+            {
+                // Automatic styles precede the body, so every style is known before it is used.
+                styles.Add(block);
+                continue;
+            }
+
+            if (html.IsFull)
+            {
+                html.MarkTruncated();
+                break;
+            }
+
+            RenderOdfBlock(block, html, styles, null);
+        }
+
+        return html.ToPreview();
+    }
+
+    private static bool IsOdfStyleDefinition(XElement element)
+    {
+        return element.Name == OdfStyle + "style" || element.Name == OdfText + "list-style";
+    }
+
+    private static void RenderOdfBlock(XElement block, HtmlBuilder html, OdfStyles styles, string? listTag)
+    {
+        if (block.Name == OdfText + "p" || block.Name == OdfText + "h")
+        {
+            html.SetList(listTag);
+            var format = styles.GetFormat((string?)block.Attribute(OdfText + "style-name"));
+            var level = Math.Clamp((int?)block.Attribute(OdfText + "outline-level") ?? 1, 1, 6);
+            var tag = listTag is not null ? "li" : block.Name == OdfText + "h" ? $"h{level}" : "p";
+            html.Paragraph(tag, () => RenderOdfInline(block, html, styles, format));
+        }
+        else if (block.Name == OdfText + "list")
+        {
+            // Nested lists inherit the outer list's style and are flattened into it.
+            listTag ??= styles.IsNumberedList((string?)block.Attribute(OdfText + "style-name")) ? "ol" : "ul";
+            foreach (var child in block.Elements().Elements())
+                RenderOdfBlock(child, html, styles, listTag);
+        }
+        else if (block.Name == OdfTable + "table")
+        {
+            html.SetList(null);
+            html.Open("table");
+            foreach (var row in OdfRows(block))
+            {
+                html.Open("tr");
+                foreach (var cell in row.Elements(OdfTable + "table-cell"))
+                {
+                    var span = (int?)cell.Attribute(OdfTable + "number-columns-spanned") ?? 1;
+                    html.Open(span > 1 ? $"td colspan=\"{Math.Min(span, MaxColumns)}\"" : "td");
+                    foreach (var child in cell.Elements())
+                        RenderOdfBlock(child, html, styles, null);
+                    html.SetList(null);
+                    html.Close("td");
+                }
+
+                html.Close("tr");
+            }
+
+            html.Close("table");
+        }
+        else if (block.Name == OdfText + "section")
+        {
+            foreach (var child in block.Elements())
+                RenderOdfBlock(child, html, styles, listTag);
+        }
+    }
+
+    // Rows may sit directly in the table or inside header-row and row-group wrappers.
+    private static IEnumerable<XElement> OdfRows(XElement table)
+    {
+        foreach (var child in table.Elements())
+        {
+            if (child.Name == OdfTable + "table-row")
+            {
+                yield return child;
+            }
+            else if (child.Name == OdfTable + "table-header-rows" || child.Name == OdfTable + "table-rows" ||
+                     child.Name == OdfTable + "table-row-group")
+            {
+                foreach (var row in OdfRows(child))
+                    yield return row;
+            }
+        }
+    }
+
+    private static void RenderOdfInline(XElement element, HtmlBuilder html, OdfStyles styles, RunFormat format)
+    {
+        foreach (var node in element.Nodes())
+        {
+            if (node is XText text)
+            {
+                html.Text(WhitespaceRegex().Replace(text.Value, " "), format);
+                continue;
+            }
+
+            if (node is not XElement child || child.Name.Namespace != OdfText)
+                continue;
+
+            switch (child.Name.LocalName)
+            {
+                case "span":
+                    RenderOdfInline(child, html, styles, format | styles.GetFormat((string?)child.Attribute(OdfText + "style-name")));
+                    break;
+                case "s":
+                    html.Text(new string(' ', Math.Clamp((int?)child.Attribute(OdfText + "c") ?? 1, 1, 1024)), format);
+                    break;
+                case "tab":
+                    html.Text("\t", format);
+                    break;
+                case "line-break":
+                    html.LineBreak();
+                    break;
+                case "note" or "ruby-text" or "tracked-changes":
+                    break;
+                default:
+                    // Links, fields and metadata wrappers carry their displayed text as content.
+                    RenderOdfInline(child, html, styles, format);
+                    break;
+            }
+        }
+    }
+
+    private static string ReadOdfPlainText(XElement element)
+    {
+        var sb = new StringBuilder();
+        AppendOdfPlainText(element, sb);
+        return sb.ToString();
+    }
+
+    private static void AppendOdfPlainText(XElement element, StringBuilder sb)
+    {
+        foreach (var node in element.Nodes())
+        {
+            if (node is XText text)
+            {
+                sb.Append(WhitespaceRegex().Replace(text.Value, " "));
+            }
+            else if (node is XElement child && child.Name.Namespace == OdfText)
+            {
+                switch (child.Name.LocalName)
+                {
+                    case "s":
+                        sb.Append(' ', Math.Clamp((int?)child.Attribute(OdfText + "c") ?? 1, 1, 1024));
+                        break;
+                    case "tab":
+                        sb.Append('\t');
+                        break;
+                    case "line-break":
+                        sb.Append('\n');
+                        break;
+                    case "note" or "ruby-text":
+                        break;
+                    default:
+                        AppendOdfPlainText(child, sb);
+                        break;
+                }
+            }
+        }
+    }
+
+    private static OfficePreview? ReadOds(ZipArchive archive)
+    {
+        using var stream = OpenPart(archive, "content.xml");
+        if (stream is null)
+            return null;
+
+        var preview = new OfficePreview { Kind = "spreadsheet", Sheets = [] };
+        var cellBudget = MaxCells;
+        OfficeSheet? sheet = null;
+        SheetGrid? grid = null;
+        var rowIndex = 0;
+
+        using var reader = XmlReader.Create(stream, XmlSettings);
+        reader.MoveToContent();
+        while (!reader.EOF)
+        {
+            if (reader.NodeType == XmlNodeType.Element && IsNamed(reader, OdsTable) && sheet is null)
+            {
+                if (preview.Sheets.Count == MaxSheets)
+                {
+                    preview.Truncated = true;
+                    break;
+                }
+
+                sheet = new OfficeSheet { Name = reader.GetAttribute("name", OdfTable.NamespaceName) ?? $"Sheet{preview.Sheets.Count + 1}" };
+                preview.Sheets.Add(sheet);
+                grid = new SheetGrid(cellBudget);
+                rowIndex = 0;
+                if (reader.IsEmptyElement)
+                {
+                    sheet = null;
+                    grid = null;
+                }
+
+                reader.Read();
+            }
+            else if (reader.NodeType == XmlNodeType.Element && IsNamed(reader, OdsRow) && grid is not null)
+            {
+                var row = (XElement)XNode.ReadFrom(reader);
+                var repeat = Math.Max((int?)row.Attribute(OdfTable + "number-rows-repeated") ?? 1, 1);
+                var values = ReadOdsRow(row);
+                var firstRow = rowIndex;
+
+                // Sheets end in an empty row repeated up to the format's row limit, so only filled rows are expanded.
+                rowIndex += repeat;
+                for (var rowNumber = firstRow; values.Count > 0 && rowNumber < Math.Min(rowIndex, MaxRows + 1); rowNumber++)
+                {
+                    for (var column = 0; column < values.Count; column++)
+                        grid.Set(rowNumber, column, values[column]);
+                }
+            }
+            else if (reader.NodeType == XmlNodeType.EndElement && IsNamed(reader, OdsTable) && grid is not null)
+            {
+                grid.CopyTo(sheet!);
+                cellBudget = grid.Budget;
+                sheet = null;
+                grid = null;
+                reader.Read();
+            }
+            else
+            {
+                reader.Read();
+            }
+        }
+
+        preview.Truncated |= preview.Sheets.Any(s => s.Truncated);
+        return preview;
+    }
+
+    // Cell values of a row with repeated cells expanded; empty if the row holds no text.
+    private static List<string> ReadOdsRow(XElement row)
+    {
+        var values = new List<string>();
+        var lastFilled = -1;
+        foreach (var cell in row.Elements())
+        {
+            if (cell.Name != OdfTable + "table-cell" && cell.Name != OdfTable + "covered-table-cell")
+                continue;
+
+            var text = ClipCell(string.Join("\n", cell.Elements(OdfText + "p").Select(ReadOdfPlainText)));
+            var repeat = Math.Max((int?)cell.Attribute(OdfTable + "number-columns-repeated") ?? 1, 1);
+            for (var i = 0; i < repeat && values.Count <= MaxColumns; i++)
+            {
+                values.Add(text);
+                if (text.Length > 0)
+                    lastFilled = values.Count - 1;
+            }
+        }
+
+        values.RemoveRange(lastFilled + 1, values.Count - lastFilled - 1);
+        return values;
+    }
+
+    private static OfficePreview? ReadOdp(ZipArchive archive)
+    {
+        using var stream = OpenPart(archive, "content.xml");
+        if (stream is null)
+            return null;
+
+        var preview = new OfficePreview { Kind = "presentation", Slides = [] };
+        var textBudget = MaxDocumentTextLength;
+        foreach (var page in StreamElements(stream, OdfDraw + "page"))
+        {
+            if (preview.Slides.Count == MaxSlides || textBudget <= 0)
+            {
+                preview.Truncated = true;
+                break;
+            }
+
+            var slide = new OfficeSlide { Number = preview.Slides.Count + 1 };
+            preview.Slides.Add(slide);
+
+            foreach (var frame in page.Elements().Where(e => e.Name.Namespace == OdfDraw))
+            {
+                var isTitle = (string?)frame.Attribute(OdfPresentation + "class") == "title";
+                var paragraphs = frame.Descendants()
+                    .Where(e => e.Name == OdfText + "p" || e.Name == OdfText + "h")
+                    .Select(p => ReadOdfPlainText(p).Trim())
+                    .Where(text => text.Length > 0);
+                AddSlideText(slide, paragraphs, isTitle, ref textBudget);
+            }
+        }
+
+        return preview;
+    }
+
+    // Character formatting of named paragraph and text styles, with each style inheriting from its parent.
+    private sealed class OdfStyles
+    {
+        private readonly Dictionary<string, RunFormat> _formats = new(StringComparer.Ordinal);
+        private readonly HashSet<string> _numberedLists = new(StringComparer.Ordinal);
+
+        public void Add(XElement style)
+        {
+            var name = (string?)style.Attribute(OdfStyle + "name");
+            if (name is null)
+                return;
+
+            if (style.Name == OdfText + "list-style")
+            {
+                var first = style.Elements().FirstOrDefault();
+                if (first?.Name == OdfText + "list-level-style-number")
+                    _numberedLists.Add(name);
+                return;
+            }
+
+            var format = GetFormat((string?)style.Attribute(OdfStyle + "parent-style-name"));
+            var properties = style.Element(OdfStyle + "text-properties");
+            if (properties is not null)
+            {
+                if ((string?)properties.Attribute(OdfFormat + "font-weight") is "bold" or "600" or "700" or "800" or "900")
+                    format |= RunFormat.Bold;
+                if ((string?)properties.Attribute(OdfFormat + "font-style") is "italic" or "oblique")
+                    format |= RunFormat.Italic;
+                if ((string?)properties.Attribute(OdfStyle + "text-underline-style") is { } underline && underline != "none")
+                    format |= RunFormat.Underline;
+                if ((string?)properties.Attribute(OdfStyle + "text-line-through-style") is { } strike && strike != "none")
+                    format |= RunFormat.Strike;
+
+                var position = (string?)properties.Attribute(OdfStyle + "text-position");
+                if (position?.StartsWith("super", StringComparison.Ordinal) == true)
+                    format |= RunFormat.Superscript;
+                else if (position?.StartsWith("sub", StringComparison.Ordinal) == true)
+                    format |= RunFormat.Subscript;
+            }
+
+            _formats[name] = format;
+        }
+
+        public RunFormat GetFormat(string? name)
+        {
+            return name is not null && _formats.TryGetValue(name, out var format) ? format : RunFormat.None;
+        }
+
+        public bool IsNumberedList(string? name) => name is not null && _numberedLists.Contains(name);
+    }
+
+    // ── Rich Text Format ────────────────────────────────────────────
+
+    private static OfficePreview? ReadRtf(string filePath)
+    {
+        using var fs = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read);
+        var buffer = new byte[(int)Math.Min(fs.Length, MaxRtfBytes)];
+        var length = fs.ReadAtLeast(buffer, buffer.Length, throwOnEndOfStream: false);
+
+        // RTF is 7-bit; Latin1 maps every byte to one char and leaves 8-bit escapes to the parser.
+        var text = Encoding.Latin1.GetString(buffer, 0, length);
+        if (!text.StartsWith(@"{\rtf", StringComparison.Ordinal))
+            return null;
+
+        var html = new HtmlBuilder();
+        new RtfParser(text, html).Parse();
+        if (fs.Length > MaxRtfBytes)
+            html.MarkTruncated();
+
+        return html.ToPreview();
+    }
+
+    private sealed class RtfParser(string text, HtmlBuilder html)
+    {
+        // Groups introduced by these words hold tables, metadata or pictures rather than body text.
+        private static readonly HashSet<string> SkippedDestinations = new(StringComparer.Ordinal)
+        {
+            "fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "nonshppict", "shpinst",
+            "header", "headerl", "headerr", "headerf", "footer", "footerl", "footerr", "footerf",
+            "footnote", "annotation", "fldinst", "listtable", "listoverridetable", "rsidtbl", "revtbl",
+            "filetbl", "generator", "xmlnstbl", "themedata", "colorschememapping", "latentstyles",
+            "datastore", "mmathPr", "pgdsctbl"
+        };
+
+        private readonly Stack<RtfState> _groups = new();
+        private readonly StringBuilder _pending = new();
+        private RtfState _state = new(RunFormat.None, Skip: false, UnicodeSkip: 1);
+        private RunFormat _pendingFormat;
+        private Encoding _encoding = Encoding.Latin1;
+        private int _charactersToSkip;
+        private int _headingLevel;
+        private string? _paragraphTag;
+        private int _position;
+
+        public void Parse()
+        {
+            while (_position < text.Length && !html.IsFull)
+            {
+                var c = text[_position++];
+                switch (c)
+                {
+                    case '{':
+                        _groups.Push(_state);
+                        break;
+                    case '}':
+                        if (_groups.Count > 0)
+                            _state = _groups.Pop();
+                        break;
+                    case '\\':
+                        ReadControl();
+                        break;
+                    case '\r' or '\n':
+                        break;
+                    default:
+                        Append(c.ToString());
+                        break;
+                }
+            }
+
+            EndParagraph();
+            if (html.IsFull)
+                html.MarkTruncated();
+        }
+
+        private void ReadControl()
+        {
+            if (_position >= text.Length)
+                return;
+
+            var c = text[_position];
+            if (!char.IsAsciiLetter(c))
+            {
+                _position++;
+                ReadSymbol(c);
+                return;
+            }
+
+            var start = _position;
+            while (_position < text.Length && char.IsAsciiLetter(text[_position]))
+                _position++;
+            var word = text[start.._position];
+
+            int? parameter = null;
+            var numberStart = _position;
+            if (_position < text.Length && text[_position] == '-')
+                _position++;
+            while (_position < text.Length && char.IsAsciiDigit(text[_position]))
+                _position++;
+            if (_position > numberStart &&
+                int.TryParse(text.AsSpan(numberStart, _position - numberStart), NumberStyles.AllowLeadingSign, CultureInfo.InvariantCulture, out var value))
+                parameter = value;
+
+            if (_position < text.Length && text[_position] == ' ')
+                _position++;
+
+            ApplyWord(word, parameter);
+        }
+
+        private void ReadSymbol(char symbol)
+        {
+            switch (symbol)
+            {
+                case '\\' or '{' or '}':
+                    Append(symbol.ToString());
+                    break;
+                case '\'':
+                    if (_position + 2 <= text.Length &&
+                        byte.TryParse(text.AsSpan(_position, 2), NumberStyles.HexNumber, CultureInfo.InvariantCulture, out var b))
+                    {
+                        _position += 2;
+                        Append(_encoding.GetString([b]));
+                    }
+                    break;
+                case '~':
+                    Append(" ");
+                    break;
+                case '_':
+                    Append("-");
+                    break;
+                case '*':
+                    _state = _state with { Skip = true };
+                    break;
+                case '\r' or '\n':
+                    EndParagraph();
+                    break;
+            }
+        }
+
+        private void ApplyWord(string word, int? parameter)
+        {
+            if (SkippedDestinations.Contains(word))
+            {
+                _state = _state with { Skip = true };
+                return;
+            }
+
+            var on = parameter is null or not 0;
+            switch (word)
+            {
+                case "par" or "sect" or "page" or "row":
+                    EndParagraph();
+                    break;
+                case "line":
+                    if (!_state.Skip)
+                    {
+                        StartParagraph();
+                        Flush();
+                        html.LineBreak();
+                    }
+                    break;
+                case "tab" or "cell" or "nestcell":
+                    Append("\t");
+                    break;
+                case "pard":
+                    _headingLevel = 0;
+                    break;
+                case "outlinelevel":
+                    _headingLevel = parameter is >= 0 and < 6 ? parameter.Value + 1 : 0;
+                    break;
+                case "plain":
+                    _state = _state with { Format = RunFormat.None };
+                    break;
+                case "b":
+                    SetFormat(RunFormat.Bold, on);
+                    break;
+                case "i":
+                    SetFormat(RunFormat.Italic, on);
+                    break;
+                case "ul" or "uld" or "uldb" or "uldash" or "ulth" or "ulw" or "ulwave":
+                    SetFormat(RunFormat.Underline, on);
+                    break;
+                case "ulnone":
+                    SetFormat(RunFormat.Underline, false);
+                    break;
+                case "strike" or "striked":
+                    SetFormat(RunFormat.Strike, on);
+                    break;
+                case "super":
+                    SetFormat(RunFormat.Superscript, true);
+                    break;
+                case "sub":
+                    SetFormat(RunFormat.Subscript, true);
+                    break;
+                case "nosupersub":
+                    SetFormat(RunFormat.Superscript | RunFormat.Subscript, false);
+                    break;
+                case "u" when parameter is not null:
+                    Append(((char)(parameter.Value < 0 ? parameter.Value + 65536 : parameter.Value)).ToString());
+                    _charactersToSkip = _state.UnicodeSkip;
+                    break;
+                case "uc" when parameter is not null:
+                    _state = _state with { UnicodeSkip = Math.Max(parameter.Value, 0) };
+                    break;
+                case "ansicpg" when parameter is not null:
+                    _encoding = CodePagesEncodingProvider.Instance.GetEncoding(parameter.Value) ?? Encoding.Latin1;
+                    break;
+                case "bin" when parameter is > 0:
+                    _position = Math.Min(_position + parameter.Value, text.Length);
+                    break;
+                case "emdash":
+                    Append("\u2014");
+                    break;
+                case "endash":
+                    Append("\u2013");
+                    break;
+                case "lquote":
+                    Append("\u2018");
+                    break;
+                case "rquote":
+                    Append("\u2019");
+                    break;
+                case "ldblquote":
+                    Append("\u201C");
+                    break;
+                case "rdblquote":
+                    Append("\u201D");
+                    break;
+                case "bullet":
+                    Append("\u2022");
+                    break;
+                case "emspace" or "enspace" or "qmspace":
+                    Append(" ");
+                    break;
+            }
+        }
+
+        private void SetFormat(RunFormat flag, bool on)
+        {
+            _state = _state with { Format = on ? _state.Format | flag : _state.Format & ~flag };
+        }
+
+        private void Append(string value)
+        {
+            // Characters that follow \uN stand in for readers without Unicode support.
+            if (_charactersToSkip > 0)
+            {
+                _charactersToSkip--;
+                return;
+            }
+
+            if (_state.Skip)
+                return;
+
+            StartParagraph();
+            if (_state.Format != _pendingFormat)
+            {
+                Flush();
+                _pendingFormat = _state.Format;
+            }
+
+            _pending.Append(value);
+        }
+
+        private void StartParagraph()
+        {
+            if (_paragraphTag is not null)
+                return;
+
+            _paragraphTag = _headingLevel > 0 ? $"h{_headingLevel}" : "p";
+            html.Open(_paragraphTag);
+        }
+
+        private void EndParagraph()
+        {
+            if (_state.Skip || _paragraphTag is null)
+                return;
+
+            Flush();
+            html.Close(_paragraphTag);
+            _paragraphTag = null;
+        }
+
+        private void Flush()
+        {
+            html.Text(_pending.ToString(), _pendingFormat);
+            _pending.Clear();
+        }
+    }
+
+    private readonly record struct RtfState(RunFormat Format, bool Skip, int UnicodeSkip);
+
+    // ── Output ──────────────────────────────────────────────────────
+
+    /// <summary>
+    /// Builds document HTML from encoded text and a fixed set of tags, and stops taking text at the cap.
+    /// </summary>
+    private sealed class HtmlBuilder
+    {
+        private readonly StringBuilder _html = new();
+        private int _textLength;
+        private string? _listTag;
+        private bool _truncated;
+
+        public bool IsFull => _textLength >= MaxDocumentTextLength;
+
+        public void MarkTruncated() => _truncated = true;
+
+        public void Open(string tag) => _html.Append('<').Append(tag).Append('>');
+
+        public void Close(string tag) => _html.Append("</").Append(tag).Append('>');
+
+        public void LineBreak() => _html.Append("<br>");
+
+        // Opens or closes the list that consecutive list items share.
+        public void SetList(string? listTag)
+        {
+            if (_listTag == listTag)
+                return;
+
+            if (_listTag is not null)
+                Close(_listTag);
+            if (listTag is not null)
+                Open(listTag);
+            _listTag = listTag;
+        }
+
+        // Writes a block element, dropping it again if its content produced no text.
+        public void Paragraph(string tag, Action renderContent)
+        {
+            var start = _html.Length;
+            var textStart = _textLength;
+            Open(tag);
+            renderContent();
+            if (_textLength == textStart)
+                _html.Length = start;
+            else
+                Close(tag);
+        }
+
+        public void Text(string text, RunFormat format)
+        {
+            if (text.Length == 0)
+                return;
+
+            if (IsFull)
+            {
+                _truncated = true;
+                return;
+            }
+
+            if (text.Length > MaxDocumentTextLength - _textLength)
+            {
+                text = text[..(MaxDocumentTextLength - _textLength)];
+                _truncated = true;
+            }
+
+            _textLength += text.Length;
+            foreach (var (flag, tag) in FormatTags)
+            {
+                if (format.HasFlag(flag))
+                    Open(tag);
+            }
+
+            _html.Append(WebUtility.HtmlEncode(text));
+            for (var i = FormatTags.Length - 1; i >= 0; i--)
+            {
+                if (format.HasFlag(FormatTags[i].Flag))
+                    Close(FormatTags[i].Tag);
+            }
+        }
+
+        public OfficePreview ToPreview()
+        {
+            SetList(null);
+            return new OfficePreview { Kind = "document", Html = _html.ToString(), Truncated = _truncated };
+        }
+    }
+
+    /// <summary>
+    /// Collects sparse cell values into rows, capped at <see cref="MaxRows"/> by <see cref="MaxColumns"/>
+    /// and a cell budget shared by all sheets of a workbook.
+    /// </summary>
+    private sealed class SheetGrid(int budget)
+    {
+        private readonly Dictionary<int, string[]> _rows = [];
+        private int _rowCount;
+        private int _columnCount;
+        private bool _truncated;
+
+        public int Budget { get; private set; } = budget;
+
+        public bool IsFull => Budget <= 0;
+
+        public void MarkTruncated() => _truncated = true;
+
+        public void Set(int row, int column, string value)
+        {
+            if (value.Length == 0 || row < 0 || column < 0)
+                return;
+
+            if (row >= MaxRows || column >= MaxColumns || Budget <= 0)
+            {
+                _truncated = true;
+                return;
+            }
+
+            if (!_rows.TryGetValue(row, out var cells))
+                _rows[row] = cells = new string[MaxColumns];
+            cells[column] = value;
+            Budget--;
+            _rowCount = Math.Max(_rowCount, row + 1);
+            _columnCount = Math.Max(_columnCount, column + 1);
+        }
+
+        public void CopyTo(OfficeSheet sheet)
+        {
+            for (var row = 0; row < _rowCount; row++)
+            {
+                var cells = new string[_columnCount];
+                if (_rows.TryGetValue(row, out var values))
+                {
+                    for (var column = 0; column < _columnCount; column++)
+                        cells[column] = values[column] ?? string.Empty;
+                }
+                else
+                {
+                    Array.Fill(cells, string.Empty);
+                }
+
+                sheet.Rows.Add(cells);
+            }
+
+            sheet.Truncated = _truncated;
+        }
+    }
+
+    [GeneratedRegex("\"[^\"]*\"|\\\\.|_.|\\[[^\\]]*\\]|General", RegexOptions.IgnoreCase)]
+    private static partial Regex FormatLiteralRegex();
+
+    [GeneratedRegex(@"\s+")]
+    private static partial Regex WhitespaceRegex();
+}
@@ -0,0 +1,65 @@
+using System.Globalization;
+using DirForge.Models;
+
+namespace DirForge.Services;
+
+/// <summary>
+/// Reads plain and extended M3U playlists. Locations are returned as written; resolving them against the
+/// playlist's folder, and rejecting URLs or absolute paths, is left to the caller.
+/// </summary>
+public static class PlaylistParser
+{
+    public const long MaxFileSize = 1024 * 1024;
+
+    public static readonly HashSet<string> Extensions = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "m3u", "m3u8"
+    };
+
+    public static List<PlaylistEntry> Parse(string text)
+    {
+        var entries = new List<PlaylistEntry>();
+        string? title = null;
+        double? duration = null;
+
+        foreach (var rawLine in text.Split('\n'))
+        {
+            var line = rawLine.Trim();
+            if (line.Length == 0)
+                continue;
+
+            if (line.StartsWith("#EXTINF:", StringComparison.OrdinalIgnoreCase))
+            {
+                // #EXTINF:<seconds>[ attributes],<title>
+                var info = line["#EXTINF:".Length..];
+                var comma = info.IndexOf(',');
+                var lengthText = (comma < 0 ? info : info[..comma]).Trim();
+                var space = lengthText.IndexOf(' ');
+                if (space >= 0)
+                    lengthText = lengthText[..space];
+
+                duration = double.TryParse(lengthText, NumberStyles.Float, CultureInfo.InvariantCulture, out var seconds) && seconds > 0
+                    ? seconds
+                    : null;
+                title = comma < 0 ? null : info[(comma + 1)..].Trim();
+                if (string.IsNullOrEmpty(title))
+                    title = null;
+                continue;
+            }
+
+            if (line.StartsWith('#'))
+                continue;
+
+            entries.Add(new PlaylistEntry
+            {
+                Location = line,
+                Title = title,
+                DurationSeconds = duration
+            });
+            title = null;
+            duration = null;
+        }
+
+        return entries;
+    }
+}
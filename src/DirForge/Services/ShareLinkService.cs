@@ -1,6 +1,7 @@
 using System.Security.Cryptography;
 using System.Text;
 using System.Text.Json;
+using System.Text.Json.Serialization;
 using DirForge.Models;
 using Microsoft.AspNetCore.WebUtilities;
 
@@ -26,7 +27,12 @@ public sealed class ShareLinkService
         _pathComparison = OperatingSystem.IsWindows() ? StringComparison.OrdinalIgnoreCase : StringComparison.Ordinal;
     }
 
-    public string CreateToken(ShareMode mode, string relativePath, long expiresAtUnix, bool isOneTime = false)
+    public string CreateToken(
+        ShareMode mode,
+        string relativePath,
+        long expiresAtUnix,
+        bool isOneTime = false,
+        IReadOnlyList<string>? selectionPaths = null)
     {
         var normalizedPath = NormalizeRelativePath(relativePath);
         var nonce = isOneTime
@@ -35,11 +41,19 @@ public sealed class ShareLinkService
         var payload = new TokenPayload
         {
             V = 1,
-            M = mode == ShareMode.File ? "f" : "d",
+            M = mode switch
+            {
+                ShareMode.File => "f",
+                ShareMode.Selection => "s",
+                _ => "d"
+            },
             P = normalizedPath,
             E = expiresAtUnix,
             O = isOneTime ? 1 : 0,
-            N = nonce
+            N = nonce,
+            L = mode == ShareMode.Selection
+                ? (selectionPaths ?? []).Select(NormalizeRelativePath).ToArray()
+                : null
         };
 
         var payloadBytes = JsonSerializer.SerializeToUtf8Bytes(payload);
@@ -108,6 +122,7 @@ public sealed class ShareLinkService
         {
             "f" => ShareMode.File,
             "d" => ShareMode.Directory,
+            "s" => ShareMode.Selection,
             _ => (ShareMode?)null
         };
 
@@ -136,6 +151,16 @@ public sealed class ShareLinkService
             return false;
         }
 
+        string[]? selectionPaths = null;
+        if (mode == ShareMode.Selection)
+        {
+            selectionPaths = (payload.L ?? []).Select(NormalizeRelativePath).ToArray();
+            if (selectionPaths.Length == 0 || selectionPaths.Any(string.IsNullOrEmpty))
+            {
+                return false;
+            }
+        }
+
         var nowUnix = nowUtc.ToUnixTimeSeconds();
         if (nowUnix > payload.E + ExpirySkewSeconds)
         {
@@ -143,7 +168,7 @@ public sealed class ShareLinkService
             return false;
         }
 
-        context = new ShareAccessContext(mode.Value, normalizedPath, payload.E, token, isOneTime, nonce);
+        context = new ShareAccessContext(mode.Value, normalizedPath, payload.E, token, isOneTime, nonce, selectionPaths);
         return true;
     }
 
@@ -168,7 +193,8 @@ public sealed class ShareLinkService
             if (isArchiveRoute)
             {
                 return string.IsNullOrEmpty(handler) ||
-                       handler.Equals("DownloadEntry", StringComparison.OrdinalIgnoreCase);
+                       handler.Equals("DownloadEntry", StringComparison.OrdinalIgnoreCase) ||
+                       handler.Equals("PreviewInfoEntry", StringComparison.OrdinalIgnoreCase);
             }
 
             return string.IsNullOrEmpty(handler) ||
@@ -177,6 +203,13 @@ public sealed class ShareLinkService
                    handler.Equals("ArchiveEntry", StringComparison.OrdinalIgnoreCase);
         }
 
+        if (context.Mode == ShareMode.Selection)
+        {
+            return !isArchiveRoute &&
+                   scopeRequestPath.Equals(context.ScopePath, _pathComparison) &&
+                   handler.Equals("DownloadSelection", StringComparison.OrdinalIgnoreCase);
+        }
+
         if (!IsPathWithinScope(scopeRequestPath, context.ScopePath))
         {
             return false;
@@ -185,13 +218,25 @@ public sealed class ShareLinkService
         if (isArchiveRoute)
         {
             return string.IsNullOrEmpty(handler) ||
-                   handler.Equals("DownloadEntry", StringComparison.OrdinalIgnoreCase);
+                   handler.Equals("DownloadEntry", StringComparison.OrdinalIgnoreCase) ||
+                   handler.Equals("PreviewInfoEntry", StringComparison.OrdinalIgnoreCase);
         }
 
         return string.IsNullOrEmpty(handler) ||
                handler.Equals("View", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("Thumbnail", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("PreviewInfo", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("Subtitle", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("Playlist", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("Hls", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("Hex", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("Follow", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("Table", StringComparison.OrdinalIgnoreCase) ||
                handler.Equals("DirectorySizes", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("ListingPage", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("ListingEvents", StringComparison.OrdinalIgnoreCase) ||
                handler.Equals("DownloadZip", StringComparison.OrdinalIgnoreCase) ||
+               handler.Equals("DownloadSelection", StringComparison.OrdinalIgnoreCase) ||
                handler.Equals("Archive", StringComparison.OrdinalIgnoreCase) ||
                handler.Equals("ArchiveEntry", StringComparison.OrdinalIgnoreCase);
     }
@@ -256,5 +301,8 @@ public sealed class ShareLinkService
         public long E { get; set; }
         public int O { get; set; }
         public string N { get; set; } = string.Empty;
+
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string[]? L { get; set; }
     }
 }
@@ -0,0 +1,1104 @@
+using System.Globalization;
+using System.Text;
+using System.Text.Encodings.Web;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Xml;
+using System.Xml.Linq;
+using DirForge.Models;
+
+namespace DirForge.Services;
+
+/// <summary>
+/// Parses JSON, YAML and XML documents into a tree of <see cref="StructuredNode"/> for the structured
+/// preview, together with a re-indented copy of the document. YAML goes through a parser for the subset
+/// found in configuration files: block and flow collections, plain, quoted and block scalars, anchors,
+/// aliases and merge keys, and several documents in one stream. Tags are read past and ignored.
+/// Malformed documents come back with <see cref="StructuredPreview.Error"/> set rather than throwing.
+/// </summary>
+public static partial class StructuredPreviewReader
+{
+    public const int MaxBytes = 512 * 1024;
+    public const int MaxNodes = 50_000;
+    public const int MaxDepth = 256;
+
+    private static readonly Dictionary<string, string> Formats = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["json"] = "json",
+        ["jsonc"] = "json",
+        ["geojson"] = "json",
+        ["webmanifest"] = "json",
+        ["yaml"] = "yaml",
+        ["yml"] = "yaml",
+        ["xml"] = "xml",
+        ["xsd"] = "xml",
+        ["xsl"] = "xml",
+        ["xslt"] = "xml",
+        ["rss"] = "xml",
+        ["atom"] = "xml"
+    };
+
+    private static readonly JsonDocumentOptions JsonOptions = new()
+    {
+        CommentHandling = JsonCommentHandling.Skip,
+        AllowTrailingCommas = true,
+        MaxDepth = MaxDepth
+    };
+
+    private static readonly JsonWriterOptions JsonPrettyOptions = new()
+    {
+        Indented = true,
+        Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    };
+
+    private static readonly JsonSerializerOptions JsonStringOptions = new()
+    {
+        Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    };
+
+    // DTDs are skipped rather than refused: plenty of ordinary documents declare one, but nothing in them is expanded.
+    private static readonly XmlReaderSettings XmlSettings = new()
+    {
+        DtdProcessing = DtdProcessing.Ignore,
+        IgnoreWhitespace = true,
+        XmlResolver = null,
+        MaxCharactersInDocument = MaxBytes * 2L
+    };
+
+    /// <summary>
+    /// Returns "json", "yaml" or "xml" for extensions the structured preview reads, otherwise null.
+    /// </summary>
+    public static string? GetFormat(string extension)
+    {
+        return Formats.GetValueOrDefault(extension);
+    }
+
+    public static StructuredPreview Read(string text, string format)
+    {
+        text = text.TrimStart('\uFEFF');
+        var budget = new NodeBudget(MaxNodes);
+        try
+        {
+            var (root, pretty) = format switch
+            {
+                "json" => ReadJson(text, budget),
+                "yaml" => ReadYaml(text, budget),
+                "xml" => ReadXml(text, budget),
+                _ => throw new ArgumentOutOfRangeException(nameof(format), format, "Unknown structured format.")
+            };
+
+            return new StructuredPreview { Format = format, Root = root, Pretty = pretty, Truncated = budget.Exhausted };
+        }
+        catch (Exception ex) when (ex is JsonException or XmlException or FormatException)
+        {
+            return new StructuredPreview { Format = format, Error = ex.Message };
+        }
+    }
+
+    // ── JSON ────────────────────────────────────────────────────────
+
+    private static (StructuredNode Root, string Pretty) ReadJson(string text, NodeBudget budget)
+    {
+        using var document = JsonDocument.Parse(text, JsonOptions);
+        var root = FromJson(document.RootElement, null, budget);
+
+        // Writing the parsed elements back keeps numbers exactly as written; comments are dropped.
+        using var buffer = new MemoryStream();
+        using (var writer = new Utf8JsonWriter(buffer, JsonPrettyOptions))
+            document.RootElement.WriteTo(writer);
+
+        return (root, Encoding.UTF8.GetString(buffer.GetBuffer(), 0, (int)buffer.Length));
+    }
+
+    private static StructuredNode FromJson(JsonElement element, string? name, NodeBudget budget)
+    {
+        switch (element.ValueKind)
+        {
+            case JsonValueKind.Object:
+                var properties = new List<StructuredNode>();
+                foreach (var property in element.EnumerateObject())
+                {
+                    if (!budget.Take())
+                        break;
+                    properties.Add(FromJson(property.Value, property.Name, budget));
+                }
+
+                return new StructuredNode { Kind = "object", Name = name, Children = properties };
+            case JsonValueKind.Array:
+                var items = new List<StructuredNode>();
+                foreach (var item in element.EnumerateArray())
+                {
+                    if (!budget.Take())
+                        break;
+                    items.Add(FromJson(item, null, budget));
+                }
+
+                return new StructuredNode { Kind = "array", Name = name, Children = items };
+            case JsonValueKind.String:
+                return new StructuredNode { Kind = "string", Name = name, Value = element.GetString() };
+            case JsonValueKind.Number:
+                return new StructuredNode { Kind = "number", Name = name, Value = element.GetRawText() };
+            case JsonValueKind.True:
+            case JsonValueKind.False:
+                return new StructuredNode { Kind = "boolean", Name = name, Value = element.GetRawText() };
+            default:
+                return new StructuredNode { Kind = "null", Name = name };
+        }
+    }
+
+    // ── XML ─────────────────────────────────────────────────────────
+
+    private static (StructuredNode Root, string Pretty) ReadXml(string text, NodeBudget budget)
+    {
+        // Checked with a plain reader first, as loading and printing deeply nested elements recurses.
+        using (var reader = XmlReader.Create(new StringReader(text), XmlSettings))
+        {
+            while (reader.Read())
+            {
+                if (reader.Depth > MaxDepth)
+                    throw new XmlException($"Elements are nested more than {MaxDepth} levels deep.", null, ((IXmlLineInfo)reader).LineNumber, ((IXmlLineInfo)reader).LinePosition);
+            }
+        }
+
+        XDocument document;
+        using (var reader = XmlReader.Create(new StringReader(text), XmlSettings))
+            document = XDocument.Load(reader);
+
+        var root = FromXml(document.Root!, budget);
+        var pretty = document.Declaration is null
+            ? document.ToString()
+            : document.Declaration + "\n" + document;
+        return (root, pretty);
+    }
+
+    private static StructuredNode FromXml(XElement element, NodeBudget budget)
+    {
+        var children = new List<StructuredNode>();
+        foreach (var attribute in element.Attributes())
+        {
+            if (!budget.Take())
+                break;
+            children.Add(new StructuredNode { Kind = "attribute", Name = XmlName(attribute), Value = attribute.Value });
+        }
+
+        // An element holding only text shows it as its value rather than as a child.
+        if (!element.HasElements)
+        {
+            return new StructuredNode
+            {
+                Kind = "element",
+                Name = XmlName(element),
+                Value = element.IsEmpty ? null : element.Value,
+                Children = children
+            };
+        }
+
+        foreach (var node in element.Nodes())
+        {
+            if (node is XElement child)
+            {
+                if (!budget.Take())
+                    break;
+                children.Add(FromXml(child, budget));
+            }
+            else if (node is XText text && !string.IsNullOrWhiteSpace(text.Value))
+            {
+                if (!budget.Take())
+                    break;
+                children.Add(new StructuredNode { Kind = "text", Value = text.Value.Trim() });
+            }
+        }
+
+        return new StructuredNode { Kind = "element", Name = XmlName(element), Children = children };
+    }
+
+    private static string XmlName(XElement element)
+    {
+        var prefix = element.GetPrefixOfNamespace(element.Name.Namespace);
+        return string.IsNullOrEmpty(prefix) ? element.Name.LocalName : prefix + ":" + element.Name.LocalName;
+    }
+
+    private static string XmlName(XAttribute attribute)
+    {
+        if (attribute.IsNamespaceDeclaration)
+            return attribute.Name.Namespace == XNamespace.None ? "xmlns" : "xmlns:" + attribute.Name.LocalName;
+
+        var prefix = attribute.Name.Namespace == XNamespace.None
+            ? null
+            : attribute.Parent?.GetPrefixOfNamespace(attribute.Name.Namespace);
+        return string.IsNullOrEmpty(prefix) ? attribute.Name.LocalName : prefix + ":" + attribute.Name.LocalName;
+    }
+
+    // ── YAML ────────────────────────────────────────────────────────
+
+    private static (StructuredNode Root, string Pretty) ReadYaml(string text, NodeBudget budget)
+    {
+        var documents = new YamlParser(text, budget).Parse();
+        var root = documents.Count switch
+        {
+            0 => new StructuredNode { Kind = "null" },
+            1 => documents[0],
+            _ => new StructuredNode { Kind = "array", Children = documents }
+        };
+
+        var pretty = new StringBuilder();
+        foreach (var document in documents)
+        {
+            if (documents.Count > 1)
+                pretty.Append("---\n");
+            WriteYamlBlock(pretty, document, 0);
+        }
+
+        return (root, pretty.ToString());
+    }
+
+    // Writes a node as a block starting at `indent`; collections put each entry on its own line.
+    private static void WriteYamlBlock(StringBuilder output, StructuredNode node, int indent)
+    {
+        if (node.Children is not { Count: > 0 } children)
+        {
+            output.Append(' ', indent).Append(FormatYamlScalar(node)).Append('\n');
+            return;
+        }
+
+        foreach (var child in children)
+        {
+            if (node.Kind == "array" && child.Children is { Count: > 0 })
+            {
+                // A collection inside a sequence starts on the dash line: "- key: value".
+                var start = output.Length;
+                WriteYamlBlock(output, child, indent + 2);
+                output[start + indent] = '-';
+                continue;
+            }
+
+            output.Append(' ', indent).Append(node.Kind == "array" ? "-" : FormatYamlString(child.Name ?? string.Empty) + ":");
+            if (child.Children is { Count: > 0 })
+            {
+                output.Append('\n');
+                WriteYamlBlock(output, child, indent + 2);
+            }
+            else
+            {
+                output.Append(' ').Append(FormatYamlScalar(child, indent + 2)).Append('\n');
+            }
+        }
+    }
+
+    // Multi-line strings under a key or dash become literal blocks indented to `blockIndent`.
+    private static string FormatYamlScalar(StructuredNode node, int blockIndent = -1)
+    {
+        return node.Kind switch
+        {
+            "object" => "{}",
+            "array" => "[]",
+            "null" => "null",
+            "number" or "boolean" => node.Value ?? string.Empty,
+            _ when blockIndent >= 0 && node.Value is { } text && text.Contains('\n') && YamlBlockTextRegex().IsMatch(text) =>
+                FormatYamlLiteral(text, blockIndent),
+            _ => FormatYamlString(node.Value ?? string.Empty)
+        };
+    }
+
+    private static string FormatYamlLiteral(string text, int indent)
+    {
+        var body = text.TrimEnd('\n');
+        var trailing = text.Length - body.Length;
+        var header = trailing switch { 0 => "|-", 1 => "|", _ => "|+" };
+        if (trailing > 1)
+            body = text[..^1];
+
+        var literal = new StringBuilder(header);
+        foreach (var line in body.Split('\n'))
+        {
+            literal.Append('\n');
+            if (line.Length > 0)
+                literal.Append(' ', indent).Append(line);
+        }
+
+        return literal.ToString();
+    }
+
+    // Strings that would read back as another type, also under YAML 1.1's wider rules for booleans
+    // and dates, or that need escaping are written as JSON strings, which YAML reads as double-quoted.
+    private static string FormatYamlString(string value)
+    {
+        var plain = value.Length > 0 &&
+                    YamlPlainStringRegex().IsMatch(value) &&
+                    !value.Contains(": ", StringComparison.Ordinal) &&
+                    !value.Contains(" #", StringComparison.Ordinal) &&
+                    !value.EndsWith(':') &&
+                    !Yaml11ScalarRegex().IsMatch(value) &&
+                    YamlParser.ResolvePlain(value, null).Kind == "string";
+        return plain ? value : JsonSerializer.Serialize(value, JsonStringOptions);
+    }
+
+    // Text a literal block keeps as is: no leading space to confuse its indentation and no
+    // control characters or trailing spaces, which only survive in quoted strings.
+    [GeneratedRegex(@"^(?! )(?:[^\p{C}\n ]| (?=[^\n]))*(?:\n(?:[^\p{C}\n ]| (?=[^\n]))*)*$")]
+    private static partial Regex YamlBlockTextRegex();
+
+    [GeneratedRegex(@"^[^\s\-?:,\[\]{}#&*!|>'""%@`][^\p{C}]*(?<!\s)$")]
+    private static partial Regex YamlPlainStringRegex();
+
+    [GeneratedRegex(@"^(?:[yYnN]|[Yy]es|YES|[Nn]o|NO|[Oo]n|ON|[Oo]ff|OFF|\d{4}-\d\d?-\d\d?(?:[Tt ].*)?|[-+]?[0-9][0-9_]*(?::[0-5]?[0-9])+)$")]
+    private static partial Regex Yaml11ScalarRegex();
+
+    [GeneratedRegex(@"^(?:[-+]?[0-9]+|0o[0-7]+|0x[0-9a-fA-F]+|[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?|[-+]?\.(?:inf|Inf|INF)|\.(?:nan|NaN|NAN))$")]
+    private static partial Regex YamlNumberRegex();
+
+    private sealed class NodeBudget(int nodes)
+    {
+        public bool Exhausted { get; private set; }
+
+        public bool Take()
+        {
+            if (nodes <= 0)
+            {
+                Exhausted = true;
+                return false;
+            }
+
+            nodes--;
+            return true;
+        }
+    }
+
+    private readonly record struct YamlLine(int Indent, string Text, int Number);
+
+    /// <summary>
+    /// Reads YAML line by line. Each block node is parsed from the indentation of its first line; the
+    /// content after a sequence dash is re-read as a line of its own at its column, so "- key: value"
+    /// starts a mapping nested in the item.
+    /// </summary>
+    private sealed class YamlParser
+    {
+        private readonly List<YamlLine> _lines = [];
+        private readonly Dictionary<string, StructuredNode> _anchors = new(StringComparer.Ordinal);
+        private readonly NodeBudget _budget;
+        private int _index;
+
+        public YamlParser(string text, NodeBudget budget)
+        {
+            _budget = budget;
+            var number = 1;
+            foreach (var raw in text.Split('\n'))
+            {
+                var line = raw.TrimEnd();
+                var indent = 0;
+                while (indent < line.Length && line[indent] == ' ')
+                    indent++;
+                _lines.Add(new YamlLine(indent, line[indent..], number++));
+            }
+        }
+
+        public List<StructuredNode> Parse()
+        {
+            var documents = new List<StructuredNode>();
+            while (true)
+            {
+                SkipBlankLines(skipDirectives: true);
+                if (_index >= _lines.Count)
+                    break;
+
+                if (IsMarker(_index, "---"))
+                {
+                    var rest = StripComment(_lines[_index].Text[3..]).Trim();
+                    if (rest.Length == 0)
+                        _index++;
+                    else
+                        _lines[_index] = _lines[_index] with { Indent = 4, Text = rest };
+                }
+
+                documents.Add(ParseBlock(-1, null, 0));
+                SkipBlankLines(skipDirectives: false);
+                if (_index >= _lines.Count)
+                    break;
+                if (IsMarker(_index, "..."))
+                    _index++;
+                else if (!IsMarker(_index, "---"))
+                    throw Error("Unexpected content after the end of the document");
+            }
+
+            return documents;
+        }
+
+        internal static StructuredNode ResolvePlain(string text, string? name)
+        {
+            if (text is "" or "~" or "null" or "Null" or "NULL")
+                return new StructuredNode { Kind = "null", Name = name };
+            if (text is "true" or "True" or "TRUE" or "false" or "False" or "FALSE")
+                return new StructuredNode { Kind = "boolean", Name = name, Value = text.ToLowerInvariant() };
+            if (YamlNumberRegex().IsMatch(text))
+                return new StructuredNode { Kind = "number", Name = name, Value = text };
+            return new StructuredNode { Kind = "string", Name = name, Value = text };
+        }
+
+        // Parses the node on the following lines when they are indented past `parentIndent`. A sequence
+        // may sit at the parent's own indentation when it is the value of a mapping key.
+        private StructuredNode ParseBlock(int parentIndent, string? name, int depth, bool allowSequence = false)
+        {
+            if (depth > MaxDepth)
+                throw Error($"Collections are nested more than {MaxDepth} levels deep");
+
+            SkipBlankLines(skipDirectives: false);
+            if (_index >= _lines.Count || IsDocumentMarker(_index))
+                return new StructuredNode { Kind = "null", Name = name };
+
+            var line = _lines[_index];
+            var isSequence = IsSequenceItem(line.Text);
+            if (line.Indent < parentIndent || (line.Indent == parentIndent && !(allowSequence && isSequence)))
+                return new StructuredNode { Kind = "null", Name = name };
+
+            if (isSequence)
+                return ParseSequence(line.Indent, name, depth);
+            if (FindMappingColon(line.Text) >= 0)
+                return ParseMapping(line.Indent, name, depth);
+
+            _index++;
+            return ParseValue(line.Text, parentIndent, name, depth, allowSequence: false);
+        }
+
+        private StructuredNode ParseSequence(int indent, string? name, int depth)
+        {
+            var items = new List<StructuredNode>();
+            while (true)
+            {
+                SkipBlankLines(skipDirectives: false);
+                if (_index >= _lines.Count || IsDocumentMarker(_index))
+                    break;
+
+                var line = _lines[_index];
+                if (line.Indent < indent || (line.Indent == indent && !IsSequenceItem(line.Text)))
+                    break;
+                if (line.Indent > indent)
+                    throw Error("Unexpected indentation in a sequence");
+
+                var content = line.Text[1..].TrimStart(' ');
+                StructuredNode item;
+                if (content.Length == 0 || content[0] == '#')
+                {
+                    _index++;
+                    item = ParseBlock(indent, null, depth + 1);
+                }
+                else
+                {
+                    _lines[_index] = line with { Indent = indent + line.Text.Length - content.Length, Text = content };
+                    item = ParseBlock(indent, null, depth + 1);
+                }
+
+                if (_budget.Take())
+                    items.Add(item);
+            }
+
+            return new StructuredNode { Kind = "array", Name = name, Children = items };
+        }
+
+        private StructuredNode ParseMapping(int indent, string? name, int depth)
+        {
+            var entries = new List<StructuredNode>();
+            var merged = new List<StructuredNode>();
+            while (true)
+            {
+                SkipBlankLines(skipDirectives: false);
+                if (_index >= _lines.Count || IsDocumentMarker(_index))
+                    break;
+
+                var line = _lines[_index];
+                if (line.Indent < indent || (line.Indent == indent && IsSequenceItem(line.Text)))
+                    break;
+                if (line.Indent > indent)
+                    throw Error("Unexpected indentation in a mapping");
+
+                var colon = FindMappingColon(line.Text);
+                if (colon < 0)
+                    throw Error("Expected a key followed by ':'");
+
+                var key = ParseKey(line.Text[..colon]);
+                _index++;
+                var value = ParseValue(line.Text[(colon + 1)..], indent, key, depth + 1, allowSequence: true);
+
+                // "<<: *defaults" pulls in the keys of another mapping that are not set here.
+                if (key == "<<" && value.Kind is "object" or "array")
+                {
+                    IEnumerable<StructuredNode> sources = value.Kind == "object" ? [value] : value.Children!.Where(c => c.Kind == "object");
+                    merged.AddRange(sources.SelectMany(s => s.Children!));
+                    continue;
+                }
+
+                if (_budget.Take())
+                    entries.Add(value);
+            }
+
+            if (merged.Count > 0)
+            {
+                var keys = new HashSet<string?>(entries.Select(e => e.Name), StringComparer.Ordinal);
+                entries.InsertRange(0, merged.Where(m => keys.Add(m.Name)));
+            }
+
+            return new StructuredNode { Kind = "object", Name = name, Children = entries };
+        }
+
+        // Parses the value written after a key or dash, reading on into following lines where it continues.
+        private StructuredNode ParseValue(string rest, int parentIndent, string? name, int depth, bool allowSequence)
+        {
+            var text = StripComment(rest).Trim();
+            string? anchor = null;
+            while (text.Length > 0 && text[0] is '&' or '!')
+            {
+                var end = text.IndexOfAny([' ', '\t']);
+                if (text[0] == '&')
+                    anchor = end < 0 ? text[1..] : text[1..end];
+                text = end < 0 ? string.Empty : text[end..].TrimStart();
+            }
+
+            StructuredNode node;
+            if (text.Length == 0)
+                node = ParseBlock(parentIndent, name, depth, allowSequence);
+            else if (text[0] == '*')
+                node = ResolveAlias(text[1..], name);
+            else if (text[0] is '|' or '>')
+                node = new StructuredNode { Kind = "string", Name = name, Value = ReadBlockScalar(text, parentIndent) };
+            else if (text[0] is '[' or '{')
+                node = ParseFlow(ReadFlowText(text), name, depth);
+            else if (text[0] is '"' or '\'')
+                node = new StructuredNode { Kind = "string", Name = name, Value = ReadQuoted(text) };
+            else
+                node = ResolvePlain(ReadPlain(text, parentIndent), name);
+
+            if (anchor is not null)
+                _anchors[anchor] = node;
+            return node;
+        }
+
+        private StructuredNode ResolveAlias(string anchor, string? name)
+        {
+            anchor = anchor.Trim();
+            if (!_anchors.TryGetValue(anchor, out var target))
+                throw Error($"Unknown alias '*{anchor}'");
+            return Copy(target, name);
+        }
+
+        // Aliases are expanded into copies, so every node has its own name; the node budget stops
+        // "billion laughs" documents from expanding without bound.
+        private StructuredNode Copy(StructuredNode node, string? name)
+        {
+            List<StructuredNode>? children = null;
+            if (node.Children is not null)
+            {
+                children = new List<StructuredNode>(node.Children.Count);
+                foreach (var child in node.Children)
+                {
+                    if (!_budget.Take())
+                        break;
+                    children.Add(Copy(child, child.Name));
+                }
+            }
+
+            return new StructuredNode { Kind = node.Kind, Name = name, Value = node.Value, Children = children };
+        }
+
+        // Plain scalars continue onto following lines that are indented past the parent, folding line
+        // breaks into spaces and blank lines into line breaks.
+        private string ReadPlain(string text, int parentIndent)
+        {
+            var value = new StringBuilder(text);
+            var blankLines = 0;
+            for (var i = _index; i < _lines.Count; i++)
+            {
+                var line = _lines[i];
+                if (line.Text.Length == 0)
+                {
+                    blankLines++;
+                    continue;
+                }
+
+                if (line.Indent <= parentIndent || line.Text[0] == '#' || IsDocumentMarker(i))
+                    break;
+                if (FindMappingColon(line.Text) >= 0)
+                {
+                    _index = i;
+                    throw Error("A key is indented past the value before it");
+                }
+
+                value.Append(blankLines > 0 ? new string('\n', blankLines) : " ").Append(StripComment(line.Text).Trim());
+                blankLines = 0;
+                _index = i + 1;
+            }
+
+            return value.ToString();
+        }
+
+        private string ReadQuoted(string text)
+        {
+            var quote = text[0];
+            var value = new StringBuilder(text);
+            var close = FindClosingQuote(text, quote, 1);
+            var blankLines = 0;
+            while (close < 0)
+            {
+                if (_index >= _lines.Count)
+                    throw Error("Unterminated quoted string");
+
+                var line = _lines[_index++].Text;
+                if (line.Length == 0)
+                {
+                    blankLines++;
+                    continue;
+                }
+
+                value.Append(blankLines > 0 ? new string('\n', blankLines) : " ");
+                blankLines = 0;
+                var lineClose = FindClosingQuote(line.Trim(), quote, 0);
+                if (lineClose >= 0)
+                    close = value.Length + lineClose;
+                value.Append(line.Trim());
+            }
+
+            var content = value.ToString(1, close - 1);
+            return quote == '\'' ? content.Replace("''", "'") : Unescape(content);
+        }
+
+        private string ReadBlockScalar(string header, int parentIndent)
+        {
+            var literal = header[0] == '|';
+            var chomping = ' ';
+            var indentation = 0;
+            foreach (var c in header[1..])
+            {
+                if (c is '+' or '-')
+                    chomping = c;
+                else if (c is >= '1' and <= '9')
+                    indentation = c - '0';
+            }
+
+            var blockIndent = indentation > 0 ? Math.Max(parentIndent, 0) + indentation : -1;
+            var lines = new List<string>();
+            var trailingBlank = 0;
+            while (_index < _lines.Count)
+            {
+                var line = _lines[_index];
+                if (line.Text.Length == 0)
+                {
+                    lines.Add(string.Empty);
+                    trailingBlank++;
+                    _index++;
+                    continue;
+                }
+
+                if (blockIndent < 0)
+                    blockIndent = line.Indent;
+                if (line.Indent < blockIndent || line.Indent <= parentIndent || IsDocumentMarker(_index))
+                    break;
+
+                lines.Add(new string(' ', line.Indent - blockIndent) + line.Text);
+                trailingBlank = 0;
+                _index++;
+            }
+
+            lines.RemoveRange(lines.Count - trailingBlank, trailingBlank);
+            var value = new StringBuilder();
+            for (var i = 0; i < lines.Count; i++)
+            {
+                var line = lines[i];
+                if (i == 0)
+                    value.Append(line);
+                else if (literal)
+                    value.Append('\n').Append(line);
+                else if (line.Length == 0)
+                    value.Append('\n');
+                else if (lines[i - 1].Length == 0)
+                    value.Append(line);
+                else
+                    value.Append(lines[i - 1][0] == ' ' || line[0] == ' ' ? '\n' : ' ').Append(line);
+            }
+
+            return chomping switch
+            {
+                '-' => value.ToString(),
+                '+' => value.Append('\n', lines.Count > 0 ? trailingBlank + 1 : trailingBlank).ToString(),
+                _ => lines.Count > 0 ? value.Append('\n').ToString() : string.Empty
+            };
+        }
+
+        // A flow collection may span lines; they are joined until its brackets balance.
+        private string ReadFlowText(string text)
+        {
+            var flow = new StringBuilder(text);
+            var quote = '\0';
+            var depth = FlowDepth(text, 0, ref quote);
+            while (depth > 0)
+            {
+                if (_index >= _lines.Count || IsDocumentMarker(_index))
+                    throw Error("Unterminated flow collection");
+                var line = _lines[_index++].Text;
+                if (line.Length == 0 || line[0] == '#')
+                    continue;
+
+                var segment = StripComment(line).Trim();
+                flow.Append(' ').Append(segment);
+                depth = FlowDepth(segment, depth, ref quote);
+            }
+
+            return flow.ToString();
+        }
+
+        private StructuredNode ParseFlow(string text, string? name, int depth)
+        {
+            var position = 0;
+            var node = ParseFlowNode(text, ref position, name, depth);
+            SkipSpaces(text, ref position);
+            if (position < text.Length)
+                throw Error($"Unexpected '{text[position]}' after a flow collection");
+            return node;
+        }
+
+        private StructuredNode ParseFlowNode(string text, ref int position, string? name, int depth)
+        {
+            if (depth > MaxDepth)
+                throw Error($"Collections are nested more than {MaxDepth} levels deep");
+
+            SkipSpaces(text, ref position);
+            string? anchor = null;
+            while (position < text.Length && text[position] is '&' or '!')
+            {
+                var start = position;
+                while (position < text.Length && !IsFlowEnd(text[position]) && text[position] != ' ')
+                    position++;
+                if (text[start] == '&')
+                    anchor = text[(start + 1)..position];
+                SkipSpaces(text, ref position);
+            }
+
+            StructuredNode node;
+            if (position >= text.Length)
+            {
+                node = new StructuredNode { Kind = "null", Name = name };
+            }
+            else if (text[position] == '[')
+            {
+                position++;
+                var items = new List<StructuredNode>();
+                for (var first = true; !ReadFlowSeparator(text, ref position, ']', first); first = false)
+                {
+                    var item = ParseFlowNode(text, ref position, null, depth + 1);
+                    SkipSpaces(text, ref position);
+
+                    // "[key: value]" is a sequence holding a one-entry mapping.
+                    if (position < text.Length && text[position] == ':')
+                    {
+                        position++;
+                        var pair = ParseFlowNode(text, ref position, FlowKey(item), depth + 2);
+                        item = new StructuredNode { Kind = "object", Children = [pair] };
+                    }
+
+                    if (_budget.Take())
+                        items.Add(item);
+                }
+
+                node = new StructuredNode { Kind = "array", Name = name, Children = items };
+            }
+            else if (text[position] == '{')
+            {
+                position++;
+                var entries = new List<StructuredNode>();
+                for (var first = true; !ReadFlowSeparator(text, ref position, '}', first); first = false)
+                {
+                    var key = FlowKey(ParseFlowNode(text, ref position, null, depth + 1));
+                    SkipSpaces(text, ref position);
+                    StructuredNode value;
+                    if (position < text.Length && text[position] == ':')
+                    {
+                        position++;
+                        value = ParseFlowNode(text, ref position, key, depth + 1);
+                    }
+                    else
+                    {
+                        value = new StructuredNode { Kind = "null", Name = key };
+                    }
+
+                    if (_budget.Take())
+                        entries.Add(value);
+                }
+
+                node = new StructuredNode { Kind = "object", Name = name, Children = entries };
+            }
+            else if (text[position] is '"' or '\'')
+            {
+                var quote = text[position];
+                var close = FindClosingQuote(text, quote, position + 1);
+                if (close < 0)
+                    throw Error("Unterminated quoted string");
+                var content = text[(position + 1)..close];
+                position = close + 1;
+                node = new StructuredNode
+                {
+                    Kind = "string",
+                    Name = name,
+                    Value = quote == '\'' ? content.Replace("''", "'") : Unescape(content)
+                };
+            }
+            else
+            {
+                var start = position;
+                while (position < text.Length && !IsFlowEnd(text[position]) &&
+                       !(text[position] == ':' && (position + 1 >= text.Length || text[position + 1] is ' ' or ',' or ']' or '}')))
+                    position++;
+                var plain = text[start..position].Trim();
+                node = plain.StartsWith('*') ? ResolveAlias(plain[1..], name) : ResolvePlain(plain, name);
+            }
+
+            if (anchor is not null)
+                _anchors[anchor] = node;
+            return node;
+        }
+
+        // Skips the comma between entries; returns true once the closing bracket has been read.
+        private bool ReadFlowSeparator(string text, ref int position, char closing, bool first)
+        {
+            SkipSpaces(text, ref position);
+            if (position >= text.Length)
+                throw Error($"Expected '{closing}'");
+            if (text[position] == closing)
+            {
+                position++;
+                return true;
+            }
+
+            if (first)
+                return false;
+            if (text[position] != ',')
+                throw Error($"Expected ',' or '{closing}' in a flow collection");
+
+            position++;
+            SkipSpaces(text, ref position);
+            if (position < text.Length && text[position] == closing)
+            {
+                position++;
+                return true;
+            }
+
+            return false;
+        }
+
+        private string FlowKey(StructuredNode key)
+        {
+            if (key.Children is not null)
+                throw Error("Collections as mapping keys are not supported");
+            return key.Value ?? (key.Kind == "null" ? string.Empty : key.Kind);
+        }
+
+        private string ParseKey(string raw)
+        {
+            var key = raw.Trim();
+            if (key.StartsWith('?'))
+                throw Error("Complex mapping keys are not supported");
+            if (key.Length >= 2 && key[0] is '"' or '\'')
+                return key[0] == '\'' ? key[1..^1].Replace("''", "'") : Unescape(key[1..^1]);
+            return key;
+        }
+
+        private void SkipBlankLines(bool skipDirectives)
+        {
+            while (_index < _lines.Count)
+            {
+                var line = _lines[_index];
+                if (line.Text.Length > 0 && line.Text[0] != '#' && !(skipDirectives && line.Indent == 0 && line.Text[0] == '%'))
+                    break;
+                _index++;
+            }
+        }
+
+        private bool IsDocumentMarker(int index)
+        {
+            return IsMarker(index, "---") || IsMarker(index, "...");
+        }
+
+        private bool IsMarker(int index, string marker)
+        {
+            var line = _lines[index];
+            return line.Indent == 0 && line.Text.StartsWith(marker, StringComparison.Ordinal) &&
+                   (line.Text.Length == marker.Length || line.Text[marker.Length] is ' ' or '\t');
+        }
+
+        private FormatException Error(string message)
+        {
+            var line = _lines[Math.Clamp(_index, 0, _lines.Count - 1)].Number;
+            return new FormatException($"{message} (line {line}).");
+        }
+
+        private static bool IsSequenceItem(string text)
+        {
+            return text.StartsWith('-') && (text.Length == 1 || text[1] is ' ' or '\t');
+        }
+
+        // Index of the colon ending a "key:" at the start of the line, or -1 when the line holds a value.
+        private static int FindMappingColon(string text)
+        {
+            if (text.Length == 0 || text[0] is '[' or '{' or '#' or '&' or '*' or '!' or '|' or '>')
+                return -1;
+
+            var start = 0;
+            if (text[0] is '"' or '\'')
+            {
+                var close = FindClosingQuote(text, text[0], 1);
+                if (close < 0)
+                    return -1;
+                start = close + 1;
+                while (start < text.Length && text[start] is ' ' or '\t')
+                    start++;
+                return start < text.Length && text[start] == ':' && (start + 1 == text.Length || text[start + 1] is ' ' or '\t')
+                    ? start
+                    : -1;
+            }
+
+            for (var i = start; i < text.Length; i++)
+            {
+                if (text[i] == ':' && (i + 1 == text.Length || text[i + 1] is ' ' or '\t'))
+                    return i;
+                if (text[i] == '#' && i > 0 && text[i - 1] is ' ' or '\t')
+                    return -1;
+            }
+
+            return -1;
+        }
+
+        // Scans from `start`, just past the opening quote. Single quotes escape themselves by doubling;
+        // double-quoted strings use backslash escapes.
+        private static int FindClosingQuote(string text, char quote, int start)
+        {
+            for (var i = start; i < text.Length; i++)
+            {
+                if (quote == '"' && text[i] == '\\')
+                {
+                    i++;
+                    continue;
+                }
+
+                if (text[i] != quote)
+                    continue;
+                if (quote == '\'' && i + 1 < text.Length && text[i + 1] == '\'')
+                {
+                    i++;
+                    continue;
+                }
+
+                return i;
+            }
+
+            return -1;
+        }
+
+        // A '#' starts a comment after whitespace, outside quoted strings.
+        private static string StripComment(string text)
+        {
+            var quote = '\0';
+            for (var i = 0; i < text.Length; i++)
+            {
+                var c = text[i];
+                if (quote != '\0')
+                {
+                    if (c == '\\' && quote == '"')
+                        i++;
+                    else if (c == quote)
+                        quote = '\0';
+                    continue;
+                }
+
+                if (c is '"' or '\'' && (i == 0 || text[i - 1] is ' ' or '\t' or '[' or '{' or ',' or ':'))
+                    quote = c;
+                else if (c == '#' && (i == 0 || text[i - 1] is ' ' or '\t'))
+                    return text[..i].TrimEnd();
+            }
+
+            return text;
+        }
+
+        // Adds the brackets opened and closed in `text` to `depth`; `quote` carries an open string between lines.
+        private static int FlowDepth(string text, int depth, ref char quote)
+        {
+            for (var i = 0; i < text.Length; i++)
+            {
+                var c = text[i];
+                if (quote != '\0')
+                {
+                    if (c == '\\' && quote == '"')
+                        i++;
+                    else if (c == quote)
+                        quote = '\0';
+                    continue;
+                }
+
+                if (c is '"' or '\'' && (i == 0 || text[i - 1] is ' ' or '[' or '{' or ',' or ':'))
+                    quote = c;
+                else if (c is '[' or '{')
+                    depth++;
+                else if (c is ']' or '}')
+                    depth--;
+            }
+
+            return depth;
+        }
+
+        private static bool IsFlowEnd(char c)
+        {
+            return c is ',' or '[' or ']' or '{' or '}';
+        }
+
+        private static void SkipSpaces(string text, ref int position)
+        {
+            while (position < text.Length && text[position] is ' ' or '\t')
+                position++;
+        }
+
+        private string Unescape(string text)
+        {
+            if (!text.Contains('\\'))
+                return text;
+
+            var value = new StringBuilder(text.Length);
+            for (var i = 0; i < text.Length; i++)
+            {
+                var c = text[i];
+                if (c != '\\' || i + 1 >= text.Length)
+                {
+                    value.Append(c);
+                    continue;
+                }
+
+                c = text[++i];
+                switch (c)
+                {
+                    case 'n': value.Append('\n'); break;
+                    case 't': value.Append('\t'); break;
+                    case 'r': value.Append('\r'); break;
+                    case '0': value.Append('\0'); break;
+                    case 'a': value.Append('\a'); break;
+                    case 'b': value.Append('\b'); break;
+                    case 'e': value.Append('\u001b'); break;
+                    case 'f': value.Append('\f'); break;
+                    case 'v': value.Append('\v'); break;
+                    case 'N': value.Append('\u0085'); break;
+                    case '_': value.Append('\u00a0'); break;
+                    case 'L': value.Append('\u2028'); break;
+                    case 'P': value.Append('\u2029'); break;
+                    case 'x' or 'u' or 'U':
+                        var length = c == 'x' ? 2 : c == 'u' ? 4 : 8;
+                        if (i + length >= text.Length ||
+                            !int.TryParse(text.AsSpan(i + 1, length), NumberStyles.HexNumber, CultureInfo.InvariantCulture, out var code) ||
+                            code is > 0x10FFFF or (>= 0xD800 and <= 0xDFFF))
+                            throw Error($"Invalid escape '\\{c}'");
+                        value.Append(char.ConvertFromUtf32(code));
+                        i += length;
+                        break;
+                    default:
+                        // \" \\ \/ and an escaped space stand for themselves.
+                        value.Append(c);
+                        break;
+                }
+            }
+
+            return value.ToString();
+        }
+    }
+}
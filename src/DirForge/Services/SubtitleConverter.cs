@@ -0,0 +1,165 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace DirForge.Services;
+
+/// <summary>
+/// Converts SubRip and SubStation Alpha subtitles to WebVTT for the video preview's &lt;track&gt; elements.
+/// WebVTT files pass through unchanged; SubStation styling and positioning are dropped.
+/// </summary>
+public static partial class SubtitleConverter
+{
+    public const string ContentType = "text/vtt; charset=utf-8";
+    public const long MaxFileSize = 4 * 1024 * 1024;
+
+    public static readonly HashSet<string> Extensions = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "srt", "vtt", "ass", "ssa"
+    };
+
+    // SubStation files without a Format line use the standard field order, with the text last.
+    private static readonly string[] DefaultEventFormat =
+        ["layer", "start", "end", "style", "name", "marginl", "marginr", "marginv", "effect", "text"];
+
+    public static string ToWebVtt(byte[] content, string extension)
+    {
+        var text = TextPreviewDefaults.DecodeLegacyText(content).Replace("\r\n", "\n").Replace('\r', '\n');
+        return extension.ToLowerInvariant() switch
+        {
+            "vtt" => text.StartsWith("WEBVTT", StringComparison.Ordinal) ? text : "WEBVTT\n\n" + text,
+            "ass" or "ssa" => ConvertSubStation(text),
+            _ => ConvertSubRip(text)
+        };
+    }
+
+    private static string ConvertSubRip(string text)
+    {
+        var sb = new StringBuilder("WEBVTT\n\n");
+        var lines = text.Split('\n');
+        for (var i = 0; i < lines.Length; i++)
+        {
+            var match = SubRipTimingRegex().Match(lines[i]);
+            if (!match.Success)
+                continue;
+
+            sb.Append(FormatTimestamp(match.Groups[1].Value, match.Groups[2].Value, match.Groups[3].Value, match.Groups[4].Value.PadRight(3, '0')))
+                .Append(" --> ")
+                .Append(FormatTimestamp(match.Groups[5].Value, match.Groups[6].Value, match.Groups[7].Value, match.Groups[8].Value.PadRight(3, '0')))
+                .Append('\n');
+            for (i++; i < lines.Length && !string.IsNullOrWhiteSpace(lines[i]); i++)
+            {
+                sb.Append(CleanCueText(FontTagRegex().Replace(lines[i], string.Empty))).Append('\n');
+            }
+
+            sb.Append('\n');
+        }
+
+        return sb.ToString();
+    }
+
+    private static string ConvertSubStation(string text)
+    {
+        var format = DefaultEventFormat;
+        var inEvents = false;
+        var cues = new List<(TimeSpan Start, TimeSpan End, string Text)>();
+
+        foreach (var rawLine in text.Split('\n'))
+        {
+            var line = rawLine.Trim();
+            if (line.StartsWith('['))
+            {
+                inEvents = line.Equals("[Events]", StringComparison.OrdinalIgnoreCase);
+                continue;
+            }
+
+            if (!inEvents)
+                continue;
+
+            if (line.StartsWith("Format:", StringComparison.OrdinalIgnoreCase))
+            {
+                format = line["Format:".Length..].Split(',').Select(field => field.Trim().ToLowerInvariant()).ToArray();
+                continue;
+            }
+
+            if (!line.StartsWith("Dialogue:", StringComparison.OrdinalIgnoreCase))
+                continue;
+
+            // Only the last field may contain commas.
+            var fields = line["Dialogue:".Length..].Split(',', format.Length);
+            var startIndex = Array.IndexOf(format, "start");
+            var endIndex = Array.IndexOf(format, "end");
+            var textIndex = Array.IndexOf(format, "text");
+            if (fields.Length != format.Length || startIndex < 0 || endIndex < 0 || textIndex < 0 ||
+                !TryParseSubStationTime(fields[startIndex], out var start) ||
+                !TryParseSubStationTime(fields[endIndex], out var end))
+            {
+                continue;
+            }
+
+            var cueText = OverrideTagRegex().Replace(fields[textIndex], string.Empty)
+                .Replace("\\N", "\n")
+                .Replace("\\n", "\n")
+                .Replace("\\h", " ")
+                .Trim();
+            if (cueText.Length > 0)
+                cues.Add((start, end, cueText));
+        }
+
+        var sb = new StringBuilder("WEBVTT\n\n");
+        foreach (var cue in cues.OrderBy(cue => cue.Start))
+        {
+            sb.Append(FormatTimestamp(cue.Start)).Append(" --> ").Append(FormatTimestamp(cue.End)).Append('\n');
+            foreach (var cueLine in cue.Text.Split('\n'))
+            {
+                sb.Append(CleanCueText(cueLine)).Append('\n');
+            }
+
+            sb.Append('\n');
+        }
+
+        return sb.ToString();
+    }
+
+    private static bool TryParseSubStationTime(string value, out TimeSpan time)
+    {
+        var match = SubStationTimeRegex().Match(value.Trim());
+        if (!match.Success)
+        {
+            time = TimeSpan.Zero;
+            return false;
+        }
+
+        time = new TimeSpan(
+            0,
+            int.Parse(match.Groups[1].Value, CultureInfo.InvariantCulture),
+            int.Parse(match.Groups[2].Value, CultureInfo.InvariantCulture),
+            int.Parse(match.Groups[3].Value, CultureInfo.InvariantCulture),
+            int.Parse(match.Groups[4].Value.PadRight(3, '0'), CultureInfo.InvariantCulture));
+        return true;
+    }
+
+    private static string FormatTimestamp(TimeSpan time) =>
+        FormatTimestamp(((int)time.TotalHours).ToString(CultureInfo.InvariantCulture),
+            time.Minutes.ToString(CultureInfo.InvariantCulture),
+            time.Seconds.ToString(CultureInfo.InvariantCulture),
+            time.Milliseconds.ToString("000", CultureInfo.InvariantCulture));
+
+    private static string FormatTimestamp(string hours, string minutes, string seconds, string milliseconds) =>
+        $"{hours.PadLeft(2, '0')}:{minutes.PadLeft(2, '0')}:{seconds.PadLeft(2, '0')}.{milliseconds}";
+
+    // An arrow inside cue text would be read as a new timing line.
+    private static string CleanCueText(string line) => line.Replace("-->", "->");
+
+    [GeneratedRegex(@"^\s*(\d{1,3}):(\d{1,2}):(\d{1,2})[,.](\d{1,3})\s*-->\s*(\d{1,3}):(\d{1,2}):(\d{1,2})[,.](\d{1,3})")]
+    private static partial Regex SubRipTimingRegex();
+
+    [GeneratedRegex(@"^(\d+):(\d{1,2}):(\d{1,2})[.,](\d{1,3})$")]
+    private static partial Regex SubStationTimeRegex();
+
+    [GeneratedRegex(@"\{[^}]*\}")]
+    private static partial Regex OverrideTagRegex();
+
+    [GeneratedRegex(@"</?font[^>]*>", RegexOptions.IgnoreCase)]
+    private static partial Regex FontTagRegex();
+}
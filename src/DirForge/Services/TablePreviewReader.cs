@@ -0,0 +1,355 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using DirForge.Models;
+
+namespace DirForge.Services;
+
+/// <summary>
+/// Reads CSV and TSV files for the table preview. <see cref="Detect"/> works out the delimiter, quote
+/// character, header row and column types from the start of the file; <see cref="ReadRows"/> then parses
+/// the rows a chunk at a time. Chunks end on a record boundary, so quoted line breaks survive the split.
+/// </summary>
+public static partial class TablePreviewReader
+{
+    public const int ChunkBytes = 256 * 1024;
+    public const int MaxColumns = 200;
+    public const int MaxCellLength = 4096;
+
+    private const int SampleBytes = 64 * 1024;
+    private const int SampleRecords = 200;
+
+    public static readonly HashSet<string> Extensions = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "csv", "tsv", "tab"
+    };
+
+    private static readonly byte[] Delimiters = [(byte)',', (byte)'\t', (byte)';', (byte)'|'];
+
+    private readonly record struct ParsedRecord(string[] Fields, int End);
+
+    /// <summary>
+    /// Sniffs the first 64 KB of the file. Returns null when it holds binary data rather than text.
+    /// </summary>
+    public static TablePreview? Detect(string filePath, string extension)
+    {
+        byte[] sample;
+        bool wholeFile;
+        using (var stream = OpenRead(filePath))
+        {
+            sample = new byte[(int)Math.Min(SampleBytes, stream.Length)];
+            var read = stream.ReadAtLeast(sample, sample.Length, throwOnEndOfStream: false);
+            wholeFile = read >= stream.Length;
+            sample = sample[..read];
+        }
+
+        var bomLength = sample.AsSpan().StartsWith("\uFEFF"u8) ? 3 : 0;
+        var text = sample.AsSpan(bomLength);
+        if (text.Contains((byte)0))
+            return null;
+
+        var quote = DetectQuote(text);
+        var preferred = extension.Equals("tsv", StringComparison.OrdinalIgnoreCase) ||
+                        extension.Equals("tab", StringComparison.OrdinalIgnoreCase)
+            ? (byte)'\t'
+            : (byte)',';
+
+        // The delimiter that splits the most records into the same number of fields wins; among equally
+        // consistent ones, the one giving more fields, unless the extension names one of them.
+        var delimiter = preferred;
+        var bestScore = 0.0;
+        var bestFields = 0;
+        foreach (var candidate in Delimiters.OrderBy(d => d == preferred ? 0 : 1))
+        {
+            var candidateRecords = ParseRecords(text, candidate, quote, wholeFile, SampleRecords, out _);
+            if (candidateRecords.Count == 0)
+                continue;
+
+            var common = candidateRecords
+                .GroupBy(r => r.Fields.Length)
+                .OrderByDescending(g => g.Count())
+                .ThenByDescending(g => g.Key)
+                .First();
+            if (common.Key < 2)
+                continue;
+
+            var score = (double)common.Count() / candidateRecords.Count;
+            if (score > bestScore || (score == bestScore && common.Key > bestFields && delimiter != preferred))
+            {
+                delimiter = candidate;
+                bestScore = score;
+                bestFields = common.Key;
+            }
+        }
+
+        var records = ParseRecords(text, delimiter, quote, wholeFile, SampleRecords, out _);
+        var hasHeader = records.Count > 0 && LooksLikeHeader(records);
+        var dataRows = hasHeader ? records.Skip(1).ToList() : records;
+        var columnCount = records.Count == 0 ? 0 : records.Max(r => r.Fields.Length);
+
+        var columns = new List<TablePreviewColumn>(columnCount);
+        for (var c = 0; c < columnCount; c++)
+        {
+            var name = hasHeader && c < records[0].Fields.Length ? records[0].Fields[c].Trim() : string.Empty;
+            columns.Add(new TablePreviewColumn
+            {
+                Name = name.Length > 0 ? name : $"Column {c + 1}",
+                Type = InferType(dataRows.Select(r => c < r.Fields.Length ? r.Fields[c] : string.Empty))
+            });
+        }
+
+        return new TablePreview
+        {
+            Delimiter = ((char)delimiter).ToString(),
+            Quote = ((char)quote).ToString(),
+            HasHeader = hasHeader,
+            Columns = columns,
+            DataOffset = bomLength + (hasHeader ? records[0].End : 0)
+        };
+    }
+
+    /// <summary>
+    /// Parses up to <paramref name="maxBytes"/> of rows from <paramref name="offset"/>, which should be
+    /// the <see cref="TablePreviewChunk.End"/> of the previous chunk. An offset before the first data row
+    /// starts at that row.
+    /// </summary>
+    public static TablePreviewChunk ReadRows(string filePath, TablePreview table, long offset, int maxBytes = ChunkBytes)
+    {
+        using var stream = OpenRead(filePath);
+        offset = Math.Clamp(Math.Max(offset, table.DataOffset), 0, stream.Length);
+        var buffer = new byte[(int)Math.Min(maxBytes, stream.Length - offset)];
+        stream.Position = offset;
+        var read = stream.ReadAtLeast(buffer, buffer.Length, throwOnEndOfStream: false);
+        var final = offset + read >= stream.Length;
+        var delimiter = (byte)table.Delimiter[0];
+        var quote = (byte)table.Quote[0];
+
+        var records = ParseRecords(buffer.AsSpan(0, read), delimiter, quote, final, int.MaxValue, out var consumed);
+
+        // A record longer than a whole chunk is cut at the end of the chunk rather than never returned.
+        if (consumed == 0 && read > 0)
+            records = ParseRecords(buffer.AsSpan(0, read), delimiter, quote, final: true, int.MaxValue, out consumed);
+
+        return new TablePreviewChunk
+        {
+            Rows = records.ConvertAll(r => r.Fields),
+            Offset = offset,
+            End = offset + consumed
+        };
+    }
+
+    private static FileStream OpenRead(string filePath)
+    {
+        return new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite);
+    }
+
+    // Double quotes unless the file has none and its fields are wrapped in single quotes instead.
+    private static byte DetectQuote(ReadOnlySpan<byte> text)
+    {
+        if (text.Contains((byte)'"'))
+            return (byte)'"';
+
+        var opening = 0;
+        var closing = 0;
+        for (var i = 0; i < text.Length; i++)
+        {
+            if (text[i] != '\'')
+                continue;
+            if (i == 0 || IsFieldBoundary(text[i - 1]))
+                opening++;
+            if (i == text.Length - 1 || IsFieldBoundary(text[i + 1]))
+                closing++;
+        }
+
+        return opening > 0 && opening == closing ? (byte)'\'' : (byte)'"';
+    }
+
+    private static bool IsFieldBoundary(byte value)
+    {
+        return value is (byte)'\r' or (byte)'\n' || Delimiters.Contains(value);
+    }
+
+    // Records are only complete once their line break is seen, or at the end of the file when
+    // `final` is set; `consumed` is where the last complete record ends. Blank lines are skipped.
+    private static List<ParsedRecord> ParseRecords(
+        ReadOnlySpan<byte> bytes, byte delimiter, byte quote, bool final, int maxRecords, out int consumed)
+    {
+        var records = new List<ParsedRecord>();
+        var fields = new List<string>();
+        var position = 0;
+        consumed = 0;
+
+        while (position < bytes.Length && records.Count < maxRecords)
+        {
+            fields.Clear();
+            var complete = false;
+            while (true)
+            {
+                string value;
+                if (position < bytes.Length && bytes[position] == quote)
+                {
+                    var close = FindClosingQuote(bytes, position + 1, quote);
+                    if (close < 0 && !final)
+                        break;
+
+                    if (close < 0)
+                    {
+                        value = Unquote(bytes[(position + 1)..], quote);
+                        position = bytes.Length;
+                    }
+                    else
+                    {
+                        value = Unquote(bytes[(position + 1)..close], quote);
+                        // Anything between the closing quote and the next delimiter is kept as written.
+                        var end = FindFieldEnd(bytes, close + 1, delimiter);
+                        value += Encoding.UTF8.GetString(bytes[(close + 1)..end]);
+                        position = end;
+                    }
+                }
+                else
+                {
+                    var end = FindFieldEnd(bytes, position, delimiter);
+                    value = Encoding.UTF8.GetString(bytes[position..end]);
+                    position = end;
+                }
+
+                if (fields.Count < MaxColumns)
+                    fields.Add(value.Length > MaxCellLength ? value[..MaxCellLength] : value);
+
+                if (position >= bytes.Length)
+                {
+                    complete = final;
+                    break;
+                }
+
+                if (bytes[position] == delimiter)
+                {
+                    position++;
+                    continue;
+                }
+
+                position += bytes[position] == '\r' && position + 1 < bytes.Length && bytes[position + 1] == '\n' ? 2 : 1;
+                complete = true;
+                break;
+            }
+
+            if (!complete)
+                break;
+
+            consumed = position;
+            if (fields.Count > 1 || fields[0].Length > 0)
+                records.Add(new ParsedRecord([.. fields], position));
+        }
+
+        return records;
+    }
+
+    // A doubled quote inside a quoted field stands for one quote character.
+    private static int FindClosingQuote(ReadOnlySpan<byte> bytes, int start, byte quote)
+    {
+        var i = start;
+        while (i < bytes.Length)
+        {
+            var index = bytes[i..].IndexOf(quote);
+            if (index < 0)
+                return -1;
+
+            i += index;
+            if (i + 1 < bytes.Length && bytes[i + 1] == quote)
+            {
+                i += 2;
+                continue;
+            }
+
+            return i;
+        }
+
+        return -1;
+    }
+
+    private static int FindFieldEnd(ReadOnlySpan<byte> bytes, int start, byte delimiter)
+    {
+        var index = bytes[start..].IndexOfAny(delimiter, (byte)'\r', (byte)'\n');
+        return index < 0 ? bytes.Length : start + index;
+    }
+
+    private static string Unquote(ReadOnlySpan<byte> bytes, byte quote)
+    {
+        var quoteText = ((char)quote).ToString();
+        return Encoding.UTF8.GetString(bytes).Replace(quoteText + quoteText, quoteText);
+    }
+
+    // Votes column by column, as Python's csv.Sniffer does: a first row that does not fit a column whose
+    // other values share a type is a header. Without typed columns, a row of distinct names is taken as one.
+    private static bool LooksLikeHeader(List<ParsedRecord> records)
+    {
+        var first = records[0].Fields;
+        if (first.Any(f => f.Trim().Length == 0) || first.Distinct(StringComparer.Ordinal).Count() != first.Length)
+            return false;
+
+        var votes = 0;
+        for (var c = 0; c < first.Length; c++)
+        {
+            var column = c;
+            var values = records.Skip(1).Select(r => column < r.Fields.Length ? r.Fields[column] : string.Empty).ToList();
+            var type = InferType(values);
+            if (type != "text")
+            {
+                var headerType = InferType([first[c]]);
+                votes += headerType == type || (type == "number" && headerType == "integer") ? -1 : 1;
+                continue;
+            }
+
+            var lengths = values.Select(v => v.Length).Distinct().ToList();
+            if (lengths.Count == 1)
+                votes += lengths[0] == first[c].Length ? -1 : 1;
+        }
+
+        return votes >= 0;
+    }
+
+    private static string InferType(IEnumerable<string> values)
+    {
+        string? type = null;
+        foreach (var raw in values)
+        {
+            var value = raw.Trim();
+            if (value.Length == 0)
+                continue;
+
+            var valueType = ClassifyValue(value);
+            type = type switch
+            {
+                null => valueType,
+                _ when type == valueType => type,
+                "integer" or "number" when valueType is "integer" or "number" => "number",
+                _ => "text"
+            };
+
+            if (type == "text")
+                break;
+        }
+
+        return type ?? "text";
+    }
+
+    private static string ClassifyValue(string value)
+    {
+        if (long.TryParse(value, NumberStyles.AllowLeadingSign, CultureInfo.InvariantCulture, out _))
+            return "integer";
+        if (NumberRegex().IsMatch(value))
+            return "number";
+        if (DateRegex().IsMatch(value))
+            return "date";
+        if (value.Equals("true", StringComparison.OrdinalIgnoreCase) || value.Equals("false", StringComparison.OrdinalIgnoreCase) ||
+            value.Equals("yes", StringComparison.OrdinalIgnoreCase) || value.Equals("no", StringComparison.OrdinalIgnoreCase))
+            return "boolean";
+        return "text";
+    }
+
+    [GeneratedRegex(@"^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$")]
+    private static partial Regex NumberRegex();
+
+    [GeneratedRegex(@"^(?:\d{4}-\d{1,2}-\d{1,2}(?:[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}/\d{1,2}/\d{2,4})$")]
+    private static partial Regex DateRegex();
+}
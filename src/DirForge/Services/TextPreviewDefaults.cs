@@ -1,3 +1,5 @@
+using System.Text;
+
 namespace DirForge.Services;
 
 public static class TextPreviewDefaults
@@ -33,4 +35,23 @@ public static class TextPreviewDefaults
 
         return MimeTypes.Contains(mimeType);
     }
+
+    // Subtitles and playlists are often saved in a legacy code page; anything that is not valid UTF-8 is read as Latin-1.
+    public static string DecodeLegacyText(byte[] content)
+    {
+        if (content.Length >= 2 && content[0] == 0xFF && content[1] == 0xFE)
+            return Encoding.Unicode.GetString(content, 2, content.Length - 2);
+        if (content.Length >= 2 && content[0] == 0xFE && content[1] == 0xFF)
+            return Encoding.BigEndianUnicode.GetString(content, 2, content.Length - 2);
+
+        var offset = content.Length >= 3 && content[0] == 0xEF && content[1] == 0xBB && content[2] == 0xBF ? 3 : 0;
+        try
+        {
+            return new UTF8Encoding(false, throwOnInvalidBytes: true).GetString(content, offset, content.Length - offset);
+        }
+        catch (DecoderFallbackException)
+        {
+            return Encoding.Latin1.GetString(content);
+        }
+    }
 }
@@ -0,0 +1,287 @@
+using System.Text;
+using DirForge.Models;
+
+namespace DirForge.Services;
+
+/// <summary>
+/// Reads the text preview a chunk at a time: from a byte offset, from a line number, the last lines
+/// before an offset, or what was appended to a followed file. Chunks start on a character boundary and,
+/// except at the end of the file, stop after a line break, so consecutive chunks join up into whole lines.
+/// </summary>
+public static class TextPreviewReader
+{
+    public const int MaxTailLines = 10_000;
+
+    // One line lookup scans at most this far and reports where the next one should resume.
+    public const long MaxLineScanBytesPerRequest = 64L * 1024 * 1024;
+
+    private const int ScanBufferSize = 64 * 1024;
+
+    public static TextPreviewChunk ReadFrom(string filePath, long offset, int maxBytes = TextPreviewDefaults.MaxBytes)
+    {
+        using var stream = OpenRead(filePath);
+        return ReadFrom(stream, offset, maxBytes);
+    }
+
+    /// <summary>
+    /// Reads from <paramref name="offset"/> of a stream positioned at its start. A stream that cannot seek,
+    /// such as an archive entry, is read through to the offset.
+    /// </summary>
+    public static TextPreviewChunk ReadFrom(
+        Stream stream, long offset, int maxBytes = TextPreviewDefaults.MaxBytes, CancellationToken cancellationToken = default)
+    {
+        return ReadForward(stream, Skip(stream, offset, cancellationToken), firstLine: null, maxBytes);
+    }
+
+    /// <summary>
+    /// Reads from the start of the 1-based <paramref name="line"/>. Finding it scans the bytes before it,
+    /// starting at <paramref name="fromOffset"/>, which lies on line <paramref name="fromLine"/>. A scan that
+    /// stops at <paramref name="maxScanBytes"/> returns no chunk and the offset and line to resume from.
+    /// </summary>
+    public static (TextPreviewChunk? Chunk, long ResumeOffset, long ResumeLine) ReadFromLine(
+        string filePath, long line, long fromOffset = 0, long fromLine = 1,
+        long maxScanBytes = MaxLineScanBytesPerRequest, CancellationToken cancellationToken = default)
+    {
+        using var stream = OpenRead(filePath);
+        return ReadFromLine(stream, line, fromOffset, fromLine, maxScanBytes, cancellationToken);
+    }
+
+    public static (TextPreviewChunk? Chunk, long ResumeOffset, long ResumeLine) ReadFromLine(
+        Stream stream, long line, long fromOffset = 0, long fromLine = 1,
+        long maxScanBytes = MaxLineScanBytesPerRequest, CancellationToken cancellationToken = default)
+    {
+        var breaks = fromLine - 1;
+        var position = Skip(stream, fromOffset, cancellationToken);
+        if (breaks == line - 1)
+            return (ReadForward(stream, position, line, TextPreviewDefaults.MaxBytes), position, line);
+
+        var limit = position + maxScanBytes;
+        var buffer = new byte[ScanBufferSize];
+        while (position < limit)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            var read = stream.Read(buffer, 0, (int)Math.Min(buffer.Length, limit - position));
+            if (read == 0)
+                return (ReadForward(stream, position, breaks + 1, TextPreviewDefaults.MaxBytes), position, breaks + 1);
+
+            var span = buffer.AsSpan(0, read);
+            int index;
+            var start = 0;
+            while ((index = span[start..].IndexOf((byte)'\n')) >= 0)
+            {
+                start += index + 1;
+                if (++breaks == line - 1)
+                {
+                    var lineStart = position + start;
+                    return (ReadForward(stream, lineStart, line, TextPreviewDefaults.MaxBytes, span[start..]), lineStart, line);
+                }
+            }
+
+            position += read;
+        }
+
+        if (stream.CanSeek && position >= stream.Length)
+            return (ReadForward(stream, position, breaks + 1, TextPreviewDefaults.MaxBytes), position, breaks + 1);
+
+        return (null, position, breaks + 1);
+    }
+
+    /// <summary>
+    /// Reads the last <paramref name="lines"/> lines that end at <paramref name="end"/>, or at the end of
+    /// the file. When those lines exceed <paramref name="maxBytes"/>, the chunk starts at the first whole
+    /// line that fits.
+    /// </summary>
+    public static TextPreviewChunk ReadTail(string filePath, int lines, long? end = null, int maxBytes = TextPreviewDefaults.MaxBytes)
+    {
+        using var stream = OpenRead(filePath);
+        return ReadTail(stream, lines, end, maxBytes);
+    }
+
+    /// <summary>
+    /// Reads the last lines of a stream positioned at its start. A stream that cannot seek is read through
+    /// to <paramref name="end"/>, keeping only the last <paramref name="maxBytes"/> before it.
+    /// </summary>
+    public static TextPreviewChunk ReadTail(
+        Stream stream, int lines, long? end = null, int maxBytes = TextPreviewDefaults.MaxBytes,
+        CancellationToken cancellationToken = default)
+    {
+        var (window, windowStart) = stream.CanSeek
+            ? ReadWindow(stream, end, maxBytes)
+            : ReadLastBytes(stream, end, maxBytes, cancellationToken);
+        var count = Math.Clamp(lines, 1, MaxTailLines);
+
+        // A break just before the end closes the last line rather than starting another one.
+        var found = 0;
+        var earliestBreak = -1;
+        for (var i = window.Length - 2; i >= 0; i--)
+        {
+            if (window[i] != (byte)'\n')
+                continue;
+
+            earliestBreak = i;
+            if (++found == count)
+                return ReadRange(window, windowStart, i + 1, firstLine: null);
+        }
+
+        if (windowStart == 0)
+            return ReadRange(window, 0, 0, firstLine: 1);
+
+        return ReadRange(window, windowStart, earliestBreak >= 0 ? earliestBreak + 1 : 0, firstLine: null);
+    }
+
+    /// <summary>
+    /// Reads the text appended between <paramref name="offset"/> and <paramref name="end"/> of a followed
+    /// file. A character split by the end is left for the next read.
+    /// </summary>
+    public static TextPreviewChunk ReadAppended(string filePath, long offset, long end)
+    {
+        using var stream = OpenRead(filePath);
+        var buffer = new byte[(int)Math.Clamp(Math.Min(end, stream.Length) - offset, 0, TextPreviewDefaults.MaxBytes)];
+        stream.Position = offset;
+        var read = stream.ReadAtLeast(buffer, buffer.Length, throwOnEndOfStream: false);
+        var length = TrimToCharacter(buffer.AsSpan(0, read));
+        return new TextPreviewChunk
+        {
+            Text = Encoding.UTF8.GetString(buffer, 0, length),
+            Offset = offset,
+            End = offset + length
+        };
+    }
+
+    private static FileStream OpenRead(string filePath)
+    {
+        return new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite);
+    }
+
+    // Moves a stream positioned at its start to the offset, or to its end when shorter.
+    private static long Skip(Stream stream, long offset, CancellationToken cancellationToken)
+    {
+        if (stream.CanSeek)
+            return stream.Position = Math.Clamp(offset, 0, stream.Length);
+
+        var buffer = new byte[ScanBufferSize];
+        var position = 0L;
+        while (position < offset)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            var read = stream.Read(buffer, 0, (int)Math.Min(buffer.Length, offset - position));
+            if (read == 0)
+                break;
+
+            position += read;
+        }
+
+        return position;
+    }
+
+    // Reads a chunk from where the stream stands, after the bytes of it a line scan already read into head.
+    private static TextPreviewChunk ReadForward(
+        Stream stream, long offset, long? firstLine, int maxBytes, ReadOnlySpan<byte> head = default)
+    {
+        var size = stream.CanSeek
+            ? (int)Math.Min(maxBytes, head.Length + stream.Length - stream.Position)
+            : maxBytes;
+        var buffer = new byte[size];
+        var read = Math.Min(head.Length, size);
+        head[..read].CopyTo(buffer);
+        read += stream.ReadAtLeast(buffer.AsSpan(read), size - read, throwOnEndOfStream: false);
+        var atEnd = head.Length <= read &&
+            (stream.CanSeek ? stream.Position >= stream.Length : read < size || stream.ReadByte() < 0);
+
+        var skip = offset > 0 ? CountContinuationBytes(buffer.AsSpan(0, read)) : 0;
+        var length = read - skip;
+        if (!atEnd)
+            length = TrimToLineEnd(buffer.AsSpan(skip, length));
+
+        return new TextPreviewChunk
+        {
+            Text = Encoding.UTF8.GetString(buffer, skip, length),
+            Offset = offset + skip,
+            End = offset + skip + length,
+            FirstLine = offset == 0 ? 1 : firstLine
+        };
+    }
+
+    private static (byte[] Window, long Start) ReadWindow(Stream stream, long? end, int maxBytes)
+    {
+        var stop = Math.Clamp(end ?? stream.Length, 0, stream.Length);
+        var start = Math.Max(0, stop - maxBytes);
+        var window = new byte[stop - start];
+        stream.Position = start;
+        stream.ReadExactly(window);
+        return (window, start);
+    }
+
+    // Keeps the last maxBytes read, sliding them to the front of a buffer twice that size whenever it fills.
+    private static (byte[] Window, long Start) ReadLastBytes(Stream stream, long? end, int maxBytes, CancellationToken cancellationToken)
+    {
+        var buffer = new byte[maxBytes * 2];
+        var filled = 0;
+        var position = 0L;
+        var stop = Math.Max(0, end ?? long.MaxValue);
+        while (position < stop)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            if (filled == buffer.Length)
+            {
+                buffer.AsSpan(maxBytes).CopyTo(buffer);
+                filled = maxBytes;
+            }
+
+            var read = stream.Read(buffer, filled, (int)Math.Min(buffer.Length - filled, stop - position));
+            if (read == 0)
+                break;
+
+            filled += read;
+            position += read;
+        }
+
+        var kept = Math.Min(filled, maxBytes);
+        return (buffer[(filled - kept)..filled], position - kept);
+    }
+
+    // Decodes the window from index from on; windowStart is the offset of the window in the file.
+    private static TextPreviewChunk ReadRange(byte[] window, long windowStart, int from, long? firstLine)
+    {
+        var bytes = window.AsSpan(from);
+        var skip = windowStart + from > 0 ? CountContinuationBytes(bytes) : 0;
+        return new TextPreviewChunk
+        {
+            Text = Encoding.UTF8.GetString(bytes[skip..]),
+            Offset = windowStart + from + skip,
+            End = windowStart + window.Length,
+            FirstLine = firstLine
+        };
+    }
+
+    // A chunk that starts inside a multi-byte character skips to the next character.
+    private static int CountContinuationBytes(ReadOnlySpan<byte> bytes)
+    {
+        var count = 0;
+        while (count < 3 && count < bytes.Length && (bytes[count] & 0xC0) == 0x80)
+            count++;
+        return count;
+    }
+
+    // Cuts after the last line break, or, for a line longer than the chunk, before a split character.
+    private static int TrimToLineEnd(ReadOnlySpan<byte> bytes)
+    {
+        var lastBreak = bytes.LastIndexOf((byte)'\n');
+        return lastBreak >= 0 ? lastBreak + 1 : TrimToCharacter(bytes);
+    }
+
+    private static int TrimToCharacter(ReadOnlySpan<byte> bytes)
+    {
+        for (var i = bytes.Length - 1; i >= Math.Max(0, bytes.Length - 4); i--)
+        {
+            var value = bytes[i];
+            if ((value & 0xC0) == 0x80)
+                continue;
+
+            var sequenceLength = value >= 0xF0 ? 4 : value >= 0xE0 ? 3 : value >= 0xC0 ? 2 : 1;
+            return i + sequenceLength <= bytes.Length ? bytes.Length : i;
+        }
+
+        return bytes.Length;
+    }
+}
@@ -0,0 +1,223 @@
+using DirForge.Models;
+using Microsoft.Extensions.Logging;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Formats;
+using SixLabors.ImageSharp.Formats.Jpeg;
+using SixLabors.ImageSharp.Formats.Webp;
+using SixLabors.ImageSharp.Processing;
+
+namespace DirForge.Services;
+
+// Small WebP renditions of listing images for grid cards, the lightbox filmstrip and lightbox placeholders.
+// Only the first frame is decoded, JPEGs are decoded at reduced scale, and EXIF orientation is baked in.
+// Other formats decode at full size, so large ones have a lower pixel cap and decode one at a time.
+// Results are kept in an in-memory LRU capped at MaxThumbnailCacheSize bytes.
+public sealed class ThumbnailService
+{
+    public const string ContentType = "image/webp";
+    public const int DefaultSize = 320;
+
+    private const long MaxSourcePixels = 100_000_000;
+    private const long MaxFullDecodePixels = 40_000_000;
+    private const long LargeFullDecodePixels = 4_000_000;
+    private static readonly int[] Sizes = [160, 320, 640];
+    private static readonly HashSet<string> SupportedExtensions = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "png", "jpg", "jpeg", "gif", "webp", "bmp"
+    };
+    private static readonly WebpEncoder Encoder = new() { Quality = 75 };
+
+    private readonly Dictionary<string, LinkedListNode<CachedThumbnail>> _entries = new(StringComparer.Ordinal);
+    private readonly LinkedList<CachedThumbnail> _recency = new();
+    private readonly object _sync = new();
+    private readonly SemaphoreSlim _encodeSlots = new(Math.Max(1, Environment.ProcessorCount));
+    private readonly SemaphoreSlim _largeDecodeSlot = new(1);
+    private readonly long _maxCacheBytes;
+    private readonly ILogger _logger;
+    private long _cachedBytes;
+
+    public ThumbnailService(DirForgeOptions options, ILogger<ThumbnailService> logger)
+    {
+        _maxCacheBytes = options.MaxThumbnailCacheSize;
+        _logger = logger;
+    }
+
+    public long CachedBytes
+    {
+        get
+        {
+            lock (_sync)
+            {
+                return _cachedBytes;
+            }
+        }
+    }
+
+    public static bool IsSupportedExtension(string? extension) =>
+        !string.IsNullOrEmpty(extension) && SupportedExtensions.Contains(extension);
+
+    // Rounds a requested edge length up to the nearest size we render, so the cache only ever holds three variants.
+    public static int NormalizeSize(int? requested)
+    {
+        if (requested is null or <= 0)
+        {
+            return DefaultSize;
+        }
+
+        foreach (var size in Sizes)
+        {
+            if (requested <= size)
+            {
+                return size;
+            }
+        }
+
+        return Sizes[^1];
+    }
+
+    // Returns null when the file is not an image we can decode or is too large to thumbnail.
+    public async Task<byte[]?> GetThumbnailAsync(FileInfo fileInfo, int size, CancellationToken cancellationToken)
+    {
+        size = NormalizeSize(size);
+        var key = string.Join('|', fileInfo.FullName, size, fileInfo.LastWriteTimeUtc.Ticks, fileInfo.Length);
+        if (TryGetCached(key, out var cached))
+        {
+            return cached;
+        }
+
+        await _encodeSlots.WaitAsync(cancellationToken);
+        try
+        {
+            // Another request may have rendered it while this one waited for a slot.
+            if (TryGetCached(key, out cached))
+            {
+                return cached;
+            }
+
+            var bytes = await RenderAsync(fileInfo.FullName, size, cancellationToken);
+            if (bytes is not null)
+            {
+                AddToCache(key, bytes);
+            }
+
+            return bytes;
+        }
+        finally
+        {
+            _encodeSlots.Release();
+        }
+    }
+
+    private async Task<byte[]?> RenderAsync(string physicalPath, int size, CancellationToken cancellationToken)
+    {
+        var decoderOptions = new DecoderOptions
+        {
+            TargetSize = new Size(size, size),
+            MaxFrames = 1
+        };
+
+        try
+        {
+            await using var stream = new FileStream(physicalPath, FileMode.Open, FileAccess.Read, FileShare.Read, 64 * 1024, useAsync: true);
+            var info = await Image.IdentifyAsync(decoderOptions, stream, cancellationToken);
+            var pixels = (long)info.Width * info.Height;
+            var scaledDecode = info.Metadata.DecodedImageFormat is JpegFormat;
+            if (pixels > (scaledDecode ? MaxSourcePixels : MaxFullDecodePixels))
+            {
+                return null;
+            }
+
+            // A full-size decode holds four bytes per pixel until the resize, about 160 MB at the cap.
+            var largeDecode = !scaledDecode && pixels > LargeFullDecodePixels;
+            if (largeDecode)
+            {
+                await _largeDecodeSlot.WaitAsync(cancellationToken);
+            }
+
+            try
+            {
+                stream.Position = 0;
+                return await EncodeAsync(stream, decoderOptions, size, cancellationToken);
+            }
+            finally
+            {
+                if (largeDecode)
+                {
+                    _largeDecodeSlot.Release();
+                }
+            }
+        }
+        catch (Exception ex) when (ex is ImageFormatException or NotSupportedException or IOException or UnauthorizedAccessException)
+        {
+            _logger.LogDebug(ex, "Could not create a thumbnail for {Path}.", physicalPath);
+            return null;
+        }
+    }
+
+    private static async Task<byte[]> EncodeAsync(Stream stream, DecoderOptions decoderOptions, int size, CancellationToken cancellationToken)
+    {
+        using var image = await Image.LoadAsync(decoderOptions, stream, cancellationToken);
+        // TargetSize usually bounds the decoded image already. The box is square, so checking before
+        // the rotation is the same as checking after it.
+        var needsResize = image.Width > size || image.Height > size;
+        image.Mutate(context =>
+        {
+            context.AutoOrient();
+            if (needsResize)
+            {
+                context.Resize(new ResizeOptions { Mode = ResizeMode.Max, Size = new Size(size, size) });
+            }
+        });
+        image.Metadata.ExifProfile = null;
+        image.Metadata.XmpProfile = null;
+
+        using var output = new MemoryStream();
+        await image.SaveAsWebpAsync(output, Encoder, cancellationToken);
+        return output.ToArray();
+    }
+
+    private bool TryGetCached(string key, out byte[]? bytes)
+    {
+        lock (_sync)
+        {
+            if (_entries.TryGetValue(key, out var node))
+            {
+                _recency.Remove(node);
+                _recency.AddFirst(node);
+                bytes = node.Value.Bytes;
+                return true;
+            }
+        }
+
+        bytes = null;
+        return false;
+    }
+
+    private void AddToCache(string key, byte[] bytes)
+    {
+        if (bytes.Length > _maxCacheBytes)
+        {
+            return;
+        }
+
+        lock (_sync)
+        {
+            if (_entries.ContainsKey(key))
+            {
+                return;
+            }
+
+            while (_cachedBytes + bytes.Length > _maxCacheBytes && _recency.Last is { } oldest)
+            {
+                _recency.RemoveLast();
+                _entries.Remove(oldest.Value.Key);
+                _cachedBytes -= oldest.Value.Bytes.Length;
+            }
+
+            _entries[key] = _recency.AddFirst(new CachedThumbnail(key, bytes));
+            _cachedBytes += bytes.Length;
+        }
+    }
+
+    private sealed record CachedThumbnail(string Key, byte[] Bytes);
+}
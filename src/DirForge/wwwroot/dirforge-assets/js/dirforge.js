@@ -15,22 +15,64 @@
     'use strict';
 
     var PRELOAD_AHEAD = 2;
+    var FILMSTRIP_THUMB_SIZE = 160;
+    var ZOOM_STEP = 1.25;
+    var DOUBLE_TAP_MS = 300;
+    var SLIDESHOW_INTERVALS = [3, 5, 10, 30, 60];
+    var PLAY_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="6 4 20 12 6 20 6 4"/></svg>';
+    var PAUSE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>';
+    var CONTROLS_IDLE_MS = 2500;
+    var INTERVAL_STORAGE_KEY = 'dirforge-slideshow-interval';
+    var SHUFFLE_STORAGE_KEY = 'dirforge-slideshow-shuffle';
+    var LOOP_STORAGE_KEY = 'dirforge-slideshow-loop';
     var IMAGE_CACHE = {};
+    var DETAILS_CACHE = {};
+    var allImages = [];
     var images = [];
+    var imageFilter = null;
+    var imageOrder = null;
     var currentIndex = -1;
-    var overlay, imgEl, prevBtn, nextBtn, closeBtn, counter, infoBar, spinner;
+    var ready = false;
+    var overlay, imgWrap, imgEl, placeholderEl, filmstrip, prevBtn, nextBtn, closeBtn, counter, infoBar, spinner;
+    var filmstripDirty = true;
+    var zoomOutBtn, zoomInBtn, zoomLevel;
+    var modeButtons = {};
+    var playBtn, intervalSelect, shuffleBtn, loopBtn, fullscreenBtn;
+    var detailsBtn, detailsPanel, detailsTitle, detailsBody;
+    var detailsRequest = 0;
+    var playing = false;
+    var slideTimer = null;
+    var idleTimer = null;
+    var shuffleQueue = [];
+    var shuffleStarted = false;
     var touchStartX = 0;
+    var touchStartY = 0;
     var touchDelta = 0;
+    var touchMoved = false;
     var isDragging = false;
+    var touchPan = null;
+    var pinch = null;
+    var lastTap = null;
+    var mouseDrag = null;
+    var suppressClick = false;
+    // 'fit', 'width', 'height' and 'actual' are kept when moving to the next image; 'custom' is not.
+    var zoomMode = 'fit';
+    var zoomScale = 1;
+    var panX = 0;
+    var panY = 0;
 
     function injectStyles() {
         var css = [
             '.lb-overlay{position:fixed;inset:0;z-index:70;background:rgba(0,0,0,0.92);display:flex;align-items:center;justify-content:center;flex-direction:column;opacity:0;pointer-events:none;transition:opacity .2s ease}',
             '.lb-overlay.lb-visible{opacity:1;pointer-events:auto}',
             '.lb-overlay.lb-hiding{opacity:0;pointer-events:none}',
-            '.lb-img-wrap{position:relative;flex:1;display:flex;align-items:center;justify-content:center;width:100%;min-height:0;padding:48px 56px 0}',
-            '.lb-img{max-width:100%;max-height:100%;object-fit:contain;display:block;user-select:none;-webkit-user-select:none;opacity:0;transition:opacity .2s ease}',
+            '.lb-img-wrap{position:relative;flex:1;display:flex;align-items:center;justify-content:center;width:100%;min-height:0;padding:48px 56px 0;overflow:hidden;touch-action:none}',
+            '.lb-img{max-width:100%;max-height:100%;object-fit:contain;display:block;user-select:none;-webkit-user-select:none;opacity:0;transition:opacity .2s ease;transform-origin:50% 50%}',
             '.lb-img.lb-loaded{opacity:1}',
+            '.lb-placeholder{position:absolute;top:48px;left:56px;width:calc(100% - 112px);height:calc(100% - 48px);object-fit:contain;filter:blur(6px);pointer-events:none;display:none}',
+            '.lb-img.lb-animate{transition:opacity .2s ease,transform .15s ease}',
+            '.lb-img.lb-zoomed{cursor:grab}',
+            '.lb-img.lb-panning{cursor:grabbing}',
             '.lb-spinner{position:absolute;width:32px;height:32px;border:3px solid rgba(255,255,255,0.2);border-top-color:#fff;border-radius:50%;animation:lb-spin .7s linear infinite}',
             '@keyframes lb-spin{to{transform:rotate(360deg)}}',
             '.lb-close{position:absolute;top:12px;right:12px;z-index:2;background:none;border:none;color:#fff;cursor:pointer;padding:8px;opacity:.7;transition:opacity .15s}',
@@ -43,9 +85,34 @@
             '.lb-bottom{display:flex;align-items:center;justify-content:center;gap:16px;padding:10px 16px;color:rgba(255,255,255,0.85);font-size:13px;font-family:var(--font-sans,system-ui,-apple-system,sans-serif);flex-shrink:0;width:100%}',
             '.lb-counter{font-variant-numeric:tabular-nums}',
             '.lb-info{overflow:hidden;text-overflow:ellipsis;white-space:nowrap;max-width:50vw}',
-            '@media(max-width:600px){.lb-img-wrap{padding:40px 8px 0}.lb-nav{padding:10px 6px}.lb-prev{left:4px}.lb-next{right:4px}.lb-bottom{font-size:12px;gap:10px;padding:8px 12px}.lb-info{max-width:60vw}}',
+            '.lb-tools{display:flex;align-items:center;gap:4px}',
+            '.lb-tool-btn,.lb-interval{background:rgba(255,255,255,0.08);border:1px solid transparent;border-radius:4px;color:#fff;cursor:pointer;font:inherit;line-height:1;min-width:28px;height:26px;padding:0 6px;display:inline-flex;align-items:center;justify-content:center;opacity:.75;transition:opacity .15s}',
+            '.lb-tool-btn:hover,.lb-tool-btn:focus,.lb-interval:hover,.lb-interval:focus{opacity:1}',
+            '.lb-tool-btn:disabled{opacity:.3;cursor:default}',
+            '.lb-tool-btn[aria-pressed="true"]{border-color:rgba(255,255,255,0.6);opacity:1}',
+            '.lb-tool-btn[hidden]{display:none}',
+            '.lb-interval option{color:#000}',
+            '.lb-zoom-level{min-width:44px;text-align:center;font-variant-numeric:tabular-nums}',
+            '.lb-filmstrip{position:relative;display:flex;gap:4px;overflow-x:auto;overflow-y:hidden;width:100%;padding:8px 16px 0;flex-shrink:0;scrollbar-width:thin}',
+            '.lb-filmstrip[hidden]{display:none}',
+            '.lb-film-thumb{flex:0 0 auto;width:56px;height:56px;padding:0;border:2px solid transparent;border-radius:4px;background:rgba(255,255,255,0.08);cursor:pointer;overflow:hidden;opacity:.6;transition:opacity .15s}',
+            '.lb-film-thumb img{width:100%;height:100%;object-fit:cover;display:block}',
+            '.lb-film-thumb:hover,.lb-film-thumb:focus{opacity:1}',
+            '.lb-film-thumb[aria-current="true"]{border-color:#fff;opacity:1}',
+            '.lb-details{position:absolute;top:52px;right:12px;z-index:3;width:300px;max-width:calc(100% - 24px);max-height:calc(100% - 160px);overflow:auto;padding:12px 14px;background:rgba(20,20,20,0.9);border:1px solid rgba(255,255,255,0.12);border-radius:6px;color:rgba(255,255,255,0.85);font-size:12px;font-family:var(--font-sans,system-ui,-apple-system,sans-serif)}',
+            '.lb-details[hidden]{display:none}',
+            '.lb-details-title{margin:0 0 8px;font-weight:600;color:#fff;overflow-wrap:anywhere}',
+            '.lb-details-empty{margin:8px 0 0;color:rgba(255,255,255,0.6)}',
+            '.lb-details .media-info-list dt{color:rgba(255,255,255,0.55)}',
+            '.lb-details .media-info-list dd{color:rgba(255,255,255,0.9)}',
+            '.lb-details a{color:#8ab4ff}',
+            '.lb-bottom,.lb-close,.lb-nav,.lb-filmstrip,.lb-details{transition:opacity .3s}',
+            '.lb-overlay.lb-idle{cursor:none}',
+            '.lb-overlay.lb-idle .lb-close,.lb-overlay.lb-idle .lb-nav,.lb-overlay.lb-idle .lb-bottom,.lb-overlay.lb-idle .lb-filmstrip,.lb-overlay.lb-idle .lb-details{opacity:0;pointer-events:none}',
+            '.lb-overlay:fullscreen{background:#000}',
+            '@media(max-width:600px){.lb-img-wrap{padding:40px 8px 0}.lb-placeholder{top:40px;left:8px;width:calc(100% - 16px);height:calc(100% - 40px)}.lb-film-thumb{width:44px;height:44px}.lb-nav{padding:10px 6px}.lb-prev{left:4px}.lb-next{right:4px}.lb-bottom{font-size:12px;gap:10px;padding:8px 12px;flex-wrap:wrap}.lb-info{max-width:60vw}.lb-details{left:12px;width:auto}}',
             '@media print{.lb-overlay{display:none!important}}',
-            '@media(prefers-reduced-motion:reduce){.lb-overlay,.lb-img{transition:none}.lb-spinner{animation:none}}'
+            '@media(prefers-reduced-motion:reduce){.lb-overlay,.lb-img,.lb-img.lb-animate{transition:none}.lb-spinner{animation:none}}'
         ].join('\n');
         var style = document.createElement('style');
         style.textContent = css;
@@ -59,18 +126,24 @@
         overlay.setAttribute('aria-modal', 'true');
         overlay.setAttribute('aria-label', 'Image lightbox');
 
-        var wrap = document.createElement('div');
-        wrap.className = 'lb-img-wrap';
+        imgWrap = document.createElement('div');
+        imgWrap.className = 'lb-img-wrap';
+
+        placeholderEl = document.createElement('img');
+        placeholderEl.className = 'lb-placeholder';
+        placeholderEl.alt = '';
+        placeholderEl.setAttribute('aria-hidden', 'true');
+        imgWrap.appendChild(placeholderEl);
 
         spinner = document.createElement('div');
         spinner.className = 'lb-spinner';
-        wrap.appendChild(spinner);
+        imgWrap.appendChild(spinner);
 
         imgEl = document.createElement('img');
         imgEl.className = 'lb-img';
         imgEl.alt = '';
         imgEl.draggable = false;
-        wrap.appendChild(imgEl);
+        imgWrap.appendChild(imgEl);
 
         closeBtn = document.createElement('button');
         closeBtn.type = 'button';
@@ -102,24 +175,151 @@
         infoBar = document.createElement('span');
         infoBar.className = 'lb-info';
 
+        var zoomBar = document.createElement('div');
+        zoomBar.className = 'lb-tools lb-zoom';
+        zoomOutBtn = createToolButton('Zoom out (-)', '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="5" y1="12" x2="19" y2="12"/></svg>');
+        zoomLevel = document.createElement('span');
+        zoomLevel.className = 'lb-zoom-level';
+        zoomInBtn = createToolButton('Zoom in (+)', '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>');
+        modeButtons.fit = createToolButton('Fit to screen (0)', 'Fit');
+        modeButtons.width = createToolButton('Fit width', 'Width');
+        modeButtons.height = createToolButton('Fit height', 'Height');
+        modeButtons.actual = createToolButton('Actual pixels (double-click)', '1:1');
+        zoomBar.appendChild(zoomOutBtn);
+        zoomBar.appendChild(zoomLevel);
+        zoomBar.appendChild(zoomInBtn);
+        Object.keys(modeButtons).forEach(function (mode) {
+            modeButtons[mode].setAttribute('aria-pressed', 'false');
+            zoomBar.appendChild(modeButtons[mode]);
+        });
+
+        var slideshowBar = document.createElement('div');
+        slideshowBar.className = 'lb-tools lb-slideshow';
+        playBtn = createToolButton('Start slideshow (Space)', PLAY_ICON);
+        playBtn.setAttribute('aria-pressed', 'false');
+        intervalSelect = document.createElement('select');
+        intervalSelect.className = 'lb-interval';
+        intervalSelect.title = 'Slideshow interval';
+        intervalSelect.setAttribute('aria-label', 'Slideshow interval');
+        SLIDESHOW_INTERVALS.forEach(function (seconds) {
+            var option = document.createElement('option');
+            option.value = String(seconds);
+            option.textContent = seconds + 's';
+            intervalSelect.appendChild(option);
+        });
+        intervalSelect.value = String(readInterval());
+        shuffleBtn = createToolButton('Shuffle', '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="16 3 21 3 21 8"/><line x1="4" y1="20" x2="21" y2="3"/><polyline points="21 16 21 21 16 21"/><line x1="15" y1="15" x2="21" y2="21"/><line x1="4" y1="4" x2="9" y2="9"/></svg>');
+        shuffleBtn.setAttribute('aria-pressed', localStorage.getItem(SHUFFLE_STORAGE_KEY) === 'true' ? 'true' : 'false');
+        loopBtn = createToolButton('Loop', '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg>');
+        loopBtn.setAttribute('aria-pressed', localStorage.getItem(LOOP_STORAGE_KEY) !== 'false' ? 'true' : 'false');
+        fullscreenBtn = createToolButton('Full screen', '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 3 21 3 21 9"/><polyline points="9 21 3 21 3 15"/><line x1="21" y1="3" x2="14" y2="10"/><line x1="3" y1="21" x2="10" y2="14"/></svg>');
+        fullscreenBtn.setAttribute('aria-pressed', 'false');
+        fullscreenBtn.hidden = !document.fullscreenEnabled;
+        slideshowBar.appendChild(playBtn);
+        slideshowBar.appendChild(intervalSelect);
+        slideshowBar.appendChild(shuffleBtn);
+        slideshowBar.appendChild(loopBtn);
+        slideshowBar.appendChild(fullscreenBtn);
+
+        detailsBtn = createToolButton('Details (i)', '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>');
+        detailsBtn.setAttribute('aria-pressed', 'false');
+
         bottom.appendChild(counter);
         bottom.appendChild(infoBar);
+        bottom.appendChild(zoomBar);
+        bottom.appendChild(slideshowBar);
+        bottom.appendChild(detailsBtn);
+
+        detailsPanel = document.createElement('div');
+        detailsPanel.className = 'lb-details';
+        detailsPanel.setAttribute('role', 'region');
+        detailsPanel.setAttribute('aria-label', 'Image details');
+        detailsPanel.hidden = true;
+        detailsTitle = document.createElement('p');
+        detailsTitle.className = 'lb-details-title';
+        detailsBody = document.createElement('div');
+        detailsPanel.appendChild(detailsTitle);
+        detailsPanel.appendChild(detailsBody);
 
         overlay.appendChild(closeBtn);
+        overlay.appendChild(detailsPanel);
         overlay.appendChild(prevBtn);
-        overlay.appendChild(wrap);
+        filmstrip = document.createElement('div');
+        filmstrip.className = 'lb-filmstrip';
+        filmstrip.setAttribute('aria-label', 'Images');
+        filmstrip.hidden = true;
+
+        overlay.appendChild(imgWrap);
         overlay.appendChild(nextBtn);
+        overlay.appendChild(filmstrip);
         overlay.appendChild(bottom);
 
         document.body.appendChild(overlay);
     }
 
+    function createToolButton(title, html) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'lb-tool-btn';
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        btn.innerHTML = html;
+        return btn;
+    }
+
     function bindEvents() {
         closeBtn.addEventListener('click', close);
         prevBtn.addEventListener('click', function () { navigate(-1); });
         nextBtn.addEventListener('click', function () { navigate(1); });
+        zoomOutBtn.addEventListener('click', function () { zoomBy(1 / ZOOM_STEP); });
+        zoomInBtn.addEventListener('click', function () { zoomBy(ZOOM_STEP); });
+        Object.keys(modeButtons).forEach(function (mode) {
+            modeButtons[mode].addEventListener('click', function () { setZoomMode(mode, true); });
+        });
+        playBtn.addEventListener('click', togglePlaying);
+        intervalSelect.addEventListener('change', function () {
+            localStorage.setItem(INTERVAL_STORAGE_KEY, intervalSelect.value);
+            if (playing) scheduleSlide();
+        });
+        shuffleBtn.addEventListener('click', function () {
+            var enabled = shuffleBtn.getAttribute('aria-pressed') !== 'true';
+            shuffleBtn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+            localStorage.setItem(SHUFFLE_STORAGE_KEY, enabled ? 'true' : 'false');
+            shuffleQueue = [];
+            shuffleStarted = false;
+        });
+        loopBtn.addEventListener('click', function () {
+            var enabled = loopBtn.getAttribute('aria-pressed') !== 'true';
+            loopBtn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+            localStorage.setItem(LOOP_STORAGE_KEY, enabled ? 'true' : 'false');
+        });
+        fullscreenBtn.addEventListener('click', toggleFullscreen);
+        detailsBtn.addEventListener('click', toggleDetails);
+        filmstrip.addEventListener('click', function (e) {
+            var btn = e.target.closest ? e.target.closest('.lb-film-thumb') : null;
+            if (btn) showImage(parseInt(btn.getAttribute('data-index'), 10));
+        });
+        window.addEventListener('popstate', function () {
+            var index = findImage(window.DirForgeHashState.read().params.lightbox);
+            if (index < 0) close();
+            else if (currentIndex < 0) open(index);
+            else if (index !== currentIndex) showImage(index);
+        });
+        document.addEventListener('fullscreenchange', function () {
+            var active = document.fullscreenElement === overlay;
+            fullscreenBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+            fullscreenBtn.title = active ? 'Exit full screen' : 'Full screen';
+            fullscreenBtn.setAttribute('aria-label', fullscreenBtn.title);
+        });
+        overlay.addEventListener('mousemove', wakeControls);
+        overlay.addEventListener('touchstart', wakeControls, { passive: true });
 
         overlay.addEventListener('click', function (e) {
+            // The click that ends a drag lands on the wrapper when the pointer left the image.
+            if (suppressClick) {
+                suppressClick = false;
+                return;
+            }
             if (e.target === overlay || e.target.classList.contains('lb-img-wrap')) {
                 close();
             }
@@ -130,34 +330,415 @@
             if (e.key === 'Escape') { close(); e.preventDefault(); }
             else if (e.key === 'ArrowLeft') { navigate(-1); e.preventDefault(); }
             else if (e.key === 'ArrowRight') { navigate(1); e.preventDefault(); }
+            else if (e.ctrlKey || e.metaKey || e.altKey) return;
+            else if (e.key === ' ') {
+                // Space on a focused control keeps its native meaning.
+                if (e.target.closest && e.target.closest('button, select')) return;
+                togglePlaying();
+                e.preventDefault();
+            }
+            else if (e.key === '+' || e.key === '=') { zoomBy(ZOOM_STEP); e.preventDefault(); }
+            else if (e.key === '-' || e.key === '_') { zoomBy(1 / ZOOM_STEP); e.preventDefault(); }
+            else if (e.key === '0') { setZoomMode('fit', true); e.preventDefault(); }
+            else if (e.key === 'i') { toggleDetails(); e.preventDefault(); }
+        });
+
+        window.addEventListener('resize', function () {
+            if (currentIndex < 0) return;
+            if (zoomMode !== 'custom') zoomScale = scaleForMode(zoomMode);
+            renderZoom(false);
+        });
+
+        // Wheel and trackpad pinch zoom about the cursor.
+        imgWrap.addEventListener('wheel', function (e) {
+            if (currentIndex < 0 || !imgEl.classList.contains('lb-loaded')) return;
+            e.preventDefault();
+            var delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 100 : 1);
+            delta = Math.max(-100, Math.min(100, delta));
+            zoomTo(zoomScale * Math.exp(-delta * 0.002), viewportOffset(e.clientX, e.clientY), false);
+        }, { passive: false });
+
+        // Mouse drag pans a zoomed image.
+        imgWrap.addEventListener('mousedown', function (e) {
+            suppressClick = false;
+            if (e.button !== 0 || zoomScale <= 1) return;
+            e.preventDefault();
+            mouseDrag = { x: e.clientX, y: e.clientY, panX: panX, panY: panY, moved: false };
+            imgEl.classList.add('lb-panning');
+        });
+
+        document.addEventListener('mousemove', function (e) {
+            if (!mouseDrag) return;
+            var dx = e.clientX - mouseDrag.x;
+            var dy = e.clientY - mouseDrag.y;
+            if (Math.abs(dx) + Math.abs(dy) > 3) mouseDrag.moved = true;
+            panX = mouseDrag.panX + dx;
+            panY = mouseDrag.panY + dy;
+            renderZoom(false);
+        });
+
+        document.addEventListener('mouseup', function () {
+            if (!mouseDrag) return;
+            suppressClick = mouseDrag.moved;
+            mouseDrag = null;
+            imgEl.classList.remove('lb-panning');
+        });
+
+        imgWrap.addEventListener('dblclick', function (e) {
+            if (e.target !== imgEl) return;
+            toggleActualSize(viewportOffset(e.clientX, e.clientY));
         });
 
-        // Touch swipe
-        var imgWrap = overlay.querySelector('.lb-img-wrap');
+        // Touch: swipe to navigate at fit size, drag to pan when zoomed, pinch to zoom, double-tap for 1:1.
         imgWrap.addEventListener('touchstart', function (e) {
-            if (e.touches.length === 1) {
+            if (e.touches.length === 2) {
+                isDragging = false;
+                touchPan = null;
+                pinch = {
+                    distance: touchDistance(e.touches),
+                    center: viewportOffset((e.touches[0].clientX + e.touches[1].clientX) / 2, (e.touches[0].clientY + e.touches[1].clientY) / 2),
+                    scale: zoomScale,
+                    panX: panX,
+                    panY: panY
+                };
+                imgEl.classList.add('lb-panning');
+                return;
+            }
+            if (e.touches.length === 1 && !pinch) {
                 touchStartX = e.touches[0].clientX;
+                touchStartY = e.touches[0].clientY;
                 touchDelta = 0;
+                touchMoved = false;
                 isDragging = true;
+                touchPan = zoomScale > 1 ? { panX: panX, panY: panY } : null;
+                if (touchPan) imgEl.classList.add('lb-panning');
             }
         }, { passive: true });
 
         imgWrap.addEventListener('touchmove', function (e) {
-            if (isDragging && e.touches.length === 1) {
-                touchDelta = e.touches[0].clientX - touchStartX;
+            if (pinch && e.touches.length === 2) {
+                var center = viewportOffset((e.touches[0].clientX + e.touches[1].clientX) / 2, (e.touches[0].clientY + e.touches[1].clientY) / 2);
+                var next = clampScale(pinch.scale * touchDistance(e.touches) / pinch.distance);
+                var ratio = next / pinch.scale;
+                // The spot under the starting midpoint follows the fingers as they move.
+                panX = center.x - (pinch.center.x - pinch.panX) * ratio;
+                panY = center.y - (pinch.center.y - pinch.panY) * ratio;
+                zoomScale = next;
+                zoomMode = next === 1 ? 'fit' : 'custom';
+                renderZoom(false);
+                return;
+            }
+            if (!isDragging || e.touches.length !== 1) return;
+            var dx = e.touches[0].clientX - touchStartX;
+            var dy = e.touches[0].clientY - touchStartY;
+            if (Math.abs(dx) + Math.abs(dy) > 10) touchMoved = true;
+            if (touchPan) {
+                panX = touchPan.panX + dx;
+                panY = touchPan.panY + dy;
+                renderZoom(false);
+            } else {
+                touchDelta = dx;
             }
         }, { passive: true });
 
-        imgWrap.addEventListener('touchend', function () {
+        imgWrap.addEventListener('touchend', function (e) {
+            if (pinch) {
+                if (e.touches.length < 2) {
+                    pinch = null;
+                    imgEl.classList.remove('lb-panning');
+                }
+                return;
+            }
             if (!isDragging) return;
             isDragging = false;
-            if (Math.abs(touchDelta) > 50) {
+            imgEl.classList.remove('lb-panning');
+            var panned = !!touchPan;
+            touchPan = null;
+
+            if (!touchMoved && e.target === imgEl) {
+                var now = Date.now();
+                if (lastTap && now - lastTap < DOUBLE_TAP_MS) {
+                    lastTap = null;
+                    // Stops the browser from turning the taps into clicks.
+                    e.preventDefault();
+                    toggleActualSize(viewportOffset(touchStartX, touchStartY));
+                    return;
+                }
+                lastTap = now;
+            }
+
+            if (!panned && Math.abs(touchDelta) > 50) {
                 navigate(touchDelta < 0 ? 1 : -1);
             }
             touchDelta = 0;
         });
     }
 
+    // --- Zoom and pan ---
+    // The image keeps its fitted (contain) layout size and is zoomed with a transform, so scale 1 is
+    // "fit" and the other modes are scales worked out from the fitted, natural and viewport sizes.
+
+    function viewportBox() {
+        var rect = imgWrap.getBoundingClientRect();
+        var style = window.getComputedStyle(imgWrap);
+        var left = parseFloat(style.paddingLeft) || 0;
+        var right = parseFloat(style.paddingRight) || 0;
+        var top = parseFloat(style.paddingTop) || 0;
+        var bottom = parseFloat(style.paddingBottom) || 0;
+        var width = imgWrap.clientWidth - left - right;
+        var height = imgWrap.clientHeight - top - bottom;
+        return {
+            width: width,
+            height: height,
+            centerX: rect.left + left + width / 2,
+            centerY: rect.top + top + height / 2
+        };
+    }
+
+    // Screen point as an offset from the centre of the image area.
+    function viewportOffset(clientX, clientY) {
+        var box = viewportBox();
+        return { x: clientX - box.centerX, y: clientY - box.centerY };
+    }
+
+    function touchDistance(touches) {
+        var dx = touches[0].clientX - touches[1].clientX;
+        var dy = touches[0].clientY - touches[1].clientY;
+        return Math.sqrt(dx * dx + dy * dy) || 1;
+    }
+
+    function scaleForMode(mode) {
+        var width = imgEl.offsetWidth;
+        var height = imgEl.offsetHeight;
+        if (!width || !height) return 1;
+        var box = viewportBox();
+        if (mode === 'width') return Math.max(1, box.width / width);
+        if (mode === 'height') return Math.max(1, box.height / height);
+        if (mode === 'actual') return Math.max(1, (imgEl.naturalWidth || width) / width);
+        return 1;
+    }
+
+    // Up to four times the image's own pixels, and never less than four times the fitted size.
+    function clampScale(scale) {
+        var max = Math.max(4, scaleForMode('actual') * 4);
+        return Math.min(max, Math.max(1, scale));
+    }
+
+    function clampPan() {
+        var box = viewportBox();
+        var maxX = Math.max(0, (imgEl.offsetWidth * zoomScale - box.width) / 2);
+        var maxY = Math.max(0, (imgEl.offsetHeight * zoomScale - box.height) / 2);
+        panX = Math.min(maxX, Math.max(-maxX, panX));
+        panY = Math.min(maxY, Math.max(-maxY, panY));
+    }
+
+    function renderZoom(animate) {
+        clampPan();
+        imgEl.classList.toggle('lb-animate', !!animate);
+        imgEl.classList.toggle('lb-zoomed', zoomScale > 1);
+        imgEl.style.transform = zoomScale === 1 && !panX && !panY
+            ? ''
+            : 'translate(' + panX + 'px, ' + panY + 'px) scale(' + zoomScale + ')';
+
+        var loaded = imgEl.classList.contains('lb-loaded') && imgEl.naturalWidth > 0;
+        zoomLevel.textContent = loaded ? Math.round(imgEl.offsetWidth * zoomScale / imgEl.naturalWidth * 100) + '%' : '';
+        zoomOutBtn.disabled = !loaded || zoomScale <= 1;
+        zoomInBtn.disabled = !loaded || zoomScale >= clampScale(Infinity);
+        Object.keys(modeButtons).forEach(function (mode) {
+            modeButtons[mode].disabled = !loaded;
+            modeButtons[mode].setAttribute('aria-pressed', zoomMode === mode ? 'true' : 'false');
+        });
+    }
+
+    function setZoomMode(mode, animate) {
+        zoomMode = mode;
+        zoomScale = scaleForMode(mode);
+        panX = 0;
+        // Fit width opens tall scans at the top, the way a document viewer does.
+        panY = mode === 'width' ? Infinity : 0;
+        renderZoom(animate);
+    }
+
+    // Zooms about an offset from the viewport centre, keeping that spot of the image in place.
+    function zoomTo(scale, offset, animate, mode) {
+        var next = clampScale(scale);
+        var ratio = next / zoomScale;
+        panX = offset.x - (offset.x - panX) * ratio;
+        panY = offset.y - (offset.y - panY) * ratio;
+        zoomScale = next;
+        zoomMode = mode || (next === 1 ? 'fit' : 'custom');
+        renderZoom(animate);
+    }
+
+    function zoomBy(factor) {
+        if (!imgEl.classList.contains('lb-loaded')) return;
+        zoomTo(zoomScale * factor, { x: 0, y: 0 }, true);
+    }
+
+    function toggleActualSize(offset) {
+        if (zoomScale > 1) {
+            setZoomMode('fit', true);
+            return;
+        }
+        zoomTo(scaleForMode('actual'), offset, true, 'actual');
+    }
+
+    function resetZoom() {
+        if (zoomMode === 'custom') zoomMode = 'fit';
+        zoomScale = 1;
+        panX = 0;
+        panY = 0;
+        mouseDrag = null;
+        pinch = null;
+        touchPan = null;
+        imgEl.classList.remove('lb-panning');
+        renderZoom(false);
+    }
+
+    // --- Slideshow ---
+
+    function readInterval() {
+        var seconds = parseInt(localStorage.getItem(INTERVAL_STORAGE_KEY), 10);
+        return SLIDESHOW_INTERVALS.indexOf(seconds) >= 0 ? seconds : 5;
+    }
+
+    function setPlaying(next) {
+        playing = next;
+        clearTimeout(slideTimer);
+        slideTimer = null;
+        shuffleQueue = [];
+        shuffleStarted = false;
+        playBtn.setAttribute('aria-pressed', playing ? 'true' : 'false');
+        playBtn.title = playing ? 'Pause slideshow (Space)' : 'Start slideshow (Space)';
+        playBtn.setAttribute('aria-label', playBtn.title);
+        playBtn.innerHTML = playing ? PAUSE_ICON : PLAY_ICON;
+        if (playing && imgEl.classList.contains('lb-loaded')) scheduleSlide();
+        wakeControls();
+    }
+
+    function togglePlaying() {
+        if (currentIndex < 0) return;
+        setPlaying(!playing);
+    }
+
+    // The interval starts once the current image has loaded, so slow images still get their full time.
+    function scheduleSlide() {
+        clearTimeout(slideTimer);
+        slideTimer = setTimeout(advanceSlide, parseInt(intervalSelect.value, 10) * 1000);
+        if (shuffleQueue.length) preloadImage(shuffleQueue[0]);
+    }
+
+    function shuffledUrls() {
+        var current = images[currentIndex];
+        var urls = images
+            .map(function (image) { return image.url; })
+            .filter(function (url) { return !current || url !== current.url; });
+        for (var i = urls.length - 1; i > 0; i--) {
+            var j = Math.floor(Math.random() * (i + 1));
+            var swap = urls[i];
+            urls[i] = urls[j];
+            urls[j] = swap;
+        }
+        return urls;
+    }
+
+    // Shuffle shows every image once per round in random order; loop starts another round.
+    function nextShuffledIndex(loop) {
+        for (var attempt = 0; attempt < 2; attempt++) {
+            if (!shuffleQueue.length) {
+                if (shuffleStarted && !loop) return -1;
+                shuffleQueue = shuffledUrls();
+                shuffleStarted = true;
+            }
+
+            while (shuffleQueue.length) {
+                var url = shuffleQueue.shift();
+                for (var i = 0; i < images.length; i++) {
+                    if (images[i].url === url) return i;
+                }
+            }
+        }
+        return -1;
+    }
+
+    function advanceSlide() {
+        slideTimer = null;
+        if (!playing || currentIndex < 0) return;
+        var loop = loopBtn.getAttribute('aria-pressed') === 'true';
+        var next = shuffleBtn.getAttribute('aria-pressed') === 'true'
+            ? nextShuffledIndex(loop)
+            : currentIndex + 1 < images.length ? currentIndex + 1 : (loop ? 0 : -1);
+
+        if (next < 0 || next === currentIndex) {
+            setPlaying(false);
+            return;
+        }
+        showImage(next);
+    }
+
+    function toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (overlay.requestFullscreen) {
+            overlay.requestFullscreen().catch(function () { });
+        }
+    }
+
+    // Controls fade out while a slideshow plays and come back on any pointer movement.
+    function wakeControls() {
+        overlay.classList.remove('lb-idle');
+        clearTimeout(idleTimer);
+        if (!playing) return;
+        idleTimer = setTimeout(function () {
+            if (playing) overlay.classList.add('lb-idle');
+        }, CONTROLS_IDLE_MS);
+    }
+
+    // --- Filmstrip ---
+
+    function sizedThumb(url, size) {
+        return url + (url.indexOf('?') >= 0 ? '&' : '?') + 'size=' + size;
+    }
+
+    // One button per navigable image; the thumbnails load lazily as the strip scrolls.
+    function renderFilmstrip() {
+        filmstripDirty = false;
+        filmstrip.innerHTML = '';
+        var hasThumbs = images.length > 1 && images.some(function (image) { return !!image.thumb; });
+        filmstrip.hidden = !hasThumbs;
+        if (!hasThumbs) return;
+
+        images.forEach(function (image, i) {
+            var btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'lb-film-thumb';
+            btn.title = image.name;
+            btn.setAttribute('aria-label', image.name);
+            btn.setAttribute('data-index', String(i));
+            if (image.thumb) {
+                var thumb = document.createElement('img');
+                thumb.setAttribute('loading', 'lazy');
+                thumb.alt = '';
+                thumb.src = sizedThumb(image.thumb, FILMSTRIP_THUMB_SIZE);
+                btn.appendChild(thumb);
+            }
+            filmstrip.appendChild(btn);
+        });
+        markFilmstrip();
+    }
+
+    function markFilmstrip() {
+        if (filmstrip.hidden) return;
+        var active = null;
+        Array.prototype.forEach.call(filmstrip.children, function (btn, i) {
+            btn.setAttribute('aria-current', i === currentIndex ? 'true' : 'false');
+            if (i === currentIndex) active = btn;
+        });
+        if (active) {
+            filmstrip.scrollLeft = active.offsetLeft - (filmstrip.clientWidth - active.offsetWidth) / 2;
+        }
+    }
+
     function preloadImage(url) {
         if (IMAGE_CACHE[url]) return;
         var img = new Image();
@@ -165,39 +746,71 @@
         IMAGE_CACHE[url] = img;
     }
 
+    function isPreloaded(url) {
+        var img = IMAGE_CACHE[url];
+        return !!img && img.complete && img.naturalWidth > 0;
+    }
+
+    // Neighbours with thumbnails only fetch those, so placeholders appear at once without the originals
+    // competing with the image on screen; the next original follows once the current one has loaded.
     function preloadAround(index) {
         for (var i = Math.max(0, index - PRELOAD_AHEAD); i <= Math.min(images.length - 1, index + PRELOAD_AHEAD); i++) {
-            preloadImage(images[i].url);
+            preloadImage(images[i].thumb || images[i].url);
         }
     }
 
+    function preloadNextOriginal(index) {
+        if (index + 1 < images.length) preloadImage(images[index + 1].url);
+    }
+
     function showImage(index) {
         var img = images[index];
         currentIndex = index;
 
         imgEl.classList.remove('lb-loaded');
         spinner.style.display = 'block';
+        clearTimeout(slideTimer);
+        resetZoom();
+
+        // The thumbnail stands in, scaled up and blurred, until the original arrives.
+        if (img.thumb && !isPreloaded(img.url)) {
+            placeholderEl.src = img.thumb;
+            placeholderEl.style.display = 'block';
+        } else {
+            placeholderEl.removeAttribute('src');
+            placeholderEl.style.display = 'none';
+        }
 
+        window.DirForgeHashState.pushParam('lightbox', img.name);
         counter.textContent = (index + 1) + ' / ' + images.length;
         infoBar.textContent = img.name + (img.size ? ' \u2014 ' + img.size : '');
         infoBar.title = img.name;
+        renderDetails();
 
         prevBtn.disabled = index === 0;
         nextBtn.disabled = index === images.length - 1;
+        if (filmstripDirty) renderFilmstrip();
+        else markFilmstrip();
 
         var onLoad = function () {
             imgEl.removeEventListener('load', onLoad);
             imgEl.removeEventListener('error', onError);
             spinner.style.display = 'none';
+            placeholderEl.style.display = 'none';
             imgEl.classList.add('lb-loaded');
+            setZoomMode(zoomMode, false);
+            if (playing) scheduleSlide();
+            preloadNextOriginal(index);
         };
 
         var onError = function () {
             imgEl.removeEventListener('load', onLoad);
             imgEl.removeEventListener('error', onError);
             spinner.style.display = 'none';
+            placeholderEl.style.display = 'none';
             imgEl.alt = 'Failed to load image';
             imgEl.classList.add('lb-loaded');
+            if (playing) scheduleSlide();
         };
 
         imgEl.addEventListener('load', onLoad);
@@ -210,33 +823,131 @@
             imgEl.removeEventListener('load', onLoad);
             imgEl.removeEventListener('error', onError);
             spinner.style.display = 'none';
+            placeholderEl.style.display = 'none';
             imgEl.classList.add('lb-loaded');
+            setZoomMode(zoomMode, false);
+            if (playing) scheduleSlide();
+            preloadNextOriginal(index);
         }
 
         preloadAround(index);
     }
 
+    // Details come from the info handler for the same file or archive entry, so share links keep working.
+    var DETAILS_HANDLERS = { View: 'PreviewInfo', DownloadEntry: 'PreviewInfoEntry' };
+
+    function detailsUrl(url) {
+        var parsed = new URL(url, window.location.href);
+        var handler = DETAILS_HANDLERS[parsed.searchParams.get('handler')];
+        if (!handler) return null;
+        parsed.searchParams.set('handler', handler);
+        return parsed.pathname + parsed.search;
+    }
+
+    function setDetailsOpen(open) {
+        detailsPanel.hidden = !open;
+        detailsBtn.setAttribute('aria-pressed', open ? 'true' : 'false');
+    }
+
+    function toggleDetails() {
+        var open = detailsPanel.hidden;
+        window.DirForgeMediaInfo.setOpen(open);
+        setDetailsOpen(open);
+        renderDetails();
+    }
+
+    function setDetailsMessage(text, keepBody) {
+        if (!keepBody) detailsBody.innerHTML = '';
+        var message = document.createElement('p');
+        message.className = 'lb-details-empty';
+        message.textContent = text;
+        detailsBody.appendChild(message);
+    }
+
+    function showDetails(data) {
+        detailsBody.innerHTML = window.DirForgeMediaInfo.toHtml(data.metadata, [
+            { label: 'Size', value: data.humanSize },
+            { label: 'Modified', value: data.modified }
+        ]);
+        if (!window.DirForgeMediaInfo.hasDetails(data.metadata)) {
+            setDetailsMessage('No camera or image details in this file.', true);
+        }
+    }
+
+    // Only fetched while the panel is open; responses for images already navigated away from are dropped.
+    function renderDetails() {
+        if (detailsPanel.hidden || currentIndex < 0) return;
+        var img = images[currentIndex];
+        var url = detailsUrl(img.url);
+        var request = ++detailsRequest;
+        detailsTitle.textContent = img.name;
+        if (!url) {
+            setDetailsMessage('No details available.');
+            return;
+        }
+        if (DETAILS_CACHE[url]) {
+            showDetails(DETAILS_CACHE[url]);
+            return;
+        }
+
+        setDetailsMessage('Loading\u2026');
+        fetch(url)
+            .then(function (r) {
+                if (!r.ok) throw new Error('Failed to load details (' + r.status + ')');
+                return r.json();
+            })
+            .then(function (data) {
+                DETAILS_CACHE[url] = data;
+                if (request === detailsRequest) showDetails(data);
+            })
+            .catch(function (err) {
+                if (request === detailsRequest) setDetailsMessage(err.message);
+            });
+    }
+
     function navigate(dir) {
         var next = currentIndex + dir;
         if (next < 0 || next >= images.length) return;
         showImage(next);
     }
 
+    function findImage(name) {
+        for (var i = 0; i < images.length; i++) {
+            if (images[i].name === name) return i;
+        }
+        return -1;
+    }
+
+    // #lightbox=photo.jpg links reopen with an entry of their own, so Back closes the lightbox instead of leaving the page.
+    function restoreFromHash() {
+        var hashState = window.DirForgeHashState;
+        var state = hashState.read();
+        if (!state.params.lightbox) return;
+        var index = findImage(state.params.lightbox);
+        state.params.lightbox = '';
+        hashState.write(state);
+        if (index >= 0) open(index);
+    }
+
     function open(startIndex) {
         if (!images.length) return;
         var idx = (typeof startIndex === 'number' && startIndex >= 0 && startIndex < images.length) ? startIndex : 0;
         overlay.classList.add('lb-visible');
         overlay.classList.remove('lb-hiding');
         document.body.style.overflow = 'hidden';
+        setDetailsOpen(window.DirForgeMediaInfo.isOpen());
         showImage(idx);
     }
 
     function close() {
         if (currentIndex < 0) return;
+        if (playing) setPlaying(false);
+        if (document.fullscreenElement === overlay) document.exitFullscreen();
         overlay.classList.remove('lb-visible');
         overlay.classList.add('lb-hiding');
         currentIndex = -1;
         document.body.style.overflow = '';
+        window.DirForgeHashState.popParam('lightbox');
         setTimeout(function () {
             overlay.classList.remove('lb-hiding');
             imgEl.src = '';
@@ -244,48 +955,143 @@
         }, 200);
     }
 
-    function init() {
-        var dataEl = document.getElementById('lightboxImageData');
-        if (!dataEl) return;
+    // Narrows navigation to the images the listing filter leaves visible.
+    function applyFilter() {
+        images = imageFilter ? allImages.filter(imageFilter) : allImages.slice();
+        filmstripDirty = true;
+        var trigger = document.getElementById('lightboxTrigger');
+        if (trigger) trigger.style.display = images.length ? '' : 'none';
+    }
 
-        try {
-            images = JSON.parse(dataEl.textContent) || [];
-        } catch (e) {
-            images = [];
+    // Names missing from the order keep their relative position after the listed ones.
+    function sortImages() {
+        if (!imageOrder) return;
+        var rank = {};
+        imageOrder.forEach(function (name, i) { rank[name] = i; });
+        allImages.sort(function (a, b) {
+            var ra = rank.hasOwnProperty(a.name) ? rank[a.name] : imageOrder.length;
+            var rb = rank.hasOwnProperty(b.name) ? rank[b.name] : imageOrder.length;
+            return ra - rb;
+        });
+    }
+
+    // Re-sorts the list after a change; an open image stays open while it is still listed.
+    function refreshImages() {
+        var current = currentIndex >= 0 ? images[currentIndex] : null;
+        sortImages();
+        applyFilter();
+        if (!current) return;
+
+        for (var i = 0; i < images.length; i++) {
+            if (images[i].url === current.url) {
+                currentIndex = i;
+                counter.textContent = (i + 1) + ' / ' + images.length;
+                prevBtn.disabled = i === 0;
+                nextBtn.disabled = i === images.length - 1;
+                renderFilmstrip();
+                return;
+            }
         }
+        close();
+    }
 
-        if (!images.length) return;
+    function setOrder(names) {
+        imageOrder = names || null;
+        if (!allImages.length) return;
+        refreshImages();
+    }
+
+    function setFilter(predicate) {
+        imageFilter = typeof predicate === 'function' ? predicate : null;
+        if (!allImages.length) return;
+        if (currentIndex >= 0) close();
+        applyFilter();
+    }
+
+    // Pages opened through a share link only serve requests carrying its token in the s parameter.
+    function withShareToken(url) {
+        var token = document.body.getAttribute('data-share-token');
+        if (!url || !token) return url;
+        var parsed = new URL(url, window.location.href);
+        if (parsed.searchParams.has('s')) return url;
+        parsed.searchParams.set('s', token);
+        return parsed.pathname + parsed.search;
+    }
+
+    function shareImages(list) {
+        (list || []).forEach(function (image) {
+            image.url = withShareToken(image.url);
+            image.thumb = withShareToken(image.thumb);
+        });
+        return list || [];
+    }
+
+    // Paged and live listings replace the list as entries arrive or go away.
+    function setImages(list) {
+        allImages = shareImages(list);
+        if (!allImages.length) {
+            close();
+            applyFilter();
+            return;
+        }
+
+        ensureReady();
+        refreshImages();
+    }
 
+    function ensureReady() {
+        if (ready) return;
+        ready = true;
         injectStyles();
         buildDOM();
         bindEvents();
 
         var trigger = document.getElementById('lightboxTrigger');
         if (trigger) {
-            trigger.style.display = '';
             trigger.addEventListener('click', function () { open(0); });
         }
+    }
 
-        // Bind per-image lightbox buttons
-        var lbBtns = document.querySelectorAll('.lightbox-open-btn');
-        lbBtns.forEach(function (btn) {
-            btn.addEventListener('click', function (e) {
-                e.stopPropagation();
-                var name = btn.getAttribute('data-lightbox-name');
-                for (var i = 0; i < images.length; i++) {
-                    if (images[i].name === name) {
-                        open(i);
-                        return;
-                    }
-                }
-            });
+    function init() {
+        var dataEl = document.getElementById('lightboxImageData');
+        if (!dataEl) return;
+
+        try {
+            allImages = shareImages(JSON.parse(dataEl.textContent));
+        } catch (e) {
+            allImages = [];
+        }
+
+        // Delegated so rows rendered later by the paged listing work too.
+        document.addEventListener('click', function (e) {
+            var btn = e.target.closest ? e.target.closest('.lightbox-open-btn') : null;
+            if (!btn) return;
+            var index = findImage(btn.getAttribute('data-lightbox-name'));
+            if (index >= 0) open(index);
         });
+
+        if (!allImages.length) return;
+
+        ensureReady();
+        sortImages();
+        applyFilter();
+        restoreFromHash();
     }
 
     // Public API
     window.DirForgeLightbox = {
         open: function (index) { open(index); },
-        close: function () { close(); }
+        close: function () { close(); },
+        isOpen: function () { return currentIndex >= 0; },
+        startSlideshow: function (index) {
+            open(index);
+            if (currentIndex >= 0) setPlaying(true);
+        },
+        stopSlideshow: function () { if (playing) setPlaying(false); },
+        isPlaying: function () { return playing; },
+        setFilter: setFilter,
+        setOrder: setOrder,
+        setImages: setImages
     };
 
     if (document.readyState === 'loading') {
@@ -477,368 +1283,5269 @@
     };
 })();
 
-// === Archive Preview ===
-(function() {
-    var previewModal = document.getElementById('previewModal');
-    if (!previewModal || !previewModal.classList.contains('preview-modal')) return;
-    // Only run on ArchiveBrowse pages (detected by data-preview-url attribute on buttons)
-    var firstBtn = document.querySelector('.preview-open-btn[data-preview-url]');
-    if (!firstBtn) return;
+// === Code View ===
+/**
+ * DirForge code view — syntax highlighting, line-number gutter, soft-wrap
+ * toggle and selectable line anchors for text previews.
+ * Self-contained regex tokenizer; works offline with no external highlighter.
+ */
+(function () {
+    'use strict';
 
-    var previewContent = document.getElementById('previewContent');
-    var previewMeta = document.getElementById('previewMeta');
-    var previewTitle = document.getElementById('previewTitle');
-    var previewIcon = document.getElementById('previewIcon');
-    var previewCloseBtn = document.getElementById('previewClose');
-    var previewPrev = document.getElementById('previewPrev');
-    var previewNext = document.getElementById('previewNext');
-    var previewPosition = document.getElementById('previewPosition');
-    var previewDownload = document.getElementById('previewDownload');
-    var previewCurrentIndex = -1;
+    var WRAP_STORAGE_KEY = 'dirforge-preview-wrap';
 
-    var previewFiles = [];
-    document.querySelectorAll('.preview-open-btn[data-preview-url]').forEach(function(btn, i) {
-        previewFiles.push({
-            infoUrl: btn.getAttribute('data-preview-url'),
-            icon: btn.getAttribute('data-preview-icon')
-        });
-        btn.addEventListener('click', function() {
-            openPreview(i);
-        });
-    });
+    // ── Language definitions ───────────────────────────────────────────────
+    function words(list) {
+        return '\\b(?:' + list.split(' ').join('|') + ')\\b';
+    }
 
-    function escapeHtml(text) {
-        var el = document.createElement('span');
-        el.textContent = text;
-        return el.innerHTML;
+    var END = '(?![\\s\\S])';
+    var BLOCK_COMMENT = ['comment', '/\\*[\\s\\S]*?(?:\\*/|' + END + ')'];
+    var LINE_COMMENT = ['comment', '//.*'];
+    var HASH_COMMENT = ['comment', '#.*'];
+    var DQ_STRING = ['string', '"(?:[^"\\\\\\n]|\\\\.)*"'];
+    var SQ_STRING = ['string', '\'(?:[^\'\\\\\\n]|\\\\.)*\''];
+    var NUMBER = ['number', '\\b(?:0[xX][\\da-fA-F_]+|0[bB][01_]+|\\d[\\d_]*(?:\\.\\d[\\d_]*)?(?:[eE][+-]?\\d+)?)[a-zA-Z]*\\b'];
+
+    function clike(keywords, literals, extra) {
+        return {
+            rules: [BLOCK_COMMENT, LINE_COMMENT]
+                .concat(extra || [])
+                .concat([DQ_STRING, SQ_STRING, NUMBER, ['literal', words(literals)], ['keyword', words(keywords)]])
+        };
     }
 
-    function openPreview(index) {
-        if (!previewModal || index < 0 || index >= previewFiles.length) {
-            return;
+    var LANGUAGES = {
+        javascript: clike(
+            'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch throw try typeof var void while with yield',
+            'true false null undefined NaN Infinity this',
+            [['string', '`(?:[^`\\\\]|\\\\[\\s\\S])*`']]),
+        typescript: clike(
+            'abstract any as async await boolean break case catch class const constructor continue declare default delete do else enum export extends finally for from function get if implements import in infer instanceof interface is keyof let module namespace never new number object of private protected public readonly return set static string super switch symbol throw try type typeof unknown var void while with yield',
+            'true false null undefined NaN Infinity this',
+            [['string', '`(?:[^`\\\\]|\\\\[\\s\\S])*`'], ['meta', '@\\w+']]),
+        csharp: clike(
+            'abstract as async await base bool break byte case catch char checked class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get goto if implicit in init int interface internal is lock long namespace new object operator out override params partial private protected public readonly record ref required return sbyte sealed set short sizeof stackalloc static string struct switch throw try typeof uint ulong unchecked unsafe ushort using var virtual void volatile when where while with yield',
+            'true false null this value',
+            [['string', '\\$?@"(?:[^"]|"")*"'], ['meta', '^[ \\t]*#[ \\t]*\\w+.*']]),
+        java: clike(
+            'abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for goto if implements import instanceof int interface long native new package private protected public record return short static strictfp super switch synchronized throw throws transient try var void volatile while yield',
+            'true false null this',
+            [['string', '"""[\\s\\S]*?(?:"""|' + END + ')'], ['meta', '@\\w+']]),
+        kotlin: clike(
+            'abstract annotation as break by catch class companion const constructor continue data do else enum external final finally for fun get if import in infix init inline inner interface internal is lateinit object open operator out override package private protected public reified return sealed set super suspend this throw try typealias val var vararg when where while',
+            'true false null',
+            [['string', '"""[\\s\\S]*?(?:"""|' + END + ')'], ['meta', '@\\w+']]),
+        c: clike(
+            'auto break case char const continue default do double else enum extern float for goto if inline int long register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while',
+            'true false NULL',
+            [['meta', '^[ \\t]*#[ \\t]*\\w+.*']]),
+        cpp: clike(
+            'alignas alignof auto bool break case catch char class const constexpr const_cast continue decltype default delete do double dynamic_cast else enum explicit export extern float for friend goto if inline int long mutable namespace new noexcept operator private protected public register reinterpret_cast return short signed sizeof static static_cast struct switch template throw try typedef typeid typename union unsigned using virtual void volatile while',
+            'true false nullptr NULL this',
+            [['meta', '^[ \\t]*#[ \\t]*\\w+.*']]),
+        go: clike(
+            'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+            'true false nil iota',
+            [['string', '`[^`]*`']]),
+        rust: clike(
+            'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+            'true false None Some Ok Err',
+            [['meta', '#!?\\[[^\\]\\n]*\\]']]),
+        swift: clike(
+            'as associatedtype break case catch class continue default defer deinit do else enum extension fallthrough fileprivate for func guard if import in init inout internal is let open operator private protocol public repeat rethrows return static struct subscript super switch throw throws try typealias var where while',
+            'true false nil self Self',
+            [['meta', '@\\w+']]),
+        scala: clike(
+            'abstract case catch class def do else extends final finally for forSome if implicit import lazy match new object override package private protected return sealed super throw trait try type val var while with yield',
+            'true false null this',
+            [['meta', '@\\w+']]),
+        dart: clike(
+            'abstract as assert async await break case catch class const continue covariant default deferred do dynamic else enum export extends extension external factory final finally for get if implements import in interface is late library mixin new operator part required rethrow return set static super switch sync throw try typedef var void while with yield',
+            'true false null this',
+            [['meta', '@\\w+']]),
+        php: clike(
+            'abstract and array as break callable case catch class clone const continue declare default do echo else elseif empty enddeclare endfor endforeach endif endswitch endwhile extends final finally fn for foreach function global goto if implements include include_once instanceof insteadof interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while xor yield',
+            'true false null TRUE FALSE NULL',
+            [HASH_COMMENT, ['variable', '\\$\\w+'], ['meta', '<\\?(?:php)?|\\?>']]),
+        generic: clike(
+            'enum extend fragment implements import input interface message mutation oneof option package query repeated returns rpc schema service subscription syntax type union variable resource module provider data output locals',
+            'true false null',
+            [HASH_COMMENT]),
+        python: {
+            rules: [
+                ['string', '[rRbBuUfF]{0,2}"""[\\s\\S]*?(?:"""|' + END + ')'],
+                ['string', '[rRbBuUfF]{0,2}\'\'\'[\\s\\S]*?(?:\'\'\'|' + END + ')'],
+                HASH_COMMENT,
+                ['string', '[rRbBuUfF]{0,2}"(?:[^"\\\\\\n]|\\\\.)*"'],
+                ['string', '[rRbBuUfF]{0,2}\'(?:[^\'\\\\\\n]|\\\\.)*\''],
+                ['meta', '^[ \\t]*@[\\w.]+'],
+                NUMBER,
+                ['literal', words('True False None self cls')],
+                ['keyword', words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield')]
+            ]
+        },
+        ruby: {
+            rules: [
+                ['comment', '^=begin[\\s\\S]*?(?:^=end|' + END + ')'],
+                HASH_COMMENT, DQ_STRING, SQ_STRING,
+                ['variable', '@{1,2}\\w+|\\$\\w+'],
+                ['literal', ':\\w+|' + words('true false nil self')],
+                NUMBER,
+                ['keyword', words('alias and begin break case class def defined do else elsif end ensure for if in module next not or redo require rescue retry return super then undef unless until when while yield')]
+            ]
+        },
+        perl: {
+            rules: [
+                HASH_COMMENT, DQ_STRING, SQ_STRING,
+                ['variable', '[$@%]\\w+'],
+                NUMBER,
+                ['keyword', words('my our local sub if elsif else unless while until for foreach last next redo return use require package do eval print die')]
+            ]
+        },
+        lua: {
+            rules: [
+                ['comment', '--\\[\\[[\\s\\S]*?(?:\\]\\]|' + END + ')'],
+                ['comment', '--.*'],
+                ['string', '\\[\\[[\\s\\S]*?(?:\\]\\]|' + END + ')'],
+                DQ_STRING, SQ_STRING, NUMBER,
+                ['literal', words('true false nil self')],
+                ['keyword', words('and break do else elseif end for function goto if in local not or repeat return then until while')]
+            ]
+        },
+        r: {
+            rules: [
+                HASH_COMMENT, DQ_STRING, SQ_STRING, NUMBER,
+                ['literal', words('TRUE FALSE NULL NA NaN Inf T F')],
+                ['keyword', words('if else repeat while function for in next break return library require')]
+            ]
+        },
+        shell: {
+            rules: [
+                ['comment', '(?:^|[ \\t])#.*'],
+                ['string', '"(?:[^"\\\\]|\\\\[\\s\\S])*"'],
+                ['string', '\'[^\']*\''],
+                ['variable', '\\$(?:\\{[^}\\n]*\\}|\\w+|[@*#?$!0-9-])'],
+                NUMBER,
+                ['keyword', words('if then else elif fi case esac for select while until do done in function return local export readonly declare unset shift exit break continue source alias')]
+            ]
+        },
+        powershell: {
+            flags: 'i',
+            rules: [
+                ['comment', '<#[\\s\\S]*?(?:#>|' + END + ')'],
+                HASH_COMMENT,
+                ['string', '"(?:[^"`]|`[\\s\\S])*"'],
+                ['string', '\'(?:[^\']|\'\')*\''],
+                ['variable', '\\$[\\w:]+'],
+                NUMBER,
+                ['literal', '\\$(?:true|false|null)\\b'],
+                ['keyword', words('begin break catch class continue data do dynamicparam else elseif end enum exit filter finally for foreach function if in param process return switch throw trap try until using while')]
+            ]
+        },
+        batch: {
+            flags: 'i',
+            rules: [
+                ['comment', '^[ \\t]*(?:rem\\b|::).*'],
+                ['meta', '^[ \\t]*:\\w+'],
+                DQ_STRING,
+                ['variable', '%[\\w~:]+%|%%?~?\\w'],
+                ['keyword', words('call cd chdir cls copy del dir echo else endlocal exist exit for goto if in md mkdir move not pause popd pushd set setlocal shift start title type')]
+            ]
+        },
+        sql: {
+            flags: 'i',
+            rules: [
+                BLOCK_COMMENT,
+                ['comment', '--.*'],
+                ['string', '\'(?:[^\']|\'\')*\''],
+                ['attr', '"(?:[^"]|"")*"|`[^`]*`|\\[[^\\]\\n]*\\]'],
+                NUMBER,
+                ['literal', words('true false null')],
+                ['keyword', words('add all alter and as asc begin between by case cast check column commit constraint create cross database declare default delete desc distinct drop else end exists foreign from full function group having if in index inner insert into is join key left like limit not offset on or order outer primary procedure references replace returns right rollback select set table then top transaction trigger truncate union unique update using values view when where with')]
+            ]
+        },
+        json: {
+            rules: [
+                BLOCK_COMMENT, LINE_COMMENT,
+                ['attr', '"(?:[^"\\\\\\n]|\\\\.)*"(?=\\s*:)'],
+                DQ_STRING,
+                ['number', '-?\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b'],
+                ['literal', words('true false null')]
+            ]
+        },
+        yaml: {
+            rules: [
+                ['comment', '(?:^|[ \\t])#.*'],
+                ['meta', '^(?:---|\\.\\.\\.)(?=\\s|$)|!!?[\\w/]+'],
+                ['attr', '^[ \\t]*(?:-[ \\t]+)?[^\\s#:\\-\'"][^:#\\n]*?(?=:(?:[ \\t]|$))'],
+                DQ_STRING,
+                ['string', '\'(?:[^\']|\'\')*\''],
+                ['variable', '[&*][\\w-]+'],
+                ['number', '-?\\b\\d+(?:\\.\\d+)?(?=[ \\t]*(?:$|[,\\]#]))'],
+                ['literal', words('true false null yes no on off True False Null Yes No On Off TRUE FALSE NULL') + '|~']
+            ]
+        },
+        ini: {
+            rules: [
+                ['comment', '^[ \\t]*[#;].*'],
+                ['title', '^[ \\t]*\\[[^\\]\\n]*\\]'],
+                ['attr', '^[ \\t]*[^\\s=:#;\\[][^=:\\n]*?(?=[ \\t]*[=:])'],
+                DQ_STRING, SQ_STRING,
+                ['number', '\\b\\d+(?:\\.\\d+)?\\b'],
+                ['literal', words('true false yes no on off')]
+            ]
+        },
+        markup: {
+            rules: [
+                ['comment', '<!--[\\s\\S]*?(?:-->|' + END + ')'],
+                ['string', '<!\\[CDATA\\[[\\s\\S]*?(?:\\]\\]>|' + END + ')'],
+                ['meta', '<[?!][\\s\\S]*?>'],
+                ['tag', '</?[\\w:.-]+|/?>'],
+                ['attr', '\\b[\\w:.-]+(?=\\s*=\\s*["\'])'],
+                ['string', '"[^"]*"|\'[^\']*\''],
+                ['literal', '&#?\\w+;']
+            ]
+        },
+        css: {
+            rules: [
+                BLOCK_COMMENT,
+                ['comment', '^[ \\t]*//.*'],
+                DQ_STRING, SQ_STRING,
+                ['keyword', '@[\\w-]+|!important\\b'],
+                ['variable', '\\$[\\w-]+|--[\\w-]+'],
+                ['attr', '\\b[a-zA-Z-]+(?=\\s*:[^:{;]*;)'],
+                ['number', '#[\\da-fA-F]{3,8}\\b|-?(?:\\b\\d+\\.?\\d*|\\.\\d+)(?:%|[a-zA-Z]+\\b)?']
+            ]
+        },
+        markdown: {
+            rules: [
+                ['string', '^[ \\t]*(?:```|~~~)[\\s\\S]*?(?:^[ \\t]*(?:```|~~~)|' + END + ')'],
+                ['title', '^#{1,6}[ \\t].*|^.+\\n(?:=+|-+)[ \\t]*$'],
+                ['comment', '^[ \\t]*>.*'],
+                ['meta', '^[ \\t]*(?:[-*+]|\\d+[.)])(?=[ \\t])'],
+                ['string', '`[^`\\n]+`'],
+                ['attr', '!?\\[[^\\]\\n]*\\]\\([^)\\n]*\\)'],
+                ['keyword', '\\*\\*[^*\\n]+\\*\\*|__[^_\\n]+__']
+            ]
+        },
+        diff: {
+            rules: [
+                ['meta', '^(?:diff|index|\\+\\+\\+|---)[ \\t].*'],
+                ['title', '^@@.*'],
+                ['inserted', '^[+>].*'],
+                ['deleted', '^[-<].*']
+            ]
+        },
+        dockerfile: {
+            flags: 'i',
+            rules: [
+                ['comment', '^[ \\t]*#.*'],
+                ['keyword', '^[ \\t]*(?:from|run|cmd|label|maintainer|expose|env|add|copy|entrypoint|volume|user|workdir|arg|onbuild|stopsignal|healthcheck|shell)\\b|\\bas\\b'],
+                DQ_STRING, SQ_STRING,
+                ['variable', '\\$(?:\\{[^}\\n]*\\}|\\w+)']
+            ]
+        },
+        makefile: {
+            rules: [
+                HASH_COMMENT,
+                ['title', '^[\\w.%/$() -]+(?=:(?!=))'],
+                ['variable', '\\$[({][^)}\\n]*[)}]|\\$[@<^*?%]'],
+                ['keyword', '^[ \\t]*(?:include|ifeq|ifneq|ifdef|ifndef|else|endif|define|endef|export|override)\\b'],
+                DQ_STRING, SQ_STRING
+            ]
         }
+    };
 
-        previewCurrentIndex = index;
-        previewModal.hidden = false;
-        document.body.style.overflow = 'hidden';
-        loadPreview(index);
+    var LANGUAGE_LABELS = {
+        javascript: 'JavaScript', typescript: 'TypeScript', csharp: 'C#', java: 'Java', kotlin: 'Kotlin',
+        c: 'C', cpp: 'C++', go: 'Go', rust: 'Rust', swift: 'Swift', scala: 'Scala', dart: 'Dart', php: 'PHP',
+        generic: 'Code', python: 'Python', ruby: 'Ruby', perl: 'Perl', lua: 'Lua', r: 'R', shell: 'Shell',
+        powershell: 'PowerShell', batch: 'Batch', sql: 'SQL', json: 'JSON', yaml: 'YAML', ini: 'INI / TOML',
+        markup: 'Markup', css: 'CSS', markdown: 'Markdown', diff: 'Diff', dockerfile: 'Dockerfile',
+        makefile: 'Makefile', plain: 'Plain text'
+    };
+
+    var EXTENSION_LANGUAGES = {};
+    function mapExtensions(language, list) {
+        list.split(' ').forEach(function (ext) { EXTENSION_LANGUAGES[ext] = language; });
     }
+    mapExtensions('javascript', 'js mjs cjs jsx es6');
+    mapExtensions('typescript', 'ts tsx mts cts');
+    mapExtensions('csharp', 'cs csx cake');
+    mapExtensions('java', 'java gradle groovy');
+    mapExtensions('kotlin', 'kt kts');
+    mapExtensions('c', 'c h');
+    mapExtensions('cpp', 'cpp cc cxx c++ hpp hh hxx ino');
+    mapExtensions('go', 'go');
+    mapExtensions('rust', 'rs');
+    mapExtensions('swift', 'swift');
+    mapExtensions('scala', 'scala sc');
+    mapExtensions('dart', 'dart');
+    mapExtensions('php', 'php phtml');
+    mapExtensions('generic', 'graphql gql proto tf tfvars hcl');
+    mapExtensions('python', 'py pyw pyi');
+    mapExtensions('ruby', 'rb rake gemspec');
+    mapExtensions('perl', 'pl pm');
+    mapExtensions('lua', 'lua');
+    mapExtensions('r', 'r');
+    mapExtensions('shell', 'sh bash zsh ksh fish');
+    mapExtensions('powershell', 'ps1 psm1 psd1');
+    mapExtensions('batch', 'bat cmd');
+    mapExtensions('sql', 'sql');
+    mapExtensions('json', 'json jsonc json5 ndjson geojson har webmanifest ipynb');
+    mapExtensions('yaml', 'yml yaml');
+    mapExtensions('ini', 'ini cfg conf toml properties editorconfig reg inf desktop env');
+    mapExtensions('markup', 'xml xsd xsl xslt svg html htm xhtml cshtml razor vbhtml vue plist config manifest nuspec resx props targets csproj vbproj fsproj dbproj sqlproj vcxproj proj ruleset runsettings pom ivy rss atom xaml xspf');
+    mapExtensions('css', 'css scss sass less');
+    mapExtensions('markdown', 'md markdown mdown mkd');
+    mapExtensions('diff', 'diff patch');
+    mapExtensions('dockerfile', 'dockerfile');
+    mapExtensions('makefile', 'mk mak');
+
+    var FILE_NAME_LANGUAGES = {
+        'dockerfile': 'dockerfile',
+        'containerfile': 'dockerfile',
+        'makefile': 'makefile',
+        'gnumakefile': 'makefile',
+        'gemfile': 'ruby',
+        'rakefile': 'ruby',
+        'vagrantfile': 'ruby',
+        'jenkinsfile': 'java',
+        '.bashrc': 'shell',
+        '.profile': 'shell',
+        '.zshrc': 'shell',
+        '.gitconfig': 'ini',
+        '.gitattributes': 'ini',
+        '.gitignore': 'shell',
+        '.dockerignore': 'shell',
+        '.htaccess': 'shell'
+    };
 
-    function closePreview() {
-        if (!previewModal) {
-            return;
-        }
+    // Fenced-code info strings ("```python") name languages rather than extensions.
+    var LANGUAGE_ALIASES = {
+        'javascript': 'javascript', 'node': 'javascript', 'typescript': 'typescript', 'csharp': 'csharp',
+        'c#': 'csharp', 'kotlin': 'kotlin', 'golang': 'go', 'rust': 'rust', 'python': 'python', 'python3': 'python',
+        'ruby': 'ruby', 'perl': 'perl', 'shell': 'shell', 'console': 'shell', 'shellsession': 'shell',
+        'powershell': 'powershell', 'pwsh': 'powershell', 'batch': 'batch', 'docker': 'dockerfile',
+        'make': 'makefile', 'terraform': 'generic', 'protobuf': 'generic'
+    };
 
-        previewModal.hidden = true;
-        document.body.style.overflow = '';
+    var DETECTED_TYPE_LANGUAGES = {
+        'Shell Script': 'shell',
+        'Python Script': 'python',
+        'Node.js Script': 'javascript',
+        'Ruby Script': 'ruby',
+        'Perl Script': 'perl',
+        'PHP Script': 'php',
+        'HTML Document': 'markup',
+        'SVG Image': 'markup',
+        'XML Document': 'markup',
+        'JSON Data': 'json',
+        'YAML Document': 'yaml',
+        'CSS Stylesheet': 'css',
+        'TOML Document': 'ini',
+        'INI Configuration': 'ini',
+        'Dockerfile': 'dockerfile',
+        'Diff/Patch': 'diff'
+    };
+
+    function resolveLanguage(name, extension, detectedFileType) {
+        var lowerName = (name || '').toLowerCase();
+        if (FILE_NAME_LANGUAGES[lowerName]) return FILE_NAME_LANGUAGES[lowerName];
+        if (lowerName.indexOf('dockerfile') === 0) return 'dockerfile';
+
+        var ext = (extension || '').toLowerCase();
+        if (EXTENSION_LANGUAGES[ext]) return EXTENSION_LANGUAGES[ext];
+        if (LANGUAGE_ALIASES[ext]) return LANGUAGE_ALIASES[ext];
+        if (detectedFileType && DETECTED_TYPE_LANGUAGES[detectedFileType]) return DETECTED_TYPE_LANGUAGES[detectedFileType];
+        return 'plain';
     }
 
-    function loadPreview(index) {
-        var file = previewFiles[index];
-        if (!file || !file.infoUrl) {
-            previewContent.innerHTML = '<div class="preview-none"><p>Preview is unavailable.</p></div>';
-            previewMeta.innerHTML = '';
-            return;
-        }
-
-        previewContent.innerHTML = '<div class="preview-loading">Loading\u2026</div>';
-        previewMeta.innerHTML = '';
-        previewTitle.textContent = '';
-        previewIcon.src = file.icon || '';
-        previewPosition.textContent = (index + 1) + ' / ' + previewFiles.length;
-        previewPrev.disabled = index === 0;
-        previewNext.disabled = index === previewFiles.length - 1;
+    // ── Tokenizer ──────────────────────────────────────────────────────────
+    var COMPILED = {};
+
+    function compile(language) {
+        if (COMPILED[language]) return COMPILED[language];
+        var def = LANGUAGES[language];
+        if (!def) return null;
+        var source = def.rules.map(function (rule) { return '(' + rule[1] + ')'; }).join('|');
+        COMPILED[language] = {
+            regex: new RegExp(source, 'gm' + (def.flags || '')),
+            classes: def.rules.map(function (rule) { return rule[0]; })
+        };
+        return COMPILED[language];
+    }
 
-        fetch(file.infoUrl)
-            .then(function(r) {
-                if (!r.ok) throw new Error('Failed to load preview (' + r.status + ')');
-                return r.json();
-            })
-            .then(function(data) {
-                previewTitle.textContent = data.name || '';
-                if (previewDownload) previewDownload.href = data.downloadUrl || '#';
-                renderPreviewContent(data, file.infoUrl);
-                renderPreviewMeta(data);
-            })
-            .catch(function(err) {
-                previewContent.innerHTML = '<div class="preview-none"><p>' + escapeHtml(err.message) + '</p></div>';
-                previewMeta.innerHTML = '';
-            });
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     }
 
-    function renderPreviewContent(data, fetchUrl) {
-        if (data.previewMode === 'text') {
-            var html = '<div class="preview-text-wrap"><pre>' + escapeHtml(data.textContent || '') + '</pre>';
-            if (data.textTruncated) {
-                html += '<div class="preview-truncated">File truncated at 128 KB.</div>';
+    function tokenize(text, language) {
+        var compiled = compile(language);
+        if (!compiled) return [{ cls: null, text: text }];
+
+        var tokens = [];
+        var regex = compiled.regex;
+        var last = 0;
+        var match;
+        regex.lastIndex = 0;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
             }
-            html += '</div>';
-            previewContent.innerHTML = html;
-            return;
-        }
-
-        previewContent.innerHTML = '<div class="preview-none"><img src="' + escapeHtml(data.iconPath || '') + '" alt="" class="preview-none-icon"><p>No preview available</p><button type="button" class="preview-text-btn">Show text preview</button></div>';
-        var btn = previewContent.querySelector('.preview-text-btn');
-        if (btn && fetchUrl) {
-            btn.addEventListener('click', function() {
-                btn.disabled = true;
-                btn.textContent = 'Loading\u2026';
-                fetch(fetchUrl + (fetchUrl.indexOf('?') >= 0 ? '&' : '?') + 'forceText=true')
-                    .then(function(r) { return r.json(); })
-                    .then(function(d) {
-                        var h = '<div class="preview-text-wrap"><pre>' + escapeHtml(d.textContent || '') + '</pre>';
-                        if (d.textTruncated) {
-                            h += '<div class="preview-truncated">File truncated at 128 KB.</div>';
-                        }
-                        h += '</div>';
-                        previewContent.innerHTML = h;
-                    })
-                    .catch(function() {
-                        btn.textContent = 'Failed to load';
-                    });
-            });
+            if (match.index > last) tokens.push({ cls: null, text: text.slice(last, match.index) });
+            var group = 1;
+            while (group < match.length && match[group] === undefined) group++;
+            tokens.push({ cls: compiled.classes[group - 1], text: match[0] });
+            last = regex.lastIndex;
         }
+        if (last < text.length) tokens.push({ cls: null, text: text.slice(last) });
+        return tokens;
     }
 
-    function renderPreviewMeta(data) {
-        var chips = [
-            { label: 'MIME', value: data.mimeType || '\u2014' }
-        ];
-        if (data.detectedFileType) {
-            chips.push({ label: 'Detected', value: data.detectedFileType });
+    /** Returns one HTML string per source line, with token spans split at line breaks. */
+    function highlightLines(text, language) {
+        var normalized = (text || '').replace(/\r\n?/g, '\n');
+        var tokens = tokenize(normalized, language);
+        var lines = [''];
+        for (var i = 0; i < tokens.length; i++) {
+            var parts = tokens[i].text.split('\n');
+            for (var p = 0; p < parts.length; p++) {
+                if (p > 0) lines.push('');
+                if (!parts[p]) continue;
+                var escaped = escapeHtml(parts[p]);
+                lines[lines.length - 1] += tokens[i].cls
+                    ? '<span class="hl-' + tokens[i].cls + '">' + escaped + '</span>'
+                    : escaped;
+            }
         }
-        chips.push({ label: 'Size', value: data.humanSize || '\u2014' });
-        chips.push({ label: 'Modified', value: data.modified || '\u2014' });
-
-        var html = '';
-        for (var i = 0; i < chips.length; i++) {
-            html += '<span class="preview-chip"><span class="preview-chip-label">' + escapeHtml(chips[i].label) + '</span>' + escapeHtml(chips[i].value) + '</span>';
+        if (lines.length > 1 && lines[lines.length - 1] === '' && /\n$/.test(normalized)) {
+            lines.pop();
         }
-
-        previewMeta.innerHTML = html;
+        return lines;
     }
 
-    if (previewCloseBtn) {
-        previewCloseBtn.addEventListener('click', closePreview);
+    // ── Rendering ──────────────────────────────────────────────────────────
+    function isWrapEnabled() {
+        return localStorage.getItem(WRAP_STORAGE_KEY) !== 'false';
     }
 
-    if (previewModal) {
-        previewModal.addEventListener('click', function(e) {
-            if (e.target === previewModal) {
-                closePreview();
+    /**
+     * Renders text into container. Options:
+     *   language      — key from resolveLanguage (defaults to plain)
+     *   footerHtml    — extra markup appended below the code (e.g. truncation note)
+     *   toolbarHtml   — extra buttons placed in the toolbar before the Wrap toggle
+     *   onLineSelect  — function(start, end); when set, line numbers become #L anchors
+     *   selection     — { start, end } lines to mark and scroll to after render
+     *   firstLine     — number of the first line when the text starts partway through a file (default 1)
+     *   lineNumbers   — false when the line numbers are unknown; hides the gutter and anchors
+     * Returns a controller with selectLines(start, end, scroll), and appendText(text) and
+     * prependText(text) for adding whole lines as further chunks of the file load.
+     */
+    function render(container, text, options) {
+        options = options || {};
+        var language = LANGUAGES[options.language] ? options.language : 'plain';
+        var lines = highlightLines(text, language);
+        var numbered = options.lineNumbers !== false;
+        var anchors = numbered && typeof options.onLineSelect === 'function';
+        var firstLine = options.firstLine || 1;
+        var lineCount = lines.length;
+
+        function buildLines(highlighted, from) {
+            var html = '';
+            for (var i = 0; i < highlighted.length; i++) {
+                var n = from + i;
+                html += '<div class="code-view-line" data-line="' + n + '">'
+                      + (anchors
+                          ? '<a class="code-view-ln" href="#L' + n + '" data-line="' + n + '" aria-label="Line ' + n + '">' + n + '</a>'
+                          : '<span class="code-view-ln">' + (numbered ? n : '') + '</span>')
+                      + '<span class="code-view-text">' + highlighted[i] + '</span></div>';
             }
-        });
-    }
+            return html;
+        }
 
-    if (previewPrev) {
-        previewPrev.addEventListener('click', function() {
-            if (previewCurrentIndex > 0) {
-                openPreview(previewCurrentIndex - 1);
-            }
-        });
-    }
+        function countLabel() {
+            return lineCount + (lineCount === 1 ? ' line' : ' lines');
+        }
 
-    if (previewNext) {
-        previewNext.addEventListener('click', function() {
-            if (previewCurrentIndex < previewFiles.length - 1) {
-                openPreview(previewCurrentIndex + 1);
-            }
+        var html = '<div class="code-view' + (isWrapEnabled() ? ' code-view-wrap' : '') + (numbered ? '' : ' code-view-unnumbered') + '">';
+        html += '<div class="code-view-toolbar">'
+              + '<span class="code-view-lang">' + escapeHtml(LANGUAGE_LABELS[language]) + '</span>'
+              + '<span class="code-view-count">' + countLabel() + '</span>'
+              + (options.toolbarHtml || '')
+              + '<button type="button" class="code-view-btn code-view-wrap-btn" aria-pressed="' + (isWrapEnabled() ? 'true' : 'false') + '" title="Toggle soft wrap">Wrap</button>'
+              + '</div>';
+        html += '<div class="code-view-body">' + buildLines(lines, firstLine) + '</div>';
+        if (options.footerHtml) html += options.footerHtml;
+        html += '</div>';
+        container.innerHTML = html;
+
+        var root = container.querySelector('.code-view');
+        var body = root.querySelector('.code-view-body');
+        var countEl = root.querySelector('.code-view-count');
+        var wrapBtn = root.querySelector('.code-view-wrap-btn');
+        var anchorLine = 0;
+
+        function updateGutter() {
+            root.style.setProperty('--code-ln-width', (String(firstLine + lineCount - 1).length + 1) + 'ch');
+            countEl.textContent = countLabel();
+        }
+        updateGutter();
+
+        wrapBtn.addEventListener('click', function () {
+            var enabled = !root.classList.contains('code-view-wrap');
+            root.classList.toggle('code-view-wrap', enabled);
+            wrapBtn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+            localStorage.setItem(WRAP_STORAGE_KEY, enabled ? 'true' : 'false');
         });
-    }
 
-    document.addEventListener('keydown', function(e) {
-        if (!previewModal || previewModal.hidden || e.defaultPrevented) {
-            return;
+        function selectLines(start, end, scroll) {
+            var lastLine = firstLine + lineCount - 1;
+            var from = Math.max(firstLine, Math.min(start, end || start));
+            var to = Math.min(lastLine, Math.max(start, end || start));
+            var active = body.querySelectorAll('.code-view-line-active');
+            for (var a = 0; a < active.length; a++) active[a].classList.remove('code-view-line-active');
+            if (from > lastLine || to < firstLine) return;
+            for (var l = from; l <= to; l++) {
+                body.children[l - firstLine].classList.add('code-view-line-active');
+            }
+            if (scroll) {
+                var target = body.children[from - firstLine];
+                body.scrollTop = Math.max(0, target.offsetTop - body.offsetTop - body.clientHeight / 3);
+            }
         }
 
-        if (e.key === 'Escape') {
-            closePreview();
-            e.preventDefault();
-        } else if (e.key === 'ArrowLeft' && previewCurrentIndex > 0) {
-            openPreview(previewCurrentIndex - 1);
-            e.preventDefault();
-        } else if (e.key === 'ArrowRight' && previewCurrentIndex < previewFiles.length - 1) {
-            openPreview(previewCurrentIndex + 1);
-            e.preventDefault();
+        // Chunks are highlighted on their own, so a comment or string running across a chunk boundary
+        // is only coloured on one side of it.
+        function appendText(more) {
+            var added = highlightLines(more, language);
+            body.insertAdjacentHTML('beforeend', buildLines(added, firstLine + lineCount));
+            lineCount += added.length;
+            controller.lineCount = lineCount;
+            updateGutter();
+            return added.length;
         }
-    });
-})();
 
-// === Directory Listing ===
-(function() {
-    // --- View Toggle ---
-    var viewToggle = document.getElementById('viewToggle');
-    var gridView = document.querySelector('.grid-view');
-    var tableView = document.querySelector('table.listing');
-    var summaryFiles = document.getElementById('summaryFiles');
-    var summaryFolders = document.getElementById('summaryFolders');
-    var summaryVisibleTotal = document.getElementById('summaryVisibleTotal');
+        function prependText(more) {
+            var added = highlightLines(more, language);
+            firstLine -= added.length;
+            body.insertAdjacentHTML('afterbegin', buildLines(added, firstLine));
+            lineCount += added.length;
+            controller.lineCount = lineCount;
+            updateGutter();
+            return added.length;
+        }
 
-    function parseSizeBytes(rawValue) {
-        if (!rawValue) return 0;
-        var parsed = parseInt(rawValue, 10);
-        if (isNaN(parsed) || parsed < 0) return 0;
-        return parsed;
-    }
+        if (anchors) {
+            body.addEventListener('click', function (e) {
+                var ln = e.target.closest('.code-view-ln');
+                if (!ln) return;
+                e.preventDefault();
+                var line = parseInt(ln.getAttribute('data-line'), 10);
+                var start = e.shiftKey && anchorLine ? Math.min(anchorLine, line) : line;
+                var end = e.shiftKey && anchorLine ? Math.max(anchorLine, line) : line;
+                if (!e.shiftKey) anchorLine = line;
+                selectLines(start, end, false);
+                options.onLineSelect(start, end);
+            });
+        }
 
-    function humanizeSize(size) {
-        var safeSize = Math.max(0, size || 0);
-        if (safeSize < 1024) {
-            return safeSize + ' B';
+        if (options.selection && options.selection.start) {
+            anchorLine = options.selection.start;
+            selectLines(options.selection.start, options.selection.end, true);
         }
 
-        var units = ['KB', 'MB', 'GB', 'TB'];
-        var unitIndex = 0;
-        var value = safeSize / 1024;
+        var controller = {
+            selectLines: selectLines,
+            appendText: appendText,
+            prependText: prependText,
+            lineCount: lineCount
+        };
+        return controller;
+    }
 
-        while (unitIndex < units.length - 1 && value >= 1024) {
-            value = value / 1024;
-            unitIndex++;
-        }
+    /** Parses "#L12" or "#L12-L20" into { start, end }, or null. */
+    function parseLineHash(hash) {
+        var match = /^#?L(\d+)(?:-L?(\d+))?$/.exec(hash || '');
+        if (!match) return null;
+        var start = parseInt(match[1], 10);
+        var end = match[2] ? parseInt(match[2], 10) : start;
+        return { start: Math.min(start, end), end: Math.max(start, end) };
+    }
 
-        if (value >= 100) return value.toFixed(0) + ' ' + units[unitIndex];
-        if (value >= 10) return value.toFixed(1) + ' ' + units[unitIndex];
-        return value.toFixed(2) + ' ' + units[unitIndex];
+    function formatLineHash(start, end) {
+        return '#L' + start + (end && end !== start ? '-L' + end : '');
     }
 
-    function recomputeListingSummary() {
-        if (!summaryFiles || !summaryFolders || !summaryVisibleTotal) {
-            return;
-        }
+    // ── Public API ─────────────────────────────────────────────────────────
+    window.DirForgeCodeView = {
+        resolveLanguage: resolveLanguage,
+        highlightLines: highlightLines,
+        render: render,
+        parseLineHash: parseLineHash,
+        formatLineHash: formatLineHash
+    };
+})();
 
-        var rows = document.querySelectorAll('tr[data-entry-row="1"]');
-        var fileCount = 0;
-        var folderCount = 0;
-        var fileBytes = 0;
-        var knownFolderCount = 0;
-        var knownFolderBytes = 0;
+// === Hash State ===
+/**
+ * DirForge hash state — the `#filter=\u2026&preview=\u2026&L120` fragment shared by
+ * the listing, the preview modal and the lightbox. Keys set with pushParam get
+ * their own history entry, so the Back button closes what they opened.
+ */
+(function () {
+    'use strict';
 
-        for (var i = 0; i < rows.length; i++) {
-            var row = rows[i];
-            var isDirectory = row.getAttribute('data-is-directory') === 'true';
-            var isSizeKnown = row.getAttribute('data-size-known') === 'true';
-            var sizeBytes = parseSizeBytes(row.getAttribute('data-size-bytes'));
+    function pageKey() {
+        return window.location.pathname + window.location.search;
+    }
 
-            if (isDirectory) {
-                folderCount++;
-                if (isSizeKnown) {
-                    knownFolderCount++;
-                    knownFolderBytes += sizeBytes;
-                }
-            } else {
-                fileCount++;
-                fileBytes += sizeBytes;
+    function read() {
+        var state = { params: {}, lines: '' };
+        window.location.hash.replace(/^#/, '').split('&').forEach(function (part) {
+            if (!part) return;
+            if (window.DirForgeCodeView.parseLineHash(part)) {
+                state.lines = part;
+                return;
             }
-        }
+            var eq = part.indexOf('=');
+            try {
+                state.params[decodeURIComponent(eq < 0 ? part : part.substring(0, eq))] =
+                    eq < 0 ? '' : decodeURIComponent(part.substring(eq + 1));
+            } catch (e) { /* malformed escape */ }
+        });
+        return state;
+    }
 
-        summaryFiles.textContent = 'Files: ' + fileCount + ' \u00b7 ' + humanizeSize(fileBytes);
-        summaryFolders.textContent = knownFolderCount > 0
-            ? 'Folders: ' + folderCount + ' \u00b7 ' + humanizeSize(knownFolderBytes)
-            : 'Folders: ' + folderCount;
-        var totalCount = fileCount + folderCount;
+    function format(state) {
+        var parts = [];
+        Object.keys(state.params).forEach(function (key) {
+            if (state.params[key]) parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(state.params[key]));
+        });
+        if (state.lines) parts.push(state.lines);
+        return parts.length ? '#' + parts.join('&') : '';
+    }
 
-        if (folderCount === 0) {
-            summaryVisibleTotal.textContent = 'Visible total: ' + totalCount + ' \u00b7 ' + humanizeSize(fileBytes);
-            return;
-        }
+    function write(state) {
+        var hash = format(state);
+        if (hash === window.location.hash) return;
+        history.replaceState(history.state, '', pageKey() + hash);
+    }
 
-        if (knownFolderCount === folderCount) {
-            summaryVisibleTotal.textContent = 'Visible total: ' + totalCount + ' \u00b7 ' + humanizeSize(fileBytes + knownFolderBytes);
+    function ownsEntry(key) {
+        return !!history.state && history.state.dirforgeParam === key;
+    }
+
+    // The first call for a key adds a history entry; later calls (next file, next image) replace it.
+    function pushParam(key, value) {
+        var state = read();
+        state.params[key] = value;
+        if (ownsEntry(key)) {
+            write(state);
             return;
         }
+        history.pushState({ dirforgeParam: key }, '', pageKey() + format(state));
+    }
 
-        if (knownFolderCount > 0) {
-            summaryVisibleTotal.textContent = 'Visible total: ' + totalCount + ' \u00b7 ' + humanizeSize(fileBytes) + ' (files only)';
+    // Goes back over the entry pushParam added, or just drops the key when the page was opened with it.
+    function popParam(key) {
+        var state = read();
+        if (!state.params[key]) return;
+        if (ownsEntry(key)) {
+            history.back();
             return;
         }
+        state.params[key] = '';
+        write(state);
+    }
 
-        summaryVisibleTotal.textContent = 'Visible total: ' + totalCount + ' \u00b7 ' + humanizeSize(fileBytes) + ' (files only)';
+    window.DirForgeHashState = {
+        pageKey: pageKey,
+        read: read,
+        write: write,
+        pushParam: pushParam,
+        popParam: popParam
+    };
+})();
+
+// === Markup Preview ===
+/**
+ * DirForge markup preview — renders Markdown and AsciiDoc to sanitized HTML
+ * with a toggle back to the highlighted source view.
+ * Output is built from escaped text and then passed through an allowlist
+ * sanitizer, so raw HTML embedded in documents cannot run script.
+ */
+(function () {
+    'use strict';
+
+    var MODE_STORAGE_KEY = 'dirforge-markup-view';
+    var ASCIIDOC_EXTENSIONS = { adoc: true, asciidoc: true };
+    var FORMAT_LABELS = { markdown: 'Markdown', asciidoc: 'AsciiDoc' };
+
+    function resolveFormat(extension) {
+        return ASCIIDOC_EXTENSIONS[(extension || '').toLowerCase()] ? 'asciidoc' : 'markdown';
     }
 
-    function setView(mode) {
-        document.documentElement.setAttribute('data-view', mode);
-        localStorage.setItem('dirforge-view', mode);
-        if (mode === 'grid') {
-            if (tableView) tableView.hidden = true;
-            if (gridView) gridView.hidden = false;
-        } else {
-            if (tableView) tableView.hidden = false;
-            if (gridView) gridView.hidden = true;
-        }
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     }
 
-    // Restore saved view preference
-    var savedView = localStorage.getItem('dirforge-view');
-    if (savedView === 'grid' && gridView) {
-        setView('grid');
+    function highlightCode(code, language) {
+        var cv = window.DirForgeCodeView;
+        if (!cv) return escapeHtml(code);
+        var resolved = language ? cv.resolveLanguage('', language.toLowerCase(), '') : 'plain';
+        return cv.highlightLines(code, resolved).join('\n');
     }
 
-    if (viewToggle) {
-        viewToggle.addEventListener('click', function() {
-            var current = document.documentElement.getAttribute('data-view') || 'list';
-            setView(current === 'grid' ? 'list' : 'grid');
-        });
+    function codeBlock(code, language) {
+        return '<pre class="markup-code"><code>' + highlightCode(code, language) + '</code></pre>';
     }
 
-    recomputeListingSummary();
+    function slugify(text, used) {
+        var slug = text.toLowerCase()
+            .replace(/<[^>]*>/g, '')
+            .replace(/&[#\w]+;/g, '')
+            .replace(/[^\w\- ]+/g, '')
+            .trim()
+            .replace(/ /g, '-');
+        var unique = slug;
+        var n = 1;
+        while (used[unique]) unique = slug + '-' + n++;
+        used[unique] = true;
+        return unique;
+    }
 
-    // Grid card click: files open preview modal
-    if (gridView) {
-        var gridFileCards = gridView.querySelectorAll('.grid-card-file');
-        gridFileCards.forEach(function(card) {
-            card.addEventListener('click', function(e) {
-                if (e.ctrlKey || e.metaKey || e.button === 1) {
-                    // Ctrl/Cmd+click or middle-click: open in new tab
-                    e.preventDefault();
-                    window.open(card.getAttribute('data-view-href'), '_blank');
-                    return;
-                }
-                e.preventDefault();
-                var path = card.getAttribute('data-preview-path');
-                for (var i = 0; i < previewFiles.length; i++) {
-                    if (previewFiles[i].path === path) {
-                        openPreview(i);
-                        return;
-                    }
+    // ── Inline placeholders ────────────────────────────────────────────────
+    // Spans that must not be re-processed (code, links, raw tags) are
+    // swapped for \u0000N\u0000 markers while emphasis rules run.
+    function createStash() {
+        var items = [];
+        return {
+            put: function (html) {
+                items.push(html);
+                return '\u0000' + (items.length - 1) + '\u0000';
+            },
+            restore: function (text) {
+                var guard = 0;
+                while (text.indexOf('\u0000') >= 0 && guard++ < 8) {
+                    text = text.replace(/\u0000(\d+)\u0000/g, function (m, i) { return items[+i]; });
                 }
-                // Fallback: open in new tab
-                window.open(card.getAttribute('data-view-href'), '_blank');
-            });
-        });
+                return text;
+            }
+        };
     }
 
-    var calcBtn = document.getElementById('calcDirSizes');
-    if (calcBtn) {
-        calcBtn.addEventListener('click', function() {
-            calcBtn.disabled = true;
-            calcBtn.title = 'Calculating\u2026';
-            var sizesUrl = new URL(window.location.href);
-            sizesUrl.searchParams.set('handler', 'DirectorySizes');
-            fetch(sizesUrl.toString())
-                .then(function(r) { return r.json(); })
-                .then(function(sizes) {
-                    var rows = document.querySelectorAll('tr[data-dir]:not([data-dir=""])');
-                    for (var i = 0; i < rows.length; i++) {
-                        var name = rows[i].getAttribute('data-dir');
-                        if (sizes[name]) {
-                            var cell = rows[i].querySelector('.size-cell');
-                            if (cell) {
-                                cell.textContent = sizes[name].humanSize;
-                                cell.title = sizes[name].tooltip;
-                            }
-
-                            if (sizes[name].size !== undefined && sizes[name].size !== null) {
-                                var updatedSize = parseSizeBytes(String(sizes[name].size));
-                                rows[i].setAttribute('data-size-known', 'true');
-                                rows[i].setAttribute('data-size-bytes', String(updatedSize));
-                            }
-                        }
-                    }
-                    recomputeListingSummary();
+    function linkHtml(href, title, innerHtml) {
+        return '<a href="' + escapeHtml(href) + '"' + (title ? ' title="' + escapeHtml(title) + '"' : '') + '>' + innerHtml + '</a>';
+    }
 
-                    calcBtn.disabled = false;
-                    calcBtn.title = 'Recalculate subdirectory sizes';
-                })
+    function imageHtml(src, alt, title) {
+        return '<img src="' + escapeHtml(src) + '" alt="' + escapeHtml(alt) + '"' + (title ? ' title="' + escapeHtml(title) + '"' : '') + '>';
+    }
+
+    // ── Markdown ───────────────────────────────────────────────────────────
+    var MD_FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^`\s]*)/;
+    var MD_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+    var MD_HR = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+    var MD_QUOTE = /^ {0,3}> ?/;
+    var MD_LIST = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+    var MD_TABLE_DELIM = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+    var MD_HTML_BLOCK = /^ {0,3}(?:<\/?[a-zA-Z][\w-]*(?:[\s>\/]|$)|<!--)/;
+    var MD_REF_DEF = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+["'(](.*)["')])?[ \t]*$/;
+    var MD_SETEXT = /^ {0,3}(=+|-+)[ \t]*$/;
+    var MD_INDENTED = /^(?: {4}|\t)/;
+
+    function MarkdownRenderer(text) {
+        this.refs = {};
+        this.slugs = {};
+        this.lines = this.collectRefs((text || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n'));
+    }
+
+    MarkdownRenderer.prototype.collectRefs = function (lines) {
+        var kept = [];
+        var fence = null;
+        for (var i = 0; i < lines.length; i++) {
+            var fenceMatch = MD_FENCE.exec(lines[i]);
+            if (fenceMatch && (!fence || fenceMatch[1].charAt(0) === fence.charAt(0) && fenceMatch[1].length >= fence.length)) {
+                fence = fence ? null : fenceMatch[1];
+            }
+            var def = !fence && MD_REF_DEF.exec(lines[i]);
+            if (def) {
+                this.refs[def[1].toLowerCase()] = { href: def[2], title: def[3] || '' };
+                continue;
+            }
+            kept.push(lines[i]);
+        }
+        return kept;
+    };
+
+    MarkdownRenderer.prototype.render = function () {
+        return this.blocks(this.lines);
+    };
+
+    MarkdownRenderer.prototype.startsBlock = function (line) {
+        return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_HR.test(line) ||
+            MD_QUOTE.test(line) || MD_HTML_BLOCK.test(line) || /^ {0,3}(?:[-*+]|1[.)])[ \t]+\S/.test(line);
+    };
+
+    MarkdownRenderer.prototype.blocks = function (lines) {
+        var html = '';
+        var i = 0;
+        var match;
+        while (i < lines.length) {
+            var line = lines[i];
+
+            if (/^\s*$/.test(line)) {
+                i++;
+                continue;
+            }
+
+            if ((match = MD_FENCE.exec(line))) {
+                var fence = match[1];
+                var indent = /^ */.exec(line)[0].length;
+                var code = [];
+                i++;
+                while (i < lines.length) {
+                    var close = MD_FENCE.exec(lines[i]);
+                    if (close && close[1].charAt(0) === fence.charAt(0) && close[1].length >= fence.length && !close[2]) {
+                        i++;
+                        break;
+                    }
+                    code.push(lines[i].replace(new RegExp('^ {0,' + indent + '}'), ''));
+                    i++;
+                }
+                html += codeBlock(code.join('\n'), match[2]);
+                continue;
+            }
+
+            if ((match = MD_HEADING.exec(line))) {
+                html += this.heading(match[1].length, match[2] || '');
+                i++;
+                continue;
+            }
+
+            if (MD_HR.test(line)) {
+                html += '<hr>';
+                i++;
+                continue;
+            }
+
+            if (MD_QUOTE.test(line)) {
+                var quoted = [];
+                while (i < lines.length && !/^\s*$/.test(lines[i])) {
+                    quoted.push(lines[i].replace(MD_QUOTE, ''));
+                    i++;
+                }
+                html += '<blockquote>' + this.blocks(quoted) + '</blockquote>';
+                continue;
+            }
+
+            if (MD_LIST.test(line)) {
+                i = this.list(lines, i, function (out) { html += out; });
+                continue;
+            }
+
+            if (line.indexOf('|') >= 0 && i + 1 < lines.length && MD_TABLE_DELIM.test(lines[i + 1]) && lines[i + 1].indexOf('-') >= 0) {
+                i = this.table(lines, i, function (out) { html += out; });
+                continue;
+            }
+
+            if (MD_HTML_BLOCK.test(line)) {
+                var raw = [];
+                while (i < lines.length && !/^\s*$/.test(lines[i])) {
+                    raw.push(lines[i]);
+                    i++;
+                }
+                html += raw.join('\n');
+                continue;
+            }
+
+            if (MD_INDENTED.test(line)) {
+                var indented = [];
+                while (i < lines.length && (MD_INDENTED.test(lines[i]) || /^\s*$/.test(lines[i]))) {
+                    indented.push(lines[i].replace(MD_INDENTED, ''));
+                    i++;
+                }
+                while (indented.length && /^\s*$/.test(indented[indented.length - 1])) indented.pop();
+                html += codeBlock(indented.join('\n'), '');
+                continue;
+            }
+
+            var para = [line];
+            i++;
+            while (i < lines.length && !/^\s*$/.test(lines[i])) {
+                if (MD_SETEXT.test(lines[i])) {
+                    html += this.heading(lines[i].trim().charAt(0) === '=' ? 1 : 2, para.join('\n'));
+                    para = null;
+                    i++;
+                    break;
+                }
+                if (this.startsBlock(lines[i])) break;
+                para.push(lines[i]);
+                i++;
+            }
+            if (para) html += '<p>' + this.inline(para.join('\n').trim()) + '</p>';
+        }
+        return html;
+    };
+
+    MarkdownRenderer.prototype.heading = function (level, text) {
+        var inner = this.inline(text.trim());
+        var anchor = slugify(inner, this.slugs);
+        return '<h' + level + ' data-anchor="' + escapeHtml(anchor) + '">' + inner + '</h' + level + '>';
+    };
+
+    MarkdownRenderer.prototype.list = function (lines, start, emit) {
+        var first = MD_LIST.exec(lines[start]);
+        var ordered = /\d/.test(first[2]);
+        var bullet = first[2].slice(-1);
+        var items = [];
+        var loose = false;
+        var i = start;
+
+        while (i < lines.length) {
+            var match = MD_LIST.exec(lines[i]);
+            if (!match || /\d/.test(match[2]) !== ordered || match[2].slice(-1) !== bullet) break;
+            var contentIndent = match[0].length;
+            if (!match[3] || match[3].length > 4) contentIndent = match[1].length + match[2].length + 1;
+            var body = [lines[i].slice(match[0].length)];
+            i++;
+            var sawBlank = false;
+            while (i < lines.length) {
+                var next = lines[i];
+                if (/^\s*$/.test(next)) {
+                    sawBlank = true;
+                    body.push('');
+                    i++;
+                    continue;
+                }
+                var nextIndent = /^ */.exec(next.replace(/\t/g, '    '))[0].length;
+                if (nextIndent >= contentIndent) {
+                    if (sawBlank) loose = true;
+                    body.push(next.replace(/\t/g, '    ').slice(contentIndent));
+                    sawBlank = false;
+                    i++;
+                    continue;
+                }
+                if (!sawBlank && !MD_LIST.test(next) && !this.startsBlock(next)) {
+                    body.push(next.trim());
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            while (body.length && body[body.length - 1] === '') body.pop();
+            items.push(body);
+            if (sawBlank && i < lines.length && MD_LIST.test(lines[i])) loose = true;
+            if (sawBlank && !(i < lines.length && MD_LIST.test(lines[i]))) break;
+        }
+
+        var html = ordered
+            ? '<ol' + (parseInt(first[2], 10) !== 1 ? ' start="' + parseInt(first[2], 10) + '"' : '') + '>'
+            : '<ul>';
+        for (var n = 0; n < items.length; n++) {
+            var itemLines = items[n];
+            var task = /^\[([ xX])\][ \t]+/.exec(itemLines[0]);
+            var prefix = '';
+            if (task) {
+                itemLines[0] = itemLines[0].slice(task[0].length);
+                prefix = '<input type="checkbox" disabled' + (task[1] !== ' ' ? ' checked' : '') + '> ';
+            }
+            var inner = this.blocks(itemLines);
+            if (!loose) inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            html += '<li' + (task ? ' class="markup-task"' : '') + '>' + prefix + inner + '</li>';
+        }
+        html += ordered ? '</ol>' : '</ul>';
+        emit(html);
+        return i;
+    };
+
+    function splitRow(line) {
+        var trimmed = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+        var cells = [];
+        var current = '';
+        var inCode = false;
+        for (var i = 0; i < trimmed.length; i++) {
+            var ch = trimmed.charAt(i);
+            if (ch === '\\' && trimmed.charAt(i + 1) === '|') {
+                current += '|';
+                i++;
+            } else if (ch === '`') {
+                inCode = !inCode;
+                current += ch;
+            } else if (ch === '|' && !inCode) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    MarkdownRenderer.prototype.table = function (lines, start, emit) {
+        var header = splitRow(lines[start]);
+        var aligns = splitRow(lines[start + 1]).map(function (cell) {
+            var left = cell.charAt(0) === ':';
+            var right = cell.charAt(cell.length - 1) === ':';
+            return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+        });
+        var self = this;
+        function cellHtml(tag, text, index) {
+            var align = aligns[index] ? ' align="' + aligns[index] + '"' : '';
+            return '<' + tag + align + '>' + self.inline(text || '') + '</' + tag + '>';
+        }
+
+        var html = '<div class="markup-table-wrap"><table><thead><tr>';
+        for (var h = 0; h < header.length; h++) html += cellHtml('th', header[h], h);
+        html += '</tr></thead><tbody>';
+        var i = start + 2;
+        while (i < lines.length && !/^\s*$/.test(lines[i]) && lines[i].indexOf('|') >= 0) {
+            var cells = splitRow(lines[i]);
+            html += '<tr>';
+            for (var c = 0; c < header.length; c++) html += cellHtml('td', cells[c], c);
+            html += '</tr>';
+            i++;
+        }
+        html += '</tbody></table></div>';
+        emit(html);
+        return i;
+    };
+
+    MarkdownRenderer.prototype.inline = function (text, sharedStash) {
+        var stash = sharedStash || createStash();
+        var refs = this.refs;
+        var self = this;
+
+        text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function (m, ticks, code) {
+            return stash.put('<code>' + escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1')) + '</code>');
+        });
+        text = text.replace(/\\([!"#$%&'()*+,\-.\/:;<=>?@\[\\\]^_`{|}~])/g, function (m, ch) {
+            return stash.put(escapeHtml(ch));
+        });
+        text = text.replace(/<((?:https?|ftp):\/\/[^\s<>]+|mailto:[^\s<>]+)>/gi, function (m, url) {
+            return stash.put(linkHtml(url, '', escapeHtml(url.replace(/^mailto:/i, ''))));
+        });
+        text = text.replace(/<\/?[a-zA-Z][\w-]*(?:\s+[\w:-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<!--[\s\S]*?-->/g, function (m) {
+            return stash.put(m);
+        });
+        text = text.replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+["']([^"']*)["'])?\s*\)/g, function (m, alt, src, title) {
+            return stash.put(imageHtml(src, alt, title));
+        });
+        text = text.replace(/!\[([^\]]*)\]\[([^\]]*)\]/g, function (m, alt, ref) {
+            var def = refs[(ref || alt).toLowerCase()];
+            return def ? stash.put(imageHtml(def.href, alt, def.title)) : m;
+        });
+        text = text.replace(/\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*<?([^)\s>]*)>?(?:\s+["']([^"']*)["'])?\s*\)/g, function (m, label, href, title) {
+            return stash.put(linkHtml(href, title, self.inline(label, stash)));
+        });
+        text = text.replace(/\[((?:[^\[\]]|\[[^\]]*\])*)\](?:\[([^\]]*)\])?/g, function (m, label, ref) {
+            var def = refs[(ref || label).toLowerCase()];
+            return def ? stash.put(linkHtml(def.href, def.title, self.inline(label, stash))) : m;
+        });
+
+        text = escapeHtml(text);
+        text = text.replace(/(^|[\s(])((?:https?:\/\/|www\.)[^\s<\u0000]+[^\s<\u0000.,:;"')\]])/g, function (m, lead, url) {
+            var href = url.replace(/&amp;/g, '&');
+            return lead + stash.put(linkHtml(/^www\./.test(href) ? 'http://' + href : href, '', url));
+        });
+        text = text
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?![\w])/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+        return sharedStash ? text : stash.restore(text);
+    };
+
+    // ── AsciiDoc ───────────────────────────────────────────────────────────
+    var AD_TITLE = /^(={1,6}|#{1,6})[ \t]+(.+?)(?:[ \t]+\1)?[ \t]*$/;
+    var AD_ATTRIBUTE = /^:(!?[\w][\w-]*!?):(?:[ \t]+(.*))?$/;
+    var AD_BLOCK_ANCHOR = /^\[\[([\w-]+)(?:,[^\]]*)?\]\][ \t]*$/;
+    var AD_BLOCK_ATTRS = /^\[([^\]]*)\][ \t]*$/;
+    var AD_BLOCK_TITLE = /^\.([^.\s].*)$/;
+    var AD_LIST = /^[ \t]*(\*{1,5}|-|\.{1,5}|\d+\.)[ \t]+(.*)$/;
+    var AD_DLIST = /^(.+?)(::|;;)(?:[ \t]+(.*))?$/;
+    var AD_ADMONITION = /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):[ \t]+(.*)$/;
+    var AD_IMAGE_BLOCK = /^image::([^\[\s]+)\[([^\]]*)\][ \t]*$/;
+    var AD_DELIMITERS = {
+        '----': 'listing', '....': 'literal', '====': 'example', '****': 'sidebar',
+        '____': 'quote', '++++': 'pass', '////': 'comment', '|===': 'table', '--': 'open'
+    };
+
+    function AsciiDocRenderer(text) {
+        this.attributes = {};
+        this.slugs = {};
+        this.lines = (text || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+    }
+
+    AsciiDocRenderer.prototype.render = function () {
+        return this.blocks(this.lines);
+    };
+
+    function delimiterOf(line) {
+        var trimmed = line.replace(/[ \t]+$/, '');
+        if (AD_DELIMITERS[trimmed]) return trimmed;
+        var m = /^(-{4,}|\.{4,}|={4,}|\*{4,}|_{4,}|\+{4,}|\/{4,})$/.exec(trimmed);
+        return m ? trimmed : null;
+    }
+
+    function delimiterKind(delimiter) {
+        return AD_DELIMITERS[delimiter] || AD_DELIMITERS[delimiter.slice(0, 4)];
+    }
+
+    function parseBlockAttrs(text) {
+        var parts = text.split(',').map(function (p) { return p.trim(); });
+        var attrs = { style: parts[0] || '', positional: parts, named: {} };
+        parts.forEach(function (p) {
+            var kv = /^([\w-]+)=["']?(.*?)["']?$/.exec(p);
+            if (kv) attrs.named[kv[1]] = kv[2];
+        });
+        return attrs;
+    }
+
+    AsciiDocRenderer.prototype.blocks = function (lines) {
+        var html = '';
+        var i = 0;
+        var attrs = null;
+        var title = '';
+        var anchorId = '';
+        var match;
+
+        while (i < lines.length) {
+            var line = lines[i];
+
+            if (/^\s*$/.test(line)) {
+                i++;
+                continue;
+            }
+
+            if (/^\/\/(?!\/)/.test(line)) {
+                i++;
+                continue;
+            }
+
+            if ((match = AD_ATTRIBUTE.exec(line))) {
+                if (match[1].charAt(0) !== '!' && match[1].slice(-1) !== '!') this.attributes[match[1]] = match[2] || '';
+                i++;
+                continue;
+            }
+
+            if ((match = AD_BLOCK_ANCHOR.exec(line))) {
+                anchorId = match[1];
+                i++;
+                continue;
+            }
+
+            if ((match = AD_BLOCK_ATTRS.exec(line))) {
+                attrs = parseBlockAttrs(match[1]);
+                i++;
+                continue;
+            }
+
+            if ((match = AD_BLOCK_TITLE.exec(line))) {
+                title = match[1];
+                i++;
+                continue;
+            }
+
+            var titleHtml = title ? '<div class="markup-block-title">' + this.inline(title) + '</div>' : '';
+            var style = attrs ? attrs.style : '';
+            var idMatch = attrs && /^#([\w-]+)/.exec(style);
+            if (idMatch) anchorId = idMatch[1];
+            if (anchorId && !AD_TITLE.test(line)) {
+                html += '<span data-anchor="' + escapeHtml(anchorId) + '"></span>';
+                anchorId = '';
+            }
+            var delimiter = delimiterOf(line);
+
+            if (delimiter) {
+                var inner = [];
+                i++;
+                while (i < lines.length && lines[i].replace(/[ \t]+$/, '') !== delimiter) {
+                    inner.push(lines[i]);
+                    i++;
+                }
+                i++;
+                html += this.delimited(delimiterKind(delimiter), inner, attrs, titleHtml);
+                attrs = null;
+                title = '';
+                continue;
+            }
+
+            if ((match = AD_TITLE.exec(line)) && (match[1].charAt(0) === '=' || !/^#\w/.test(line))) {
+                var level = Math.min(6, match[1].length);
+                var text = this.inline(match[2]);
+                var anchor = anchorId || slugify(text, this.slugs);
+                anchorId = '';
+                html += '<h' + level + ' data-anchor="' + escapeHtml(anchor) + '">' + text + '</h' + level + '>';
+                attrs = null;
+                title = '';
+                i++;
+                continue;
+            }
+
+            if (/^'{3,}[ \t]*$/.test(line)) {
+                html += '<hr>';
+                i++;
+                continue;
+            }
+
+            if (/^<<<[ \t]*$/.test(line)) {
+                i++;
+                continue;
+            }
+
+            if ((match = AD_IMAGE_BLOCK.exec(line))) {
+                var imageAttrs = parseBlockAttrs(match[2]);
+                html += '<div class="markup-image">' + titleHtml
+                      + imageHtml(this.substitute(match[1]), imageAttrs.positional[0] || match[1].split('/').pop(), imageAttrs.named.title || '')
+                      + '</div>';
+                attrs = null;
+                title = '';
+                i++;
+                continue;
+            }
+
+            if (AD_LIST.test(line)) {
+                i = this.list(lines, i, function (out) { html += titleHtml + out; });
+                attrs = null;
+                title = '';
+                continue;
+            }
+
+            if (/^[ \t]+\S/.test(line) && style !== 'source') {
+                var literal = [];
+                while (i < lines.length && !/^\s*$/.test(lines[i])) {
+                    literal.push(lines[i]);
+                    i++;
+                }
+                var minIndent = Math.min.apply(null, literal.map(function (l) { return /^[ \t]*/.exec(l)[0].length; }));
+                html += titleHtml + '<pre class="markup-code"><code>' + escapeHtml(literal.map(function (l) { return l.slice(minIndent); }).join('\n')) + '</code></pre>';
+                attrs = null;
+                title = '';
+                continue;
+            }
+
+            var para = [];
+            while (i < lines.length && !/^\s*$/.test(lines[i]) && (para.length === 0 || (!delimiterOf(lines[i]) && !AD_BLOCK_ATTRS.test(lines[i]) && !AD_LIST.test(lines[i])))) {
+                if (!/^\/\/(?!\/)/.test(lines[i])) para.push(lines[i]);
+                i++;
+            }
+
+            if (para.length && AD_DLIST.test(para[0]) && !/:\/\//.test(para[0].split('::')[0])) {
+                html += titleHtml + this.descriptionList(para);
+            } else if (/^(NOTE|TIP|IMPORTANT|WARNING|CAUTION)$/.test(style)) {
+                html += this.admonition(style, '<p>' + this.inline(para.join('\n')) + '</p>', titleHtml);
+            } else if ((match = AD_ADMONITION.exec(para[0] || ''))) {
+                para[0] = match[2];
+                html += this.admonition(match[1], '<p>' + this.inline(para.join('\n')) + '</p>', titleHtml);
+            } else if (style === 'source' || style === 'listing') {
+                html += titleHtml + codeBlock(para.join('\n'), attrs.positional[1] || '');
+            } else if (style === 'quote') {
+                html += '<blockquote>' + titleHtml + '<p>' + this.inline(para.join('\n')) + '</p></blockquote>';
+            } else {
+                html += titleHtml + '<p>' + this.inline(para.join('\n')) + '</p>';
+            }
+            attrs = null;
+            title = '';
+        }
+        return html;
+    };
+
+    AsciiDocRenderer.prototype.delimited = function (kind, inner, attrs, titleHtml) {
+        var style = attrs ? attrs.style : '';
+        switch (kind) {
+            case 'comment':
+                return '';
+            case 'listing':
+                return titleHtml + codeBlock(inner.join('\n'), style === 'source' || style === '' ? (attrs && attrs.positional[1]) || '' : '');
+            case 'literal':
+                return titleHtml + '<pre class="markup-code"><code>' + escapeHtml(inner.join('\n')) + '</code></pre>';
+            case 'pass':
+                return inner.join('\n');
+            case 'table':
+                return titleHtml + this.table(inner, attrs);
+            case 'quote':
+                return '<blockquote>' + titleHtml + this.blocks(inner) + '</blockquote>';
+            case 'sidebar':
+                return '<div class="markup-sidebar">' + titleHtml + this.blocks(inner) + '</div>';
+            default:
+                if (/^(NOTE|TIP|IMPORTANT|WARNING|CAUTION)$/.test(style)) {
+                    return this.admonition(style, this.blocks(inner), titleHtml);
+                }
+                if (style === 'source') {
+                    return titleHtml + codeBlock(inner.join('\n'), attrs.positional[1] || '');
+                }
+                return '<div class="markup-example">' + titleHtml + this.blocks(inner) + '</div>';
+        }
+    };
+
+    AsciiDocRenderer.prototype.admonition = function (kind, bodyHtml, titleHtml) {
+        return '<div class="markup-admonition markup-admonition-' + kind.toLowerCase() + '">'
+             + '<div class="markup-admonition-label">' + kind.charAt(0) + kind.slice(1).toLowerCase() + '</div>'
+             + '<div class="markup-admonition-body">' + titleHtml + bodyHtml + '</div></div>';
+    };
+
+    AsciiDocRenderer.prototype.list = function (lines, start, emit) {
+        var html = '';
+        var stack = [];
+        var i = start;
+
+        function kindOf(marker) {
+            return /^[.\d]/.test(marker) ? 'ol' : 'ul';
+        }
+
+        while (i < lines.length) {
+            var match = AD_LIST.exec(lines[i]);
+            if (!match) {
+                if (/^\+[ \t]*$/.test(lines[i]) && i + 1 < lines.length && !/^\s*$/.test(lines[i + 1]) && stack.length) {
+                    html += '<p>' + this.inline(lines[i + 1]) + '</p>';
+                    i += 2;
+                    continue;
+                }
+                if (!/^\s*$/.test(lines[i]) && !delimiterOf(lines[i]) && !AD_BLOCK_ATTRS.test(lines[i]) && stack.length) {
+                    html += ' ' + this.inline(lines[i].trim());
+                    i++;
+                    continue;
+                }
+                if (/^\s*$/.test(lines[i]) && i + 1 < lines.length && AD_LIST.test(lines[i + 1])) {
+                    i++;
+                    continue;
+                }
+                break;
+            }
+
+            var marker = match[1] === '-' ? '*' : /^\d/.test(match[1]) ? '.' : match[1];
+            var depthIndex = -1;
+            for (var s = 0; s < stack.length; s++) {
+                if (stack[s] === marker) depthIndex = s;
+            }
+
+            if (depthIndex === -1) {
+                stack.push(marker);
+                html += '<' + kindOf(marker) + '>';
+            } else {
+                while (stack.length - 1 > depthIndex) {
+                    html += '</li></' + kindOf(stack.pop()) + '>';
+                }
+                html += '</li>';
+            }
+
+            var content = match[2];
+            var task = /^\[([ x*])\][ \t]+/.exec(content);
+            if (task) {
+                content = content.slice(task[0].length);
+                html += '<li class="markup-task"><input type="checkbox" disabled' + (task[1] !== ' ' ? ' checked' : '') + '> ' + this.inline(content);
+            } else {
+                html += '<li>' + this.inline(content);
+            }
+            i++;
+        }
+
+        while (stack.length) {
+            html += '</li></' + kindOf(stack.pop()) + '>';
+        }
+        emit(html);
+        return i;
+    };
+
+    AsciiDocRenderer.prototype.descriptionList = function (lines) {
+        var html = '<dl>';
+        for (var i = 0; i < lines.length; i++) {
+            var match = AD_DLIST.exec(lines[i]);
+            if (match) {
+                html += '<dt>' + this.inline(match[1]) + '</dt>';
+                if (match[3]) html += '<dd>' + this.inline(match[3]) + '</dd>';
+            } else {
+                html += '<dd>' + this.inline(lines[i].trim()) + '</dd>';
+            }
+        }
+        return html + '</dl>';
+    };
+
+    AsciiDocRenderer.prototype.table = function (lines, attrs) {
+        var cells = [];
+        var firstRowCells = 0;
+        var firstRowLine = -1;
+        var headerBreak = false;
+
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i];
+            if (/^\s*$/.test(line)) {
+                if (firstRowLine !== -1 && cells.length === firstRowCells && i === firstRowLine + 1) headerBreak = true;
+                continue;
+            }
+            if (line.charAt(0) !== '|') {
+                if (cells.length) cells[cells.length - 1] += '\n' + line;
+                continue;
+            }
+            var parts = line.slice(1).split('|');
+            for (var p = 0; p < parts.length; p++) cells.push(parts[p].trim());
+            if (firstRowLine === -1) {
+                firstRowLine = i;
+                firstRowCells = parts.length;
+            }
+        }
+
+        var colsAttr = attrs && attrs.named.cols;
+        var cols = colsAttr
+            ? (/^\d+$/.test(colsAttr) ? parseInt(colsAttr, 10) : colsAttr.split(',').length)
+            : firstRowCells;
+        if (!cols) return '';
+        var hasHeader = headerBreak || !!(attrs && /header/.test(attrs.named.options || attrs.named.opts || ''));
+
+        var html = '<div class="markup-table-wrap"><table>';
+        for (var r = 0; r * cols < cells.length; r++) {
+            var isHeader = hasHeader && r === 0;
+            if (isHeader) html += '<thead>';
+            else if (r === 0 || (hasHeader && r === 1)) html += '<tbody>';
+            html += '<tr>';
+            for (var c = 0; c < cols; c++) {
+                var tag = isHeader ? 'th' : 'td';
+                html += '<' + tag + '>' + this.inline(cells[r * cols + c] || '') + '</' + tag + '>';
+            }
+            html += '</tr>';
+            if (isHeader) html += '</thead>';
+        }
+        html += '</tbody></table></div>';
+        return html;
+    };
+
+    AsciiDocRenderer.prototype.substitute = function (text) {
+        var attributes = this.attributes;
+        return text.replace(/\{([\w-]+)\}/g, function (m, name) {
+            return Object.prototype.hasOwnProperty.call(attributes, name) ? attributes[name] : m;
+        });
+    };
+
+    AsciiDocRenderer.prototype.inline = function (text, sharedStash) {
+        var stash = sharedStash || createStash();
+        var self = this;
+        text = this.substitute(text);
+
+        text = text.replace(/\+\+\+([\s\S]*?)\+\+\+/g, function (m, raw) { return stash.put(raw); });
+        text = text.replace(/`\+([\s\S]*?)\+`|`([^`\n]+)`|(^|[^\w+])\+([^+\n]+)\+(?![\w+])/g, function (m, plusCode, code, lead, passthrough) {
+            if (passthrough !== undefined) return lead + stash.put(escapeHtml(passthrough));
+            return stash.put('<code>' + escapeHtml(plusCode !== undefined ? plusCode : code) + '</code>');
+        });
+        text = text.replace(/\\([*_`#^~+\[{<])/g, function (m, ch) { return stash.put(escapeHtml(ch)); });
+        text = text.replace(/\[\[([\w-]+)(?:,[^\]]*)?\]\]/g, function (m, id) {
+            return stash.put('<span data-anchor="' + escapeHtml(id) + '"></span>');
+        });
+        text = text.replace(/<<([\w-]+)(?:,\s*([^>]+))?>>/g, function (m, id, label) {
+            return stash.put(linkHtml('#' + id, '', escapeHtml(label || id)));
+        });
+        text = text.replace(/image:(?!:)([^\[\s]+)\[([^\]]*)\]/g, function (m, src, attrText) {
+            var imageAttrs = parseBlockAttrs(attrText);
+            return stash.put(imageHtml(src, imageAttrs.positional[0] || src.split('/').pop(), imageAttrs.named.title || ''));
+        });
+        text = text.replace(/(?:link:([^\[\s]+)|((?:https?|ftp|mailto):[^\[\s]+))\[([^\]]*)\]/g, function (m, linkTarget, urlTarget, label) {
+            var href = linkTarget || urlTarget;
+            var cleanLabel = label.replace(/\^$/, '').replace(/,\s*window=_blank$/, '').replace(/^"(.*)"$/, '$1');
+            return stash.put(linkHtml(href, '', cleanLabel ? self.inline(cleanLabel, stash) : escapeHtml(href.replace(/^mailto:/, ''))));
+        });
+        text = text.replace(/<\/?[a-zA-Z][\w-]*(?:\s+[\w:-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/g, function (m) {
+            return stash.put(escapeHtml(m));
+        });
+
+        text = escapeHtml(text);
+        text = text.replace(/(^|[\s(])((?:https?|ftp):\/\/[^\s<\u0000\[]+[^\s<\u0000.,:;"')\]\[])/g, function (m, lead, url) {
+            return lead + stash.put(linkHtml(url.replace(/&amp;/g, '&'), '', url));
+        });
+        text = text
+            .replace(/\*\*([\s\S]+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, '$1<strong>$2</strong>')
+            .replace(/__([\s\S]+?)__/g, '<em>$1</em>')
+            .replace(/(^|[^\w_])_(?=\S)([^_\n]*?\S)_(?![\w_])/g, '$1<em>$2</em>')
+            .replace(/##([\s\S]+?)##/g, '<mark>$1</mark>')
+            .replace(/(^|[^\w#&])#(?=\S)([^#\n]*?\S)#(?![\w#])/g, '$1<mark>$2</mark>')
+            .replace(/\^(\S+?)\^/g, '<sup>$1</sup>')
+            .replace(/~(\S+?)~/g, '<sub>$1</sub>')
+            .replace(/ \+\n/g, '<br>\n')
+            .replace(/ \+$/, '<br>');
+        return sharedStash ? text : stash.restore(text);
+    };
+
+    // ── Sanitizer ──────────────────────────────────────────────────────────
+    var ALLOWED_TAGS = {};
+    ('a abbr b blockquote br caption cite code col colgroup dd del details dfn div dl dt em figcaption figure ' +
+     'h1 h2 h3 h4 h5 h6 hr i img input ins kbd li mark ol p pre q rp rt ruby s samp small span strike strong ' +
+     'sub summary sup table tbody td tfoot th thead tr tt u ul var').split(' ').forEach(function (tag) {
+        ALLOWED_TAGS[tag] = true;
+    });
+    var DROPPED_TAGS = {};
+    ('script style iframe frame frameset object embed applet form textarea select option button noscript ' +
+     'template svg math link meta base title head audio video source track canvas dialog portal').split(' ').forEach(function (tag) {
+        DROPPED_TAGS[tag] = true;
+    });
+    var ALLOWED_ATTRS = {
+        align: true, alt: true, title: true, width: true, height: true, colspan: true, rowspan: true,
+        start: true, reversed: true, open: true, lang: true, dir: true, cite: true, datetime: true,
+        href: true, src: true, type: true, checked: true, disabled: true, 'data-anchor': true
+    };
+
+    function isSafeUrl(url) {
+        var value = url.replace(/[\u0000- \u007f]/g, '');
+        var scheme = /^([a-z][a-z0-9+.\-]*):/i.exec(value);
+        return !scheme || /^(?:https?|mailto|ftp)$/i.test(scheme[1]);
+    }
+
+    function isRelativeUrl(url) {
+        return !/^(?:[a-z][a-z0-9+.\-]*:|\/\/|#)/i.test(url);
+    }
+
+    /** Resolves a relative document link against basePath ('/dir/'); returns a '/'-rooted path. */
+    function resolvePath(basePath, href) {
+        var clean = href.replace(/[?#].*$/, '');
+        if (!clean) return null;
+        var segments = clean.charAt(0) === '/' ? [] : (basePath || '/').split('/').filter(Boolean);
+        clean.split('/').forEach(function (segment) {
+            var decoded = segment;
+            try { decoded = decodeURIComponent(segment); } catch (e) { /* keep raw segment */ }
+            if (decoded === '' || decoded === '.') return;
+            if (decoded === '..') segments.pop();
+            else segments.push(decoded);
+        });
+        return '/' + segments.join('/');
+    }
+
+    function sanitizeNode(node, options) {
+        var children = Array.prototype.slice.call(node.childNodes);
+        for (var i = 0; i < children.length; i++) {
+            var child = children[i];
+            if (child.nodeType === 3) continue;
+            if (child.nodeType !== 1) {
+                node.removeChild(child);
+                continue;
+            }
+
+            var tag = child.nodeName.toLowerCase();
+            if (DROPPED_TAGS[tag] || (tag === 'input' && (child.getAttribute('type') || '').toLowerCase() !== 'checkbox')) {
+                node.removeChild(child);
+                continue;
+            }
+
+            sanitizeNode(child, options);
+
+            if (!ALLOWED_TAGS[tag]) {
+                while (child.firstChild) node.insertBefore(child.firstChild, child);
+                node.removeChild(child);
+                continue;
+            }
+
+            var anchor = child.getAttribute('id') || (tag === 'a' ? child.getAttribute('name') : null);
+            var classes = (child.getAttribute('class') || '').split(/\s+/).filter(function (c) { return /^(?:hl|markup)-[\w-]+$/.test(c); });
+            var attrs = Array.prototype.slice.call(child.attributes);
+            for (var a = 0; a < attrs.length; a++) {
+                var name = attrs[a].name.toLowerCase();
+                if (!ALLOWED_ATTRS[name]) child.removeAttribute(attrs[a].name);
+            }
+            if (classes.length) child.setAttribute('class', classes.join(' '));
+            if (anchor && !child.hasAttribute('data-anchor')) child.setAttribute('data-anchor', anchor);
+
+            if (tag === 'input') {
+                child.setAttribute('disabled', '');
+            }
+
+            if (tag === 'a' && child.hasAttribute('href')) {
+                var href = child.getAttribute('href');
+                if (!isSafeUrl(href)) {
+                    child.removeAttribute('href');
+                } else if (href.charAt(0) !== '#') {
+                    if (isRelativeUrl(href) && options.resolveUrl) {
+                        var linkPath = resolvePath(options.basePath, href);
+                        var fragment = /#.*$/.exec(href);
+                        if (linkPath) child.setAttribute('href', options.resolveUrl(linkPath, false) + (fragment ? fragment[0] : ''));
+                    }
+                    child.setAttribute('target', '_blank');
+                    child.setAttribute('rel', 'noopener noreferrer');
+                }
+            }
+
+            if (tag === 'img') {
+                var src = child.getAttribute('src') || '';
+                if (!src || !isSafeUrl(src)) {
+                    child.removeAttribute('src');
+                } else if (isRelativeUrl(src) && options.resolveUrl) {
+                    var imagePath = resolvePath(options.basePath, src);
+                    if (imagePath) child.setAttribute('src', options.resolveUrl(imagePath, true));
+                }
+                child.setAttribute('loading', 'lazy');
+                child.setAttribute('referrerpolicy', 'no-referrer');
+            }
+        }
+    }
+
+    /** Parses html in an inert template and strips everything outside the allowlist. */
+    function sanitize(html, options) {
+        var template = document.createElement('template');
+        template.innerHTML = html;
+        sanitizeNode(template.content, options || {});
+        return template.content;
+    }
+
+    function toHtml(text, format) {
+        var renderer = format === 'asciidoc' ? new AsciiDocRenderer(text) : new MarkdownRenderer(text);
+        return renderer.render();
+    }
+
+    // ── Rendering ──────────────────────────────────────────────────────────
+    /**
+     * Renders a document into container with a Preview / Source toggle. Options:
+     *   format        — 'markdown' or 'asciidoc' (see resolveFormat)
+     *   basePath      — '/'-rooted directory of the document, for relative links
+     *   resolveUrl    — function(path, isImage) returning the URL for a resolved path
+     *   renderSource  — function(target) that renders the raw source view
+     *   footerHtml    — extra markup appended below the body (e.g. truncation note)
+     *   initialMode   — 'rendered' or 'source'; defaults to the last mode used
+     */
+    function render(container, text, options) {
+        options = options || {};
+        var format = options.format === 'asciidoc' ? 'asciidoc' : 'markdown';
+        var mode = options.initialMode || localStorage.getItem(MODE_STORAGE_KEY) || 'rendered';
+        if (mode !== 'source' || typeof options.renderSource !== 'function') mode = 'rendered';
+
+        container.innerHTML = '<div class="markup-view">'
+            + '<div class="markup-view-toolbar">'
+            + '<span class="markup-view-format">' + escapeHtml(FORMAT_LABELS[format]) + '</span>'
+            + '<div class="markup-view-toggle" role="group" aria-label="Preview mode">'
+            + '<button type="button" class="code-view-btn" data-markup-mode="rendered">Preview</button>'
+            + (typeof options.renderSource === 'function' ? '<button type="button" class="code-view-btn" data-markup-mode="source">Source</button>' : '')
+            + '</div></div>'
+            + '<div class="markup-view-body"></div>'
+            + (options.footerHtml || '')
+            + '</div>';
+
+        var root = container.querySelector('.markup-view');
+        var body = root.querySelector('.markup-view-body');
+        var renderedFragment = null;
+
+        function show(nextMode) {
+            mode = nextMode;
+            root.querySelectorAll('[data-markup-mode]').forEach(function (btn) {
+                btn.setAttribute('aria-pressed', btn.getAttribute('data-markup-mode') === mode ? 'true' : 'false');
+            });
+            body.innerHTML = '';
+            if (mode === 'source') {
+                options.renderSource(body);
+                return;
+            }
+            if (!renderedFragment) {
+                renderedFragment = document.createElement('div');
+                renderedFragment.className = 'markup-body';
+                renderedFragment.appendChild(sanitize(toHtml(text, format), options));
+            }
+            body.appendChild(renderedFragment);
+        }
+
+        root.querySelector('.markup-view-toolbar').addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-markup-mode]');
+            if (!btn || btn.getAttribute('data-markup-mode') === mode) return;
+            localStorage.setItem(MODE_STORAGE_KEY, btn.getAttribute('data-markup-mode'));
+            show(btn.getAttribute('data-markup-mode'));
+        });
+
+        body.addEventListener('click', function (e) {
+            var link = e.target.closest('a[href^="#"]');
+            if (!link || !renderedFragment || !renderedFragment.contains(link)) return;
+            e.preventDefault();
+            var id = link.getAttribute('href').slice(1);
+            try { id = decodeURIComponent(id); } catch (err) { /* keep raw id */ }
+            var targets = renderedFragment.querySelectorAll('[data-anchor]');
+            for (var t = 0; t < targets.length; t++) {
+                if (targets[t].getAttribute('data-anchor') === id) {
+                    targets[t].scrollIntoView({ block: 'start', behavior: 'smooth' });
+                    return;
+                }
+            }
+        });
+
+        show(mode);
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────
+    window.DirForgeMarkup = {
+        resolveFormat: resolveFormat,
+        toHtml: toHtml,
+        sanitize: sanitize,
+        render: render
+    };
+})();
+
+// === Video Player ===
+/**
+ * DirForge video player — the preview modal's <video> with sibling subtitle
+ * tracks, a playback speed menu, picture-in-picture, keyboard shortcuts and a
+ * per-file resume position kept in localStorage. HLS playlists play through
+ * the bundled hls.js, loaded on first use, or the browser's native support.
+ */
+(function () {
+    'use strict';
+
+    var SPEED_STORAGE_KEY = 'dirforge-video-speed';
+    var RESUME_STORAGE_KEY = 'dirforge-video-resume';
+    var SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+    var SEEK_SECONDS = 10;
+    // Positions this close to either end start the video from the beginning next time.
+    var RESUME_MARGIN_SECONDS = 10;
+    var RESUME_MAX_ENTRIES = 50;
+    var RESUME_SAVE_INTERVAL = 5000;
+    var HLS_SCRIPT_URL = '/dirforge-assets/js/hls.light.min.js';
+    var HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+    var hlsScriptPromise = null;
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function formatTime(seconds) {
+        var total = Math.floor(seconds);
+        var hours = Math.floor(total / 3600);
+        var minutes = Math.floor(total % 3600 / 60);
+        var secs = total % 60;
+        return (hours ? hours + ':' + (minutes < 10 ? '0' : '') : '') + minutes + ':' + (secs < 10 ? '0' : '') + secs;
+    }
+
+    function isPipSupported() {
+        return !!document.pictureInPictureEnabled;
+    }
+
+    function loadHlsScript() {
+        if (window.Hls) return Promise.resolve(window.Hls);
+        if (!hlsScriptPromise) {
+            hlsScriptPromise = new Promise(function (resolve, reject) {
+                var script = document.createElement('script');
+                script.src = HLS_SCRIPT_URL;
+                script.onload = function () {
+                    if (window.Hls) resolve(window.Hls);
+                    else reject(new Error('HLS player failed to load'));
+                };
+                script.onerror = function () {
+                    hlsScriptPromise = null;
+                    script.remove();
+                    reject(new Error('HLS player failed to load'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return hlsScriptPromise;
+    }
+
+    // ── Stored state ───────────────────────────────────────────────────────
+    function readSpeed() {
+        var speed = parseFloat(localStorage.getItem(SPEED_STORAGE_KEY));
+        return SPEEDS.indexOf(speed) >= 0 ? speed : 1;
+    }
+
+    function readPositions() {
+        try {
+            var positions = JSON.parse(localStorage.getItem(RESUME_STORAGE_KEY) || '{}');
+            return positions && typeof positions === 'object' ? positions : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Re-inserting the key keeps the object in least-recently-watched order, so the oldest entries are dropped first.
+    function storePosition(key, seconds) {
+        var positions = readPositions();
+        delete positions[key];
+        if (seconds !== null) positions[key] = seconds;
+        var keys = Object.keys(positions);
+        for (var i = 0; i < keys.length - RESUME_MAX_ENTRIES; i++) delete positions[keys[i]];
+        try {
+            localStorage.setItem(RESUME_STORAGE_KEY, JSON.stringify(positions));
+        } catch (e) { /* storage full or disabled */ }
+    }
+
+    // ── Rendering ──────────────────────────────────────────────────────────
+    function buildTracks(subtitles) {
+        return (subtitles || []).map(function (subtitle, i) {
+            return '<track kind="subtitles" src="' + escapeHtml(subtitle.url) + '" label="' + escapeHtml(subtitle.label) + '"'
+                + (subtitle.language ? ' srclang="' + escapeHtml(subtitle.language) + '"' : '')
+                + (i === 0 ? ' default' : '') + '>';
+        }).join('');
+    }
+
+    function buildToolbar() {
+        var speeds = SPEEDS.map(function (speed) {
+            return '<option value="' + speed + '">' + speed + '\u00d7</option>';
+        }).join('');
+        return '<div class="video-toolbar">'
+            + '<label class="video-speed">Speed <select class="video-speed-select" title="Playback speed (&lt; / &gt;)">' + speeds + '</select></label>'
+            + (isPipSupported() ? '<button type="button" class="code-view-btn video-pip-btn" title="Picture-in-picture (P)">Picture-in-picture</button>' : '')
+            + '<span class="video-resume" hidden><span class="video-resume-text"></span>'
+            + '<button type="button" class="code-view-btn video-restart-btn">Start over</button></span>'
+            + '</div>';
+    }
+
+    /**
+     * Renders the player into `container`. Options: `src`, `hls` (true when
+     * `src` is an HLS playlist), `subtitles` (the PreviewInfo list of
+     * `{ label, language, url }`) and `resumeKey`, which identifies the file
+     * for the stored resume position (omit to disable).
+     * Returns `{ video, handleKey(event), destroy() }`; handleKey reports
+     * whether it used the key, destroy stops any HLS loading.
+     */
+    function render(container, options) {
+        var srcAttr = options.hls ? '' : ' src="' + escapeHtml(options.src) + '"';
+        container.innerHTML = '<div class="preview-video">'
+            + '<video controls preload="metadata"' + srcAttr + '>' + buildTracks(options.subtitles) + '</video>'
+            + buildToolbar()
+            + '</div>';
+
+        var video = container.querySelector('video');
+        var speedSelect = container.querySelector('.video-speed-select');
+        var pipBtn = container.querySelector('.video-pip-btn');
+        var resumeEl = container.querySelector('.video-resume');
+        var resumeKey = options.resumeKey || '';
+        var metadataLoaded = false;
+        var lastSaved = 0;
+        var hls = null;
+        var destroyed = false;
+
+        // defaultPlaybackRate survives the reset that loading the source applies to playbackRate.
+        function applySpeed(speed) {
+            video.defaultPlaybackRate = speed;
+            video.playbackRate = speed;
+            speedSelect.value = String(speed);
+        }
+
+        function setSpeed(speed) {
+            applySpeed(speed);
+            localStorage.setItem(SPEED_STORAGE_KEY, String(speed));
+        }
+
+        function stepSpeed(direction) {
+            var index = SPEEDS.indexOf(video.playbackRate);
+            if (index < 0) index = SPEEDS.indexOf(1);
+            index = Math.max(0, Math.min(SPEEDS.length - 1, index + direction));
+            setSpeed(SPEEDS[index]);
+        }
+
+        function savePosition() {
+            if (!resumeKey || !metadataLoaded) return;
+            var time = video.currentTime;
+            var resumable = time >= RESUME_MARGIN_SECONDS &&
+                (!isFinite(video.duration) || time < video.duration - RESUME_MARGIN_SECONDS);
+            storePosition(resumeKey, resumable ? Math.floor(time) : null);
+            lastSaved = Date.now();
+        }
+
+        function restorePosition() {
+            var saved = resumeKey ? readPositions()[resumeKey] : null;
+            if (typeof saved !== 'number' || saved < RESUME_MARGIN_SECONDS ||
+                isFinite(video.duration) && saved >= video.duration - RESUME_MARGIN_SECONDS) {
+                return;
+            }
+            video.currentTime = saved;
+            resumeEl.querySelector('.video-resume-text').textContent = 'Resumed at ' + formatTime(saved);
+            resumeEl.hidden = false;
+        }
+
+        function togglePlay() {
+            if (video.paused || video.ended) {
+                var playing = video.play();
+                if (playing && playing.catch) playing.catch(function () { /* autoplay blocked */ });
+            } else {
+                video.pause();
+            }
+        }
+
+        function seek(seconds) {
+            var time = video.currentTime + seconds;
+            if (isFinite(video.duration)) time = Math.min(time, video.duration);
+            video.currentTime = Math.max(0, time);
+        }
+
+        function togglePip() {
+            if (!isPipSupported()) return;
+            var request = document.pictureInPictureElement === video
+                ? document.exitPictureInPicture()
+                : video.requestPictureInPicture();
+            request.catch(function () { /* not allowed for this video */ });
+        }
+
+        function showError(message) {
+            container.innerHTML = '<div class="preview-none"><p>' + escapeHtml(message) + '</p></div>';
+        }
+
+        // hls.js needs Media Source Extensions; without them only native HLS (Safari, iOS) can play the stream.
+        function attachStream(src) {
+            var nativeHls = !!video.canPlayType(HLS_MIME_TYPE);
+            if (nativeHls && !window.MediaSource && !window.ManagedMediaSource) {
+                video.src = src;
+                return;
+            }
+
+            loadHlsScript().then(function (Hls) {
+                if (destroyed) return;
+                if (!Hls.isSupported()) {
+                    if (nativeHls) video.src = src;
+                    else showError('This browser cannot play HLS streams.');
+                    return;
+                }
+
+                var mediaRecovered = false;
+                hls = new Hls();
+                hls.on(Hls.Events.LEVEL_LOADED, function (event, data) {
+                    // A live playlist keeps growing, so a stored position would not mean anything next time.
+                    if (data.details.live) resumeKey = '';
+                });
+                hls.on(Hls.Events.ERROR, function (event, data) {
+                    if (!data.fatal) return;
+                    if (data.type === Hls.ErrorTypes.MEDIA_ERROR && !mediaRecovered) {
+                        mediaRecovered = true;
+                        hls.recoverMediaError();
+                        return;
+                    }
+                    destroy();
+                    showError('The stream could not be played (' + data.details + ').');
+                });
+                hls.loadSource(src);
+                hls.attachMedia(video);
+            }, function () {
+                if (destroyed) return;
+                if (nativeHls) video.src = src;
+                else showError('The HLS player could not be loaded.');
+            });
+        }
+
+        function destroy() {
+            destroyed = true;
+            if (hls) {
+                hls.destroy();
+                hls = null;
+            }
+        }
+
+        function handleKey(e) {
+            if (e.ctrlKey || e.metaKey || e.altKey) return false;
+            var tag = e.target && e.target.tagName;
+            if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || e.target && e.target.isContentEditable) return false;
+            switch (e.key) {
+                case ' ':
+                    // The focused video or button already reacts to Space.
+                    if (e.target === video || tag === 'BUTTON') return false;
+                    togglePlay();
+                    return true;
+                case 'k': togglePlay(); return true;
+                case 'j': seek(-SEEK_SECONDS); return true;
+                case 'l': seek(SEEK_SECONDS); return true;
+                case '<': stepSpeed(-1); return true;
+                case '>': stepSpeed(1); return true;
+                case 'p':
+                    if (!isPipSupported()) return false;
+                    togglePip();
+                    return true;
+            }
+            return false;
+        }
+
+        applySpeed(readSpeed());
+        speedSelect.addEventListener('change', function () {
+            setSpeed(parseFloat(speedSelect.value));
+        });
+        if (pipBtn) pipBtn.addEventListener('click', togglePip);
+        resumeEl.querySelector('.video-restart-btn').addEventListener('click', function () {
+            video.currentTime = 0;
+            resumeEl.hidden = true;
+            savePosition();
+        });
+
+        video.addEventListener('loadedmetadata', function () {
+            if (options.hls && video.duration === Infinity) resumeKey = '';
+            restorePosition();
+            metadataLoaded = true;
+        });
+        video.addEventListener('timeupdate', function () {
+            if (Date.now() - lastSaved >= RESUME_SAVE_INTERVAL) savePosition();
+        });
+        video.addEventListener('pause', savePosition);
+        video.addEventListener('ended', function () {
+            resumeEl.hidden = true;
+        });
+
+        if (options.hls) attachStream(options.src);
+
+        return {
+            video: video,
+            handleKey: handleKey,
+            destroy: destroy
+        };
+    }
+
+    window.DirForgeVideoPlayer = {
+        render: render
+    };
+})();
+
+// === Audio Player ===
+/**
+ * DirForge audio player — a mini player bar that plays a queue of audio files
+ * (a folder, a selection or an M3U playlist) with next/previous, shuffle and
+ * repeat. Folder links load a new page, so the queue and position are kept in
+ * sessionStorage and playback picks up again on the next page. OS media keys
+ * work through the Media Session API.
+ */
+(function () {
+    'use strict';
+
+    var STATE_STORAGE_KEY = 'dirforge-audio-player';
+    var SHUFFLE_STORAGE_KEY = 'dirforge-audio-shuffle';
+    var REPEAT_STORAGE_KEY = 'dirforge-audio-repeat';
+    var REPEAT_MODES = ['off', 'all', 'one'];
+    var REPEAT_LABELS = { off: 'Repeat: off', all: 'Repeat: all', one: 'Repeat: one track' };
+    var SEEK_SECONDS = 10;
+    var STATE_SAVE_INTERVAL = 2000;
+    // "Previous" restarts the current track once it has played this long.
+    var RESTART_THRESHOLD = 3;
+
+    var ICONS = {
+        prev: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="19 20 9 12 19 4 19 20"/><line x1="5" y1="19" x2="5" y2="5"/></svg>',
+        next: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="5 4 15 12 5 20 5 4"/><line x1="19" y1="5" x2="19" y2="19"/></svg>',
+        play: '<svg class="audio-player-icon-play" xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="5 3 19 12 5 21 5 3"/></svg>',
+        pause: '<svg class="audio-player-icon-pause" xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>',
+        shuffle: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="16 3 21 3 21 8"/><line x1="4" y1="20" x2="21" y2="3"/><polyline points="21 16 21 21 16 21"/><line x1="15" y1="15" x2="21" y2="21"/><line x1="4" y1="4" x2="9" y2="9"/></svg>',
+        repeat: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg>',
+        close: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>'
+    };
+
+    var bar = null;
+    var audio = null;
+    var titleEl, positionEl, currentTimeEl, durationEl, seekInput, playBtn, shuffleBtn, repeatBtn;
+    // tracks: [{ name, title, url, album }]; order lists track indexes in play order, pos points into it.
+    var tracks = [];
+    var order = [];
+    var pos = -1;
+    var shuffle = localStorage.getItem(SHUFFLE_STORAGE_KEY) === 'true';
+    var repeat = REPEAT_MODES.indexOf(localStorage.getItem(REPEAT_STORAGE_KEY)) >= 0 ? localStorage.getItem(REPEAT_STORAGE_KEY) : 'off';
+    var pendingSeek = null;
+    var failedInRow = 0;
+    var lastSaved = 0;
+    var seeking = false;
+
+    function formatTime(seconds) {
+        if (!isFinite(seconds) || seconds < 0) return '0:00';
+        var total = Math.floor(seconds);
+        var hours = Math.floor(total / 3600);
+        var minutes = Math.floor(total % 3600 / 60);
+        var secs = total % 60;
+        return (hours ? hours + ':' + (minutes < 10 ? '0' : '') : '') + minutes + ':' + (secs < 10 ? '0' : '') + secs;
+    }
+
+    function currentTrack() {
+        return pos >= 0 ? tracks[order[pos]] : null;
+    }
+
+    // ── Queue order ────────────────────────────────────────────────────────
+    // Shuffle keeps the current track first and plays the rest once each in random order.
+    function buildOrder(first) {
+        var rest = [];
+        for (var i = 0; i < tracks.length; i++) {
+            if (i !== first) rest.push(i);
+        }
+        if (shuffle) {
+            for (var j = rest.length - 1; j > 0; j--) {
+                var k = Math.floor(Math.random() * (j + 1));
+                var swap = rest[j];
+                rest[j] = rest[k];
+                rest[k] = swap;
+            }
+            order = first >= 0 ? [first].concat(rest) : rest;
+            pos = first >= 0 ? 0 : -1;
+        } else {
+            order = tracks.map(function (track, index) { return index; });
+            pos = first;
+        }
+    }
+
+    // ── Persisted state ────────────────────────────────────────────────────
+    function saveState() {
+        lastSaved = Date.now();
+        if (!tracks.length) {
+            sessionStorage.removeItem(STATE_STORAGE_KEY);
+            return;
+        }
+        try {
+            sessionStorage.setItem(STATE_STORAGE_KEY, JSON.stringify({
+                tracks: tracks,
+                order: order,
+                pos: pos,
+                time: audio.currentTime || 0,
+                playing: !audio.paused
+            }));
+        } catch (e) { /* storage full or disabled */ }
+    }
+
+    function readState() {
+        try {
+            var state = JSON.parse(sessionStorage.getItem(STATE_STORAGE_KEY) || 'null');
+            if (!state || !Array.isArray(state.tracks) || !state.tracks.length || !Array.isArray(state.order)) return null;
+            if (state.order.length !== state.tracks.length || state.pos < 0 || state.pos >= state.order.length) return null;
+            return state;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ── Bar ────────────────────────────────────────────────────────────────
+    function buildBar() {
+        bar = document.createElement('div');
+        bar.className = 'audio-player';
+        bar.setAttribute('role', 'region');
+        bar.setAttribute('aria-label', 'Audio player');
+        bar.innerHTML =
+            '<audio preload="metadata"></audio>'
+            + '<div class="audio-player-controls">'
+            + '<button type="button" class="audio-player-btn" data-audio-action="prev" title="Previous track" aria-label="Previous track">' + ICONS.prev + '</button>'
+            + '<button type="button" class="audio-player-btn audio-player-play" data-audio-action="play" title="Play" aria-label="Play">' + ICONS.play + ICONS.pause + '</button>'
+            + '<button type="button" class="audio-player-btn" data-audio-action="next" title="Next track" aria-label="Next track">' + ICONS.next + '</button>'
+            + '</div>'
+            + '<div class="audio-player-main">'
+            + '<div class="audio-player-track"><span class="audio-player-title"></span><span class="audio-player-position"></span></div>'
+            + '<div class="audio-player-seek">'
+            + '<span class="audio-player-time audio-player-current">0:00</span>'
+            + '<input type="range" class="audio-player-range" min="0" max="0" step="any" value="0" aria-label="Seek">'
+            + '<span class="audio-player-time audio-player-duration">0:00</span>'
+            + '</div>'
+            + '</div>'
+            + '<div class="audio-player-controls">'
+            + '<button type="button" class="audio-player-btn" data-audio-action="shuffle" title="Shuffle" aria-label="Shuffle">' + ICONS.shuffle + '</button>'
+            + '<button type="button" class="audio-player-btn audio-player-repeat" data-audio-action="repeat">' + ICONS.repeat + '<span class="audio-player-repeat-one">1</span></button>'
+            + '<button type="button" class="audio-player-btn" data-audio-action="close" title="Stop and close" aria-label="Stop and close">' + ICONS.close + '</button>'
+            + '</div>';
+        document.body.appendChild(bar);
+        document.body.classList.add('has-audio-player');
+
+        audio = bar.querySelector('audio');
+        titleEl = bar.querySelector('.audio-player-title');
+        positionEl = bar.querySelector('.audio-player-position');
+        currentTimeEl = bar.querySelector('.audio-player-current');
+        durationEl = bar.querySelector('.audio-player-duration');
+        seekInput = bar.querySelector('.audio-player-range');
+        playBtn = bar.querySelector('[data-audio-action="play"]');
+        shuffleBtn = bar.querySelector('[data-audio-action="shuffle"]');
+        repeatBtn = bar.querySelector('[data-audio-action="repeat"]');
+
+        bar.addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-audio-action]');
+            if (!btn) return;
+            var action = btn.getAttribute('data-audio-action');
+            if (action === 'prev') previous();
+            else if (action === 'play') togglePlay();
+            else if (action === 'next') next(false);
+            else if (action === 'shuffle') setShuffle(!shuffle);
+            else if (action === 'repeat') setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(repeat) + 1) % REPEAT_MODES.length]);
+            else if (action === 'close') stop();
+        });
+
+        seekInput.addEventListener('input', function () {
+            seeking = true;
+            currentTimeEl.textContent = formatTime(parseFloat(seekInput.value));
+        });
+        seekInput.addEventListener('change', function () {
+            seeking = false;
+            audio.currentTime = parseFloat(seekInput.value);
+        });
+
+        audio.addEventListener('play', function () {
+            pauseOtherMedia();
+            updatePlaying();
+        });
+        audio.addEventListener('pause', function () {
+            updatePlaying();
+            saveState();
+        });
+        audio.addEventListener('loadedmetadata', function () {
+            failedInRow = 0;
+            if (pendingSeek !== null && pendingSeek < audio.duration) audio.currentTime = pendingSeek;
+            pendingSeek = null;
+            seekInput.max = isFinite(audio.duration) ? String(audio.duration) : '0';
+            durationEl.textContent = formatTime(audio.duration);
+            updatePositionState();
+        });
+        audio.addEventListener('timeupdate', function () {
+            if (!seeking) {
+                seekInput.value = String(audio.currentTime);
+                currentTimeEl.textContent = formatTime(audio.currentTime);
+            }
+            if (Date.now() - lastSaved >= STATE_SAVE_INTERVAL) saveState();
+        });
+        audio.addEventListener('seeked', updatePositionState);
+        audio.addEventListener('ended', function () {
+            if (repeat === 'one') {
+                audio.currentTime = 0;
+                startPlayback();
+            } else {
+                next(true);
+            }
+        });
+        // A missing or undecodable file is skipped, unless every track in the queue fails.
+        audio.addEventListener('error', function () {
+            if (!audio || !audio.getAttribute('src')) return;
+            failedInRow++;
+            if (failedInRow >= tracks.length) {
+                titleEl.textContent = 'Could not play ' + (currentTrack() ? currentTrack().name : 'this queue');
+                updatePlaying();
+                return;
+            }
+            next(true);
+        });
+
+        bindMediaSession(true);
+        updateShuffle();
+        updateRepeat();
+    }
+
+    function ensureBar() {
+        if (!bar) buildBar();
+    }
+
+    function updatePlaying() {
+        var playing = !audio.paused;
+        bar.classList.toggle('is-playing', playing);
+        playBtn.title = playing ? 'Pause' : 'Play';
+        playBtn.setAttribute('aria-label', playBtn.title);
+        if ('mediaSession' in navigator) navigator.mediaSession.playbackState = playing ? 'playing' : 'paused';
+    }
+
+    function updateShuffle() {
+        shuffleBtn.setAttribute('aria-pressed', shuffle ? 'true' : 'false');
+    }
+
+    function updateRepeat() {
+        repeatBtn.setAttribute('data-repeat', repeat);
+        repeatBtn.setAttribute('aria-pressed', repeat === 'off' ? 'false' : 'true');
+        repeatBtn.title = REPEAT_LABELS[repeat];
+        repeatBtn.setAttribute('aria-label', REPEAT_LABELS[repeat]);
+    }
+
+    function updateTrackInfo() {
+        var track = currentTrack();
+        titleEl.textContent = track ? track.title || track.name : '';
+        titleEl.title = track ? track.name : '';
+        positionEl.textContent = track ? (order[pos] + 1) + ' / ' + tracks.length : '';
+        var prevBtn = bar.querySelector('[data-audio-action="prev"]');
+        var nextBtn = bar.querySelector('[data-audio-action="next"]');
+        prevBtn.disabled = !track;
+        nextBtn.disabled = !track || pos >= order.length - 1 && repeat !== 'all';
+        if (!track || !('mediaSession' in navigator) || typeof window.MediaMetadata !== 'function') return;
+        navigator.mediaSession.metadata = new window.MediaMetadata({
+            title: track.title || track.name,
+            album: track.album || ''
+        });
+    }
+
+    // ── Playback ───────────────────────────────────────────────────────────
+    // Browsers may refuse to start audio on a fresh page; the bar then waits for the play button.
+    function startPlayback() {
+        var playing = audio.play();
+        if (playing && playing.catch) playing.catch(function () { updatePlaying(); });
+    }
+
+    function load(startTime, autoplay) {
+        var track = currentTrack();
+        if (!track) return;
+        pendingSeek = startTime > 0 ? startTime : null;
+        seekInput.value = '0';
+        seekInput.max = '0';
+        currentTimeEl.textContent = formatTime(startTime || 0);
+        durationEl.textContent = '0:00';
+        audio.src = track.url;
+        updateTrackInfo();
+        if (autoplay) startPlayback();
+        saveState();
+    }
+
+    function togglePlay() {
+        if (!currentTrack()) return;
+        if (audio.paused) startPlayback();
+        else audio.pause();
+    }
+
+    // At the end of the queue only repeat-all wraps around; an automatic advance then stops on the last track.
+    function next(auto) {
+        if (!tracks.length) return;
+        if (pos < order.length - 1) {
+            pos++;
+        } else if (repeat === 'all') {
+            buildOrder(shuffle ? -1 : 0);
+            if (pos < 0) pos = 0;
+        } else {
+            audio.pause();
+            audio.currentTime = 0;
+            saveState();
+            return;
+        }
+        load(0, true);
+    }
+
+    function previous() {
+        if (!currentTrack()) return;
+        if (audio.currentTime > RESTART_THRESHOLD || pos === 0) {
+            audio.currentTime = 0;
+            return;
+        }
+        pos--;
+        load(0, true);
+    }
+
+    function seekBy(seconds) {
+        var time = audio.currentTime + seconds;
+        if (isFinite(audio.duration)) time = Math.min(time, audio.duration);
+        audio.currentTime = Math.max(0, time);
+    }
+
+    function setShuffle(enabled) {
+        shuffle = enabled;
+        localStorage.setItem(SHUFFLE_STORAGE_KEY, enabled ? 'true' : 'false');
+        if (tracks.length) buildOrder(currentTrack() ? order[pos] : 0);
+        updateShuffle();
+        updateTrackInfo();
+        saveState();
+    }
+
+    function setRepeat(mode) {
+        repeat = mode;
+        localStorage.setItem(REPEAT_STORAGE_KEY, mode);
+        updateRepeat();
+        updateTrackInfo();
+    }
+
+    function stop() {
+        tracks = [];
+        order = [];
+        pos = -1;
+        if (audio) {
+            audio.pause();
+            audio.removeAttribute('src');
+            audio.load();
+        }
+        sessionStorage.removeItem(STATE_STORAGE_KEY);
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.metadata = null;
+            navigator.mediaSession.playbackState = 'none';
+            bindMediaSession(false);
+        }
+        if (bar) {
+            bar.remove();
+            bar = null;
+            audio = null;
+        }
+        document.body.classList.remove('has-audio-player');
+    }
+
+    // The preview modal's players and the mini player take turns instead of playing over each other.
+    function pauseOtherMedia() {
+        document.querySelectorAll('audio, video').forEach(function (media) {
+            if (media !== audio && !media.paused) media.pause();
+        });
+    }
+
+    document.addEventListener('play', function (e) {
+        if (audio && e.target !== audio && !audio.paused) audio.pause();
+    }, true);
+
+    window.addEventListener('pagehide', function () {
+        if (audio) saveState();
+    });
+
+    // ── Media Session ──────────────────────────────────────────────────────
+    function setActionHandler(action, handler) {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (e) { /* action not supported by this browser */ }
+    }
+
+    // Handlers are removed again on stop so the media keys go back to the browser.
+    function bindMediaSession(enabled) {
+        if (!('mediaSession' in navigator)) return;
+        setActionHandler('play', enabled ? startPlayback : null);
+        setActionHandler('pause', enabled ? function () { audio.pause(); } : null);
+        setActionHandler('stop', enabled ? stop : null);
+        setActionHandler('previoustrack', enabled ? previous : null);
+        setActionHandler('nexttrack', enabled ? function () { next(false); } : null);
+        setActionHandler('seekbackward', enabled ? function (details) { seekBy(-(details.seekOffset || SEEK_SECONDS)); } : null);
+        setActionHandler('seekforward', enabled ? function (details) { seekBy(details.seekOffset || SEEK_SECONDS); } : null);
+        setActionHandler('seekto', enabled ? function (details) { audio.currentTime = details.seekTime; } : null);
+    }
+
+    function updatePositionState() {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState || !isFinite(audio.duration)) return;
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: audio.duration,
+                playbackRate: audio.playbackRate,
+                position: Math.min(audio.currentTime, audio.duration)
+            });
+        } catch (e) { /* inconsistent state while a track loads */ }
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────
+    // tracks: [{ name, url, title?, album? }]. Starts playing at startIndex.
+    function play(list, startIndex) {
+        if (!list || !list.length) return;
+        ensureBar();
+        tracks = list.map(function (track) {
+            return { name: track.name, title: track.title || '', url: track.url, album: track.album || '' };
+        });
+        failedInRow = 0;
+        buildOrder(startIndex >= 0 && startIndex < tracks.length ? startIndex : 0);
+        load(0, true);
+    }
+
+    // Shown in an otherwise empty bar; a queue that is already playing keeps its title.
+    function showMessage(text) {
+        if (tracks.length) return;
+        ensureBar();
+        updateTrackInfo();
+        titleEl.textContent = text;
+    }
+
+    // Expands an M3U playlist through the Playlist handler, which drops entries that cannot be served.
+    function playPlaylist(url) {
+        fetch(url)
+            .then(function (r) {
+                if (!r.ok) throw new Error('Failed to load playlist (' + r.status + ')');
+                return r.json();
+            })
+            .then(function (data) {
+                var album = (data.name || '').replace(/\.m3u8?$/i, '');
+                var list = (data.tracks || []).map(function (track) {
+                    return { name: track.name, title: track.title, url: track.url, album: album };
+                });
+                if (list.length) play(list, 0);
+                else showMessage('No playable tracks in ' + (data.name || 'this playlist'));
+            })
+            .catch(function (err) {
+                showMessage(err.message);
+            });
+    }
+
+    function restore() {
+        var state = readState();
+        if (!state) return;
+        ensureBar();
+        tracks = state.tracks;
+        order = state.order;
+        pos = state.pos;
+        load(state.time, !!state.playing);
+    }
+
+    window.DirForgeAudioPlayer = {
+        play: play,
+        playPlaylist: playPlaylist,
+        stop: stop,
+        isActive: function () { return !!currentTrack(); }
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', restore);
+    } else {
+        restore();
+    }
+})();
+
+// === PDF Viewer ===
+/**
+ * DirForge PDF viewer — renders PDFs in the preview modal with the bundled
+ * pdf.js, loaded on first use: pages drawn as they scroll into view, page
+ * thumbnails, page jump, zoom and in-document text search.
+ */
+(function () {
+    'use strict';
+
+    var PDFJS_SCRIPT_URL = '/dirforge-assets/js/pdf.min.mjs';
+    var PDFJS_WORKER_URL = '/dirforge-assets/js/pdf.worker.min.mjs';
+    var ZOOM_STORAGE_KEY = 'dirforge-pdf-zoom';
+    var THUMBNAILS_STORAGE_KEY = 'dirforge-pdf-thumbnails';
+    var ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+    var THUMBNAIL_WIDTH = 112;
+    var PAGE_SCROLL_MARGIN = 8;
+    var SEARCH_DELAY = 250;
+    // Pages within this many pages of the visible ones keep their canvases; the rest are released.
+    var KEEP_RENDERED_PAGES = 6;
+    var pdfjsPromise = null;
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // pdf.js ships as an ES module; it publishes itself as window.pdfjsLib when it runs.
+    function loadPdfjs() {
+        if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+        if (!pdfjsPromise) {
+            pdfjsPromise = new Promise(function (resolve, reject) {
+                var script = document.createElement('script');
+                script.type = 'module';
+                script.src = PDFJS_SCRIPT_URL;
+                script.onload = function () {
+                    if (!window.pdfjsLib) {
+                        reject(new Error('PDF viewer failed to load'));
+                        return;
+                    }
+                    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                    resolve(window.pdfjsLib);
+                };
+                script.onerror = function () {
+                    pdfjsPromise = null;
+                    script.remove();
+                    reject(new Error('PDF viewer failed to load'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return pdfjsPromise;
+    }
+
+    // ── Stored state ───────────────────────────────────────────────────────
+    function readZoom() {
+        var stored = localStorage.getItem(ZOOM_STORAGE_KEY);
+        var zoom = parseFloat(stored);
+        return ZOOM_LEVELS.indexOf(zoom) >= 0 ? zoom : 'fit';
+    }
+
+    // ── Rendering ──────────────────────────────────────────────────────────
+    function buildToolbar() {
+        var zooms = ZOOM_LEVELS.map(function (zoom) {
+            return '<option value="' + zoom + '">' + Math.round(zoom * 100) + '%</option>';
+        }).join('');
+        return '<div class="pdf-toolbar">'
+            + '<button type="button" class="code-view-btn pdf-thumbs-btn" aria-pressed="false" title="Page thumbnails">Pages</button>'
+            + '<span class="pdf-toolbar-group">'
+            + '<button type="button" class="code-view-btn pdf-prev-btn" title="Previous page (Page Up)" aria-label="Previous page">\u2039</button>'
+            + '<input type="number" class="pdf-page-input" min="1" value="1" aria-label="Page number">'
+            + '<span class="pdf-page-count"></span>'
+            + '<button type="button" class="code-view-btn pdf-next-btn" title="Next page (Page Down)" aria-label="Next page">\u203a</button>'
+            + '</span>'
+            + '<span class="pdf-toolbar-group">'
+            + '<button type="button" class="code-view-btn pdf-zoom-out-btn" title="Zoom out (-)" aria-label="Zoom out">\u2212</button>'
+            + '<select class="pdf-zoom-select" aria-label="Zoom"><option value="fit">Fit width</option>' + zooms + '</select>'
+            + '<button type="button" class="code-view-btn pdf-zoom-in-btn" title="Zoom in (+)" aria-label="Zoom in">+</button>'
+            + '</span>'
+            + '<span class="pdf-toolbar-group pdf-search">'
+            + '<input type="search" class="pdf-search-input" placeholder="Find in document" aria-label="Find in document" title="Find in document (Ctrl+F)">'
+            + '<span class="pdf-search-count" aria-live="polite"></span>'
+            + '<button type="button" class="code-view-btn pdf-search-prev-btn" title="Previous match (Shift+Enter)" aria-label="Previous match">\u2191</button>'
+            + '<button type="button" class="code-view-btn pdf-search-next-btn" title="Next match (Enter)" aria-label="Next match">\u2193</button>'
+            + '</span>'
+            + '</div>';
+    }
+
+    // First and last index of the elements inside the scroller's viewport, widened by `margin` pixels.
+    function visibleRange(scroller, elements, margin) {
+        var top = scroller.scrollTop - margin;
+        var bottom = scroller.scrollTop + scroller.clientHeight + margin;
+        var first = -1;
+        var last = -1;
+        for (var i = 0; i < elements.length; i++) {
+            var el = elements[i];
+            if (el.offsetTop + el.offsetHeight < top) continue;
+            if (el.offsetTop > bottom) break;
+            if (first < 0) first = i;
+            last = i;
+        }
+        if (first < 0) first = last = 0;
+        return { first: first, last: last };
+    }
+
+    // Text items are laid out in PDF units with the origin at the baseline; the rectangle spans the
+    // matched characters, assuming they share the item's width evenly.
+    function matchRectangle(viewport, item, start, length) {
+        var tx = item.transform;
+        var height = item.height || Math.sqrt(tx[2] * tx[2] + tx[3] * tx[3]);
+        var charWidth = item.str.length ? item.width / item.str.length : 0;
+        var x0 = tx[4] + charWidth * start;
+        var rect = viewport.convertToViewportRectangle([x0, tx[5] - height * 0.2, x0 + charWidth * length, tx[5] + height * 0.85]);
+        var left = Math.min(rect[0], rect[2]);
+        var top = Math.min(rect[1], rect[3]);
+        return {
+            left: left / viewport.width * 100,
+            top: top / viewport.height * 100,
+            width: Math.abs(rect[2] - rect[0]) / viewport.width * 100,
+            height: Math.abs(rect[3] - rect[1]) / viewport.height * 100
+        };
+    }
+
+    /**
+     * Renders the viewer into `container`. Options: `src` (the PDF URL, fetched
+     * with range requests), `page` (the page to open at) and `onPageChange(page)`,
+     * called whenever the page in view changes. When pdf.js or the document
+     * cannot be loaded the browser's own viewer is shown in an iframe instead.
+     * Returns `{ handleKey(event), destroy() }`; handleKey reports whether it used the key.
+     */
+    function render(container, options) {
+        container.innerHTML = '<div class="preview-pdf-viewer">'
+            + buildToolbar()
+            + '<div class="pdf-body">'
+            + '<div class="pdf-thumbnails" hidden></div>'
+            + '<div class="pdf-pages" tabindex="0"><div class="preview-loading">Loading\u2026</div></div>'
+            + '</div>'
+            + '</div>';
+
+        var viewerEl = container.querySelector('.preview-pdf-viewer');
+        var pagesEl = container.querySelector('.pdf-pages');
+        var thumbsEl = container.querySelector('.pdf-thumbnails');
+        var thumbsBtn = container.querySelector('.pdf-thumbs-btn');
+        var pageInput = container.querySelector('.pdf-page-input');
+        var pageCountEl = container.querySelector('.pdf-page-count');
+        var zoomSelect = container.querySelector('.pdf-zoom-select');
+        var searchInput = container.querySelector('.pdf-search-input');
+        var searchCountEl = container.querySelector('.pdf-search-count');
+
+        var pdf = null;
+        var loadingTask = null;
+        var destroyed = false;
+        var pageEls = [];
+        var thumbEls = [];
+        var baseSize = null;
+        var zoom = readZoom();
+        var scale = 1;
+        var currentPage = 0;
+        var jumpScrollTop = -1;
+        var scrollFrame = 0;
+        var searchTimer = 0;
+        var pageTexts = [];
+        var searchQuery = '';
+        var searchRun = 0;
+        var matches = [];
+        var activeMatch = -1;
+
+        function fallBack() {
+            if (destroyed) return;
+            destroy();
+            container.innerHTML = '<div class="preview-pdf"><iframe src="' + escapeHtml(options.src) + '" title="PDF preview"></iframe></div>';
+        }
+
+        // ── Layout ─────────────────────────────────────────────────────────
+        function fitScale() {
+            var available = pagesEl.clientWidth - 2 * parseFloat(window.getComputedStyle(pagesEl).paddingLeft || 0);
+            return available > 0 ? available / baseSize.width : 1;
+        }
+
+        function applyScale() {
+            scale = zoom === 'fit' ? fitScale() : zoom;
+            zoomSelect.value = String(zoom);
+            pageEls.forEach(function (el) {
+                var size = el.pdfSize || baseSize;
+                el.style.width = Math.floor(size.width * scale) + 'px';
+                el.style.height = Math.floor(size.height * scale) + 'px';
+            });
+        }
+
+        function setZoom(value) {
+            var page = currentPage || 1;
+            zoom = value;
+            localStorage.setItem(ZOOM_STORAGE_KEY, String(value));
+            applyScale();
+            goToPage(page);
+        }
+
+        function stepZoom(direction) {
+            var current = zoom === 'fit' ? scale : zoom;
+            var next = direction > 0
+                ? ZOOM_LEVELS.filter(function (level) { return level > current + 0.001; })[0]
+                : ZOOM_LEVELS.filter(function (level) { return level < current - 0.001; }).pop();
+            if (next) setZoom(next);
+        }
+
+        function buildPages(count) {
+            var pages = '';
+            var thumbs = '';
+            var thumbHeight = Math.round(THUMBNAIL_WIDTH * baseSize.height / baseSize.width);
+            for (var i = 1; i <= count; i++) {
+                pages += '<div class="pdf-page" data-page="' + i + '"><div class="pdf-highlights"></div></div>';
+                thumbs += '<button type="button" class="pdf-thumb" data-page="' + i + '" title="Page ' + i + '">'
+                    + '<span class="pdf-thumb-image" style="width:' + THUMBNAIL_WIDTH + 'px;height:' + thumbHeight + 'px"></span>'
+                    + '<span class="pdf-thumb-label">' + i + '</span></button>';
+            }
+            pagesEl.innerHTML = pages;
+            thumbsEl.innerHTML = thumbs;
+            pageEls = Array.prototype.slice.call(pagesEl.querySelectorAll('.pdf-page'));
+            thumbEls = Array.prototype.slice.call(thumbsEl.querySelectorAll('.pdf-thumb'));
+            pageCountEl.textContent = '/ ' + count;
+            pageInput.max = String(count);
+        }
+
+        // ── Drawing ────────────────────────────────────────────────────────
+        function drawPage(index) {
+            var el = pageEls[index];
+            var drawScale = scale;
+            if (el.drawnScale === drawScale || el.drawingScale === drawScale) return;
+            el.drawingScale = drawScale;
+            pdf.getPage(index + 1).then(function (page) {
+                if (destroyed || el.drawingScale !== drawScale) return null;
+                var unscaled = page.getViewport({ scale: 1 });
+                if (!el.pdfSize && (unscaled.width !== baseSize.width || unscaled.height !== baseSize.height)) {
+                    el.pdfSize = { width: unscaled.width, height: unscaled.height };
+                    el.style.width = Math.floor(unscaled.width * scale) + 'px';
+                    el.style.height = Math.floor(unscaled.height * scale) + 'px';
+                }
+                var viewport = page.getViewport({ scale: drawScale });
+                var ratio = window.devicePixelRatio || 1;
+                var canvas = document.createElement('canvas');
+                canvas.width = Math.floor(viewport.width * ratio);
+                canvas.height = Math.floor(viewport.height * ratio);
+                return page.render({
+                    canvas: canvas,
+                    viewport: viewport,
+                    transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+                }).promise.then(function () {
+                    if (destroyed || el.drawingScale !== drawScale) return;
+                    var previous = el.querySelector('canvas');
+                    if (previous) el.replaceChild(canvas, previous);
+                    else el.insertBefore(canvas, el.firstChild);
+                    el.drawnScale = drawScale;
+                    el.drawingScale = null;
+                });
+            }).catch(function () {
+                if (el.drawingScale === drawScale) el.drawingScale = null;
+            });
+        }
+
+        function releasePage(el) {
+            var canvas = el.querySelector('canvas');
+            if (canvas) el.removeChild(canvas);
+            el.drawnScale = null;
+            el.drawingScale = null;
+        }
+
+        function drawThumbnail(index) {
+            var el = thumbEls[index];
+            if (el.drawn) return;
+            el.drawn = true;
+            pdf.getPage(index + 1).then(function (page) {
+                var unscaled = page.getViewport({ scale: 1 });
+                var viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / unscaled.width });
+                var canvas = document.createElement('canvas');
+                canvas.width = Math.floor(viewport.width);
+                canvas.height = Math.floor(viewport.height);
+                return page.render({ canvas: canvas, viewport: viewport }).promise.then(function () {
+                    if (destroyed) return;
+                    var image = el.querySelector('.pdf-thumb-image');
+                    image.style.height = canvas.height + 'px';
+                    image.appendChild(canvas);
+                });
+            }).catch(function () {
+                el.drawn = false;
+            });
+        }
+
+        function update() {
+            scrollFrame = 0;
+            if (!pdf || destroyed) return;
+            var range = visibleRange(pagesEl, pageEls, pagesEl.clientHeight);
+            for (var i = range.first; i <= range.last; i++) drawPage(i);
+            pageEls.forEach(function (el, index) {
+                if ((el.drawnScale || el.drawingScale) &&
+                    (index < range.first - KEEP_RENDERED_PAGES || index > range.last + KEEP_RENDERED_PAGES)) {
+                    releasePage(el);
+                }
+            });
+            if (!thumbsEl.hidden) {
+                var thumbRange = visibleRange(thumbsEl, thumbEls, thumbsEl.clientHeight);
+                for (var t = thumbRange.first; t <= thumbRange.last; t++) drawThumbnail(t);
+            }
+            updateCurrentPage();
+        }
+
+        function scheduleUpdate() {
+            if (!scrollFrame) scrollFrame = window.requestAnimationFrame(update);
+        }
+
+        // ── Pages ──────────────────────────────────────────────────────────
+        function setCurrentPage(page) {
+            if (page === currentPage) return;
+            currentPage = page;
+            if (document.activeElement !== pageInput) pageInput.value = String(page);
+            thumbEls.forEach(function (el, index) {
+                el.classList.toggle('active', index === page - 1);
+            });
+            if (options.onPageChange) options.onPageChange(page);
+        }
+
+        // The page in view is the last one whose top edge is above the upper third of the viewport.
+        // A page jumped to keeps the title until the reader scrolls, even when the last screenful
+        // cannot bring it to the top.
+        function updateCurrentPage() {
+            if (pagesEl.scrollTop === jumpScrollTop) return;
+            jumpScrollTop = -1;
+            var line = pagesEl.scrollTop + pagesEl.clientHeight / 3;
+            var page = 1;
+            for (var i = 0; i < pageEls.length && pageEls[i].offsetTop <= line; i++) page = i + 1;
+            setCurrentPage(page);
+        }
+
+        function goToPage(page, offsetFraction) {
+            if (!pageEls.length) return;
+            page = Math.max(1, Math.min(pageEls.length, page || 1));
+            var el = pageEls[page - 1];
+            pagesEl.scrollTop = offsetFraction
+                ? el.offsetTop + offsetFraction * el.offsetHeight - pagesEl.clientHeight / 3
+                : el.offsetTop - PAGE_SCROLL_MARGIN;
+            jumpScrollTop = pagesEl.scrollTop;
+            setCurrentPage(page);
+            update();
+        }
+
+        function toggleThumbnails(show) {
+            thumbsEl.hidden = !show;
+            thumbsBtn.setAttribute('aria-pressed', show ? 'true' : 'false');
+            localStorage.setItem(THUMBNAILS_STORAGE_KEY, show ? 'true' : 'false');
+            if (zoom === 'fit' && pdf) {
+                var page = currentPage;
+                applyScale();
+                goToPage(page);
+            }
+            var active = thumbEls[currentPage - 1];
+            if (show && active) thumbsEl.scrollTop = active.offsetTop - thumbsEl.clientHeight / 2;
+            scheduleUpdate();
+        }
+
+        // ── Search ─────────────────────────────────────────────────────────
+        function getPageText(index) {
+            if (!pageTexts[index]) {
+                pageTexts[index] = pdf.getPage(index + 1).then(function (page) {
+                    return page.getTextContent().then(function (content) {
+                        return {
+                            viewport: page.getViewport({ scale: 1 }),
+                            items: content.items.filter(function (item) { return typeof item.str === 'string'; })
+                        };
+                    });
+                });
+            }
+            return pageTexts[index];
+        }
+
+        function clearHighlights() {
+            pageEls.forEach(function (el) {
+                el.querySelector('.pdf-highlights').innerHTML = '';
+            });
+        }
+
+        function addHighlight(match, index) {
+            var mark = document.createElement('div');
+            mark.className = 'pdf-highlight';
+            mark.style.left = match.rect.left + '%';
+            mark.style.top = match.rect.top + '%';
+            mark.style.width = match.rect.width + '%';
+            mark.style.height = match.rect.height + '%';
+            match.mark = mark;
+            mark.setAttribute('data-match', String(index));
+            pageEls[match.page - 1].querySelector('.pdf-highlights').appendChild(mark);
+        }
+
+        function updateSearchCount(done) {
+            if (!searchQuery) searchCountEl.textContent = '';
+            else if (!matches.length) searchCountEl.textContent = done ? 'No matches' : 'Searching\u2026';
+            else searchCountEl.textContent = (activeMatch + 1) + ' of ' + matches.length + (done ? '' : '+');
+        }
+
+        function selectMatch(index) {
+            if (!matches.length) return;
+            if (activeMatch >= 0) matches[activeMatch].mark.classList.remove('active');
+            activeMatch = (index + matches.length) % matches.length;
+            var match = matches[activeMatch];
+            match.mark.classList.add('active');
+            goToPage(match.page, match.rect.top / 100);
+            updateSearchCount(searchRun === 0);
+        }
+
+        // Pages are searched one after another; a newer query abandons the run in progress.
+        function search(query) {
+            searchQuery = query;
+            var run = ++searchRun;
+            matches = [];
+            activeMatch = -1;
+            clearHighlights();
+            updateSearchCount(false);
+            if (!query || !pdf) {
+                updateSearchCount(true);
+                return;
+            }
+            var needle = query.toLowerCase();
+
+            function searchPage(index) {
+                if (destroyed || run !== searchRun) return;
+                if (index >= pageEls.length) {
+                    searchRun = 0;
+                    updateSearchCount(true);
+                    return;
+                }
+                getPageText(index).then(function (text) {
+                    if (destroyed || run !== searchRun) return;
+                    text.items.forEach(function (item) {
+                        var haystack = item.str.toLowerCase();
+                        for (var at = haystack.indexOf(needle); at >= 0; at = haystack.indexOf(needle, at + needle.length)) {
+                            var match = { page: index + 1, rect: matchRectangle(text.viewport, item, at, needle.length) };
+                            matches.push(match);
+                            addHighlight(match, matches.length - 1);
+                        }
+                    });
+                    if (activeMatch < 0 && matches.length) selectMatch(0);
+                    updateSearchCount(false);
+                    searchPage(index + 1);
+                }, function () {
+                    searchPage(index + 1);
+                });
+            }
+
+            searchPage(0);
+        }
+
+        // ── Keys ───────────────────────────────────────────────────────────
+        function handleKey(e) {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'f' || e.key === 'F')) {
+                searchInput.focus();
+                searchInput.select();
+                return true;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) return false;
+            var tag = e.target && e.target.tagName;
+            if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || e.target && e.target.isContentEditable) return false;
+            switch (e.key) {
+                case '+':
+                case '=':
+                    stepZoom(1);
+                    return true;
+                case '-':
+                    stepZoom(-1);
+                    return true;
+                case 'PageDown':
+                    goToPage(currentPage + 1);
+                    return true;
+                case 'PageUp':
+                    goToPage(currentPage - 1);
+                    return true;
+                case 'Home':
+                    goToPage(1);
+                    return true;
+                case 'End':
+                    goToPage(pageEls.length);
+                    return true;
+            }
+            return false;
+        }
+
+        // Keys typed into the toolbar fields belong to them, not to the preview's file navigation.
+        function keepKeys(e) {
+            if (e.key !== 'Escape' || e.defaultPrevented) e.stopPropagation();
+        }
+
+        function destroy() {
+            destroyed = true;
+            searchRun = 0;
+            clearTimeout(searchTimer);
+            window.removeEventListener('resize', onResize);
+            if (scrollFrame) window.cancelAnimationFrame(scrollFrame);
+            if (loadingTask) loadingTask.destroy();
+            loadingTask = null;
+            pdf = null;
+        }
+
+        function onResize() {
+            if (zoom !== 'fit' || !pdf) return;
+            var page = currentPage;
+            applyScale();
+            goToPage(page);
+        }
+
+        pagesEl.addEventListener('scroll', scheduleUpdate);
+        thumbsEl.addEventListener('scroll', scheduleUpdate);
+        window.addEventListener('resize', onResize);
+        thumbsBtn.addEventListener('click', function () {
+            toggleThumbnails(thumbsEl.hidden);
+        });
+        thumbsEl.addEventListener('click', function (e) {
+            var thumb = e.target.closest('.pdf-thumb');
+            if (thumb) goToPage(parseInt(thumb.getAttribute('data-page'), 10));
+        });
+        container.querySelector('.pdf-prev-btn').addEventListener('click', function () { goToPage(currentPage - 1); });
+        container.querySelector('.pdf-next-btn').addEventListener('click', function () { goToPage(currentPage + 1); });
+        pageInput.addEventListener('keydown', keepKeys);
+        pageInput.addEventListener('change', function () {
+            var page = parseInt(pageInput.value, 10);
+            if (page) goToPage(page);
+            else pageInput.value = String(currentPage);
+        });
+        container.querySelector('.pdf-zoom-out-btn').addEventListener('click', function () { stepZoom(-1); });
+        container.querySelector('.pdf-zoom-in-btn').addEventListener('click', function () { stepZoom(1); });
+        zoomSelect.addEventListener('change', function () {
+            setZoom(zoomSelect.value === 'fit' ? 'fit' : parseFloat(zoomSelect.value));
+        });
+        searchInput.addEventListener('input', function () {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function () { search(searchInput.value); }, SEARCH_DELAY);
+        });
+        searchInput.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape' && searchInput.value) {
+                searchInput.value = '';
+                search('');
+                e.preventDefault();
+            }
+            keepKeys(e);
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            clearTimeout(searchTimer);
+            if (searchInput.value !== searchQuery) search(searchInput.value);
+            else selectMatch(activeMatch + (e.shiftKey ? -1 : 1));
+        });
+        container.querySelector('.pdf-search-prev-btn').addEventListener('click', function () { selectMatch(activeMatch - 1); });
+        container.querySelector('.pdf-search-next-btn').addEventListener('click', function () {
+            if (searchInput.value !== searchQuery) search(searchInput.value);
+            else selectMatch(activeMatch + 1);
+        });
+
+        loadPdfjs().then(function (pdfjsLib) {
+            if (destroyed) return null;
+            loadingTask = pdfjsLib.getDocument({ url: options.src, isEvalSupported: false });
+            return loadingTask.promise.then(function (doc) {
+                if (destroyed) return;
+                pdf = doc;
+                return doc.getPage(1).then(function (page) {
+                    if (destroyed) return;
+                    var viewport = page.getViewport({ scale: 1 });
+                    baseSize = { width: viewport.width, height: viewport.height };
+                    buildPages(doc.numPages);
+                    viewerEl.classList.add('loaded');
+                    applyScale();
+                    toggleThumbnails(localStorage.getItem(THUMBNAILS_STORAGE_KEY) === 'true');
+                    goToPage(options.page || 1);
+                });
+            });
+        }).catch(fallBack);
+
+        return {
+            handleKey: handleKey,
+            destroy: destroy
+        };
+    }
+
+    window.DirForgePdfViewer = {
+        render: render
+    };
+})();
+
+// === Office Preview ===
+/**
+ * DirForge office preview — shows the read-only rendering the PreviewInfo
+ * handler extracts from Word, Excel, PowerPoint, OpenDocument and RTF files:
+ * document HTML, a cell grid per sheet with sheet tabs, and slide text.
+ */
+(function () {
+    'use strict';
+
+    var TRUNCATED_MESSAGE = 'Preview truncated. Download the file to see all of it.';
+    var SHEET_TRUNCATED_MESSAGE = 'Sheet truncated. Download the file to see all of it.';
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Spreadsheet column headers: 0 is A, 25 is Z, 26 is AA.
+    function columnName(index) {
+        var name = '';
+        for (var n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    function truncatedNote(message) {
+        return '<div class="preview-truncated">' + escapeHtml(message) + '</div>';
+    }
+
+    // ── Documents ──────────────────────────────────────────────────────────
+    function renderDocument(office) {
+        // The server builds this markup from encoded text and a fixed set of tags.
+        var body = office.html || '<p class="office-empty">This document has no text.</p>';
+        return '<div class="office-document">' + body + '</div>' +
+            (office.truncated ? truncatedNote(TRUNCATED_MESSAGE) : '');
+    }
+
+    // ── Spreadsheets ───────────────────────────────────────────────────────
+    function renderSheetGrid(sheet) {
+        if (!sheet.rows.length) {
+            return sheet.truncated ? truncatedNote(SHEET_TRUNCATED_MESSAGE) : '<p class="office-empty">This sheet is empty.</p>';
+        }
+
+        var columns = sheet.rows[0].length;
+        var html = '<div class="office-grid-wrap"><table class="office-grid"><thead><tr><th></th>';
+        for (var c = 0; c < columns; c++) {
+            html += '<th scope="col">' + columnName(c) + '</th>';
+        }
+        html += '</tr></thead><tbody>';
+        for (var r = 0; r < sheet.rows.length; r++) {
+            html += '<tr><th scope="row">' + (r + 1) + '</th>';
+            for (c = 0; c < columns; c++) {
+                html += '<td>' + escapeHtml(sheet.rows[r][c]) + '</td>';
+            }
+            html += '</tr>';
+        }
+        html += '</tbody></table></div>';
+        return html + (sheet.truncated ? truncatedNote(SHEET_TRUNCATED_MESSAGE) : '');
+    }
+
+    function renderSpreadsheet(root, office) {
+        var sheets = office.sheets || [];
+        var html = '';
+        if (sheets.length > 1) {
+            html += '<div class="office-sheet-tabs" role="tablist" aria-label="Sheets">';
+            for (var i = 0; i < sheets.length; i++) {
+                html += '<button type="button" class="office-sheet-tab" role="tab" data-sheet="' + i + '">' + escapeHtml(sheets[i].name) + '</button>';
+            }
+            html += '</div>';
+        }
+        html += '<div class="office-sheet" role="tabpanel"></div>';
+
+        var sheetsTruncated = sheets.some(function(sheet) { return sheet.truncated; });
+        if (office.truncated && !sheetsTruncated) html += truncatedNote('Only the first ' + sheets.length + ' sheets are shown.');
+        root.innerHTML = html;
+
+        var panel = root.querySelector('.office-sheet');
+        var tabs = root.querySelectorAll('.office-sheet-tab');
+        function showSheet(index) {
+            for (var t = 0; t < tabs.length; t++) {
+                tabs[t].setAttribute('aria-selected', t === index ? 'true' : 'false');
+            }
+            panel.innerHTML = sheets.length
+                ? renderSheetGrid(sheets[index])
+                : '<p class="office-empty">This workbook has no sheets.</p>';
+        }
+
+        Array.prototype.forEach.call(tabs, function(tab) {
+            tab.addEventListener('click', function() {
+                showSheet(parseInt(tab.getAttribute('data-sheet'), 10));
+            });
+        });
+        showSheet(0);
+    }
+
+    // ── Presentations ──────────────────────────────────────────────────────
+    function renderSlides(office) {
+        var slides = office.slides || [];
+        if (!slides.length) return '<p class="office-empty">This presentation has no slides.</p>';
+
+        var html = '<div class="office-slides">';
+        for (var i = 0; i < slides.length; i++) {
+            var slide = slides[i];
+            html += '<section class="office-slide"><div class="office-slide-number">Slide ' + slide.number + '</div>';
+            if (slide.title) html += '<h3 class="office-slide-title">' + escapeHtml(slide.title) + '</h3>';
+            for (var p = 0; p < slide.paragraphs.length; p++) {
+                html += '<p>' + escapeHtml(slide.paragraphs[p]) + '</p>';
+            }
+            if (!slide.title && !slide.paragraphs.length) html += '<p class="office-empty">No text on this slide.</p>';
+            html += '</section>';
+        }
+        html += '</div>';
+        return html + (office.truncated ? truncatedNote(TRUNCATED_MESSAGE) : '');
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────
+    function render(container, office) {
+        container.innerHTML = '<div class="preview-office"></div>';
+        var root = container.firstChild;
+        if (office.kind === 'spreadsheet') {
+            renderSpreadsheet(root, office);
+        } else if (office.kind === 'presentation') {
+            root.innerHTML = renderSlides(office);
+        } else {
+            root.innerHTML = renderDocument(office);
+        }
+    }
+
+    window.DirForgeOfficePreview = { render: render };
+})();
+
+// === Table View ===
+/**
+ * DirForge table view — CSV and TSV previews as a grid with sortable,
+ * filterable columns. Only the rows in view are drawn, and rows load from the
+ * server in chunks as the grid scrolls, so large files stay responsive.
+ */
+(function () {
+    'use strict';
+
+    // Must match the row height in the stylesheet.
+    var ROW_HEIGHT = 26;
+    var OVERSCAN = 10;
+    var LOAD_AHEAD_ROWS = 50;
+    // Past this much of the file the view stops loading and points at the download instead.
+    var MAX_LOADED_BYTES = 32 * 1024 * 1024;
+    var DELIMITER_NAMES = { ',': 'Comma', '\t': 'Tab', ';': 'Semicolon', '|': 'Pipe' };
+    var TYPE_LABELS = { integer: '#', number: '#.#', date: 'date', boolean: 'y/n', text: 'abc' };
+    var collator = typeof Intl !== 'undefined' ? new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }) : null;
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function formatCount(n, noun) {
+        return n.toLocaleString() + ' ' + noun + (n === 1 ? '' : 's');
+    }
+
+    function isNumeric(type) {
+        return type === 'integer' || type === 'number';
+    }
+
+    // Sort and comparison keys: numbers and dates compare by value, booleans as 0 and 1, text as written.
+    function keyOf(value, type) {
+        var text = (value || '').trim();
+        if (!text) return null;
+        var key;
+        if (isNumeric(type)) key = parseFloat(text);
+        else if (type === 'date') key = Date.parse(text);
+        else if (type === 'boolean') key = /^(?:true|yes)$/i.test(text) ? 1 : 0;
+        else return text;
+        return isNaN(key) ? text : key;
+    }
+
+    function compareKeys(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        if (typeof a === 'number') return -1;
+        if (typeof b === 'number') return 1;
+        return collator ? collator.compare(a, b) : (a < b ? -1 : a > b ? 1 : 0);
+    }
+
+    // Numeric and date columns take comparisons such as ">10" or "<=2024-01-01"; anything else
+    // matches as a case-insensitive substring.
+    function buildFilter(query, type) {
+        var text = query.trim();
+        if (!text) return null;
+        var comparison = /^(>=|<=|!=|>|<|=)\s*(.+)$/.exec(text);
+        if (comparison && (isNumeric(type) || type === 'date')) {
+            var operand = keyOf(comparison[2], type);
+            if (typeof operand === 'number') {
+                var op = comparison[1];
+                return function (value) {
+                    var key = keyOf(value, type);
+                    if (typeof key !== 'number') return op === '!=';
+                    switch (op) {
+                        case '>': return key > operand;
+                        case '>=': return key >= operand;
+                        case '<': return key < operand;
+                        case '<=': return key <= operand;
+                        case '=': return key === operand;
+                        default: return key !== operand;
+                    }
+                };
+            }
+        }
+        var needle = text.toLowerCase();
+        return function (value) { return (value || '').toLowerCase().indexOf(needle) !== -1; };
+    }
+
+    // Column widths follow the header and the first rows, within limits, so the grid lines up
+    // without measuring every cell.
+    function columnWidths(columns, rows) {
+        var widths = [];
+        for (var c = 0; c < columns.length; c++) {
+            var longest = columns[c].name.length + 4;
+            for (var r = 0; r < rows.length && r < 200; r++) {
+                longest = Math.max(longest, (rows[r][c] || '').length);
+            }
+            widths.push(Math.min(40, Math.max(6, longest + 2)) + 'ch');
+        }
+        return widths;
+    }
+
+    function formatLabel(table) {
+        var name = DELIMITER_NAMES[table.delimiter] || 'Delimited';
+        return (name === 'Delimited' ? name : name + '-separated')
+            + (table.quote === '\'' ? ', single-quoted' : '')
+            + (table.hasHeader ? '' : ', no header row');
+    }
+
+    /**
+     * Renders the grid into `container` and returns `{ destroy }`.
+     * options: { url, table, size, onShowText(button) } — `url` is the Table
+     * handler URL chunks of rows are requested from with an offset, and `table`
+     * the delimiter, header and typed columns PreviewInfo detected.
+     */
+    function render(container, options) {
+        var table = options.table;
+        var columns = table.columns || [];
+        var size = options.size || 0;
+        var rows = [];
+        var order = [];
+        var end = table.dataOffset || 0;
+        var loading = false;
+        var destroyed = false;
+        var loadAll = false;
+        var sortColumn = -1;
+        var sortDescending = false;
+        var filters = [];
+        var error = '';
+
+        var headHtml = '<div class="table-view-row table-view-head-row"><span class="table-view-index" aria-hidden="true"></span>';
+        var filterHtml = '<div class="table-view-row table-view-filter-row"><span class="table-view-index"></span>';
+        for (var c = 0; c < columns.length; c++) {
+            var type = columns[c].type;
+            headHtml += '<button type="button" class="table-view-sort' + (isNumeric(type) ? ' table-view-numeric' : '') + '" data-column="' + c + '" aria-sort="none" title="Sort by ' + escapeHtml(columns[c].name) + ' (' + type + ')">'
+                + '<span class="table-view-name">' + escapeHtml(columns[c].name) + '</span>'
+                + '<span class="table-view-type">' + TYPE_LABELS[type] + '</span></button>';
+            filterHtml += '<input type="search" class="table-view-filter" data-column="' + c + '" aria-label="Filter ' + escapeHtml(columns[c].name) + '" placeholder="' + (isNumeric(type) || type === 'date' ? 'e.g. &gt;10' : 'Filter') + '" spellcheck="false">';
+        }
+        headHtml += '</div>';
+        filterHtml += '</div>';
+
+        container.innerHTML = '<div class="table-view">'
+            + '<div class="pdf-toolbar">'
+            + '<span class="table-view-format">' + escapeHtml(formatLabel(table)) + '</span>'
+            + '<span class="table-view-count" aria-live="polite"></span>'
+            + '<button type="button" class="code-view-btn table-view-load-btn" hidden>Load all</button>'
+            + (options.onShowText ? '<button type="button" class="code-view-btn table-view-text-btn">Show as text</button>' : '')
+            + '</div>'
+            + '<div class="table-view-scroll" tabindex="0">'
+            + '<div class="table-view-head">' + headHtml + filterHtml + '</div>'
+            + '<div class="table-view-spacer"><div class="table-view-rows"></div></div>'
+            + '</div>'
+            + '</div>';
+
+        var root = container.querySelector('.table-view');
+        var scroller = root.querySelector('.table-view-scroll');
+        var spacer = root.querySelector('.table-view-spacer');
+        var rowsEl = root.querySelector('.table-view-rows');
+        var countEl = root.querySelector('.table-view-count');
+        var loadBtn = root.querySelector('.table-view-load-btn');
+        var sortBtns = root.querySelectorAll('.table-view-sort');
+
+        function isComplete() {
+            return end >= size;
+        }
+
+        function isCapped() {
+            return end - (table.dataOffset || 0) >= MAX_LOADED_BYTES;
+        }
+
+        function updateCount() {
+            var text;
+            if (!columns.length) {
+                text = 'This file is empty.';
+            } else {
+                var active = filters.some(Boolean);
+                text = active ? order.length.toLocaleString() + ' of ' + formatCount(rows.length, 'row') : formatCount(rows.length, 'row');
+                if (!isComplete()) {
+                    text += ' loaded (' + Math.floor(end * 100 / Math.max(size, 1)) + '% of file)';
+                    if (isCapped()) text += '. Download the file to see the rest.';
+                    else if (active || sortColumn >= 0) text += '. Sorting and filters cover the loaded rows.';
+                }
+            }
+            if (loading) text += ' Loading\u2026';
+            if (error) text += ' ' + error;
+            countEl.textContent = text;
+            loadBtn.hidden = isComplete() || isCapped() || loadAll;
+        }
+
+        function setColumnWidths() {
+            root.style.setProperty('--table-columns', columnWidths(columns, rows).join(' '));
+        }
+
+        function rowHtml(index) {
+            var row = rows[index];
+            var html = '<div class="table-view-row" role="row"><span class="table-view-index">' + (index + 1) + '</span>';
+            for (var c = 0; c < columns.length; c++) {
+                var value = row[c] === undefined ? '' : row[c];
+                html += '<span class="table-view-cell' + (isNumeric(columns[c].type) ? ' table-view-numeric' : '') + '"'
+                    + (value.length > 20 ? ' title="' + escapeHtml(value) + '"' : '') + '>' + escapeHtml(value) + '</span>';
+            }
+            return html + '</div>';
+        }
+
+        // Draws only the rows in and near the viewport; the spacer keeps the scrollbar true to the whole list.
+        function draw() {
+            spacer.style.height = (order.length * ROW_HEIGHT) + 'px';
+            var top = Math.max(0, scroller.scrollTop - spacer.offsetTop);
+            var viewport = scroller.clientHeight || ROW_HEIGHT * 30;
+            var first = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+            var last = Math.min(order.length, Math.ceil((top + viewport) / ROW_HEIGHT) + OVERSCAN);
+            var html = '';
+            for (var i = first; i < last; i++) html += rowHtml(order[i]);
+            rowsEl.style.transform = 'translateY(' + (first * ROW_HEIGHT) + 'px)';
+            rowsEl.innerHTML = html;
+        }
+
+        function applyView() {
+            order = [];
+            for (var r = 0; r < rows.length; r++) {
+                var keep = true;
+                for (var c = 0; c < filters.length && keep; c++) {
+                    if (filters[c] && !filters[c](rows[r][c])) keep = false;
+                }
+                if (keep) order.push(r);
+            }
+            if (sortColumn >= 0) {
+                var type = columns[sortColumn].type;
+                var keys = new Array(rows.length);
+                for (var i = 0; i < order.length; i++) keys[order[i]] = keyOf(rows[order[i]][sortColumn], type);
+                var direction = sortDescending ? -1 : 1;
+                // Empty cells stay at the bottom whichever way the column sorts; ties keep file order.
+                order.sort(function (a, b) {
+                    var ka = keys[a];
+                    var kb = keys[b];
+                    if (ka === null || kb === null) return ka === kb ? a - b : ka === null ? 1 : -1;
+                    return compareKeys(ka, kb) * direction || a - b;
+                });
+            }
+            draw();
+            updateCount();
+        }
+
+        function load() {
+            if (loading || destroyed || isComplete() || isCapped()) return;
+            loading = true;
+            error = '';
+            updateCount();
+            fetch(options.url + (options.url.indexOf('?') >= 0 ? '&' : '?') + 'offset=' + end)
+                .then(function (r) {
+                    if (!r.ok) throw new Error('Failed to load rows (' + r.status + ')');
+                    return r.json();
+                })
+                .then(function (chunk) {
+                    if (destroyed) return;
+                    loading = false;
+                    var first = !rows.length;
+                    for (var i = 0; i < chunk.rows.length; i++) rows.push(chunk.rows[i]);
+                    // A file that shrank since it was opened ends where the rows did.
+                    size = chunk.end > end ? chunk.size : chunk.end;
+                    end = chunk.end;
+                    if (first) setColumnWidths();
+                    if (!loadAll) {
+                        applyView();
+                        onScroll();
+                    } else if (isComplete() || isCapped()) {
+                        applyView();
+                    } else {
+                        // Sorting and filtering wait for the last chunk rather than rerunning on each one.
+                        if (sortColumn < 0 && !filters.some(Boolean)) applyView();
+                        else updateCount();
+                        load();
+                    }
+                })
+                .catch(function (err) {
+                    if (destroyed) return;
+                    loading = false;
+                    loadAll = false;
+                    error = err.message;
+                    updateCount();
+                });
+        }
+
+        // More rows load as the end of the list comes into view. Sorted or filtered rows would
+        // reshuffle under the reader, so those wait for "Load all".
+        function onScroll() {
+            draw();
+            if (sortColumn >= 0 || filters.some(Boolean)) return;
+            if (scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - LOAD_AHEAD_ROWS * ROW_HEIGHT) load();
+        }
+
+        scroller.addEventListener('scroll', onScroll);
+
+        for (var s = 0; s < sortBtns.length; s++) {
+            sortBtns[s].addEventListener('click', function () {
+                var column = parseInt(this.getAttribute('data-column'), 10);
+                // Ascending, then descending, then back to file order.
+                if (sortColumn !== column) {
+                    sortColumn = column;
+                    sortDescending = false;
+                } else if (!sortDescending) {
+                    sortDescending = true;
+                } else {
+                    sortColumn = -1;
+                }
+                for (var b = 0; b < sortBtns.length; b++) {
+                    sortBtns[b].setAttribute('aria-sort', b !== sortColumn ? 'none' : sortDescending ? 'descending' : 'ascending');
+                }
+                applyView();
+            });
+        }
+
+        root.querySelector('.table-view-filter-row').addEventListener('input', function (e) {
+            var input = e.target.closest('.table-view-filter');
+            if (!input) return;
+            var column = parseInt(input.getAttribute('data-column'), 10);
+            filters[column] = buildFilter(input.value, columns[column].type);
+            scroller.scrollTop = 0;
+            applyView();
+        });
+        // Keys typed into the filters belong to them, not to the preview's file navigation.
+        root.querySelector('.table-view-filter-row').addEventListener('keydown', function (e) {
+            if (e.key !== 'Escape' || e.defaultPrevented) e.stopPropagation();
+        });
+
+        loadBtn.addEventListener('click', function () {
+            loadAll = true;
+            updateCount();
+            load();
+        });
+
+        if (options.onShowText) {
+            var textBtn = root.querySelector('.table-view-text-btn');
+            textBtn.addEventListener('click', function () { options.onShowText(textBtn); });
+        }
+
+        setColumnWidths();
+        updateCount();
+        if (columns.length) load();
+
+        return {
+            destroy: function () { destroyed = true; }
+        };
+    }
+
+    window.DirForgeTableView = {
+        render: render
+    };
+})();
+
+// === Structured View ===
+/**
+ * DirForge structured view — JSON, YAML and XML previews as a collapsible
+ * tree parsed on the server, with search by key, value, JSONPath or XPath,
+ * a copyable path for every node, and pretty-printed and raw text views.
+ * Branches are only drawn once they are first expanded.
+ */
+(function () {
+    'use strict';
+
+    var MODE_STORAGE_KEY = 'dirforge-structured-view';
+    var FORMAT_LABELS = { json: 'JSON', yaml: 'YAML', xml: 'XML' };
+    var PRETTY_LANGUAGES = { json: 'json', yaml: 'yaml', xml: 'markup' };
+    // Levels open when the tree is first shown, unless that draws more rows than INITIAL_ROWS,
+    // and how many rows "Expand all" draws at most.
+    var INITIAL_DEPTH = 2;
+    var INITIAL_ROWS = 500;
+    var EXPAND_ALL_LIMIT = 20000;
+    var IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function copyText(text, done) {
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(text).then(done);
+            return;
+        }
+        var ta = document.createElement('textarea');
+        ta.value = text;
+        ta.style.position = 'fixed';
+        ta.style.opacity = '0';
+        document.body.appendChild(ta);
+        ta.select();
+        document.execCommand('copy');
+        document.body.removeChild(ta);
+        done();
+    }
+
+    function hasChildren(node) {
+        return !!(node.children && node.children.length);
+    }
+
+    // Flattens the tree into entries in document order, each knowing its parent, depth and the
+    // step it adds to its path. XML steps number same-named siblings from 1, as XPath does.
+    function indexTree(root, format) {
+        var entries = [];
+
+        function add(node, parent, depth, step) {
+            var entry = { id: entries.length, node: node, parent: parent, depth: depth, step: step, children: null, position: 1 };
+            entries.push(entry);
+            if (!node.children) return entry;
+
+            entry.children = [];
+            var totals = {};
+            var seen = {};
+            if (format === 'xml') {
+                node.children.forEach(function (child) {
+                    var key = child.kind + ':' + (child.name || '');
+                    totals[key] = (totals[key] || 0) + 1;
+                });
+            }
+            for (var i = 0; i < node.children.length; i++) {
+                var child = node.children[i];
+                var childStep;
+                var position = 1;
+                if (format === 'xml') {
+                    var key = child.kind + ':' + (child.name || '');
+                    position = seen[key] = (seen[key] || 0) + 1;
+                    var suffix = totals[key] > 1 ? '[' + position + ']' : '';
+                    childStep = child.kind === 'attribute' ? '/@' + child.name
+                        : child.kind === 'text' ? '/text()' + suffix
+                        : '/' + child.name + suffix;
+                } else if (node.kind === 'array') {
+                    childStep = '[' + i + ']';
+                } else {
+                    childStep = IDENTIFIER.test(child.name) ? '.' + child.name
+                        : "['" + String(child.name).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "']";
+                }
+                var childEntry = add(child, entry.id, depth + 1, childStep);
+                childEntry.position = format === 'xml' ? position : i;
+                entry.children.push(childEntry.id);
+            }
+            return entry;
+        }
+
+        add(root, -1, 0, format === 'xml' ? '/' + root.name : '$');
+        return entries;
+    }
+
+    function pathOf(entries, id) {
+        var steps = [];
+        for (var e = entries[id]; e; e = entries[e.parent]) steps.unshift(e.step);
+        return steps.join('');
+    }
+
+    // ── Path queries ───────────────────────────────────────────────────────
+    // JSONPath subset: $, .key, ['key'], [index], [*], .* and ..key for any depth.
+    function parseJsonPath(query) {
+        var steps = [];
+        var rest = query.slice(1);
+        while (rest) {
+            var match = /^(\.\.?)(\*|[^.\[\]]+)/.exec(rest)
+                || /^(\.\.)?\[\s*(\*|-?\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/.exec(rest);
+            if (!match) return null;
+            var token = match[2];
+            var step = { descend: match[1] === '..', any: token === '*', name: null, index: null };
+            if (!step.any) {
+                if (/^-?\d+$/.test(token) && match[0].charAt(match[0].length - 1) === ']') step.index = parseInt(token, 10);
+                else if (token.charAt(0) === "'" || token.charAt(0) === '"') step.name = token.slice(1, -1).replace(/\\(.)/g, '$1');
+                else step.name = token;
+            }
+            steps.push(step);
+            rest = rest.slice(match[0].length);
+        }
+        return steps;
+    }
+
+    // XPath subset: /name, //name, name[n], *, @attr, @* and text().
+    function parseXPath(query) {
+        var steps = [];
+        var rest = query;
+        while (rest) {
+            var match = /^(\/\/?)(@?(?:\*|[^\/\[\]@()]+)|text\(\))(?:\[(\d+)\])?/.exec(rest);
+            if (!match) return null;
+            var token = match[2];
+            var attribute = token.charAt(0) === '@';
+            if (attribute) token = token.slice(1);
+            steps.push({
+                descend: match[1] === '//',
+                kind: token === 'text()' ? 'text' : attribute ? 'attribute' : 'element',
+                any: token === '*',
+                name: token,
+                index: match[3] ? parseInt(match[3], 10) : null
+            });
+            rest = rest.slice(match[0].length);
+        }
+        return steps;
+    }
+
+    function descendants(entries, id, into) {
+        var children = entries[id].children || [];
+        for (var i = 0; i < children.length; i++) {
+            into.push(children[i]);
+            descendants(entries, children[i], into);
+        }
+        return into;
+    }
+
+    function evaluatePath(entries, steps, format) {
+        // XML paths start above the root element, so "/catalog" selects it.
+        var current = format === 'xml' ? [-1] : [0];
+        var childrenOf = function (id) { return id < 0 ? [0] : entries[id].children || []; };
+        for (var s = 0; s < steps.length; s++) {
+            var step = steps[s];
+            var next = [];
+            var added = {};
+            for (var c = 0; c < current.length; c++) {
+                var candidates = childrenOf(current[c]);
+                if (step.descend) {
+                    candidates = candidates.slice();
+                    for (var d = 0, n = candidates.length; d < n; d++) descendants(entries, candidates[d], candidates);
+                }
+                var siblings = {};
+                for (var i = 0; i < candidates.length; i++) {
+                    var entry = entries[candidates[i]];
+                    var node = entry.node;
+                    var keep;
+                    if (format === 'xml') {
+                        keep = node.kind === step.kind && (step.kind === 'text' || step.any || node.name === step.name);
+                        if (keep && step.index !== null) {
+                            // Positions count among the matching children of each parent.
+                            siblings[entry.parent] = (siblings[entry.parent] || 0) + 1;
+                            keep = siblings[entry.parent] === step.index;
+                        }
+                    } else {
+                        var inArray = entry.parent >= 0 && entries[entry.parent].node.kind === 'array';
+                        if (step.any) keep = true;
+                        else if (step.index !== null) keep = inArray && (entry.position === step.index
+                            || (step.index < 0 && entry.position === entries[entry.parent].children.length + step.index));
+                        else keep = !inArray && node.name === step.name;
+                    }
+                    if (keep && !added[entry.id]) {
+                        added[entry.id] = true;
+                        next.push(entry.id);
+                    }
+                }
+            }
+            current = next;
+        }
+        return current.filter(function (id) { return id >= 0; }).sort(function (a, b) { return a - b; });
+    }
+
+    // ── Rendering ──────────────────────────────────────────────────────────
+    function summary(node, format) {
+        var count = node.children ? node.children.length : 0;
+        if (format === 'xml') {
+            var elements = 0;
+            for (var i = 0; i < count; i++) if (node.children[i].kind === 'element') elements++;
+            return elements ? elements + (elements === 1 ? ' child' : ' children') : '';
+        }
+        return node.kind === 'array'
+            ? '[' + count + (count === 1 ? ' item]' : ' items]')
+            : '{' + count + (count === 1 ? ' key}' : ' keys}');
+    }
+
+    function labelHtml(entries, entry, format) {
+        var node = entry.node;
+        if (format === 'xml') {
+            if (node.kind === 'attribute') {
+                return '<span class="structured-attr">@' + escapeHtml(node.name) + '</span>'
+                    + '<span class="structured-punct">=</span><span class="structured-string">"' + escapeHtml(node.value || '') + '"</span>';
+            }
+            if (node.kind === 'text') {
+                return '<span class="structured-punct">#text</span> <span class="structured-text">' + escapeHtml(node.value || '') + '</span>';
+            }
+            var html = '<span class="structured-tag">&lt;' + escapeHtml(node.name) + '&gt;</span>';
+            if (node.value && node.value.trim()) html += ' <span class="structured-text">' + escapeHtml(node.value.trim()) + '</span>';
+            var count = summary(node, format);
+            return html + (count ? ' <span class="structured-summary">' + count + '</span>' : '');
+        }
+
+        var parent = entries[entry.parent];
+        var key = !parent ? ''
+            : parent.node.kind === 'array' ? '<span class="structured-index">' + entry.position + '</span><span class="structured-punct">: </span>'
+            : '<span class="structured-key">' + escapeHtml(node.name) + '</span><span class="structured-punct">: </span>';
+        switch (node.kind) {
+            case 'object':
+            case 'array':
+                return key + '<span class="structured-summary">' + summary(node, format) + '</span>';
+            case 'string':
+                return key + '<span class="structured-string">' + escapeHtml(JSON.stringify(node.value)) + '</span>';
+            case 'number':
+                return key + '<span class="structured-number">' + escapeHtml(node.value) + '</span>';
+            default:
+                return key + '<span class="structured-literal">' + escapeHtml(node.kind === 'null' ? 'null' : node.value) + '</span>';
+        }
+    }
+
+    /**
+     * Renders a structured preview into container. `structured` is the server's
+     * parse: { format, root, pretty, error, truncated }. Options:
+     *   renderSource  — function(target) that renders the raw text view
+     *   initialMode   — 'tree', 'pretty' or 'raw'; defaults to the last mode used
+     */
+    function render(container, structured, options) {
+        options = options || {};
+        var format = structured.format;
+        var canRaw = typeof options.renderSource === 'function';
+        var parsed = !structured.error && !!structured.root;
+        var hasPretty = parsed && typeof structured.pretty === 'string';
+        var mode = options.initialMode || localStorage.getItem(MODE_STORAGE_KEY) || 'tree';
+        // A document that did not parse only has its raw text to show.
+        if (!parsed) mode = 'raw';
+        else if ((mode === 'raw' && !canRaw) || (mode === 'pretty' && !hasPretty) || (mode !== 'raw' && mode !== 'pretty')) mode = 'tree';
+
+        var entries = parsed ? indexTree(structured.root, format) : [];
+        var placeholder = format === 'xml' ? 'Name, value or /xpath' : 'Key, value or $.path';
+
+        container.innerHTML = '<div class="structured-view">'
+            + '<div class="pdf-toolbar">'
+            + '<span class="structured-view-format">' + escapeHtml(FORMAT_LABELS[format] || format) + '</span>'
+            + (parsed ? '<span class="structured-view-tools">'
+                + '<input type="search" class="structured-view-search" placeholder="' + placeholder + '" aria-label="Search the tree" spellcheck="false">'
+                + '<span class="structured-view-status" aria-live="polite"></span>'
+                + '<button type="button" class="code-view-btn" data-structured-action="expand">Expand all</button>'
+                + '<button type="button" class="code-view-btn" data-structured-action="collapse">Collapse all</button>'
+                + '</span>' : '')
+            + '<div class="markup-view-toggle" role="group" aria-label="Preview mode">'
+            + (parsed ? '<button type="button" class="code-view-btn" data-structured-mode="tree">Tree</button>' : '')
+            + (hasPretty ? '<button type="button" class="code-view-btn" data-structured-mode="pretty">Pretty</button>' : '')
+            + (canRaw ? '<button type="button" class="code-view-btn" data-structured-mode="raw">Raw</button>' : '')
+            + '</div></div>'
+            + (structured.error ? '<div class="structured-view-error">Could not parse this ' + escapeHtml(FORMAT_LABELS[format] || format) + ': ' + escapeHtml(structured.error) + '</div>' : '')
+            + (structured.truncated ? '<div class="preview-truncated">The tree shows the first nodes of this document only. Switch to Raw for the whole text.</div>' : '')
+            + '<div class="structured-view-body"></div>'
+            + '</div>';
+
+        var root = container.querySelector('.structured-view');
+        var body = root.querySelector('.structured-view-body');
+        var tools = root.querySelector('.structured-view-tools');
+        var searchInput = root.querySelector('.structured-view-search');
+        var statusEl = root.querySelector('.structured-view-status');
+        var treeEl = null;
+        var rows = {};
+        var drawnRows = 0;
+        var matches = [];
+        var matchSet = {};
+        var current = -1;
+
+        function rowHtml(id) {
+            var entry = entries[id];
+            var branch = hasChildren(entry.node);
+            return '<div class="structured-row' + (matchSet[id] ? ' is-match' : '') + '" data-node="' + id + '" style="--structured-depth:' + entry.depth + '">'
+                + (branch ? '<button type="button" class="structured-toggle" aria-expanded="false" aria-label="Expand"></button>' : '<span class="structured-toggle"></span>')
+                + '<span class="structured-label">' + labelHtml(entries, entry, format) + '</span>'
+                + '<button type="button" class="structured-copy" title="Copy the path to this node">Copy path</button>'
+                + '</div>'
+                + (branch ? '<div class="structured-children" hidden></div>' : '');
+        }
+
+        function register(parentEl) {
+            var children = parentEl.children;
+            for (var i = 0; i < children.length; i++) {
+                if (children[i].classList.contains('structured-row')) {
+                    rows[children[i].getAttribute('data-node')] = children[i];
+                    drawnRows++;
+                }
+            }
+        }
+
+        function setExpanded(id, expanded) {
+            var row = rows[id];
+            if (!row || !hasChildren(entries[id].node)) return;
+            var childrenEl = row.nextElementSibling;
+            if (expanded && !childrenEl.firstChild) {
+                childrenEl.innerHTML = entries[id].children.map(rowHtml).join('');
+                register(childrenEl);
+            }
+            childrenEl.hidden = !expanded;
+            var toggle = row.querySelector('.structured-toggle');
+            toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+            toggle.setAttribute('aria-label', expanded ? 'Collapse' : 'Expand');
+        }
+
+        function isExpanded(id) {
+            var row = rows[id];
+            return !!row && row.querySelector('.structured-toggle').getAttribute('aria-expanded') === 'true';
+        }
+
+        function reveal(id) {
+            var chain = [];
+            for (var p = entries[id].parent; p >= 0; p = entries[p].parent) chain.unshift(p);
+            for (var i = 0; i < chain.length; i++) setExpanded(chain[i], true);
+            return rows[id];
+        }
+
+        function buildTree() {
+            treeEl = document.createElement('div');
+            treeEl.className = 'structured-tree';
+            treeEl.innerHTML = rowHtml(0);
+            register(treeEl);
+            for (var i = 0; i < entries.length && drawnRows < INITIAL_ROWS; i++) {
+                if (entries[i].depth < INITIAL_DEPTH && rows[i]) setExpanded(i, true);
+            }
+
+            treeEl.addEventListener('click', function (e) {
+                var row = e.target.closest('.structured-row');
+                if (!row) return;
+                var id = parseInt(row.getAttribute('data-node'), 10);
+                var copyBtn = e.target.closest('.structured-copy');
+                if (copyBtn) {
+                    copyText(pathOf(entries, id), function () {
+                        copyBtn.textContent = 'Copied';
+                        setTimeout(function () { copyBtn.textContent = 'Copy path'; }, 1500);
+                    });
+                    return;
+                }
+                if (window.getSelection && String(window.getSelection()).length) return;
+                setExpanded(id, !isExpanded(id));
+            });
+        }
+
+        function expandAll() {
+            for (var i = 0; i < entries.length; i++) {
+                if (drawnRows >= EXPAND_ALL_LIMIT) {
+                    statusEl.textContent = 'Expanded the first ' + EXPAND_ALL_LIMIT.toLocaleString() + ' nodes.';
+                    return;
+                }
+                if (rows[i]) setExpanded(i, true);
+            }
+        }
+
+        function collapseAll() {
+            for (var id in rows) {
+                if (Object.prototype.hasOwnProperty.call(rows, id) && id !== '0') setExpanded(id, false);
+            }
+            setExpanded(0, true);
+        }
+
+        // ── Search ──
+        function findMatches(query) {
+            if (query.charAt(0) === '$' && format !== 'xml') {
+                var jsonSteps = parseJsonPath(query);
+                return jsonSteps ? evaluatePath(entries, jsonSteps, format) : null;
+            }
+            if (query.charAt(0) === '/' && format === 'xml') {
+                var xmlSteps = parseXPath(query);
+                return xmlSteps ? evaluatePath(entries, xmlSteps, format) : null;
+            }
+            var needle = query.toLowerCase();
+            var found = [];
+            for (var i = 0; i < entries.length; i++) {
+                var node = entries[i].node;
+                if ((node.name && node.name.toLowerCase().indexOf(needle) >= 0)
+                    || (node.value && node.value.toLowerCase().indexOf(needle) >= 0)) found.push(i);
+            }
+            return found;
+        }
+
+        function setCurrent(index) {
+            if (current >= 0 && rows[matches[current]]) rows[matches[current]].classList.remove('is-current');
+            current = index;
+            if (current < 0) return;
+            var row = reveal(matches[current]);
+            row.classList.add('is-current');
+            if (row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+            statusEl.textContent = (current + 1) + ' of ' + matches.length.toLocaleString();
+        }
+
+        function search() {
+            var query = searchInput.value.trim();
+            var found = query ? findMatches(query) : [];
+            searchInput.classList.toggle('is-invalid', found === null);
+            setCurrent(-1);
+            for (var id in matchSet) {
+                if (rows[id]) rows[id].classList.remove('is-match');
+            }
+            matches = found || [];
+            matchSet = {};
+            for (var i = 0; i < matches.length; i++) {
+                matchSet[matches[i]] = true;
+                if (rows[matches[i]]) rows[matches[i]].classList.add('is-match');
+            }
+            statusEl.textContent = !query ? '' : found === null ? 'Invalid path' : matches.length ? '' : 'No matches';
+            if (matches.length) setCurrent(0);
+        }
+
+        function show(nextMode) {
+            mode = nextMode;
+            root.querySelectorAll('[data-structured-mode]').forEach(function (btn) {
+                btn.setAttribute('aria-pressed', btn.getAttribute('data-structured-mode') === mode ? 'true' : 'false');
+            });
+            if (tools) tools.hidden = mode !== 'tree';
+            if (treeEl && treeEl.parentNode) body.removeChild(treeEl);
+            body.innerHTML = '';
+            if (mode === 'raw') {
+                if (canRaw) options.renderSource(body);
+            } else if (mode === 'pretty') {
+                window.DirForgeCodeView.render(body, structured.pretty, { language: PRETTY_LANGUAGES[format] || 'plain' });
+            } else if (parsed) {
+                if (!treeEl) buildTree();
+                body.appendChild(treeEl);
+            }
+        }
+
+        root.querySelector('.pdf-toolbar').addEventListener('click', function (e) {
+            var modeBtn = e.target.closest('[data-structured-mode]');
+            if (modeBtn && modeBtn.getAttribute('data-structured-mode') !== mode) {
+                localStorage.setItem(MODE_STORAGE_KEY, modeBtn.getAttribute('data-structured-mode'));
+                show(modeBtn.getAttribute('data-structured-mode'));
+                return;
+            }
+            var action = e.target.closest('[data-structured-action]');
+            if (!action) return;
+            if (action.getAttribute('data-structured-action') === 'expand') expandAll();
+            else collapseAll();
+        });
+
+        if (searchInput) {
+            searchInput.addEventListener('input', search);
+            // Enter steps through the matches; keys typed here stay out of the preview's navigation.
+            searchInput.addEventListener('keydown', function (e) {
+                if (e.key === 'Enter' && matches.length) {
+                    e.preventDefault();
+                    setCurrent((current + (e.shiftKey ? matches.length - 1 : 1)) % matches.length);
+                }
+                if (e.key !== 'Escape' || e.defaultPrevented) e.stopPropagation();
+            });
+        }
+
+        show(mode);
+    }
+
+    window.DirForgeStructuredView = {
+        render: render
+    };
+})();
+
+// === Hex Viewer ===
+/**
+ * DirForge hex viewer — shows binary files in the preview modal as offset,
+ * hex and ASCII columns, reading one page of the file per request, with the
+ * detected signature bytes highlighted, offset jump and byte-pattern search.
+ */
+(function () {
+    'use strict';
+
+    var BYTES_PER_ROW = 16;
+    var PAGE_SIZE = 4096;
+    var MAX_PATTERN_LENGTH = 256;
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function toHex(value, width) {
+        var text = value.toString(16).toUpperCase();
+        while (text.length < width) text = '0' + text;
+        return text;
+    }
+
+    // Offsets keep eight digits until the file needs more.
+    function offsetWidth(size) {
+        return Math.max(8, toHex(Math.max(size - 1, 0), 1).length);
+    }
+
+    // "0x1f0" and anything with a-f digits is hex; plain digits are decimal.
+    function parseOffset(text) {
+        var value = text.trim().toLowerCase();
+        if (/^\d+$/.test(value)) return parseInt(value, 10);
+        if (value.indexOf('0x') === 0) value = value.substring(2);
+        return /^[0-9a-f]+$/.test(value) ? parseInt(value, 16) : NaN;
+    }
+
+    // The search box holds hex bytes ("4D 5A", "0x4d,0x5a") or text, which is searched as UTF-8.
+    function toPattern(text, mode) {
+        if (mode === 'text') {
+            var utf8 = unescape(encodeURIComponent(text));
+            var pattern = '';
+            for (var i = 0; i < utf8.length; i++) pattern += toHex(utf8.charCodeAt(i), 2);
+            return pattern;
+        }
+        var digits = text.replace(/0x/gi, '').replace(/[\s,]/g, '');
+        return /^([0-9a-f]{2})+$/i.test(digits) ? digits.toUpperCase() : '';
+    }
+
+    function decode(base64) {
+        var binary = atob(base64 || '');
+        var bytes = new Array(binary.length);
+        for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function buildToolbar(showText) {
+        return '<div class="pdf-toolbar">'
+            + '<span class="pdf-toolbar-group">'
+            + '<button type="button" class="code-view-btn hex-prev-btn" title="Previous page (Page Up)" aria-label="Previous page">\u2039</button>'
+            + '<span class="hex-range"></span>'
+            + '<button type="button" class="code-view-btn hex-next-btn" title="Next page (Page Down)" aria-label="Next page">\u203a</button>'
+            + '</span>'
+            + '<span class="pdf-toolbar-group">'
+            + '<input type="text" class="hex-offset-input" placeholder="Go to offset" aria-label="Go to offset" title="Decimal, or hex with a 0x prefix">'
+            + '</span>'
+            + '<span class="pdf-toolbar-group pdf-search">'
+            + '<select class="hex-search-mode" aria-label="Search for"><option value="hex">Hex</option><option value="text">Text</option></select>'
+            + '<input type="search" class="hex-search-input" placeholder="Find bytes" aria-label="Find bytes" title="Find bytes (Ctrl+F)">'
+            + '<span class="pdf-search-count hex-search-status" aria-live="polite"></span>'
+            + '<button type="button" class="code-view-btn hex-search-next-btn" title="Next match (Enter)" aria-label="Next match">\u2193</button>'
+            + '</span>'
+            + (showText ? '<button type="button" class="code-view-btn hex-text-btn">Show as text</button>' : '')
+            + '</div>';
+    }
+
+    /**
+     * Renders the hex view into `container` and returns `{ handleKey, destroy }`.
+     * options: { url, size, magicBytes: [{ offset, length }], detectedFileType, onShowText(button) }.
+     * `url` is the Hex handler URL; pages and searches append offset, length and find to it.
+     */
+    function render(container, options) {
+        var size = options.size || 0;
+        var width = offsetWidth(size);
+        var magicBytes = options.magicBytes || [];
+        var destroyed = false;
+        var pageOffset = 0;
+        var loadRun = 0;
+        var searchRun = 0;
+        var searchPattern = '';
+        var match = null;
+
+        var legend = magicBytes.length
+            ? '<div class="hex-legend"><span class="hex-swatch"></span>Signature bytes'
+                + (options.detectedFileType ? ' matched as ' + escapeHtml(options.detectedFileType) : '') + '</div>'
+            : '';
+        container.innerHTML = '<div class="preview-hex">' + buildToolbar(!!options.onShowText)
+            + '<div class="hex-rows" tabindex="0"></div>' + legend + '</div>';
+        var rowsEl = container.querySelector('.hex-rows');
+        var rangeEl = container.querySelector('.hex-range');
+        var prevBtn = container.querySelector('.hex-prev-btn');
+        var nextBtn = container.querySelector('.hex-next-btn');
+        var offsetInput = container.querySelector('.hex-offset-input');
+        var modeSelect = container.querySelector('.hex-search-mode');
+        var searchInput = container.querySelector('.hex-search-input');
+        var statusEl = container.querySelector('.hex-search-status');
+        var textBtn = container.querySelector('.hex-text-btn');
+
+        function pageCount() {
+            return Math.max(1, Math.ceil(size / PAGE_SIZE));
+        }
+
+        function byteClass(position) {
+            var className = 'hex-byte';
+            if (match && position >= match.offset && position < match.offset + match.length) className += ' match';
+            for (var i = 0; i < magicBytes.length; i++) {
+                if (position >= magicBytes[i].offset && position < magicBytes[i].offset + magicBytes[i].length) return className + ' magic';
+            }
+            return className;
+        }
+
+        // ── Rendering ──────────────────────────────────────────────────────
+        function renderRows(bytes) {
+            if (!bytes.length) {
+                rowsEl.innerHTML = '<div class="hex-empty">Empty file</div>';
+                return;
+            }
+            var html = '';
+            for (var row = 0; row < bytes.length; row += BYTES_PER_ROW) {
+                var hexHtml = '';
+                var asciiHtml = '';
+                for (var i = row; i < row + BYTES_PER_ROW && i < bytes.length; i++) {
+                    var className = byteClass(pageOffset + i);
+                    var value = bytes[i];
+                    var printable = value >= 0x20 && value < 0x7f;
+                    hexHtml += '<span class="' + className + '">' + toHex(value, 2) + '</span>';
+                    asciiHtml += '<span class="' + className + (printable ? '' : ' dim') + '">'
+                        + (printable ? escapeHtml(String.fromCharCode(value)) : '.') + '</span>';
+                }
+                html += '<div class="hex-row" data-offset="' + (pageOffset + row) + '">'
+                    + '<span class="hex-offset">' + toHex(pageOffset + row, width) + '</span>'
+                    + '<span class="hex-bytes">' + hexHtml + '</span>'
+                    + '<span class="hex-ascii">' + asciiHtml + '</span>'
+                    + '</div>';
+            }
+            rowsEl.innerHTML = html;
+        }
+
+        function updateRange() {
+            var page = Math.floor(pageOffset / PAGE_SIZE) + 1;
+            rangeEl.textContent = 'Page ' + page + ' of ' + pageCount();
+            prevBtn.disabled = page <= 1;
+            nextBtn.disabled = page >= pageCount();
+        }
+
+        function scrollToOffset(offset) {
+            var row = rowsEl.querySelector('.hex-row[data-offset="' + (offset - offset % BYTES_PER_ROW) + '"]');
+            rowsEl.scrollTop = row ? Math.max(0, row.offsetTop - rowsEl.clientHeight / 3) : 0;
+        }
+
+        // Loads the page holding `offset` and scrolls to its row.
+        function goTo(offset) {
+            offset = Math.max(0, Math.min(offset, Math.max(size - 1, 0)));
+            var start = offset - offset % PAGE_SIZE;
+            var run = ++loadRun;
+            fetch(options.url + '&offset=' + start + '&length=' + PAGE_SIZE)
+                .then(function (r) {
+                    if (!r.ok) throw new Error('Failed to load bytes (' + r.status + ')');
+                    return r.json();
+                })
+                .then(function (page) {
+                    if (destroyed || run !== loadRun) return;
+                    size = page.size;
+                    pageOffset = page.offset;
+                    renderRows(decode(page.data));
+                    updateRange();
+                    scrollToOffset(offset);
+                })
+                .catch(function (err) {
+                    if (destroyed || run !== loadRun) return;
+                    rowsEl.innerHTML = '<div class="preview-none"><p>' + escapeHtml(err.message) + '</p></div>';
+                });
+        }
+
+        function goToPage(page) {
+            page = Math.max(1, Math.min(page, pageCount()));
+            goTo((page - 1) * PAGE_SIZE);
+        }
+
+        // ── Search ─────────────────────────────────────────────────────────
+        // Each request scans a bounded stretch of the file; the search continues from where the server stopped.
+        function search(pattern, from) {
+            var run = ++searchRun;
+            searchPattern = pattern;
+            statusEl.textContent = 'Searching\u2026';
+
+            function step(offset) {
+                fetch(options.url + '&offset=' + offset + '&find=' + pattern)
+                    .then(function (r) {
+                        if (!r.ok) throw new Error();
+                        return r.json();
+                    })
+                    .then(function (result) {
+                        if (destroyed || run !== searchRun) return;
+                        if (result.match !== null && result.match !== undefined) {
+                            match = { offset: result.match, length: pattern.length / 2 };
+                            statusEl.textContent = 'At 0x' + toHex(result.match, 1);
+                            goTo(result.match);
+                        } else if (result.resumeOffset !== null && result.resumeOffset !== undefined) {
+                            statusEl.textContent = 'Searching\u2026 ' + Math.floor(result.resumeOffset * 100 / Math.max(size, 1)) + '%';
+                            step(result.resumeOffset);
+                        } else {
+                            statusEl.textContent = from > 0 ? 'No more matches' : 'Not found';
+                            // The next search starts over from the beginning of the file.
+                            searchPattern = '';
+                        }
+                    })
+                    .catch(function () {
+                        if (destroyed || run !== searchRun) return;
+                        statusEl.textContent = 'Search failed';
+                        searchPattern = '';
+                    });
+            }
+
+            step(from);
+        }
+
+        function findNext() {
+            var pattern = toPattern(searchInput.value, modeSelect.value);
+            if (!pattern || pattern.length / 2 > MAX_PATTERN_LENGTH) {
+                searchRun++;
+                searchPattern = '';
+                statusEl.textContent = searchInput.value ? (pattern ? 'Pattern too long' : 'Enter hex bytes, e.g. 4D 5A') : '';
+                return;
+            }
+            search(pattern, pattern === searchPattern && match ? match.offset + 1 : 0);
+        }
+
+        // ── Keys ───────────────────────────────────────────────────────────
+        function handleKey(e) {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'f' || e.key === 'F')) {
+                searchInput.focus();
+                searchInput.select();
+                return true;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) return false;
+            var tag = e.target && e.target.tagName;
+            if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || e.target && e.target.isContentEditable) return false;
+            var page = Math.floor(pageOffset / PAGE_SIZE) + 1;
+            switch (e.key) {
+                case 'PageDown':
+                    goToPage(page + 1);
+                    return true;
+                case 'PageUp':
+                    goToPage(page - 1);
+                    return true;
+                case 'Home':
+                    goToPage(1);
+                    return true;
+                case 'End':
+                    goToPage(pageCount());
+                    return true;
+            }
+            return false;
+        }
+
+        // Keys typed into the toolbar fields belong to them, not to the preview's file navigation.
+        function keepKeys(e) {
+            if (e.key !== 'Escape' || e.defaultPrevented) e.stopPropagation();
+        }
+
+        function destroy() {
+            destroyed = true;
+            loadRun++;
+            searchRun++;
+        }
+
+        prevBtn.addEventListener('click', function () { goToPage(Math.floor(pageOffset / PAGE_SIZE)); });
+        nextBtn.addEventListener('click', function () { goToPage(Math.floor(pageOffset / PAGE_SIZE) + 2); });
+        offsetInput.addEventListener('keydown', function (e) {
+            keepKeys(e);
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            var offset = parseOffset(offsetInput.value);
+            if (isNaN(offset) || offset >= size) {
+                offsetInput.classList.add('invalid');
+                return;
+            }
+            offsetInput.classList.remove('invalid');
+            goTo(offset);
+        });
+        offsetInput.addEventListener('input', function () { offsetInput.classList.remove('invalid'); });
+        modeSelect.addEventListener('keydown', keepKeys);
+        modeSelect.addEventListener('change', function () {
+            searchInput.placeholder = modeSelect.value === 'text' ? 'Find text' : 'Find bytes';
+            searchPattern = '';
+        });
+        searchInput.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape' && searchInput.value) {
+                searchInput.value = '';
+                searchRun++;
+                statusEl.textContent = '';
+                e.preventDefault();
+            }
+            keepKeys(e);
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            findNext();
+        });
+        container.querySelector('.hex-search-next-btn').addEventListener('click', findNext);
+        if (textBtn) {
+            textBtn.addEventListener('click', function () { options.onShowText(textBtn); });
+        }
+
+        updateRange();
+        goTo(0);
+
+        return {
+            handleKey: handleKey,
+            destroy: destroy
+        };
+    }
+
+    window.DirForgeHexViewer = {
+        render: render
+    };
+})();
+
+// === Text Pager ===
+/**
+ * DirForge text pager — text previews of files larger than one chunk: more
+ * of the file loads as the code view scrolls, and "Jump to end" shows the last
+ * lines instead, loading earlier ones while scrolling up.
+ */
+(function () {
+    'use strict';
+
+    var TAIL_LINES = 1000;
+    // Lines shown above a linked line that lies past the first chunk.
+    var LINE_CONTEXT = 20;
+    var SCROLL_MARGIN = 200;
+    // Past this much loaded text the pager stops and points at the full file instead.
+    var MAX_LOADED_BYTES = 4 * 1024 * 1024;
+
+    function withParams(url, params) {
+        return url + (url.indexOf('?') >= 0 ? '&' : '?') + params;
+    }
+
+    function fetchChunk(url) {
+        return fetch(url).then(function (r) {
+            if (!r.ok) throw new Error('Failed to load text (' + r.status + ')');
+            return r.json();
+        });
+    }
+
+    /**
+     * Renders a PreviewInfo response holding one chunk of text into `container`.
+     * options: { url, language, onLineSelect, selection, toolbarHtml } — `url` is
+     * the PreviewInfo URL further chunks are requested from with offset, line and tail.
+     */
+    function render(container, data, options) {
+        var view = null;
+        var body = null;
+        var statusEl = null;
+        var startBtn = null;
+        var endBtn = null;
+        var start = 0;
+        var end = 0;
+        var size = 0;
+        var loaded = 0;
+        var loading = false;
+
+        function updateStatus(message) {
+            var text = message;
+            if (!text) {
+                var from = Math.floor(start * 100 / Math.max(size, 1));
+                var to = Math.ceil(end * 100 / Math.max(size, 1));
+                text = 'Showing ' + from + '\u2013' + to + '% of ' + (data.humanSize || size + ' bytes');
+                if (loaded >= MAX_LOADED_BYTES && (start > 0 || end < size)) text += '. Open in new tab to read further.';
+            }
+            statusEl.textContent = text;
+            startBtn.hidden = start <= 0;
+            endBtn.hidden = end >= size;
+        }
+
+        function show(chunk, selection) {
+            start = chunk.textOffset || 0;
+            end = chunk.textEnd || 0;
+            size = chunk.size || 0;
+            loaded = end - start;
+            loading = false;
+            var numbered = chunk.textLine !== null;
+            view = window.DirForgeCodeView.render(container, chunk.textContent || '', {
+                language: options.language,
+                firstLine: chunk.textLine || 1,
+                lineNumbers: numbered,
+                onLineSelect: options.onLineSelect,
+                selection: selection,
+                toolbarHtml: options.toolbarHtml,
+                footerHtml: '<div class="preview-truncated text-pager">'
+                    + '<span class="text-pager-status" aria-live="polite"></span>'
+                    + '<button type="button" class="code-view-btn text-pager-start-btn">Back to start</button>'
+                    + '<button type="button" class="code-view-btn text-pager-end-btn" title="Show the last ' + TAIL_LINES + ' lines">Jump to end</button>'
+                    + '</div>'
+            });
+            body = container.querySelector('.code-view-body');
+            statusEl = container.querySelector('.text-pager-status');
+            startBtn = container.querySelector('.text-pager-start-btn');
+            endBtn = container.querySelector('.text-pager-end-btn');
+            body.addEventListener('scroll', onScroll);
+            startBtn.addEventListener('click', function () { jump(options.url, false); });
+            endBtn.addEventListener('click', function () { jump(withParams(options.url, 'tail=' + TAIL_LINES), true); });
+            updateStatus();
+        }
+
+        // Requests made for a view that has since been replaced are dropped.
+        function load(url, apply) {
+            var current = body;
+            loading = true;
+            updateStatus('Loading\u2026');
+            fetchChunk(url).then(function (chunk) {
+                if (current !== body || !body.isConnected) return;
+                loading = false;
+                apply(chunk);
+            }).catch(function (err) {
+                if (current !== body || !body.isConnected) return;
+                loading = false;
+                updateStatus(err.message);
+            });
+        }
+
+        function jump(url, toEnd) {
+            load(url, function (chunk) {
+                show(chunk, null);
+                body.scrollTop = toEnd ? body.scrollHeight : 0;
+            });
+        }
+
+        function loadNext() {
+            load(withParams(options.url, 'offset=' + end), function (chunk) {
+                view.appendText(chunk.textContent || '');
+                loaded += chunk.textEnd - end;
+                // A file that shrank, or stopped growing mid-line, has nothing further to give.
+                size = chunk.textEnd > end ? chunk.size : end;
+                end = chunk.textEnd;
+                updateStatus();
+            });
+        }
+
+        function loadPrevious() {
+            load(withParams(options.url, 'tail=' + TAIL_LINES + '&offset=' + start), function (chunk) {
+                var height = body.scrollHeight;
+                view.prependText(chunk.textContent || '');
+                body.scrollTop += body.scrollHeight - height;
+                loaded += start - chunk.textOffset;
+                start = chunk.textOffset;
+                updateStatus();
+            });
+        }
+
+        function onScroll() {
+            if (loading || loaded >= MAX_LOADED_BYTES) return;
+            if (end < size && body.scrollTop + body.clientHeight >= body.scrollHeight - SCROLL_MARGIN) loadNext();
+            else if (start > 0 && body.scrollTop <= SCROLL_MARGIN) loadPrevious();
+        }
+
+        // Finding a line deep in a large file can take several requests, each resuming where the last stopped.
+        function loadLine(lineUrl, url, selection, progress) {
+            load(url, function (chunk) {
+                if (!chunk.lineResume) {
+                    show(chunk, selection);
+                    return;
+                }
+                loadLine(lineUrl, withParams(lineUrl, 'offset=' + chunk.lineResume.offset + '&fromLine=' + chunk.lineResume.line), selection,
+                    'Finding line\u2026 ' + Math.floor(chunk.lineResume.offset * 100 / Math.max(chunk.size, 1)) + '%');
+            });
+            if (progress) updateStatus(progress);
+        }
+
+        show(data, options.selection);
+
+        // A #L link past the first chunk reopens the preview a little above that line.
+        var selection = options.selection;
+        if (selection && data.textLine === 1 && end < size && selection.start >= 1 + view.lineCount) {
+            var lineUrl = withParams(options.url, 'line=' + Math.max(1, selection.start - LINE_CONTEXT));
+            loadLine(lineUrl, lineUrl, selection, null);
+        }
+    }
+
+    window.DirForgeTextPager = {
+        render: render
+    };
+})();
+
+// === Log Follow ===
+/**
+ * DirForge log follow — streams text appended to a file into the preview, like
+ * tail -f. Keeps to the newest line until scrolled up, filters lines by a
+ * regular expression and marks lines that look like errors or warnings.
+ */
+(function () {
+    'use strict';
+
+    var WRAP_STORAGE_KEY = 'dirforge-preview-wrap';
+    // Older lines are dropped past this many, so a busy log cannot grow the page without bound.
+    var MAX_LINES = 5000;
+    var BOTTOM_MARGIN = 8;
+    var LEVELS = [
+        { cls: 'log-line-error', words: /\b(?:ERROR|ERR|FATAL|CRIT(?:ICAL)?|SEVERE|PANIC|EMERG)\b/, keyed: /\b(?:level|lvl|severity)[=:]\s*"?(?:err(?:or)?|fatal|crit(?:ical)?|panic)\b/i },
+        { cls: 'log-line-warn', words: /\bWARN(?:ING)?\b/, keyed: /\b(?:level|lvl|severity)[=:]\s*"?warn(?:ing)?\b/i }
+    ];
+    var RESET_MESSAGES = {
+        truncated: 'File was truncated \u2014 following from its start',
+        rotated: 'File was replaced \u2014 following the new file'
+    };
+
+    function escapeHtml(text) {
+        var el = document.createElement('span');
+        el.textContent = text;
+        return el.innerHTML;
+    }
+
+    function levelClass(text) {
+        for (var i = 0; i < LEVELS.length; i++) {
+            if (LEVELS[i].words.test(text) || LEVELS[i].keyed.test(text)) return LEVELS[i].cls;
+        }
+        return '';
+    }
+
+    function formatCount(n, noun) {
+        return n + ' ' + noun + (n === 1 ? '' : 's');
+    }
+
+    /**
+     * Follows the file behind `options.url`, a Follow event stream, in
+     * `container`. options: { url, onStop } — onStop runs after "Stop following".
+     * Returns { destroy }.
+     */
+    function render(container, options) {
+        var wrap = localStorage.getItem(WRAP_STORAGE_KEY) !== 'false';
+        container.innerHTML = '<div class="code-view log-follow code-view-unnumbered' + (wrap ? ' code-view-wrap' : '') + '">'
+            + '<div class="code-view-toolbar">'
+            + '<span class="log-follow-state" aria-live="polite">Connecting\u2026</span>'
+            + '<span class="code-view-count"></span>'
+            + '<input type="search" class="log-follow-filter" placeholder="Filter (regex)" aria-label="Filter lines by regular expression" spellcheck="false">'
+            + '<button type="button" class="code-view-btn log-follow-stop-btn">Stop following</button>'
+            + '</div>'
+            + '<div class="code-view-body"></div>'
+            + '<button type="button" class="code-view-btn log-follow-resume" hidden></button>'
+            + '</div>';
+
+        var root = container.querySelector('.log-follow');
+        var stateEl = root.querySelector('.log-follow-state');
+        var countEl = root.querySelector('.code-view-count');
+        var filterInput = root.querySelector('.log-follow-filter');
+        var body = root.querySelector('.code-view-body');
+        var resumeBtn = root.querySelector('.log-follow-resume');
+        // Each entry is { text, el, marker, open }; an open line has not seen its line break yet.
+        var lines = [];
+        var filter = null;
+        var atBottom = true;
+        var unseen = 0;
+        var destroyed = false;
+        var source = null;
+
+        function setState(text, live) {
+            stateEl.textContent = text;
+            stateEl.classList.toggle('log-follow-live', !!live);
+        }
+
+        function matches(line) {
+            return line.marker || !filter || filter.test(line.text);
+        }
+
+        function updateCount() {
+            var total = 0;
+            var shown = 0;
+            for (var i = 0; i < lines.length; i++) {
+                if (lines[i].marker) continue;
+                total++;
+                if (!lines[i].el.hidden) shown++;
+            }
+            countEl.textContent = filter ? shown + ' of ' + formatCount(total, 'line') : formatCount(total, 'line');
+        }
+
+        function addLine(text, marker, open) {
+            var el = document.createElement('div');
+            var level = marker ? '' : levelClass(text);
+            el.className = 'code-view-line' + (marker ? ' log-follow-marker' : '') + (level ? ' ' + level : '');
+            el.innerHTML = '<span class="code-view-ln"></span><span class="code-view-text">' + escapeHtml(text) + '</span>';
+            var line = { text: text, el: el, marker: marker, open: open };
+            el.hidden = !matches(line);
+            body.appendChild(el);
+            lines.push(line);
+            if (!el.hidden && !atBottom) unseen++;
+        }
+
+        // Appended text can stop partway through a line; that line stays open and is redrawn whole
+        // once the rest of it arrives.
+        function appendText(text) {
+            var last = lines[lines.length - 1];
+            var head = '';
+            if (last && last.open) {
+                lines.pop();
+                body.removeChild(last.el);
+                if (!last.el.hidden && !atBottom) unseen = Math.max(0, unseen - 1);
+                head = last.text;
+            }
+            var parts = (head + text).split('\n');
+            var rest = parts.pop();
+            for (var i = 0; i < parts.length; i++) addLine(parts[i].replace(/\r$/, ''), false, false);
+            if (rest) addLine(rest, false, true);
+        }
+
+        function addMarker(text) {
+            var last = lines[lines.length - 1];
+            if (last) last.open = false;
+            addLine(text, true, false);
+        }
+
+        function trim() {
+            while (lines.length > MAX_LINES) {
+                body.removeChild(lines.shift().el);
+            }
+        }
+
+        function settle() {
+            trim();
+            updateCount();
+            if (atBottom) {
+                unseen = 0;
+                body.scrollTop = body.scrollHeight;
+            }
+            resumeBtn.hidden = atBottom || unseen === 0;
+            resumeBtn.textContent = formatCount(unseen, 'new line') + ' \u2193';
+        }
+
+        function applyFilter() {
+            var query = filterInput.value;
+            var invalid = false;
+            try {
+                filter = query ? new RegExp(query, 'i') : null;
+            } catch (e) {
+                filter = null;
+                invalid = true;
+            }
+            filterInput.classList.toggle('is-invalid', invalid);
+            filterInput.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+            for (var i = 0; i < lines.length; i++) lines[i].el.hidden = !matches(lines[i]);
+            unseen = 0;
+            settle();
+        }
+
+        function parse(e) {
+            try {
+                return JSON.parse(e.data);
+            } catch (err) {
+                return null;
+            }
+        }
+
+        // Scrolling up pauses following; scrolling back to the bottom resumes it.
+        body.addEventListener('scroll', function () {
+            atBottom = body.scrollTop + body.clientHeight >= body.scrollHeight - BOTTOM_MARGIN;
+            if (atBottom) {
+                unseen = 0;
+                resumeBtn.hidden = true;
+            }
+        });
+
+        resumeBtn.addEventListener('click', function () {
+            atBottom = true;
+            settle();
+        });
+
+        filterInput.addEventListener('input', applyFilter);
+        // Keys typed into the filter belong to it, not to the preview's file navigation.
+        filterInput.addEventListener('keydown', function (e) {
+            if (e.key !== 'Escape' || e.defaultPrevented) e.stopPropagation();
+        });
+
+        root.querySelector('.log-follow-stop-btn').addEventListener('click', function () {
+            destroy();
+            if (typeof options.onStop === 'function') options.onStop();
+        });
+
+        function destroy() {
+            destroyed = true;
+            if (source) source.close();
+            source = null;
+        }
+
+        if (typeof window.EventSource !== 'function') {
+            setState('Following needs a browser with server-sent events.');
+            return { destroy: destroy };
+        }
+
+        source = new EventSource(options.url);
+        source.addEventListener('open', function () {
+            if (!destroyed) setState('Following', true);
+        });
+        source.addEventListener('error', function () {
+            if (destroyed) return;
+            setState(source.readyState === EventSource.CLOSED ? 'Stopped \u2014 the file can no longer be followed' : 'Reconnecting\u2026');
+        });
+        source.addEventListener('append', function (e) {
+            var data = parse(e);
+            if (destroyed || !data) return;
+            setState('Following', true);
+            if (data.skipped > 0) addMarker('\u2026 ' + formatCount(data.skipped, 'byte') + ' skipped \u2026');
+            appendText(data.text || '');
+            settle();
+        });
+        source.addEventListener('reset', function (e) {
+            var data = parse(e);
+            if (destroyed || !data) return;
+            addMarker(RESET_MESSAGES[data.reason] || RESET_MESSAGES.rotated);
+            settle();
+        });
+        source.addEventListener('missing', function () {
+            if (destroyed) return;
+            setState('File is missing \u2014 waiting for it to return');
+        });
+
+        updateCount();
+        return { destroy: destroy };
+    }
+
+    window.DirForgeLogFollow = {
+        render: render
+    };
+})();
+
+// === Media Info ===
+/**
+ * DirForge media info — formats the `metadata` object returned by the
+ * PreviewInfo handler (photo EXIF, audio and video stream details) as a
+ * definition list shared by the preview modal and the lightbox.
+ */
+(function () {
+    'use strict';
+
+    var OPEN_STORAGE_KEY = 'dirforge-media-info';
+    var KIND_LABELS = { image: 'Photo details', video: 'Video details', audio: 'Audio details' };
+    var CHANNEL_LABELS = { 1: 'mono', 2: 'stereo', 6: '5.1', 8: '7.1' };
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function trimNumber(value, digits) {
+        return String(parseFloat(value.toFixed(digits)));
+    }
+
+    // ── Formatting ─────────────────────────────────────────────────────────
+    function formatExposure(seconds) {
+        if (seconds >= 0.5) return trimNumber(seconds, 1) + ' s';
+        return '1/' + Math.round(1 / seconds) + ' s';
+    }
+
+    function formatDuration(seconds) {
+        var total = Math.round(seconds);
+        var hours = Math.floor(total / 3600);
+        var minutes = Math.floor(total % 3600 / 60);
+        var secs = total % 60;
+        return (hours ? hours + ':' + (minutes < 10 ? '0' : '') : '') + minutes + ':' + (secs < 10 ? '0' : '') + secs;
+    }
+
+    function formatBitrate(bitsPerSecond) {
+        return bitsPerSecond >= 1000000
+            ? trimNumber(bitsPerSecond / 1000000, 1) + ' Mbps'
+            : Math.round(bitsPerSecond / 1000) + ' kbps';
+    }
+
+    function formatAudio(metadata) {
+        var parts = [];
+        if (metadata.audioCodec) parts.push(metadata.audioCodec);
+        if (metadata.sampleRate) parts.push(trimNumber(metadata.sampleRate / 1000, 1) + ' kHz');
+        if (metadata.channels) parts.push(CHANNEL_LABELS[metadata.channels] || metadata.channels + ' channels');
+        return parts.join(' \u00b7 ');
+    }
+
+    function formatLocation(latitude, longitude) {
+        var lat = Number(latitude).toFixed(5);
+        var lon = Number(longitude).toFixed(5);
+        var href = 'https://www.openstreetmap.org/?mlat=' + lat + '&mlon=' + lon + '#map=15/' + lat + '/' + lon;
+        return '<a href="' + escapeHtml(href) + '" target="_blank" rel="noopener noreferrer">' + lat + ', ' + lon + '</a>';
+    }
+
+    // Rows are { label, value } with plain-text values, or { label, html } for prebuilt markup.
+    function buildRows(metadata) {
+        var rows = [];
+        function add(label, value) {
+            if (value) rows.push({ label: label, value: value });
+        }
+
+        var dimensions = metadata.width && metadata.height ? metadata.width + ' \u00d7 ' + metadata.height : '';
+        if (metadata.kind === 'image') {
+            var megapixels = metadata.width * metadata.height / 1000000;
+            var exposure = [];
+            if (metadata.exposureTime) exposure.push(formatExposure(metadata.exposureTime));
+            if (metadata.fNumber) exposure.push('f/' + trimNumber(metadata.fNumber, 1));
+            if (metadata.iso) exposure.push('ISO ' + metadata.iso);
+
+            add('Camera', metadata.camera);
+            add('Lens', metadata.lens);
+            add('Exposure', exposure.join(' \u00b7 '));
+            add('Focal length', metadata.focalLength ? trimNumber(metadata.focalLength, 1) + ' mm' : '');
+            add('Captured', metadata.capturedAt);
+            add('Dimensions', dimensions && megapixels >= 1 ? dimensions + ' (' + trimNumber(megapixels, 1) + ' MP)' : dimensions);
+            if (typeof metadata.latitude === 'number' && typeof metadata.longitude === 'number') {
+                rows.push({ label: 'Location', html: formatLocation(metadata.latitude, metadata.longitude) });
+            }
+        } else {
+            add('Duration', metadata.durationSeconds ? formatDuration(metadata.durationSeconds) : '');
+            add('Resolution', dimensions);
+            add('Video', metadata.videoCodec);
+            add('Audio', formatAudio(metadata));
+            add('Bitrate', metadata.bitrate ? formatBitrate(metadata.bitrate) : '');
+            add('Container', metadata.container);
+        }
+        return rows;
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────
+    function hasDetails(metadata) {
+        return !!metadata && buildRows(metadata).length > 0;
+    }
+
+    function label(metadata) {
+        return (metadata && KIND_LABELS[metadata.kind]) || 'Details';
+    }
+
+    function toHtml(metadata, leadingRows) {
+        var rows = (leadingRows || []).filter(function(row) { return row.value; })
+            .concat(metadata ? buildRows(metadata) : []);
+        if (!rows.length) return '';
+
+        var html = '<dl class="media-info-list">';
+        for (var i = 0; i < rows.length; i++) {
+            html += '<dt>' + escapeHtml(rows[i].label) + '</dt><dd>' + (rows[i].html || escapeHtml(rows[i].value)) + '</dd>';
+        }
+        return html + '</dl>';
+    }
+
+    window.DirForgeMediaInfo = {
+        hasDetails: hasDetails,
+        label: label,
+        toHtml: toHtml,
+        isOpen: function() { return localStorage.getItem(OPEN_STORAGE_KEY) === 'true'; },
+        setOpen: function(open) { localStorage.setItem(OPEN_STORAGE_KEY, open ? 'true' : 'false'); }
+    };
+})();
+
+// === Archive Preview ===
+(function() {
+    var previewModal = document.getElementById('previewModal');
+    if (!previewModal || !previewModal.classList.contains('preview-modal')) return;
+    // Only run on ArchiveBrowse pages (detected by data-preview-url attribute on buttons)
+    var firstBtn = document.querySelector('.preview-open-btn[data-preview-url]');
+    if (!firstBtn) return;
+
+    var previewContent = document.getElementById('previewContent');
+    var previewMeta = document.getElementById('previewMeta');
+    var previewTitle = document.getElementById('previewTitle');
+    var previewIcon = document.getElementById('previewIcon');
+    var previewCloseBtn = document.getElementById('previewClose');
+    var previewPrev = document.getElementById('previewPrev');
+    var previewNext = document.getElementById('previewNext');
+    var previewPosition = document.getElementById('previewPosition');
+    var previewDownload = document.getElementById('previewDownload');
+    var previewCurrentIndex = -1;
+
+    var previewFiles = [];
+    document.querySelectorAll('.preview-open-btn[data-preview-url]').forEach(function(btn, i) {
+        previewFiles.push({
+            infoUrl: btn.getAttribute('data-preview-url'),
+            icon: btn.getAttribute('data-preview-icon')
+        });
+        btn.addEventListener('click', function() {
+            openPreview(i);
+        });
+    });
+
+    function escapeHtml(text) {
+        var el = document.createElement('span');
+        el.textContent = text;
+        return el.innerHTML;
+    }
+
+    function openPreview(index) {
+        if (!previewModal || index < 0 || index >= previewFiles.length) {
+            return;
+        }
+
+        previewCurrentIndex = index;
+        previewModal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        loadPreview(index);
+    }
+
+    function closePreview() {
+        if (!previewModal) {
+            return;
+        }
+
+        previewModal.hidden = true;
+        document.body.style.overflow = '';
+    }
+
+    function loadPreview(index) {
+        var file = previewFiles[index];
+        if (!file || !file.infoUrl) {
+            previewContent.innerHTML = '<div class="preview-none"><p>Preview is unavailable.</p></div>';
+            previewMeta.innerHTML = '';
+            return;
+        }
+
+        previewContent.innerHTML = '<div class="preview-loading">Loading\u2026</div>';
+        previewMeta.innerHTML = '';
+        previewTitle.textContent = '';
+        previewIcon.src = file.icon || '';
+        previewPosition.textContent = (index + 1) + ' / ' + previewFiles.length;
+        previewPrev.disabled = index === 0;
+        previewNext.disabled = index === previewFiles.length - 1;
+
+        fetch(file.infoUrl)
+            .then(function(r) {
+                if (!r.ok) throw new Error('Failed to load preview (' + r.status + ')');
+                return r.json();
+            })
+            .then(function(data) {
+                previewTitle.textContent = data.name || '';
+                if (previewDownload) previewDownload.href = data.downloadUrl || '#';
+                renderPreviewContent(data, file.infoUrl);
+                renderPreviewMeta(data);
+            })
+            .catch(function(err) {
+                previewContent.innerHTML = '<div class="preview-none"><p>' + escapeHtml(err.message) + '</p></div>';
+                previewMeta.innerHTML = '';
+            });
+    }
+
+    // Entries of a known size load further text from `fetchUrl` as the preview scrolls.
+    function renderTextPreview(data, fetchUrl, target) {
+        var options = {
+            language: window.DirForgeCodeView.resolveLanguage(data.name, data.extension, data.detectedFileType)
+        };
+        if (data.textTruncated && data.size >= 0 && fetchUrl) {
+            options.url = fetchUrl;
+            window.DirForgeTextPager.render(target || previewContent, data, options);
+            return;
+        }
+        options.footerHtml = data.textTruncated && !target ? '<div class="preview-truncated">File truncated at 128 KB.</div>' : '';
+        window.DirForgeCodeView.render(target || previewContent, data.textContent || '', options);
+    }
+
+    function renderMarkupPreview(data, fetchUrl) {
+        var entryPath = new URL(fetchUrl, window.location.href).searchParams.get('entryPath') || '';
+        window.DirForgeMarkup.render(previewContent, data.textContent || '', {
+            format: window.DirForgeMarkup.resolveFormat(data.extension),
+            basePath: '/' + entryPath.substring(0, entryPath.lastIndexOf('/') + 1),
+            resolveUrl: function(path) {
+                var url = new URL(fetchUrl, window.location.href);
+                url.searchParams.set('handler', 'DownloadEntry');
+                url.searchParams.set('entryPath', path.replace(/^\//, ''));
+                url.searchParams.delete('forceText');
+                return url.pathname + url.search;
+            },
+            footerHtml: data.textTruncated ? '<div class="preview-truncated">File truncated at 128 KB.</div>' : '',
+            renderSource: function(target) { renderTextPreview(data, fetchUrl, target); }
+        });
+    }
+
+    function renderPreviewContent(data, fetchUrl) {
+        if (data.previewMode === 'text') {
+            renderTextPreview(data, fetchUrl);
+            return;
+        }
+
+        if (data.previewMode === 'markdown') {
+            renderMarkupPreview(data, fetchUrl);
+            return;
+        }
+
+        if (data.previewMode === 'structured') {
+            window.DirForgeStructuredView.render(previewContent, data.structured, {
+                renderSource: function(target) { renderTextPreview(data, fetchUrl, target); }
+            });
+            return;
+        }
+
+        previewContent.innerHTML = '<div class="preview-none"><img src="' + escapeHtml(data.iconPath || '') + '" alt="" class="preview-none-icon"><p>No preview available</p><button type="button" class="preview-text-btn">Show text preview</button></div>';
+        var btn = previewContent.querySelector('.preview-text-btn');
+        if (btn && fetchUrl) {
+            btn.addEventListener('click', function() {
+                btn.disabled = true;
+                btn.textContent = 'Loading\u2026';
+                var textUrl = fetchUrl + (fetchUrl.indexOf('?') >= 0 ? '&' : '?') + 'forceText=true';
+                fetch(textUrl)
+                    .then(function(r) { return r.json(); })
+                    .then(function(d) {
+                        renderTextPreview(d, textUrl);
+                    })
+                    .catch(function() {
+                        btn.textContent = 'Failed to load';
+                    });
+            });
+        }
+    }
+
+    function renderPreviewMeta(data) {
+        var chips = [
+            { label: 'MIME', value: data.mimeType || '\u2014' }
+        ];
+        if (data.detectedFileType) {
+            chips.push({ label: 'Detected', value: data.detectedFileType });
+        }
+        chips.push({ label: 'Size', value: data.humanSize || '\u2014' });
+        chips.push({ label: 'Modified', value: data.modified || '\u2014' });
+
+        var html = '';
+        for (var i = 0; i < chips.length; i++) {
+            html += '<span class="preview-chip"><span class="preview-chip-label">' + escapeHtml(chips[i].label) + '</span>' + escapeHtml(chips[i].value) + '</span>';
+        }
+
+        previewMeta.innerHTML = html;
+    }
+
+    if (previewCloseBtn) {
+        previewCloseBtn.addEventListener('click', closePreview);
+    }
+
+    if (previewModal) {
+        previewModal.addEventListener('click', function(e) {
+            if (e.target === previewModal) {
+                closePreview();
+            }
+        });
+    }
+
+    if (previewPrev) {
+        previewPrev.addEventListener('click', function() {
+            if (previewCurrentIndex > 0) {
+                openPreview(previewCurrentIndex - 1);
+            }
+        });
+    }
+
+    if (previewNext) {
+        previewNext.addEventListener('click', function() {
+            if (previewCurrentIndex < previewFiles.length - 1) {
+                openPreview(previewCurrentIndex + 1);
+            }
+        });
+    }
+
+    document.addEventListener('keydown', function(e) {
+        if (!previewModal || previewModal.hidden || e.defaultPrevented) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            closePreview();
+            e.preventDefault();
+        } else if (e.key === 'ArrowLeft' && previewCurrentIndex > 0) {
+            openPreview(previewCurrentIndex - 1);
+            e.preventDefault();
+        } else if (e.key === 'ArrowRight' && previewCurrentIndex < previewFiles.length - 1) {
+            openPreview(previewCurrentIndex + 1);
+            e.preventDefault();
+        }
+    });
+})();
+
+// === Directory Listing ===
+(function() {
+    // --- View Toggle ---
+    var viewToggle = document.getElementById('viewToggle');
+    var gridView = document.querySelector('.grid-view');
+    var tableView = document.querySelector('table.listing');
+    var summaryFiles = document.getElementById('summaryFiles');
+    var summaryFolders = document.getElementById('summaryFolders');
+    var summaryVisibleTotal = document.getElementById('summaryVisibleTotal');
+    // Set when the server rendered only the first page of a large folder (see "Paged listing" below).
+    var listingPaged = !!tableView && tableView.hasAttribute('data-listing-total');
+    var pagedItems = [];
+
+    function parseSizeBytes(rawValue) {
+        if (!rawValue) return 0;
+        var parsed = parseInt(rawValue, 10);
+        if (isNaN(parsed) || parsed < 0) return 0;
+        return parsed;
+    }
+
+    function humanizeSize(size) {
+        var safeSize = Math.max(0, size || 0);
+        if (safeSize < 1024) {
+            return safeSize + ' B';
+        }
+
+        var units = ['KB', 'MB', 'GB', 'TB'];
+        var unitIndex = 0;
+        var value = safeSize / 1024;
+
+        while (unitIndex < units.length - 1 && value >= 1024) {
+            value = value / 1024;
+            unitIndex++;
+        }
+
+        if (value >= 100) return value.toFixed(0) + ' ' + units[unitIndex];
+        if (value >= 10) return value.toFixed(1) + ' ' + units[unitIndex];
+        return value.toFixed(2) + ' ' + units[unitIndex];
+    }
+
+    function recomputeListingSummary() {
+        // A paged listing only holds part of the folder; its totals come from the server.
+        if (listingPaged || !summaryFiles || !summaryFolders || !summaryVisibleTotal) {
+            return;
+        }
+
+        var rows = document.querySelectorAll('tr[data-entry-row="1"]:not([hidden])');
+        var fileCount = 0;
+        var folderCount = 0;
+        var fileBytes = 0;
+        var knownFolderCount = 0;
+        var knownFolderBytes = 0;
+
+        for (var i = 0; i < rows.length; i++) {
+            var row = rows[i];
+            var isDirectory = row.getAttribute('data-is-directory') === 'true';
+            var isSizeKnown = row.getAttribute('data-size-known') === 'true';
+            var sizeBytes = parseSizeBytes(row.getAttribute('data-size-bytes'));
+
+            if (isDirectory) {
+                folderCount++;
+                if (isSizeKnown) {
+                    knownFolderCount++;
+                    knownFolderBytes += sizeBytes;
+                }
+            } else {
+                fileCount++;
+                fileBytes += sizeBytes;
+            }
+        }
+
+        summaryFiles.textContent = 'Files: ' + fileCount + ' \u00b7 ' + humanizeSize(fileBytes);
+        summaryFolders.textContent = knownFolderCount > 0
+            ? 'Folders: ' + folderCount + ' \u00b7 ' + humanizeSize(knownFolderBytes)
+            : 'Folders: ' + folderCount;
+        var totalCount = fileCount + folderCount;
+
+        if (folderCount === 0) {
+            summaryVisibleTotal.textContent = 'Visible total: ' + totalCount + ' \u00b7 ' + humanizeSize(fileBytes);
+            return;
+        }
+
+        if (knownFolderCount === folderCount) {
+            summaryVisibleTotal.textContent = 'Visible total: ' + totalCount + ' \u00b7 ' + humanizeSize(fileBytes + knownFolderBytes);
+            return;
+        }
+
+        if (knownFolderCount > 0) {
+            summaryVisibleTotal.textContent = 'Visible total: ' + totalCount + ' \u00b7 ' + humanizeSize(fileBytes) + ' (files only)';
+            return;
+        }
+
+        summaryVisibleTotal.textContent = 'Visible total: ' + totalCount + ' \u00b7 ' + humanizeSize(fileBytes) + ' (files only)';
+    }
+
+    function setView(mode) {
+        document.documentElement.setAttribute('data-view', mode);
+        localStorage.setItem('dirforge-view', mode);
+        if (mode === 'grid') {
+            if (tableView) tableView.hidden = true;
+            if (gridView) gridView.hidden = false;
+        } else {
+            if (tableView) tableView.hidden = false;
+            if (gridView) gridView.hidden = true;
+        }
+        if (listingPaged) renderPagedWindow();
+        syncListingTabindex();
+    }
+
+    // Restore saved view preference
+    var savedView = localStorage.getItem('dirforge-view');
+    if (savedView === 'grid' && gridView) {
+        setView('grid');
+    }
+
+    if (viewToggle) {
+        viewToggle.addEventListener('click', function() {
+            var current = document.documentElement.getAttribute('data-view') || 'list';
+            setView(current === 'grid' ? 'list' : 'grid');
+        });
+    }
+
+    recomputeListingSummary();
+
+    // Grid card click: files open preview modal
+    function handleGridFileCardClick(e) {
+        var card = e.currentTarget;
+        if (e.button === 1) {
+            // Middle-click: open in new tab (Ctrl/Cmd+click selects the card)
+            e.preventDefault();
+            window.open(card.getAttribute('data-view-href'), '_blank');
+            return;
+        }
+        e.preventDefault();
+        var path = card.getAttribute('data-preview-path');
+        for (var i = 0; i < previewFiles.length; i++) {
+            if (previewFiles[i].path === path) {
+                openPreview(i);
+                return;
+            }
+        }
+        // Fallback: open in new tab
+        window.open(card.getAttribute('data-view-href'), '_blank');
+    }
+
+    if (gridView) {
+        gridView.querySelectorAll('.grid-card-file').forEach(function(card) {
+            card.addEventListener('click', handleGridFileCardClick);
+        });
+    }
+
+    function applyDirectorySize(row, info) {
+        var cell = row.querySelector('.size-cell');
+        if (cell) {
+            cell.textContent = info.humanSize;
+            cell.title = info.tooltip;
+        }
+
+        if (info.size !== undefined && info.size !== null) {
+            var updatedSize = parseSizeBytes(String(info.size));
+            row.setAttribute('data-size-known', 'true');
+            row.setAttribute('data-size-bytes', String(updatedSize));
+        }
+    }
+
+    var calcBtn = document.getElementById('calcDirSizes');
+    if (calcBtn) {
+        calcBtn.addEventListener('click', function() {
+            calcBtn.disabled = true;
+            calcBtn.title = 'Calculating\u2026';
+            var sizesUrl = new URL(window.location.href);
+            sizesUrl.searchParams.set('handler', 'DirectorySizes');
+            fetch(sizesUrl.toString())
+                .then(function(r) { return r.json(); })
+                .then(function(sizes) {
+                    if (listingPaged) {
+                        applyPagedDirectorySizes(sizes);
+                    } else {
+                        var rows = document.querySelectorAll('tr[data-dir]:not([data-dir=""])');
+                        for (var i = 0; i < rows.length; i++) {
+                            var name = rows[i].getAttribute('data-dir');
+                            if (sizes[name]) applyDirectorySize(rows[i], sizes[name]);
+                        }
+                    }
+                    recomputeListingSummary();
+
+                    calcBtn.disabled = false;
+                    calcBtn.title = 'Recalculate subdirectory sizes';
+                })
                 .catch(function() {
                     calcBtn.disabled = false;
                     calcBtn.title = 'Recalculate subdirectory sizes (retry)';
@@ -846,495 +6553,2417 @@
         });
     }
 
-    var dlBtn = document.getElementById('downloadFolder');
-    if (dlBtn) {
-        dlBtn.addEventListener('click', function() {
-            var url = new URL(window.location.href);
-            url.searchParams.set('handler', 'DownloadZip');
-            window.location.href = url.toString();
-        });
+    var dlBtn = document.getElementById('downloadFolder');
+    if (dlBtn) {
+        dlBtn.addEventListener('click', function() {
+            var url = new URL(window.location.href);
+            url.searchParams.set('handler', 'DownloadZip');
+            window.location.href = url.toString();
+        });
+    }
+
+    // --- QR Code ---
+    var qrBtn = document.getElementById('qrCodeBtn');
+    if (qrBtn) {
+        qrBtn.addEventListener('click', function() {
+            if (window.DirForgeQR) window.DirForgeQR.show(window.location.href);
+        });
+    }
+
+    var shareModal = document.getElementById('shareModal');
+    var shareOutput = document.getElementById('shareOutput');
+    var shareDuration = document.getElementById('shareDuration');
+    var shareGenerate = document.getElementById('shareGenerate');
+    var shareCopy = document.getElementById('shareCopyInline');
+    var shareClose = document.getElementById('shareClose');
+    var shareError = document.getElementById('shareError');
+    var shareOneTime = document.getElementById('shareOneTime');
+    var shareOneTimeWarning = document.getElementById('shareOneTimeWarning');
+    var shareTitle = document.getElementById('shareTitle');
+    var shareTitleDefault = shareTitle ? shareTitle.textContent : '';
+    var shareTargetPath = '';
+    var shareTargetType = '';
+    var shareTargetPaths = [];
+    var activeShareToken = document.body.getAttribute('data-share-token') || '';
+
+    function showShareError(message) {
+        if (!shareError) return;
+        shareError.textContent = message;
+        shareError.style.display = 'block';
+    }
+
+    function clearShareError() {
+        if (!shareError) return;
+        shareError.textContent = '';
+        shareError.style.display = 'none';
+    }
+
+    function openShareModal(path, type, paths) {
+        if (!shareModal) return;
+        shareTargetPath = path || '';
+        shareTargetType = type || '';
+        shareTargetPaths = paths || [];
+        if (shareTitle) {
+            shareTitle.textContent = shareTargetType === 'selection'
+                ? 'Share ' + shareTargetPaths.length + ' Items as ZIP'
+                : shareTitleDefault;
+        }
+        if (shareOutput) shareOutput.value = '';
+        if (shareOneTime) shareOneTime.checked = false;
+        syncOneTimeWarning();
+        clearShareError();
+        var shareQr = document.getElementById('shareQrContainer');
+        if (shareQr) { shareQr.hidden = true; shareQr.innerHTML = ''; }
+        shareModal.hidden = false;
+    }
+
+    function closeShareModal() {
+        if (!shareModal) return;
+        shareModal.hidden = true;
+    }
+
+    function syncOneTimeWarning() {
+        if (!shareOneTimeWarning) return;
+        shareOneTimeWarning.hidden = !(shareOneTime && shareOneTime.checked);
+    }
+
+    function canGenerateShareLink() {
+        if (!shareTargetType) return false;
+        if (shareTargetType === 'file' && !shareTargetPath) return false;
+        if (shareTargetType === 'selection' && !shareTargetPaths.length) return false;
+        return true;
+    }
+
+    function generateShareLink() {
+        if (!canGenerateShareLink()) return;
+        clearShareError();
+        var shareUrl = new URL(window.location.href);
+        shareUrl.search = '';
+        shareUrl.searchParams.set('handler', 'ShareLink');
+
+        var requestBody = new URLSearchParams();
+        requestBody.set('targetPath', shareTargetPath);
+        requestBody.set('targetType', shareTargetType);
+        requestBody.set('ttl', shareDuration ? shareDuration.value : '24h');
+        requestBody.set('oneTime', shareOneTime && shareOneTime.checked ? 'true' : 'false');
+        shareTargetPaths.forEach(function(path) { requestBody.append('paths', path); });
+
+        fetch(shareUrl.toString(), {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+                'X-DirForge-Share': '1'
+            },
+            body: requestBody.toString()
+        })
+            .then(function(r) {
+                if (!r.ok) throw new Error('Failed to generate share link (' + r.status + ')');
+                return r.json();
+            })
+            .then(function(data) {
+                if (shareOutput) shareOutput.value = data.url ? window.location.origin + data.url : '';
+                var shareQr = document.getElementById('shareQrContainer');
+                if (shareQr && window.DirForgeQR && data.url) {
+                    shareQr.hidden = false;
+                    window.DirForgeQR.renderToContainer(window.location.origin + data.url, shareQr);
+                }
+            })
+            .catch(function(err) {
+                showShareError(err.message || 'Failed to generate share link.');
+            });
+    }
+
+    function handleShareButtonClick(e) {
+        var btn = e.currentTarget;
+        openShareModal(btn.getAttribute('data-target-path'), btn.getAttribute('data-target-type'));
+    }
+
+    document.querySelectorAll('.share-open-btn').forEach(function(btn) {
+        btn.addEventListener('click', handleShareButtonClick);
+    });
+
+    if (shareClose) {
+        shareClose.addEventListener('click', closeShareModal);
+    }
+
+    if (shareModal) {
+        shareModal.addEventListener('click', function(e) {
+            if (e.target === shareModal) closeShareModal();
+        });
+    }
+
+    if (shareOneTime) {
+        shareOneTime.addEventListener('change', function() {
+            syncOneTimeWarning();
+            if (shareModal && !shareModal.hidden) {
+                generateShareLink();
+            }
+        });
+        syncOneTimeWarning();
+    }
+
+    if (shareDuration) {
+        shareDuration.addEventListener('change', function() {
+            if (shareModal && !shareModal.hidden) {
+                generateShareLink();
+            }
+        });
+    }
+
+    if (shareGenerate) {
+        shareGenerate.addEventListener('click', generateShareLink);
+    }
+
+    // --- Clipboard helpers ---
+    function copyToClipboard(text, onSuccess, onError) {
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(text).then(onSuccess)
+                .catch(function() { if (onError) onError(); });
+        } else {
+            var ta = document.createElement('textarea');
+            ta.value = text;
+            ta.style.position = 'fixed';
+            ta.style.opacity = '0';
+            document.body.appendChild(ta);
+            ta.select();
+            document.execCommand('copy');
+            document.body.removeChild(ta);
+            onSuccess();
+        }
+    }
+
+    if (shareCopy) {
+        var shareCopySvgOriginal = shareCopy.innerHTML;
+        var shareCopyCheckSvg = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>';
+        shareCopy.addEventListener('click', function() {
+            if (!shareOutput || !shareOutput.value) {
+                showShareError('Generate a link first.');
+                return;
+            }
+            var val = shareOutput.value;
+            var done = function() {
+                clearShareError();
+                shareCopy.innerHTML = shareCopyCheckSvg;
+                shareCopy.classList.add('copied');
+                setTimeout(function() {
+                    shareCopy.innerHTML = shareCopySvgOriginal;
+                    shareCopy.classList.remove('copied');
+                }, 2000);
+            };
+            copyToClipboard(val, done, function() {
+                showShareError('Copy failed. Paste the link manually.');
+            });
+        });
+    }
+
+    // --- Media pause helper ---
+    // A video playing picture-in-picture keeps going after the modal closes.
+    function pauseActiveMedia() {
+        var video = previewContent.querySelector('video');
+        var audio = previewContent.querySelector('audio');
+        if (video && document.pictureInPictureElement !== video) video.pause();
+        if (audio) audio.pause();
+    }
+
+    // --- Preview Modal ---
+    var previewModal = document.getElementById('previewModal');
+    var previewContent = document.getElementById('previewContent');
+    var previewMeta = document.getElementById('previewMeta');
+    var previewInfo = document.getElementById('previewInfo');
+    var previewHashes = document.getElementById('previewHashes');
+    var previewTitle = document.getElementById('previewTitle');
+    var previewIcon = document.getElementById('previewIcon');
+    var previewCloseBtn = document.getElementById('previewClose');
+    var previewPrev = document.getElementById('previewPrev');
+    var previewNext = document.getElementById('previewNext');
+    var previewPosition = document.getElementById('previewPosition');
+    var previewOpenTab = document.getElementById('previewOpenTab');
+    var previewDownload = document.getElementById('previewDownload');
+    var previewCurrentIndex = -1;
+    var previewVideoPlayer = null;
+    var previewPdfViewer = null;
+    var previewHexViewer = null;
+    var previewTableView = null;
+    var previewLogFollow = null;
+    var previewFollowUrl = null;
+    var pendingPdfPage = null;
+    var previewVerifyTargetPath = null;
+    var previewLineStorageKey = 'dirforge-preview-lines';
+    var pendingLineSelection = null;
+
+    // previewFiles holds only the entries left visible by the listing filter.
+    var allPreviewFiles = [];
+    document.querySelectorAll('.preview-open-btn[data-preview-path]').forEach(function(btn) {
+        var file = { path: btn.getAttribute('data-preview-path'), icon: btn.getAttribute('data-preview-icon'), row: btn.closest('tr') };
+        allPreviewFiles.push(file);
+        btn.addEventListener('click', function() { openPreview(previewFiles.indexOf(file)); });
+    });
+    var previewFiles = allPreviewFiles.slice();
+
+    function escapeHtml(text) {
+        var el = document.createElement('span');
+        el.textContent = text;
+        return el.innerHTML;
+    }
+
+    function openPreview(index) {
+        if (!previewModal || index < 0 || index >= previewFiles.length) return;
+        window.DirForgeHashState.pushParam('preview', previewFileName(previewFiles[index]));
+        showPreview(index);
+    }
+
+    function showPreview(index) {
+        previewCurrentIndex = index;
+        previewModal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        loadPreview(index);
+    }
+
+    function closePreview() {
+        if (!previewModal) return;
+        previewModal.hidden = true;
+        document.body.style.overflow = '';
+        pauseActiveMedia();
+        if (previewVideoPlayer && document.pictureInPictureElement !== previewVideoPlayer.video) {
+            previewVideoPlayer.destroy();
+            previewVideoPlayer = null;
+        }
+        closePdfViewer();
+        closeHexViewer();
+        closeTableView();
+        closeLogFollow();
+        clearLineAnchor();
+        window.DirForgeHashState.popParam('preview');
+    }
+
+    // --- URL hash state (#filter=\u2026&preview=\u2026&L120) ---
+    var currentPageKey = window.DirForgeHashState.pageKey;
+    var readHashState = window.DirForgeHashState.read;
+    var writeHashState = window.DirForgeHashState.write;
+
+    // --- Line anchors (#L120) ---
+    function setLineAnchor(start, end) {
+        var file = previewFiles[previewCurrentIndex];
+        if (!file) return;
+        var state = readHashState();
+        state.lines = window.DirForgeCodeView.formatLineHash(start, end).substring(1);
+        writeHashState(state);
+        try {
+            sessionStorage.setItem(previewLineStorageKey, JSON.stringify({ page: currentPageKey(), path: file.path }));
+        } catch (e) { /* storage unavailable */ }
+    }
+
+    function clearLineAnchor() {
+        var state = readHashState();
+        if (state.lines) {
+            state.lines = '';
+            writeHashState(state);
+        }
+        try {
+            sessionStorage.removeItem(previewLineStorageKey);
+        } catch (e) { /* storage unavailable */ }
+    }
+
+    function findSavedLineAnchorFile() {
+        var saved = null;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(previewLineStorageKey) || 'null');
+        } catch (e) { /* storage unavailable or malformed */ }
+        if (!saved || saved.page !== currentPageKey()) return -1;
+        for (var i = 0; i < previewFiles.length; i++) {
+            if (previewFiles[i].path === saved.path) return i;
+        }
+        return -1;
+    }
+
+    // --- PDF page anchors (#page=3) ---
+    function setPdfPageAnchor(page) {
+        var state = readHashState();
+        state.params.page = page > 1 ? String(page) : '';
+        writeHashState(state);
+        var viewUrl = previewOpenTab.href.split('#')[0];
+        previewOpenTab.href = page > 1 ? viewUrl + '#page=' + page : viewUrl;
+    }
+
+    function closePdfViewer() {
+        if (!previewPdfViewer) return;
+        previewPdfViewer.destroy();
+        previewPdfViewer = null;
+        var state = readHashState();
+        if (state.params.page) {
+            state.params.page = '';
+            writeHashState(state);
+        }
+    }
+
+    function closeHexViewer() {
+        if (!previewHexViewer) return;
+        previewHexViewer.destroy();
+        previewHexViewer = null;
+    }
+
+    function closeTableView() {
+        if (!previewTableView) return;
+        previewTableView.destroy();
+        previewTableView = null;
+    }
+
+    // --- Log follow ---
+    function closeLogFollow() {
+        if (!previewLogFollow) return;
+        previewLogFollow.destroy();
+        previewLogFollow = null;
+    }
+
+    // The Follow button is part of the code view, which the text pager redraws as it jumps around the file.
+    if (previewContent) {
+        previewContent.addEventListener('click', function(e) {
+            if (!previewFollowUrl || !e.target.closest('.log-follow-btn')) return;
+            previewLogFollow = window.DirForgeLogFollow.render(previewContent, {
+                url: previewFollowUrl,
+                onStop: function() {
+                    previewLogFollow = null;
+                    loadPreview(previewCurrentIndex);
+                }
+            });
+        });
+    }
+
+    // --- Preview deep links (#preview=config.yaml, optionally with &L120 or &page=3) ---
+    function previewFileName(file) {
+        return file.path.substring(file.path.lastIndexOf('/') + 1);
+    }
+
+    function findPreviewFile(name) {
+        for (var i = 0; i < previewFiles.length; i++) {
+            if (previewFileName(previewFiles[i]) === name) return i;
+        }
+        return -1;
+    }
+
+    // A link naming a file opens its preview; a bare line anchor reopens the file it was saved for.
+    function restorePreviewState() {
+        var state = readHashState();
+        var lines = state.lines;
+        var selection = window.DirForgeCodeView.parseLineHash(lines);
+        var index = state.params.preview ? findPreviewFile(state.params.preview) : selection ? findSavedLineAnchorFile() : -1;
+        if (index < 0) return;
+
+        // The preview and its line anchor move to a history entry of their own, so Back closes the
+        // preview instead of leaving the folder; the PDF viewer writes its page back once it opens.
+        state.params.preview = '';
+        state.lines = '';
+        pendingPdfPage = parseInt(state.params.page, 10) || null;
+        state.params.page = '';
+        writeHashState(state);
+        pendingLineSelection = selection;
+        openPreview(index);
+        if (lines) {
+            state = readHashState();
+            state.lines = lines;
+            writeHashState(state);
+        }
+    }
+
+    window.addEventListener('popstate', function() {
+        if (!previewModal) return;
+        var name = readHashState().params.preview;
+        var index = name ? findPreviewFile(name) : -1;
+        if (index < 0) {
+            if (!previewModal.hidden) closePreview();
+        } else if (previewModal.hidden || index !== previewCurrentIndex) {
+            pauseActiveMedia();
+            showPreview(index);
+        }
+    });
+
+    // Text past the first chunk loads from `fetchUrl` as the preview scrolls. Files the server
+    // can stream appended text from get a Follow button.
+    function renderTextPreview(data, fetchUrl, target) {
+        var selection = pendingLineSelection;
+        pendingLineSelection = null;
+        var options = {
+            language: window.DirForgeCodeView.resolveLanguage(data.name, data.extension, data.detectedFileType),
+            onLineSelect: setLineAnchor,
+            selection: selection
+        };
+        if (!target) {
+            previewFollowUrl = data.followUrl || null;
+            if (previewFollowUrl && typeof window.EventSource === 'function') {
+                options.toolbarHtml = '<button type="button" class="code-view-btn log-follow-btn" title="Show lines as they are appended to the file">Follow</button>';
+            }
+        }
+        if (data.textTruncated) {
+            options.url = fetchUrl;
+            window.DirForgeTextPager.render(target || previewContent, data, options);
+        } else {
+            window.DirForgeCodeView.render(target || previewContent, data.textContent || '', options);
+        }
+    }
+
+    function buildFileUrl(path, handler) {
+        var pathSegments = path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+        var url = new URL('/' + pathSegments, window.location.origin);
+        if (handler) url.searchParams.set('handler', handler);
+        if (activeShareToken) url.searchParams.set('s', activeShareToken);
+        return url.pathname + url.search;
+    }
+
+    function renderMarkupPreview(data, truncatedMessage, fetchUrl) {
+        renderMarkup(previewContent, data, previewFiles[previewCurrentIndex].path, {
+            footerHtml: data.textTruncated ? '<div class="preview-truncated">' + escapeHtml(truncatedMessage) + '</div>' : '',
+            initialMode: pendingLineSelection ? 'source' : null,
+            renderSource: function(target) { renderTextPreview(data, fetchUrl, target); }
+        });
+    }
+
+    // Line anchors in the address point into the raw text, so they open that view.
+    function renderStructuredPreview(data, fetchUrl) {
+        window.DirForgeStructuredView.render(previewContent, data.structured, {
+            initialMode: pendingLineSelection ? 'raw' : null,
+            renderSource: function(target) { renderTextPreview(data, fetchUrl, target); }
+        });
+    }
+
+    function renderMarkup(container, data, filePath, options) {
+        window.DirForgeMarkup.render(container, data.textContent || '', {
+            format: window.DirForgeMarkup.resolveFormat(data.extension),
+            basePath: filePath.substring(0, filePath.lastIndexOf('/') + 1),
+            resolveUrl: function(path, isImage) { return buildFileUrl(path, isImage ? 'View' : ''); },
+            footerHtml: options.footerHtml,
+            initialMode: options.initialMode,
+            renderSource: options.renderSource
+        });
+    }
+
+    // --- README panel ---
+    function loadReadmePanel(panel) {
+        var readmePath = panel.getAttribute('data-readme-path') || '';
+        var readmeContent = document.getElementById('readmeContent');
+        if (!readmePath || !readmeContent) return;
+
+        fetch(buildFileUrl(readmePath, 'PreviewInfo'))
+            .then(function(r) {
+                if (!r.ok) throw new Error('Failed to load README (' + r.status + ')');
+                return r.json();
+            })
+            .then(function(data) {
+                var text = data.textContent || '';
+                var renderSource = function(target) {
+                    window.DirForgeCodeView.render(target, text, {
+                        language: window.DirForgeCodeView.resolveLanguage(data.name, data.extension, data.detectedFileType)
+                    });
+                };
+                if (!text.trim()) return;
+                if (data.previewMode === 'markdown') {
+                    renderMarkup(readmeContent, data, readmePath, { initialMode: 'rendered', renderSource: renderSource });
+                } else if (data.previewMode === 'text') {
+                    renderSource(readmeContent);
+                } else {
+                    return;
+                }
+                panel.hidden = false;
+            })
+            .catch(function() {
+                panel.hidden = true;
+            });
+    }
+
+    function loadPreview(index) {
+        var file = previewFiles[index];
+        if (!pendingLineSelection) clearLineAnchor();
+        if (previewVideoPlayer) previewVideoPlayer.destroy();
+        previewVideoPlayer = null;
+        closePdfViewer();
+        closeHexViewer();
+        closeTableView();
+        closeLogFollow();
+        previewFollowUrl = null;
+        previewContent.innerHTML = '<div class="preview-loading">Loading\u2026</div>';
+        previewMeta.innerHTML = '';
+        setPreviewInfo(null);
+        previewTitle.textContent = '';
+        previewIcon.src = file.icon;
+        previewPosition.textContent = (index + 1) + ' / ' + previewFiles.length;
+        previewPrev.disabled = index === 0;
+        previewNext.disabled = index === previewFiles.length - 1;
+
+        var pathSegments = file.path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+        var url = new URL('/' + pathSegments, window.location.origin);
+        url.searchParams.set('handler', 'PreviewInfo');
+        var shareParam = activeShareToken;
+        if (shareParam) url.searchParams.set('s', shareParam);
+        var fetchUrl = url.toString();
+
+        fetch(fetchUrl)
+            .then(function(r) {
+                if (!r.ok) throw new Error('Failed to load preview (' + r.status + ')');
+                return r.json();
+            })
+            .then(function(data) {
+                previewTitle.textContent = data.name;
+                previewOpenTab.href = data.viewUrl;
+                if (previewDownload) previewDownload.href = data.downloadUrl || '#';
+
+                renderPreviewContent(data, fetchUrl);
+                renderPreviewMeta(data);
+                pendingLineSelection = null;
+                pendingPdfPage = null;
+            })
+            .catch(function(err) {
+                pendingLineSelection = null;
+                pendingPdfPage = null;
+                previewContent.innerHTML = '<div class="preview-none"><p>' + escapeHtml(err.message) + '</p></div>';
+            });
+    }
+
+    function renderPreviewContent(data, fetchUrl) {
+        var html = '';
+        switch (data.previewMode) {
+            case 'text':
+                renderTextPreview(data, fetchUrl);
+                return;
+            case 'markdown':
+                renderMarkupPreview(data, 'File truncated at 128 KB. Switch to Source to read the rest.', fetchUrl);
+                return;
+            case 'image':
+                html = '<div class="preview-image"><img src="' + escapeHtml(data.viewUrl) + '" alt="' + escapeHtml(data.name) + '"></div>';
+                break;
+            case 'video':
+                previewVideoPlayer = window.DirForgeVideoPlayer.render(previewContent, {
+                    src: data.viewUrl,
+                    subtitles: data.subtitles,
+                    resumeKey: previewFiles[previewCurrentIndex].path + ':' + data.size
+                });
+                return;
+            case 'hls':
+                previewVideoPlayer = window.DirForgeVideoPlayer.render(previewContent, {
+                    src: data.hlsUrl,
+                    hls: true,
+                    resumeKey: previewFiles[previewCurrentIndex].path + ':' + data.size
+                });
+                return;
+            case 'audio':
+                html = '<div class="preview-audio"><audio controls preload="metadata" src="' + escapeHtml(data.viewUrl) + '"></audio></div>';
+                break;
+            case 'pdf':
+                previewPdfViewer = window.DirForgePdfViewer.render(previewContent, {
+                    src: data.viewUrl,
+                    page: pendingPdfPage,
+                    onPageChange: setPdfPageAnchor
+                });
+                return;
+            case 'office':
+                window.DirForgeOfficePreview.render(previewContent, data.office);
+                return;
+            case 'structured':
+                renderStructuredPreview(data, fetchUrl);
+                return;
+            case 'table':
+                previewTableView = window.DirForgeTableView.render(previewContent, {
+                    url: data.tableUrl,
+                    table: data.table,
+                    size: data.size,
+                    onShowText: fetchUrl ? function(btn) { loadForcedTextPreview(fetchUrl, btn); } : null
+                });
+                return;
+            case 'hex':
+                previewHexViewer = window.DirForgeHexViewer.render(previewContent, {
+                    url: data.hexUrl,
+                    size: data.size,
+                    magicBytes: data.magicBytes,
+                    detectedFileType: data.detectedFileType,
+                    onShowText: fetchUrl ? function(btn) { loadForcedTextPreview(fetchUrl, btn); } : null
+                });
+                return;
+            default:
+                html = '<div class="preview-none"><img src="' + escapeHtml(data.iconPath || '') + '" alt="" class="preview-none-icon"><p>No preview available</p><button type="button" class="preview-text-btn">Show text preview</button></div>';
+                break;
+        }
+        previewContent.innerHTML = html;
+
+        if (data.previewMode !== 'text' && data.previewMode !== 'image' && data.previewMode !== 'video' && data.previewMode !== 'audio' && data.previewMode !== 'pdf') {
+            var btn = previewContent.querySelector('.preview-text-btn');
+            if (btn && fetchUrl) {
+                btn.addEventListener('click', function() { loadForcedTextPreview(fetchUrl, btn); });
+            }
+        }
+    }
+
+    // Decodes the file as text whatever its type; `btn` shows the progress.
+    function loadForcedTextPreview(fetchUrl, btn) {
+        var textUrl = fetchUrl + (fetchUrl.indexOf('?') >= 0 ? '&' : '?') + 'forceText=true';
+        btn.disabled = true;
+        btn.textContent = 'Loading\u2026';
+        fetch(textUrl)
+            .then(function(r) { return r.json(); })
+            .then(function(d) {
+                closeHexViewer();
+                closeTableView();
+                renderTextPreview(d, textUrl);
+            })
+            .catch(function() {
+                btn.textContent = 'Failed to load';
+            });
+    }
+
+    function renderPreviewMeta(data) {
+        var chips = [
+            { label: 'MIME', value: data.mimeType }
+        ];
+        if (data.detectedFileType) {
+            chips.push({ label: 'Detected', value: data.detectedFileType });
+        }
+        chips.push({ label: 'Size', value: data.humanSize });
+        chips.push({ label: 'Modified', value: data.modified });
+        var html = '';
+        for (var i = 0; i < chips.length; i++) {
+            html += '<span class="preview-chip"><span class="preview-chip-label">' + escapeHtml(chips[i].label) + '</span>' + escapeHtml(chips[i].value) + '</span>';
+        }
+        if (previewInfo && window.DirForgeMediaInfo.hasDetails(data.metadata)) {
+            html += '<button type="button" class="preview-hash-btn preview-info-btn" id="previewInfoBtn" aria-controls="previewInfo" title="Show details (i)">'
+                  + escapeHtml(window.DirForgeMediaInfo.label(data.metadata)) + '</button>';
+        }
+        if (data.size <= data.maxFileSizeForHashing) {
+            html += '<button type="button" class="preview-hash-btn" id="previewHashBtn">Calculate hashes</button>';
+        }
+        if (data.sidecarAlgorithm) {
+            var verifyLabel = data.sidecarTargetPath
+                ? 'Verify ' + escapeHtml(data.sidecarTargetPath.split('/').pop())
+                : 'Verify ' + escapeHtml(data.sidecarAlgorithm.toUpperCase());
+            html += '<button type="button" class="preview-hash-btn preview-verify-btn" id="previewVerifyBtn">'
+                  + verifyLabel + '</button>';
+        }
+        previewVerifyTargetPath = data.sidecarTargetPath || null;
+        previewMeta.innerHTML = html;
+        previewHashes.innerHTML = '';
+        setPreviewInfo(data.metadata);
+
+        var infoBtn = document.getElementById('previewInfoBtn');
+        if (infoBtn) {
+            infoBtn.addEventListener('click', togglePreviewInfo);
+        }
+
+        var hashBtn = document.getElementById('previewHashBtn');
+        if (hashBtn) {
+            hashBtn.addEventListener('click', function() {
+                hashBtn.textContent = 'Calculating\u2026';
+                hashBtn.disabled = true;
+
+                var pathSegments = previewFiles[previewCurrentIndex].path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+                var hashUrl = new URL('/' + pathSegments, window.location.origin);
+                hashUrl.searchParams.set('handler', 'FileHashes');
+                var shareParam = activeShareToken;
+                if (shareParam) hashUrl.searchParams.set('s', shareParam);
+
+                fetch(hashUrl.toString())
+                    .then(function(r) {
+                        if (!r.ok) throw new Error('Hash calculation failed (' + r.status + ')');
+                        return r.json();
+                    })
+                    .then(function(hashes) {
+                        var hashNames = ['crc32', 'md5', 'sha1', 'sha256', 'sha512'];
+                        var hashLabels = { crc32: 'CRC32', md5: 'MD5', sha1: 'SHA1', sha256: 'SHA256', sha512: 'SHA512' };
+                        var hhtml = '';
+                        for (var j = 0; j < hashNames.length; j++) {
+                            var key = hashNames[j];
+                            hhtml += '<span class="preview-hash-chip" title="Click to copy" data-hash-value="' + escapeHtml(hashes[key]) + '">'
+                                   + '<span class="preview-chip-label">' + hashLabels[key] + '</span>'
+                                   + '<span class="preview-hash-value">' + escapeHtml(hashes[key]) + '</span>'
+                                   + '<svg class="hash-check" xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>'
+                                   + '</span>';
+                        }
+                        hashBtn.style.display = 'none';
+                        previewHashes.innerHTML = hhtml;
+
+                        previewHashes.querySelectorAll('.preview-hash-chip').forEach(function(chip) {
+                            chip.addEventListener('click', function() {
+                                var val = chip.getAttribute('data-hash-value');
+                                var label = chip.querySelector('.preview-chip-label');
+                                var originalLabel = label ? label.textContent : '';
+                                var done = function() {
+                                    chip.classList.add('copied');
+                                    if (label) label.textContent = 'Copied';
+                                    setTimeout(function() {
+                                        chip.classList.remove('copied');
+                                        if (label) label.textContent = originalLabel;
+                                    }, 2000);
+                                };
+                                copyToClipboard(val, done);
+                            });
+                        });
+                    })
+                    .catch(function(err) {
+                        previewHashes.innerHTML = '<span class="preview-hash-error">' + escapeHtml(err.message) + '</span>';
+                    });
+            });
+        }
+
+        var verifyBtn = document.getElementById('previewVerifyBtn');
+        if (verifyBtn) {
+            verifyBtn.addEventListener('click', function() {
+                verifyBtn.textContent = 'Verifying\u2026';
+                verifyBtn.disabled = true;
+                verifyBtn.classList.remove('preview-verify-ok', 'preview-verify-fail');
+
+                var targetPath = previewVerifyTargetPath || previewFiles[previewCurrentIndex].path;
+                var pathSegments = targetPath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+                var verifyUrl = new URL('/' + pathSegments, window.location.origin);
+                verifyUrl.searchParams.set('handler', 'VerifySidecar');
+                var shareParam = activeShareToken;
+                if (shareParam) verifyUrl.searchParams.set('s', shareParam);
+
+                fetch(verifyUrl.toString())
+                    .then(function(r) {
+                        if (!r.ok) return r.text().then(function(t) { throw new Error(t || 'Verification failed (' + r.status + ')'); });
+                        return r.json();
+                    })
+                    .then(function(result) {
+                        if (result.verified) {
+                            verifyBtn.classList.add('preview-verify-ok');
+                            verifyBtn.textContent = 'Verified';
+                            verifyBtn.title = result.algorithm.toUpperCase() + ': ' + result.computedHash;
+                        } else {
+                            verifyBtn.classList.add('preview-verify-fail');
+                            verifyBtn.textContent = 'Mismatch';
+                            verifyBtn.title = 'Expected: ' + result.expectedHash + '\nGot: ' + result.computedHash;
+                        }
+                    })
+                    .catch(function(err) {
+                        verifyBtn.classList.add('preview-verify-fail');
+                        verifyBtn.textContent = 'Error';
+                        verifyBtn.title = err.message;
+                    });
+            });
+        }
+    }
+
+    // The details panel stays open across files (and sessions) once expanded.
+    function setPreviewInfo(metadata) {
+        if (!previewInfo) return;
+        var html = window.DirForgeMediaInfo.hasDetails(metadata) ? window.DirForgeMediaInfo.toHtml(metadata) : '';
+        previewInfo.innerHTML = html;
+        showPreviewInfo(!!html && window.DirForgeMediaInfo.isOpen());
+    }
+
+    function showPreviewInfo(open) {
+        previewInfo.hidden = !open;
+        var infoBtn = document.getElementById('previewInfoBtn');
+        if (infoBtn) infoBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+    }
+
+    function togglePreviewInfo() {
+        if (!previewInfo || !previewInfo.innerHTML) return;
+        var open = previewInfo.hidden;
+        window.DirForgeMediaInfo.setOpen(open);
+        showPreviewInfo(open);
+    }
+
+    if (previewCloseBtn) {
+        previewCloseBtn.addEventListener('click', closePreview);
+    }
+
+    if (previewModal) {
+        previewModal.addEventListener('click', function(e) {
+            if (e.target === previewModal) closePreview();
+        });
+    }
+
+    if (previewPrev) {
+        previewPrev.addEventListener('click', function() {
+            if (previewCurrentIndex > 0) {
+                pauseActiveMedia();
+                openPreview(previewCurrentIndex - 1);
+            }
+        });
+    }
+
+    if (previewNext) {
+        previewNext.addEventListener('click', function() {
+            if (previewCurrentIndex < previewFiles.length - 1) {
+                pauseActiveMedia();
+                openPreview(previewCurrentIndex + 1);
+            }
+        });
+    }
+
+    document.addEventListener('keydown', function(e) {
+        if (e.defaultPrevented) return;
+        if (e.key === 'Escape' && window.DirForgeQR && window.DirForgeQR.isOpen && window.DirForgeQR.isOpen()) {
+            window.DirForgeQR.close();
+            e.preventDefault();
+            return;
+        }
+        if (previewModal && !previewModal.hidden) {
+            if (e.key === 'Escape') { closePreview(); e.preventDefault(); }
+            else if (e.key === 'ArrowLeft' && previewCurrentIndex > 0) { pauseActiveMedia(); openPreview(previewCurrentIndex - 1); e.preventDefault(); }
+            else if (e.key === 'ArrowRight' && previewCurrentIndex < previewFiles.length - 1) { pauseActiveMedia(); openPreview(previewCurrentIndex + 1); e.preventDefault(); }
+            else if (e.key === 'i' && !e.ctrlKey && !e.metaKey && !e.altKey && !isTypingTarget(e.target)) { togglePreviewInfo(); e.preventDefault(); }
+            else if (previewVideoPlayer && previewVideoPlayer.handleKey(e)) { e.preventDefault(); }
+            else if (previewPdfViewer && previewPdfViewer.handleKey(e)) { e.preventDefault(); }
+            else if (previewHexViewer && previewHexViewer.handleKey(e)) { e.preventDefault(); }
+        } else if (e.key === 'Escape' && selectionHashesModal && !selectionHashesModal.hidden) {
+            closeSelectionHashes();
+            e.preventDefault();
+        } else if (e.key === 'Escape' && hasSelection() && (!shareModal || shareModal.hidden)) {
+            clearSelection();
+            e.preventDefault();
+        }
+    });
+
+    // --- Multi-select ---
+    var selectionToolbar = document.getElementById('selectionToolbar');
+    var selectionSummary = document.getElementById('selectionSummary');
+    var selectionFolderPath = selectionToolbar ? selectionToolbar.getAttribute('data-folder-path') || '' : '';
+    var selectionHashesModal = document.getElementById('selectionHashesModal');
+    var selectionHashesList = document.getElementById('selectionHashesList');
+    var selectionHashAlgorithm = document.getElementById('selectionHashAlgorithm');
+    var selectionHashesCopy = document.getElementById('selectionHashesCopy');
+    var selectionHashesClose = document.getElementById('selectionHashesClose');
+    var selectedPaths = {};
+    var selectionAnchorPath = null;
+    var selectionHashResults = [];
+    var selectionHashRun = 0;
+
+    function getEntryRows(visibleOnly) {
+        var rows = Array.prototype.slice.call(document.querySelectorAll('tr[data-entry-row="1"]'));
+        return visibleOnly ? rows.filter(function(row) { return !row.hidden; }) : rows;
+    }
+
+    // Entries as { path, isDirectory, sizeKnown, size }: read from the rows, or the loaded items when paged.
+    function getEntryRecords(visibleOnly) {
+        if (listingPaged) return pagedItems;
+        return getEntryRows(visibleOnly).map(function(row) {
+            return {
+                path: row.getAttribute('data-path'),
+                isDirectory: row.getAttribute('data-is-directory') === 'true',
+                sizeKnown: row.getAttribute('data-size-known') === 'true',
+                size: parseSizeBytes(row.getAttribute('data-size-bytes'))
+            };
+        });
+    }
+
+    function getSelectedEntries() {
+        return getEntryRecords(false)
+            .filter(function(record) { return selectedPaths[record.path]; })
+            .map(function(record) {
+                var path = record.path;
+                return {
+                    path: path,
+                    name: selectionFolderPath && path.indexOf(selectionFolderPath + '/') === 0
+                        ? path.substring(selectionFolderPath.length + 1)
+                        : path,
+                    isDirectory: record.isDirectory
+                };
+            });
+    }
+
+    function hasSelection() {
+        return Object.keys(selectedPaths).length > 0;
+    }
+
+    function setEntrySelected(path, selected) {
+        if (selected) selectedPaths[path] = true;
+        else delete selectedPaths[path];
+    }
+
+    // Shift extends from the last clicked entry over the rows currently visible.
+    function applySelection(path, selected, extend) {
+        var paths = getEntryRecords(true).map(function(record) { return record.path; });
+        var from = extend ? paths.indexOf(selectionAnchorPath) : -1;
+        var to = paths.indexOf(path);
+        if (from < 0 || to < 0) {
+            setEntrySelected(path, selected);
+        } else {
+            for (var i = Math.min(from, to); i <= Math.max(from, to); i++) {
+                setEntrySelected(paths[i], selected);
+            }
+        }
+        selectionAnchorPath = path;
+        updateSelectionUi();
+    }
+
+    function clearSelection() {
+        selectedPaths = {};
+        selectionAnchorPath = null;
+        updateSelectionUi();
+    }
+
+    function pruneHiddenSelection() {
+        var changed = false;
+        getEntryRows(false).forEach(function(row) {
+            var path = row.getAttribute('data-path');
+            if (row.hidden && selectedPaths[path]) {
+                delete selectedPaths[path];
+                changed = true;
+            }
+        });
+        if (changed) updateSelectionUi();
+    }
+
+    function updateSelectionUi() {
+        var count = 0;
+        var fileCount = 0;
+        var bytes = 0;
+        var sizeUnknown = false;
+
+        getEntryRows(false).forEach(function(row) {
+            var selected = !!selectedPaths[row.getAttribute('data-path')];
+            var checkbox = row.querySelector('.entry-select');
+            if (checkbox) checkbox.checked = selected;
+            row.classList.toggle('is-selected', selected);
+        });
+        getEntryRecords(false).forEach(function(record) {
+            if (!selectedPaths[record.path]) return;
+            count++;
+            if (!record.isDirectory) fileCount++;
+            if (record.sizeKnown) bytes += record.size;
+            else sizeUnknown = true;
+        });
+        document.querySelectorAll('.grid-card[data-path]').forEach(function(card) {
+            card.classList.toggle('is-selected', !!selectedPaths[card.getAttribute('data-path')]);
+        });
+        document.body.classList.toggle('has-selection', count > 0);
+
+        if (!selectionToolbar) return;
+        selectionToolbar.hidden = count === 0;
+        if (selectionSummary) {
+            var sizeText = fileCount === 0 ? '' : ' \u00b7 ' + humanizeSize(bytes) + (sizeUnknown ? ' (files only)' : '');
+            selectionSummary.textContent = count + ' selected' + sizeText;
+        }
+        var hashesBtn = selectionToolbar.querySelector('[data-selection-action="hashes"]');
+        if (hashesBtn) hashesBtn.disabled = fileCount === 0;
+        var playBtn = selectionToolbar.querySelector('[data-selection-action="play"]');
+        if (playBtn) playBtn.disabled = !collectAudioTracks(true).length;
+    }
+
+    function buildEntryUrl(entry) {
+        var segments = entry.path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+        var url = new URL('/' + segments + (entry.isDirectory ? '/' : ''), window.location.origin);
+        if (activeShareToken) url.searchParams.set('s', activeShareToken);
+        return url.toString();
+    }
+
+    function downloadSelectionZip(entries) {
+        var form = document.createElement('form');
+        form.method = 'post';
+        form.action = window.location.pathname + '?handler=DownloadSelection'
+            + (activeShareToken ? '&s=' + encodeURIComponent(activeShareToken) : '');
+        form.hidden = true;
+        entries.forEach(function(entry) {
+            var input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = 'paths';
+            input.value = entry.path;
+            form.appendChild(input);
+        });
+        document.body.appendChild(form);
+        form.submit();
+        document.body.removeChild(form);
+    }
+
+    function flashSelectionButton(btn, className) {
+        btn.classList.add(className);
+        setTimeout(function() { btn.classList.remove(className); }, 2000);
+    }
+
+    function renderSelectionHashes() {
+        if (!selectionHashesList) return;
+        var algorithm = selectionHashAlgorithm ? selectionHashAlgorithm.value : 'sha256';
+        selectionHashesList.innerHTML = selectionHashResults.map(function(item) {
+            var value = item.hashes
+                ? '<code class="selection-hash-value">' + escapeHtml(item.hashes[algorithm] || '') + '</code>'
+                : '<span class="selection-hash-status' + (item.error ? ' selection-hash-error' : '') + '">'
+                    + escapeHtml(item.error || 'Calculating\u2026') + '</span>';
+            return '<li class="selection-hash-item"><span class="selection-hash-name" title="' + escapeHtml(item.name) + '">'
+                + escapeHtml(item.name) + '</span>' + value + '</li>';
+        }).join('');
+    }
+
+    function openSelectionHashes(entries) {
+        if (!selectionHashesModal) return;
+        var run = ++selectionHashRun;
+        selectionHashResults = entries
+            .filter(function(entry) { return !entry.isDirectory; })
+            .map(function(entry) { return { path: entry.path, name: entry.name, hashes: null, error: '' }; });
+        renderSelectionHashes();
+        selectionHashesModal.hidden = false;
+
+        // One file at a time keeps large selections from saturating the server.
+        (function hashNext(index) {
+            if (run !== selectionHashRun || index >= selectionHashResults.length) return;
+            var item = selectionHashResults[index];
+            fetch(buildFileUrl(item.path, 'FileHashes'))
+                .then(function(r) {
+                    if (r.status === 400) throw new Error('Exceeds the hashing size limit');
+                    if (!r.ok) throw new Error('Hash calculation failed (' + r.status + ')');
+                    return r.json();
+                })
+                .then(function(hashes) { item.hashes = hashes; }, function(err) { item.error = err.message; })
+                .then(function() {
+                    if (run !== selectionHashRun) return;
+                    renderSelectionHashes();
+                    hashNext(index + 1);
+                });
+        })(0);
+    }
+
+    function closeSelectionHashes() {
+        if (!selectionHashesModal) return;
+        selectionHashRun++;
+        selectionHashesModal.hidden = true;
+    }
+
+    if (tableView) {
+        tableView.addEventListener('click', function(e) {
+            var row = e.target.closest('tr[data-entry-row="1"]');
+            if (!row) return;
+            var path = row.getAttribute('data-path');
+            if (e.target.classList.contains('entry-select')) {
+                applySelection(path, e.target.checked, e.shiftKey);
+                return;
+            }
+            if (!(e.ctrlKey || e.metaKey || e.shiftKey) || e.target.closest('a, button, input, label')) return;
+            e.preventDefault();
+            if (window.getSelection) window.getSelection().removeAllRanges();
+            applySelection(path, !selectedPaths[path], e.shiftKey);
+        });
+    }
+
+    if (gridView) {
+        // Capture phase so selection clicks never reach the card's own open/preview handler.
+        gridView.addEventListener('click', function(e) {
+            var card = e.target.closest('.grid-card[data-path]');
+            if (!card) return;
+            if (!e.target.closest('.grid-card-check') && !(e.ctrlKey || e.metaKey || e.shiftKey)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            var path = card.getAttribute('data-path');
+            applySelection(path, !selectedPaths[path], e.shiftKey);
+        }, true);
+    }
+
+    if (selectionToolbar) {
+        selectionToolbar.addEventListener('click', function(e) {
+            var btn = e.target.closest('[data-selection-action]');
+            if (!btn) return;
+            var entries = getSelectedEntries();
+            var action = btn.getAttribute('data-selection-action');
+            if (action === 'clear') {
+                clearSelection();
+            } else if (!entries.length) {
+                return;
+            } else if (action === 'zip') {
+                downloadSelectionZip(entries);
+            } else if (action === 'share') {
+                if (entries.length === 1) {
+                    openShareModal(entries[0].path, entries[0].isDirectory ? 'folder' : 'file');
+                } else {
+                    openShareModal(selectionFolderPath, 'selection', entries.map(function(entry) { return entry.path; }));
+                }
+            } else if (action === 'links') {
+                copyToClipboard(entries.map(buildEntryUrl).join('\n'),
+                    function() { flashSelectionButton(btn, 'copied'); },
+                    function() { flashSelectionButton(btn, 'failed'); });
+            } else if (action === 'hashes') {
+                openSelectionHashes(entries);
+            } else if (action === 'play') {
+                window.DirForgeAudioPlayer.play(collectAudioTracks(true), 0);
+            }
+        });
+    }
+
+    // --- Audio player ---
+    // Queues come from the listing in its current order and filter: the whole folder, or only the selection.
+    var audioPlayAllBtn = document.getElementById('audioPlayAll');
+
+    function currentFolderName() {
+        var segments = window.location.pathname.split('/').filter(Boolean);
+        try {
+            return segments.length ? decodeURIComponent(segments[segments.length - 1]) : '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    function collectAudioTracks(selectedOnly) {
+        var album = currentFolderName();
+        var items = listingPaged
+            ? pagedItems.map(function(item) { return { path: item.path, name: item.name, url: item.audioHref }; })
+            : getEntryRows(true).map(function(row) {
+                return { path: row.getAttribute('data-path'), name: row.getAttribute('data-name'), url: row.getAttribute('data-audio-href') };
+            });
+        return items
+            .filter(function(item) { return item.url && (!selectedOnly || selectedPaths[item.path]); })
+            .map(function(item) { return { path: item.path, name: item.name, url: item.url, album: album }; });
+    }
+
+    function updateAudioPlayAll() {
+        if (audioPlayAllBtn) audioPlayAllBtn.style.display = collectAudioTracks(false).length ? '' : 'none';
+    }
+
+    if (audioPlayAllBtn) {
+        audioPlayAllBtn.addEventListener('click', function() {
+            window.DirForgeAudioPlayer.play(collectAudioTracks(false), 0);
+        });
+    }
+
+    // Delegated so rows rendered later by the paged listing work too.
+    document.addEventListener('click', function(e) {
+        var btn = e.target.closest ? e.target.closest('.audio-play-btn') : null;
+        if (!btn) return;
+        var playlistHref = btn.getAttribute('data-playlist-href');
+        if (playlistHref) {
+            window.DirForgeAudioPlayer.playPlaylist(playlistHref);
+            return;
+        }
+        var tracks = collectAudioTracks(false);
+        var path = btn.getAttribute('data-play-path');
+        for (var i = 0; i < tracks.length; i++) {
+            if (tracks[i].path === path) break;
+        }
+        window.DirForgeAudioPlayer.play(tracks, i < tracks.length ? i : 0);
+    });
+
+    updateAudioPlayAll();
+
+    if (selectionHashesModal) {
+        selectionHashesModal.addEventListener('click', function(e) {
+            if (e.target === selectionHashesModal) closeSelectionHashes();
+        });
+        if (selectionHashesClose) selectionHashesClose.addEventListener('click', closeSelectionHashes);
+        if (selectionHashAlgorithm) selectionHashAlgorithm.addEventListener('change', renderSelectionHashes);
+        if (selectionHashesCopy) {
+            selectionHashesCopy.addEventListener('click', function() {
+                var algorithm = selectionHashAlgorithm ? selectionHashAlgorithm.value : 'sha256';
+                var lines = selectionHashResults
+                    .filter(function(item) { return item.hashes; })
+                    .map(function(item) { return item.hashes[algorithm] + '  ' + item.name; });
+                if (!lines.length) return;
+                copyToClipboard(lines.join('\n') + '\n', function() { flashSelectionButton(selectionHashesCopy, 'copied'); });
+            });
+        }
+    }
+
+    // --- Keyboard navigation ---
+    // One entry at a time is tabbable (roving tabindex); j/k and the arrow keys move it.
+    var keyboardHelpModal = document.getElementById('keyboardHelpModal');
+    var keyboardHelpOpen = document.getElementById('keyboardHelpOpen');
+    var keyboardHelpClose = document.getElementById('keyboardHelpClose');
+    var keyboardHelpReturnFocus = null;
+    var activeEntryKey = null;
+    // Held here because a paged listing detaches the parent row once it scrolls away.
+    var parentLink = document.querySelector('table.listing tr.parent-row .filename-cell a');
+
+    function isGridViewActive() {
+        return !!gridView && document.documentElement.getAttribute('data-view') === 'grid';
+    }
+
+    function getNavItems() {
+        if (isGridViewActive()) {
+            return Array.prototype.slice.call(gridView.querySelectorAll('.grid-card'))
+                .filter(function(card) { return !card.hidden; })
+                .map(function(card) {
+                    return { key: card.getAttribute('data-path') || '..', el: card };
+                });
+        }
+        if (!tableView) return [];
+        return Array.prototype.slice.call(tableView.querySelectorAll('tbody tr.parent-row, tbody tr[data-entry-row="1"]'))
+            .filter(function(row) { return !row.hidden; })
+            .map(function(row) {
+                return { key: row.getAttribute('data-path') || '..', el: row.querySelector('.filename-cell a'), row: row };
+            })
+            .filter(function(item) { return !!item.el; });
+    }
+
+    function syncListingTabindex() {
+        document.querySelectorAll('table.listing .filename-cell a, .grid-view .grid-card').forEach(function(el) {
+            el.setAttribute('tabindex', '-1');
+        });
+        var items = getNavItems();
+        if (!items.length) return null;
+        var active = items.filter(function(item) { return item.key === activeEntryKey; })[0] || items[0];
+        active.el.setAttribute('tabindex', '0');
+        return active;
+    }
+
+    function getFocusedNavIndex(items) {
+        var focused = document.activeElement;
+        for (var i = 0; i < items.length; i++) {
+            if (items[i].el === focused) return i;
+        }
+        return -1;
+    }
+
+    function focusNavItem(items, index) {
+        if (!items.length) return;
+        var item = items[Math.max(0, Math.min(items.length - 1, index))];
+        activeEntryKey = item.key;
+        syncListingTabindex();
+        item.el.focus();
+        if (item.el.scrollIntoView) item.el.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Cards in the first row share the same offsetTop; that count is the column count.
+    function getGridColumnCount(items) {
+        if (!items.length) return 1;
+        var top = items[0].el.offsetTop;
+        var columns = 0;
+        while (columns < items.length && items[columns].el.offsetTop === top) columns++;
+        return Math.max(1, columns);
+    }
+
+    function findEntryRow(key) {
+        if (listingPaged) {
+            var item = findPagedItem(key);
+            return item ? item.row || buildEntryRow(item) : null;
+        }
+        return getEntryRows(false).filter(function(row) { return row.getAttribute('data-path') === key; })[0] || null;
+    }
+
+    function isTypingTarget(el) {
+        if (!el) return false;
+        if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+        return el.tagName === 'INPUT' && ['checkbox', 'radio', 'button', 'submit', 'reset'].indexOf(el.type) < 0;
+    }
+
+    function isOverlayOpen() {
+        return (previewModal && !previewModal.hidden)
+            || (shareModal && !shareModal.hidden)
+            || (selectionHashesModal && !selectionHashesModal.hidden)
+            || (window.DirForgeLightbox && window.DirForgeLightbox.isOpen && window.DirForgeLightbox.isOpen())
+            || (window.DirForgeQR && window.DirForgeQR.isOpen && window.DirForgeQR.isOpen());
+    }
+
+    function openKeyboardHelp() {
+        if (!keyboardHelpModal) return;
+        keyboardHelpReturnFocus = document.activeElement;
+        keyboardHelpModal.hidden = false;
+        if (keyboardHelpClose) keyboardHelpClose.focus();
+    }
+
+    function closeKeyboardHelp() {
+        if (!keyboardHelpModal || keyboardHelpModal.hidden) return;
+        keyboardHelpModal.hidden = true;
+        if (keyboardHelpReturnFocus && keyboardHelpReturnFocus.focus) keyboardHelpReturnFocus.focus();
+        keyboardHelpReturnFocus = null;
+    }
+
+    function switchViewKeepingFocus(mode) {
+        if (!gridView || !tableView) return;
+        var hadFocus = getFocusedNavIndex(getNavItems()) >= 0;
+        setView(mode);
+        if (!hadFocus) return;
+        var items = getNavItems();
+        var index = 0;
+        for (var i = 0; i < items.length; i++) {
+            if (items[i].key === activeEntryKey) index = i;
+        }
+        focusNavItem(items, index);
+    }
+
+    [tableView, gridView].forEach(function(container) {
+        if (!container) return;
+        container.addEventListener('focusin', function() {
+            var items = getNavItems();
+            var index = getFocusedNavIndex(items);
+            if (index < 0) return;
+            activeEntryKey = items[index].key;
+            syncListingTabindex();
+        });
+    });
+
+    if (keyboardHelpModal) {
+        keyboardHelpModal.addEventListener('click', function(e) {
+            if (e.target === keyboardHelpModal) closeKeyboardHelp();
+        });
+        if (keyboardHelpClose) keyboardHelpClose.addEventListener('click', closeKeyboardHelp);
+        if (keyboardHelpOpen) keyboardHelpOpen.addEventListener('click', openKeyboardHelp);
+    }
+
+    document.addEventListener('keydown', function(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (keyboardHelpModal && !keyboardHelpModal.hidden) {
+            if (e.key === 'Escape' || e.key === '?') { closeKeyboardHelp(); e.preventDefault(); }
+            return;
+        }
+        if (isOverlayOpen() || isTypingTarget(e.target)) return;
+
+        var items = getNavItems();
+        var index = getFocusedNavIndex(items);
+        var inListing = index >= 0;
+        var grid = isGridViewActive();
+        var item = inListing ? items[index] : null;
+        var step = 0;
+
+        switch (e.key) {
+            case 'j':
+                step = 1;
+                break;
+            case 'k':
+                step = -1;
+                break;
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (!inListing) return;
+                step = (grid ? getGridColumnCount(items) : 1) * (e.key === 'ArrowDown' ? 1 : -1);
+                break;
+            case 'ArrowRight':
+            case 'ArrowLeft':
+                if (!inListing || !grid) return;
+                step = e.key === 'ArrowRight' ? 1 : -1;
+                break;
+            case 'Home':
+            case 'End':
+                if (!inListing) return;
+                focusNavItem(items, e.key === 'Home' ? 0 : items.length - 1);
+                e.preventDefault();
+                return;
+            case 'Enter':
+                // Folders and archives follow their link; list-view files open the preview like grid cards do.
+                if (!item || !item.row) return;
+                var previewBtn = item.row.querySelector('.preview-open-btn');
+                if (!previewBtn) return;
+                previewBtn.click();
+                e.preventDefault();
+                return;
+            case 'Backspace':
+                if (!parentLink) return;
+                window.location.href = parentLink.href;
+                e.preventDefault();
+                return;
+            case '/':
+                var searchTarget = document.querySelector('.search-input')
+                    || (listingFilter && !listingFilter.hidden ? listingFilterInput : null);
+                if (!searchTarget) return;
+                searchTarget.focus();
+                if (searchTarget.select) searchTarget.select();
+                e.preventDefault();
+                return;
+            case 'g':
+            case 'l':
+                switchViewKeepingFocus(e.key === 'g' ? 'grid' : 'list');
+                e.preventDefault();
+                return;
+            case 's':
+                var shareRow = item ? findEntryRow(item.key) : null;
+                var shareBtn = shareRow ? shareRow.querySelector('.share-open-btn') : null;
+                if (!shareBtn) return;
+                openShareModal(shareBtn.getAttribute('data-target-path'), shareBtn.getAttribute('data-target-type'));
+                e.preventDefault();
+                return;
+            case '?':
+                openKeyboardHelp();
+                e.preventDefault();
+                return;
+            default:
+                return;
+        }
+
+        if (!items.length) return;
+        if (!inListing) {
+            var current = syncListingTabindex();
+            focusNavItem(items, current ? items.indexOf(current) : 0);
+        } else {
+            focusNavItem(items, index + step);
+        }
+        e.preventDefault();
+    });
+
+    syncListingTabindex();
+
+    // --- Entry templates ---
+    // Rows and cards for entries that arrive as JSON (paged chunks, live updates), built from the
+    // templates the page renders in those modes. Items use the ListingPage/ListingEvents entry shape.
+    var entryRowTemplate = document.getElementById('listingRowTemplate');
+    var entryCardTemplate = document.getElementById('listingCardTemplate');
+    var entryActionTemplates = document.getElementById('listingActionTemplates');
+
+    function cloneEntryAction(name) {
+        var template = entryActionTemplates
+            ? entryActionTemplates.content.querySelector('[data-action-template="' + name + '"]')
+            : null;
+        if (!template) return null;
+        var action = template.cloneNode(true);
+        action.removeAttribute('data-action-template');
+        return action;
+    }
+
+    function buildEntryRow(item) {
+        var row = entryRowTemplate.content.firstElementChild.cloneNode(true);
+        var selected = !!selectedPaths[item.path];
+        var title = item.type + ': ' + item.name;
+        row.setAttribute('data-name', item.name);
+        row.setAttribute('data-path', item.path);
+        row.setAttribute('data-dir', item.dir);
+        row.setAttribute('data-is-directory', item.isDirectory ? 'true' : 'false');
+        row.setAttribute('data-size-known', item.sizeKnown ? 'true' : 'false');
+        row.setAttribute('data-size-bytes', item.sizeKnown ? String(item.size) : '');
+        row.setAttribute('data-type', item.type);
+        row.setAttribute('data-modified', String(item.modified));
+        if (item.audioHref) row.setAttribute('data-audio-href', item.audioHref);
+        else row.removeAttribute('data-audio-href');
+        row.classList.toggle('is-selected', selected);
+
+        var checkbox = row.querySelector('.entry-select');
+        checkbox.setAttribute('aria-label', 'Select ' + item.name);
+        checkbox.checked = selected;
+        row.querySelectorAll('a').forEach(function(link) {
+            link.setAttribute('href', item.href);
+            link.setAttribute('title', title);
+        });
+        var icon = row.querySelector('.file-icon');
+        icon.setAttribute('src', item.iconPath);
+        icon.setAttribute('alt', item.type);
+        row.querySelector('.filename-cell a').textContent = item.name;
+        var dateCell = row.querySelector('.date-cell');
+        dateCell.textContent = item.modifiedText;
+        dateCell.classList.toggle('date-cell-today', !!item.isToday);
+        var sizeCell = row.querySelector('.size-cell');
+        sizeCell.textContent = item.humanSize;
+        sizeCell.title = item.sizeTooltip;
+
+        var actions = row.querySelector('.actions-cell');
+        if (!item.isDirectory) {
+            var lightboxBtn = !item.isInlineArchive && item.isImage ? cloneEntryAction('lightbox') : null;
+            if (lightboxBtn) {
+                lightboxBtn.setAttribute('data-lightbox-name', item.name);
+                actions.appendChild(lightboxBtn);
+            }
+            var playBtn = item.audioHref || item.playlistHref ? cloneEntryAction('play') : null;
+            if (playBtn) {
+                playBtn.setAttribute('title', item.playlistHref ? 'Play playlist' : 'Play from here');
+                playBtn.setAttribute('data-play-path', item.path);
+                if (item.playlistHref) playBtn.setAttribute('data-playlist-href', item.playlistHref);
+                actions.appendChild(playBtn);
+            }
+            var previewBtn = cloneEntryAction('preview');
+            previewBtn.setAttribute('data-preview-path', item.path);
+            previewBtn.setAttribute('data-preview-icon', item.iconPath);
+            previewBtn.addEventListener('click', function() { openPreview(previewFiles.indexOf(item.preview)); });
+            actions.appendChild(previewBtn);
+            var downloadLink = cloneEntryAction('download');
+            if (downloadLink) {
+                downloadLink.setAttribute('href', item.downloadHref);
+                actions.appendChild(downloadLink);
+            }
+        }
+        var shareBtn = cloneEntryAction(item.isDirectory ? 'share-folder' : 'share-file');
+        if (shareBtn) {
+            shareBtn.setAttribute('data-target-path', item.path);
+            shareBtn.addEventListener('click', handleShareButtonClick);
+            actions.appendChild(shareBtn);
+        }
+        return row;
+    }
+
+    function buildEntryCard(item) {
+        var card = entryCardTemplate.content.firstElementChild.cloneNode(true);
+        card.setAttribute('data-name', item.name);
+        card.setAttribute('data-path', item.path);
+        card.setAttribute('title', item.type + ': ' + item.name);
+        card.classList.toggle('is-selected', !!selectedPaths[item.path]);
+        card.querySelector('.grid-card-name').textContent = item.name;
+
+        var thumb = card.querySelector('.grid-card-thumb');
+        var icon = document.createElement('img');
+        icon.className = 'grid-card-svg';
+        icon.setAttribute('src', item.iconPath);
+        icon.setAttribute('alt', item.type);
+        icon.setAttribute('width', '64');
+        icon.setAttribute('height', '64');
+        if (item.isDirectory || item.isInlineArchive) {
+            card.setAttribute('href', item.href);
+            thumb.appendChild(icon);
+            return card;
+        }
+
+        card.setAttribute('href', '#');
+        card.classList.add('grid-card-file');
+        card.setAttribute('data-preview-path', item.path);
+        card.setAttribute('data-preview-icon', item.iconPath);
+        card.setAttribute('data-view-href', item.viewHref);
+        card.addEventListener('click', handleGridFileCardClick);
+        if (item.showThumbnail) {
+            var thumbnail = document.createElement('img');
+            thumbnail.className = 'grid-card-thumbnail';
+            thumbnail.setAttribute('loading', 'lazy');
+            thumbnail.setAttribute('alt', '');
+            thumbnail.addEventListener('error', function() {
+                thumbnail.style.display = 'none';
+                icon.style.display = 'block';
+            });
+            thumbnail.setAttribute('src', item.thumbnailHref || item.imageHref);
+            icon.classList.add('grid-card-svg-fallback');
+            icon.style.display = 'none';
+            thumb.appendChild(thumbnail);
+        }
+        thumb.appendChild(icon);
+        return card;
+    }
+
+    // --- Paged listing ---
+    // Folders larger than ListingPageSize arrive with only their first page rendered. Further chunks stream in
+    // from the ListingPage handler as the end comes into view, and only the rows or cards near the viewport
+    // stay in the DOM; a spacer above and below stands in for the rest.
+    var PAGED_OVERSCAN_ROWS = 10;
+    var pagedStatus = document.getElementById('listingPagedStatus');
+    var pagedStatusText = pagedStatus ? pagedStatus.querySelector('.listing-paged-status-text') : null;
+    var pagedRetry = pagedStatus ? pagedStatus.querySelector('.listing-paged-retry') : null;
+    var requestFrame = window.requestAnimationFrame
+        ? window.requestAnimationFrame.bind(window)
+        : function(callback) { return setTimeout(callback, 16); };
+    var pagedViews = null;
+    var pagedItemsByPath = Object.create(null);
+    var pagedImages = [];
+    var pagedTotal = 0;
+    var pagedNextOffset = null;
+    var pagedVersion = '';
+    var pagedRequestId = 0;
+    var pagedLoading = false;
+    var pagedFailed = false;
+    var pagedRetryReload = false;
+    var pagedRenderQueued = false;
+
+    function findPagedItem(path) {
+        return pagedItemsByPath[path] || null;
     }
 
-    // --- QR Code ---
-    var qrBtn = document.getElementById('qrCodeBtn');
-    if (qrBtn) {
-        qrBtn.addEventListener('click', function() {
-            if (window.DirForgeQR) window.DirForgeQR.show(window.location.href);
-        });
+    function addPagedItem(item) {
+        pagedItems.push(item);
+        pagedItemsByPath[item.path] = item;
     }
 
-    var shareModal = document.getElementById('shareModal');
-    var shareOutput = document.getElementById('shareOutput');
-    var shareDuration = document.getElementById('shareDuration');
-    var shareGenerate = document.getElementById('shareGenerate');
-    var shareCopy = document.getElementById('shareCopyInline');
-    var shareClose = document.getElementById('shareClose');
-    var shareError = document.getElementById('shareError');
-    var shareOneTime = document.getElementById('shareOneTime');
-    var shareOneTimeWarning = document.getElementById('shareOneTimeWarning');
-    var shareTargetPath = '';
-    var shareTargetType = '';
-    var activeShareToken = document.body.getAttribute('data-share-token') || '';
+    function createPagedSpacer(grid) {
+        var spacer;
+        if (grid) {
+            spacer = document.createElement('div');
+            spacer.className = 'grid-spacer';
+        } else {
+            spacer = document.createElement('tr');
+            spacer.className = 'listing-spacer';
+            spacer.appendChild(document.createElement('td')).colSpan = 5;
+        }
+        spacer.setAttribute('aria-hidden', 'true');
+        spacer.hidden = true;
+        return spacer;
+    }
 
-    function showShareError(message) {
-        if (!shareError) return;
-        shareError.textContent = message;
-        shareError.style.display = 'block';
+    function setPagedSpacerHeight(spacer, height) {
+        spacer.hidden = height <= 0;
+        (spacer.firstChild || spacer).style.height = Math.max(0, height) + 'px';
     }
 
-    function clearShareError() {
-        if (!shareError) return;
-        shareError.textContent = '';
-        shareError.style.display = 'none';
+    // Slots are the parent (..) entry, when shown, followed by the loaded items.
+    // Whatever the server rendered counts as the initial window.
+    function createPagedView(container, grid) {
+        var view = {
+            grid: grid,
+            container: container,
+            parent: container.querySelector(grid ? '.grid-card-parent' : 'tr.parent-row'),
+            top: createPagedSpacer(grid),
+            bottom: createPagedSpacer(grid),
+            start: 0,
+            end: 0,
+            slotHeight: grid ? 200 : 41,
+            gap: 0
+        };
+        view.end = (view.parent ? 1 : 0) + pagedItems.length;
+        container.insertBefore(view.top, container.firstChild);
+        container.appendChild(view.bottom);
+        return view;
     }
 
-    function openShareModal(path, type) {
-        if (!shareModal) return;
-        shareTargetPath = path || '';
-        shareTargetType = type || '';
-        if (shareOutput) shareOutput.value = '';
-        if (shareOneTime) shareOneTime.checked = false;
-        syncOneTimeWarning();
-        clearShareError();
-        var shareQr = document.getElementById('shareQrContainer');
-        if (shareQr) { shareQr.hidden = true; shareQr.innerHTML = ''; }
-        shareModal.hidden = false;
+    function getPagedSlotNode(view, slot, build) {
+        if (view.parent) {
+            if (slot === 0) return view.parent;
+            slot--;
+        }
+        var item = pagedItems[slot];
+        var key = view.grid ? 'card' : 'row';
+        if (!item[key] && build) item[key] = view.grid ? buildEntryCard(item) : buildEntryRow(item);
+        return item[key];
     }
 
-    function closeShareModal() {
-        if (!shareModal) return;
-        shareModal.hidden = true;
+    // Server-rendered nodes are kept for reuse; streamed ones are rebuilt when they scroll back in.
+    function releasePagedSlot(view, slot) {
+        var node = getPagedSlotNode(view, slot, false);
+        if (!node) return;
+        if (node.parentNode) node.parentNode.removeChild(node);
+        if (view.parent && slot === 0) return;
+        var item = pagedItems[slot - (view.parent ? 1 : 0)];
+        if (!item.keep) item[view.grid ? 'card' : 'row'] = null;
     }
 
-    function syncOneTimeWarning() {
-        if (!shareOneTimeWarning) return;
-        shareOneTimeWarning.hidden = !(shareOneTime && shareOneTime.checked);
+    // Detached nodes miss selection changes made while they were out of the DOM.
+    function syncPagedNodeSelection(node) {
+        var selected = !!selectedPaths[node.getAttribute('data-path')];
+        var checkbox = node.querySelector('.entry-select');
+        if (checkbox) checkbox.checked = selected;
+        node.classList.toggle('is-selected', selected);
     }
 
-    function canGenerateShareLink() {
-        if (!shareTargetType) return false;
-        if (shareTargetType === 'file' && !shareTargetPath) return false;
-        return true;
+    function setPagedRange(view, start, end, topHeight, bottomHeight) {
+        var slot;
+        for (slot = view.start; slot < view.end; slot++) {
+            if (slot < start || slot >= end) releasePagedSlot(view, slot);
+        }
+        var cursor = view.top.nextElementSibling;
+        for (slot = start; slot < end; slot++) {
+            var node = getPagedSlotNode(view, slot, true);
+            if (node === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else {
+                if (node !== view.parent) syncPagedNodeSelection(node);
+                view.container.insertBefore(node, cursor);
+            }
+        }
+        view.start = start;
+        view.end = end;
+        setPagedSpacerHeight(view.top, topHeight);
+        setPagedSpacerHeight(view.bottom, bottomHeight);
     }
 
-    function generateShareLink() {
-        if (!canGenerateShareLink()) return;
-        clearShareError();
-        var shareUrl = new URL(window.location.href);
-        shareUrl.search = '';
-        shareUrl.searchParams.set('handler', 'ShareLink');
+    function measurePagedSlotHeight(view) {
+        for (var slot = view.start; slot < view.end; slot++) {
+            var node = getPagedSlotNode(view, slot, false);
+            if (node && node !== view.parent && node.offsetHeight > 0) {
+                view.gap = view.grid ? parseFloat(window.getComputedStyle(view.container).rowGap) || 0 : 0;
+                view.slotHeight = node.offsetHeight + view.gap;
+                return;
+            }
+        }
+    }
 
-        var requestBody = new URLSearchParams();
-        requestBody.set('targetPath', shareTargetPath);
-        requestBody.set('targetType', shareTargetType);
-        requestBody.set('ttl', shareDuration ? shareDuration.value : '24h');
-        requestBody.set('oneTime', shareOneTime && shareOneTime.checked ? 'true' : 'false');
+    function getPagedColumnCount(view) {
+        if (!view.grid) return 1;
+        var tracks = (window.getComputedStyle(view.container).gridTemplateColumns || '').split(' ');
+        return Math.max(1, tracks.filter(function(track) { return track && track !== 'none'; }).length);
+    }
 
-        fetch(shareUrl.toString(), {
-            method: 'POST',
-            credentials: 'same-origin',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-                'X-DirForge-Share': '1'
-            },
-            body: requestBody.toString()
-        })
-            .then(function(r) {
-                if (!r.ok) throw new Error('Failed to generate share link (' + r.status + ')');
-                return r.json();
-            })
-            .then(function(data) {
-                if (shareOutput) shareOutput.value = data.url ? window.location.origin + data.url : '';
-                var shareQr = document.getElementById('shareQrContainer');
-                if (shareQr && window.DirForgeQR && data.url) {
-                    shareQr.hidden = false;
-                    window.DirForgeQR.renderToContainer(window.location.origin + data.url, shareQr);
-                }
-            })
-            .catch(function(err) {
-                showShareError(err.message || 'Failed to generate share link.');
-            });
+    // Top of the virtual area: the top spacer, or the first node after it while the spacer is collapsed.
+    function getPagedAreaTop(view) {
+        var anchor = view.top;
+        while (anchor && anchor.hidden) anchor = anchor.nextElementSibling;
+        return anchor ? anchor.getBoundingClientRect().top : 0;
     }
 
-    document.querySelectorAll('.share-open-btn').forEach(function(btn) {
-        btn.addEventListener('click', function() {
-            openShareModal(btn.getAttribute('data-target-path'), btn.getAttribute('data-target-type'));
+    function renderPagedWindow() {
+        if (!pagedViews) return;
+        var grid = isGridViewActive();
+        var view = grid ? pagedViews.grid : pagedViews.list;
+        var other = grid ? pagedViews.list : pagedViews.grid;
+        if (other) setPagedRange(other, 0, 0, 0, 0);
+        if (!view) return;
+
+        measurePagedSlotHeight(view);
+        var columns = getPagedColumnCount(view);
+        var slotCount = (view.parent ? 1 : 0) + pagedItems.length;
+        var rowCount = Math.ceil(slotCount / columns);
+        var areaTop = getPagedAreaTop(view);
+        var firstRow = Math.floor(-areaTop / view.slotHeight) - PAGED_OVERSCAN_ROWS;
+        var lastRow = Math.ceil((window.innerHeight - areaTop) / view.slotHeight) + PAGED_OVERSCAN_ROWS;
+        firstRow = Math.max(0, Math.min(rowCount, firstRow));
+        // An even first row keeps the nth-child striping from flipping as the window moves.
+        if (!grid) firstRow -= firstRow % 2;
+        lastRow = Math.max(firstRow, Math.min(rowCount, lastRow));
+
+        setPagedRange(
+            view,
+            firstRow * columns,
+            Math.min(slotCount, lastRow * columns),
+            firstRow * view.slotHeight - view.gap,
+            (rowCount - lastRow) * view.slotHeight - view.gap);
+        syncListingTabindex();
+
+        if (pagedNextOffset !== null && !pagedLoading && !pagedFailed && lastRow >= rowCount - PAGED_OVERSCAN_ROWS) {
+            loadPagedChunk();
+        }
+    }
+
+    function schedulePagedRender() {
+        if (pagedRenderQueued) return;
+        pagedRenderQueued = true;
+        requestFrame(function() {
+            pagedRenderQueued = false;
+            renderPagedWindow();
         });
-    });
+    }
 
-    if (shareClose) {
-        shareClose.addEventListener('click', closeShareModal);
+    function setPagedStatus(text, retry) {
+        if (!pagedStatus) return;
+        pagedStatus.hidden = !text;
+        if (pagedStatusText) pagedStatusText.textContent = text;
+        if (pagedRetry) pagedRetry.hidden = !retry;
     }
 
-    if (shareModal) {
-        shareModal.addEventListener('click', function(e) {
-            if (e.target === shareModal) closeShareModal();
-        });
+    function updatePagedStatus() {
+        setPagedStatus(pagedNextOffset === null
+            ? ''
+            : 'Showing ' + pagedItems.length.toLocaleString() + ' of ' + pagedTotal.toLocaleString() + ' entries', false);
     }
 
-    if (shareOneTime) {
-        shareOneTime.addEventListener('change', function() {
-            syncOneTimeWarning();
-            if (shareModal && !shareModal.hidden) {
-                generateShareLink();
-            }
-        });
-        syncOneTimeWarning();
+    function buildPagedUrl(offset) {
+        var url = new URL(window.location.href);
+        url.hash = '';
+        url.searchParams.set('handler', 'ListingPage');
+        url.searchParams.set('offset', String(offset));
+        var query = listingFilterInput ? listingFilterInput.value.trim() : '';
+        if (query) {
+            url.searchParams.set('filter', query);
+            url.searchParams.set('filter-mode', listingFilterMode.value);
+        }
+        return url.toString();
     }
 
-    if (shareDuration) {
-        shareDuration.addEventListener('change', function() {
-            if (shareModal && !shareModal.hidden) {
-                generateShareLink();
+    function fetchPagedChunk(offset) {
+        return fetch(buildPagedUrl(offset)).then(function(r) {
+            if (!r.ok) {
+                var error = new Error('Failed to load entries (' + r.status + ')');
+                error.status = r.status;
+                throw error;
             }
+            return r.json();
         });
     }
 
-    if (shareGenerate) {
-        shareGenerate.addEventListener('click', generateShareLink);
+    function syncPagedCollections() {
+        allPreviewFiles = pagedItems
+            .filter(function(item) { return item.preview; })
+            .map(function(item) { return item.preview; });
+        syncPreviewFiles();
+        updateAudioPlayAll();
+        if (window.DirForgeLightbox && window.DirForgeLightbox.setImages) {
+            window.DirForgeLightbox.setImages(pagedImages.slice());
+        }
+        updateSelectionUi();
     }
 
-    // --- Clipboard helpers ---
-    function copyToClipboard(text, onSuccess, onError) {
-        if (navigator.clipboard && window.isSecureContext) {
-            navigator.clipboard.writeText(text).then(onSuccess)
-                .catch(function() { if (onError) onError(); });
-        } else {
-            var ta = document.createElement('textarea');
-            ta.value = text;
-            ta.style.position = 'fixed';
-            ta.style.opacity = '0';
-            document.body.appendChild(ta);
-            ta.select();
-            document.execCommand('copy');
-            document.body.removeChild(ta);
-            onSuccess();
+    function appendPagedEntries(data) {
+        (data.entries || []).forEach(function(entry) {
+            entry.row = null;
+            entry.card = null;
+            entry.keep = false;
+            entry.preview = entry.isDirectory ? null : { path: entry.path, icon: entry.iconPath, row: null };
+            addPagedItem(entry);
+            if (entry.isImage) pagedImages.push({ url: entry.imageHref, name: entry.name, size: entry.humanSize, thumb: entry.thumbnailHref });
+        });
+        pagedTotal = data.total;
+        pagedNextOffset = typeof data.nextOffset === 'number' ? data.nextOffset : null;
+        if (data.summary && summaryFiles && summaryFolders && summaryVisibleTotal) {
+            summaryFiles.textContent = data.summary.files;
+            summaryFolders.textContent = data.summary.folders;
+            summaryVisibleTotal.textContent = data.summary.visibleTotal;
         }
+        syncPagedCollections();
+        updatePagedStatus();
+        renderPagedWindow();
     }
 
-    if (shareCopy) {
-        var shareCopySvgOriginal = shareCopy.innerHTML;
-        var shareCopyCheckSvg = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>';
-        shareCopy.addEventListener('click', function() {
-            if (!shareOutput || !shareOutput.value) {
-                showShareError('Generate a link first.');
-                return;
+    function resetPagedItems() {
+        setPagedRange(pagedViews.list, 0, 0, 0, 0);
+        if (pagedViews.grid) setPagedRange(pagedViews.grid, 0, 0, 0, 0);
+        pagedItems = [];
+        pagedItemsByPath = Object.create(null);
+        pagedImages = [];
+        clearSelection();
+    }
+
+    function failPagedLoad(message, reload) {
+        pagedFailed = true;
+        pagedRetryReload = reload;
+        setPagedStatus(message, true);
+    }
+
+    function loadPagedChunk() {
+        var requestId = ++pagedRequestId;
+        pagedLoading = true;
+        setPagedStatus('Loading more entries\u2026', false);
+        fetchPagedChunk(pagedNextOffset)
+            .then(function(data) {
+                if (requestId !== pagedRequestId) return;
+                pagedLoading = false;
+                // The folder changed since the loaded chunks were listed; start over rather than mix two versions.
+                if (data.version !== pagedVersion) {
+                    reloadPagedListing();
+                    return;
+                }
+                appendPagedEntries(data);
+            })
+            .catch(function() {
+                if (requestId !== pagedRequestId) return;
+                pagedLoading = false;
+                failPagedLoad('Could not load more entries.', false);
+            });
+    }
+
+    // Filter and sort changes replace the loaded items with a fresh first chunk.
+    function reloadPagedListing() {
+        if (!pagedViews) return;
+        var requestId = ++pagedRequestId;
+        pagedLoading = true;
+        pagedFailed = false;
+        setPagedStatus('Loading\u2026', false);
+        fetchPagedChunk(0)
+            .then(function(data) {
+                if (requestId !== pagedRequestId) return;
+                pagedLoading = false;
+                pagedVersion = data.version;
+                resetPagedItems();
+                appendPagedEntries(data);
+            })
+            .catch(function(err) {
+                if (requestId !== pagedRequestId) return;
+                pagedLoading = false;
+                if (err.status === 400 && listingFilterInput) {
+                    setListingFilterInvalid(true);
+                    updatePagedStatus();
+                    return;
+                }
+                failPagedLoad('Could not load entries.', true);
+            });
+    }
+
+    function applyPagedDirectorySizes(sizes) {
+        pagedItems.forEach(function(item) {
+            var info = item.dir ? sizes[item.dir] : null;
+            if (!info) return;
+            item.humanSize = info.humanSize;
+            item.sizeTooltip = info.tooltip;
+            if (info.size !== undefined && info.size !== null) {
+                item.sizeKnown = true;
+                item.size = parseSizeBytes(String(info.size));
             }
-            var val = shareOutput.value;
-            var done = function() {
-                clearShareError();
-                shareCopy.innerHTML = shareCopyCheckSvg;
-                shareCopy.classList.add('copied');
-                setTimeout(function() {
-                    shareCopy.innerHTML = shareCopySvgOriginal;
-                    shareCopy.classList.remove('copied');
-                }, 2000);
-            };
-            copyToClipboard(val, done, function() {
-                showShareError('Copy failed. Paste the link manually.');
+            if (item.row) applyDirectorySize(item.row, info);
+        });
+    }
+
+    if (listingPaged && entryRowTemplate && entryCardTemplate && tableView.tBodies.length) {
+        var pagedGridContainer = gridView ? gridView.querySelector('.grid-container') : null;
+        var renderedCards = Object.create(null);
+        var renderedPreviews = Object.create(null);
+        if (pagedGridContainer) {
+            pagedGridContainer.querySelectorAll('.grid-card[data-path]').forEach(function(card) {
+                renderedCards[card.getAttribute('data-path')] = card;
+            });
+        }
+        allPreviewFiles.forEach(function(file) { renderedPreviews[file.path] = file; });
+        getEntryRows(false).forEach(function(row) {
+            var path = row.getAttribute('data-path');
+            addPagedItem({
+                name: row.getAttribute('data-name') || '',
+                path: path,
+                dir: row.getAttribute('data-dir') || '',
+                isDirectory: row.getAttribute('data-is-directory') === 'true',
+                sizeKnown: row.getAttribute('data-size-known') === 'true',
+                size: parseSizeBytes(row.getAttribute('data-size-bytes')),
+                row: row,
+                card: renderedCards[path] || null,
+                preview: renderedPreviews[path] || null,
+                keep: true
             });
         });
+
+        var pagedImageData = document.getElementById('lightboxImageData');
+        try {
+            pagedImages = pagedImageData ? JSON.parse(pagedImageData.textContent) || [] : [];
+        } catch (e) {
+            pagedImages = [];
+        }
+        pagedTotal = parseInt(tableView.getAttribute('data-listing-total'), 10) || pagedItems.length;
+        pagedNextOffset = pagedItems.length < pagedTotal ? pagedItems.length : null;
+        pagedVersion = tableView.getAttribute('data-listing-version') || '';
+        pagedViews = {
+            list: createPagedView(tableView.tBodies[0], false),
+            grid: pagedGridContainer ? createPagedView(pagedGridContainer, true) : null
+        };
+
+        if (pagedRetry) {
+            pagedRetry.addEventListener('click', function() {
+                pagedFailed = false;
+                if (pagedRetryReload) reloadPagedListing();
+                else loadPagedChunk();
+            });
+        }
+        window.addEventListener('scroll', schedulePagedRender, { passive: true });
+        window.addEventListener('resize', schedulePagedRender);
+        updatePagedStatus();
+        renderPagedWindow();
+    } else {
+        listingPaged = false;
     }
 
-    // --- Media pause helper ---
-    function pauseActiveMedia() {
-        var video = previewContent.querySelector('video');
-        var audio = previewContent.querySelector('audio');
-        if (video) video.pause();
-        if (audio) audio.pause();
+    // --- Listing filter ---
+    var listingFilter = document.getElementById('listingFilter');
+    var listingFilterInput = document.getElementById('listingFilterInput');
+    var listingFilterMode = document.getElementById('listingFilterMode');
+    var listingFilterTimer = null;
+
+    function globToRegExp(pattern) {
+        var source = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp('^' + source + '$', 'i');
     }
 
-    // --- Preview Modal ---
-    var previewModal = document.getElementById('previewModal');
-    var previewContent = document.getElementById('previewContent');
-    var previewMeta = document.getElementById('previewMeta');
-    var previewHashes = document.getElementById('previewHashes');
-    var previewTitle = document.getElementById('previewTitle');
-    var previewIcon = document.getElementById('previewIcon');
-    var previewCloseBtn = document.getElementById('previewClose');
-    var previewPrev = document.getElementById('previewPrev');
-    var previewNext = document.getElementById('previewNext');
-    var previewPosition = document.getElementById('previewPosition');
-    var previewOpenTab = document.getElementById('previewOpenTab');
-    var previewDownload = document.getElementById('previewDownload');
-    var previewCurrentIndex = -1;
-    var previewVerifyTargetPath = null;
+    // Returns an object with test(name), or null when the query is empty.
+    // Throws on an invalid regular expression.
+    function buildFilterMatcher(query, mode) {
+        if (!query) return null;
+        if (mode === 'regex') return new RegExp(query, 'i');
+        if (mode === 'glob') return globToRegExp(query);
+        var needle = query.toLowerCase();
+        return { test: function(name) { return name.toLowerCase().indexOf(needle) !== -1; } };
+    }
 
-    var previewFiles = [];
-    document.querySelectorAll('.preview-open-btn').forEach(function(btn, i) {
-        previewFiles.push({ path: btn.getAttribute('data-preview-path'), icon: btn.getAttribute('data-preview-icon') });
-        btn.addEventListener('click', function() { openPreview(i); });
-    });
+    function syncPreviewFiles() {
+        var current = previewFiles[previewCurrentIndex];
+        previewFiles = allPreviewFiles.filter(function(file) { return !file.row || !file.row.hidden; });
+        previewCurrentIndex = current ? previewFiles.indexOf(current) : -1;
+        if (previewModal && !previewModal.hidden && previewCurrentIndex < 0) closePreview();
+    }
+
+    // An empty or invalid filter lets every name through, as applyListingFilter does.
+    function matchesListingFilter(name) {
+        if (!listingFilterInput) return true;
+        try {
+            var matcher = buildFilterMatcher(listingFilterInput.value.trim(), listingFilterMode.value);
+            return !matcher || matcher.test(name);
+        } catch (e) {
+            return true;
+        }
+    }
+
+    function setListingFilterInvalid(invalid) {
+        listingFilterInput.classList.toggle('is-invalid', invalid);
+        listingFilterInput.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+    }
+
+    function applyListingFilter() {
+        var query = listingFilterInput.value.trim();
+        var mode = listingFilterMode.value;
+        var matcher = null;
+        var invalid = false;
+        try {
+            matcher = buildFilterMatcher(query, mode);
+        } catch (e) {
+            invalid = true;
+        }
+        setListingFilterInvalid(invalid);
+
+        if (listingPaged) {
+            // Only part of a paged folder is loaded, so the server filters it.
+            if (!invalid) reloadPagedListing();
+        } else {
+            document.querySelectorAll('tr[data-entry-row="1"], .grid-card[data-name]').forEach(function(el) {
+                el.hidden = !!matcher && !matcher.test(el.getAttribute('data-name') || '');
+            });
+
+            recomputeListingSummary();
+            syncPreviewFiles();
+            updateAudioPlayAll();
+            pruneHiddenSelection();
+            syncListingTabindex();
+            if (window.DirForgeLightbox) {
+                window.DirForgeLightbox.setFilter(matcher ? function(image) { return matcher.test(image.name || ''); } : null);
+            }
+        }
+
+        var state = readHashState();
+        state.params.filter = query;
+        state.params['filter-mode'] = query && mode !== 'text' ? mode : '';
+        writeHashState(state);
+    }
+
+    if (listingFilter && listingFilterInput && listingFilterMode) {
+        var initialHash = readHashState();
+        listingFilterInput.value = initialHash.params.filter || '';
+        if (initialHash.params['filter-mode'] === 'glob' || initialHash.params['filter-mode'] === 'regex') {
+            listingFilterMode.value = initialHash.params['filter-mode'];
+        }
+        listingFilter.hidden = false;
+
+        listingFilterInput.addEventListener('input', function() {
+            clearTimeout(listingFilterTimer);
+            listingFilterTimer = setTimeout(applyListingFilter, 80);
+        });
+        listingFilterInput.addEventListener('keydown', function(e) {
+            if (e.key !== 'Escape' || !listingFilterInput.value) return;
+            listingFilterInput.value = '';
+            applyListingFilter();
+            e.preventDefault();
+        });
+        listingFilterMode.addEventListener('change', applyListingFilter);
+
+        if (listingFilterInput.value) applyListingFilter();
+    }
 
-    function escapeHtml(text) {
-        var el = document.createElement('span');
-        el.textContent = text;
-        return el.innerHTML;
+    // --- Client-side sorting ---
+    // Sort links re-order the rendered rows and cards in place; their hrefs still work as a server round trip.
+    var SORT_KEYS = ['type', 'name', 'date', 'size'];
+    var sortLinks = Array.prototype.slice.call(document.querySelectorAll('a[data-sort-key]'));
+    var foldersFirstToggle = document.getElementById('foldersFirstToggle');
+    var foldersFirstStorageKey = 'dirforge-folders-first';
+    var foldersFirst = localStorage.getItem(foldersFirstStorageKey) !== 'false';
+    var naturalCollator = window.Intl && Intl.Collator
+        ? new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+        : null;
+    var listingSort = tableView && tableView.hasAttribute('data-sort-key')
+        ? { key: tableView.getAttribute('data-sort-key'), dir: tableView.getAttribute('data-sort-dir') || 'asc' }
+        : null;
+
+    function getDefaultSortDir(key) {
+        return key === 'date' || key === 'size' ? 'desc' : 'asc';
     }
 
-    function openPreview(index) {
-        if (!previewModal || index < 0 || index >= previewFiles.length) return;
-        previewCurrentIndex = index;
-        previewModal.hidden = false;
-        document.body.style.overflow = 'hidden';
-        loadPreview(index);
+    function compareOrdinal(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
     }
 
-    function closePreview() {
-        if (!previewModal) return;
-        previewModal.hidden = true;
-        document.body.style.overflow = '';
-        pauseActiveMedia();
+    // Numeric-aware and case-insensitive, so "file2" sorts before "file10".
+    function compareNames(a, b) {
+        var comparison = naturalCollator ? naturalCollator.compare(a, b) : 0;
+        return comparison !== 0 ? comparison : compareOrdinal(a, b);
     }
 
-    function loadPreview(index) {
-        var file = previewFiles[index];
-        previewContent.innerHTML = '<div class="preview-loading">Loading\u2026</div>';
-        previewMeta.innerHTML = '';
-        previewTitle.textContent = '';
-        previewIcon.src = file.icon;
-        previewPosition.textContent = (index + 1) + ' / ' + previewFiles.length;
-        previewPrev.disabled = index === 0;
-        previewNext.disabled = index === previewFiles.length - 1;
+    function readSortFields(row) {
+        return {
+            name: row.getAttribute('data-name') || '',
+            type: row.getAttribute('data-type') || '',
+            isDirectory: row.getAttribute('data-is-directory') === 'true',
+            size: parseSizeBytes(row.getAttribute('data-size-bytes')),
+            modified: parseInt(row.getAttribute('data-modified'), 10) || 0
+        };
+    }
 
-        var pathSegments = file.path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
-        var url = new URL('/' + pathSegments, window.location.origin);
-        url.searchParams.set('handler', 'PreviewInfo');
-        var shareParam = activeShareToken;
-        if (shareParam) url.searchParams.set('s', shareParam);
-        var fetchUrl = url.toString();
+    // Same shape as the server comparer: date and size default to newest/largest first,
+    // the other direction inverts the key, and the name breaks ties.
+    function compareSortFields(a, b, sort) {
+        if (foldersFirst && a.isDirectory !== b.isDirectory) return a.isDirectory ? -1 : 1;
+        var comparison;
+        if (sort.key === 'date') comparison = b.modified - a.modified;
+        else if (sort.key === 'size') comparison = b.size - a.size;
+        else if (sort.key === 'type') comparison = compareOrdinal(a.type, b.type);
+        else comparison = compareNames(a.name, b.name);
+        if (sort.dir !== getDefaultSortDir(sort.key)) comparison = -comparison;
+        return comparison !== 0 ? comparison : compareNames(a.name, b.name);
+    }
 
-        fetch(fetchUrl)
-            .then(function(r) {
-                if (!r.ok) throw new Error('Failed to load preview (' + r.status + ')');
-                return r.json();
-            })
-            .then(function(data) {
-                previewTitle.textContent = data.name;
-                previewOpenTab.href = data.viewUrl;
-                if (previewDownload) previewDownload.href = data.downloadUrl || '#';
+    // Server sort suffixes are "?<key>&dir=<asc|desc>" followed by search, DOS and share parameters.
+    function buildSortSearch(search, key, dir) {
+        var rest = search.replace(/^\?/, '').split('&').filter(function(part) {
+            var name = part.split('=')[0];
+            return part && name !== 'dir' && SORT_KEYS.indexOf(name) < 0;
+        });
+        return '?' + [key, 'dir=' + dir].concat(rest).join('&');
+    }
 
-                renderPreviewContent(data, fetchUrl);
-                renderPreviewMeta(data);
-            })
-            .catch(function(err) {
-                previewContent.innerHTML = '<div class="preview-none"><p>' + escapeHtml(err.message) + '</p></div>';
-            });
+    function rewriteSortHref(link, key, dir) {
+        var href = link.getAttribute('href') || '';
+        var queryIndex = href.indexOf('?');
+        if (queryIndex < 0) return;
+        link.setAttribute('href', href.substring(0, queryIndex) + buildSortSearch(href.substring(queryIndex), key, dir));
     }
 
-    function renderPreviewContent(data, fetchUrl) {
-        var html = '';
-        switch (data.previewMode) {
-            case 'text':
-                html = '<div class="preview-text-wrap"><pre>' + escapeHtml(data.textContent || '') + '</pre>';
-                if (data.textTruncated) {
-                    html += '<div class="preview-truncated">File truncated at 128 KB. Open in new tab to see full content.</div>';
-                }
-                html += '</div>';
-                break;
-            case 'image':
-                html = '<div class="preview-image"><img src="' + escapeHtml(data.viewUrl) + '" alt="' + escapeHtml(data.name) + '"></div>';
-                break;
-            case 'video':
-                html = '<div class="preview-video"><video controls preload="metadata" src="' + escapeHtml(data.viewUrl) + '"></video></div>';
-                break;
-            case 'audio':
-                html = '<div class="preview-audio"><audio controls preload="metadata" src="' + escapeHtml(data.viewUrl) + '"></audio></div>';
-                break;
-            case 'pdf':
-                html = '<div class="preview-pdf"><iframe src="' + escapeHtml(data.viewUrl) + '" title="PDF preview"></iframe></div>';
-                break;
-            default:
-                html = '<div class="preview-none"><img src="' + escapeHtml(data.iconPath || '') + '" alt="" class="preview-none-icon"><p>No preview available</p><button type="button" class="preview-text-btn">Show text preview</button></div>';
-                break;
+    function sortListing() {
+        if (!tableView || !listingSort || listingPaged) return;
+        var rows = getEntryRows(false);
+        var fields = rows.map(readSortFields);
+        var order = rows.map(function(row, i) { return i; });
+        order.sort(function(x, y) { return compareSortFields(fields[x], fields[y], listingSort) || x - y; });
+
+        var rank = {};
+        order.forEach(function(rowIndex, position) { rank[rows[rowIndex].getAttribute('data-path')] = position; });
+        var unchanged = order.every(function(rowIndex, position) { return rowIndex === position; });
+        if (unchanged) return;
+
+        var tbody = tableView.tBodies[0];
+        order.forEach(function(rowIndex) { tbody.appendChild(rows[rowIndex]); });
+
+        var gridContainer = gridView ? gridView.querySelector('.grid-container') : null;
+        if (gridContainer) {
+            Array.prototype.slice.call(gridContainer.querySelectorAll('.grid-card[data-path]'))
+                .sort(function(a, b) { return rank[a.getAttribute('data-path')] - rank[b.getAttribute('data-path')]; })
+                .forEach(function(card) { gridContainer.appendChild(card); });
         }
-        previewContent.innerHTML = html;
 
-        if (data.previewMode !== 'text' && data.previewMode !== 'image' && data.previewMode !== 'video' && data.previewMode !== 'audio' && data.previewMode !== 'pdf') {
-            var btn = previewContent.querySelector('.preview-text-btn');
-            if (btn && fetchUrl) {
-                btn.addEventListener('click', function() {
-                    btn.disabled = true;
-                    btn.textContent = 'Loading\u2026';
-                    fetch(fetchUrl + (fetchUrl.indexOf('?') >= 0 ? '&' : '?') + 'forceText=true')
-                        .then(function(r) { return r.json(); })
-                        .then(function(d) {
-                            var h = '<div class="preview-text-wrap"><pre>' + escapeHtml(d.textContent || '') + '</pre>';
-                            if (d.textTruncated) {
-                                h += '<div class="preview-truncated">File truncated at 128 KB.</div>';
-                            }
-                            h += '</div>';
-                            previewContent.innerHTML = h;
-                        })
-                        .catch(function() {
-                            btn.textContent = 'Failed to load';
-                        });
-                });
-            }
+        allPreviewFiles.sort(function(a, b) {
+            return (a.row ? rank[a.row.getAttribute('data-path')] : 0) - (b.row ? rank[b.row.getAttribute('data-path')] : 0);
+        });
+        syncPreviewFiles();
+        if (window.DirForgeLightbox && window.DirForgeLightbox.setOrder) {
+            window.DirForgeLightbox.setOrder(order.map(function(rowIndex) { return rows[rowIndex].getAttribute('data-name'); }));
         }
+        syncListingTabindex();
     }
 
-    function renderPreviewMeta(data) {
-        var chips = [
-            { label: 'MIME', value: data.mimeType }
-        ];
-        if (data.detectedFileType) {
-            chips.push({ label: 'Detected', value: data.detectedFileType });
-        }
-        chips.push({ label: 'Size', value: data.humanSize });
-        chips.push({ label: 'Modified', value: data.modified });
-        var html = '';
-        for (var i = 0; i < chips.length; i++) {
-            html += '<span class="preview-chip"><span class="preview-chip-label">' + escapeHtml(chips[i].label) + '</span>' + escapeHtml(chips[i].value) + '</span>';
+    function updateSortControls() {
+        var arrow = listingSort.dir === 'desc' ? '\u25BE' : '\u25B4';
+        sortLinks.forEach(function(link) {
+            var key = link.getAttribute('data-sort-key');
+            var active = key === listingSort.key;
+            var nextDir = active ? (listingSort.dir === 'asc' ? 'desc' : 'asc') : getDefaultSortDir(key);
+            var label = link.getAttribute('data-sort-label');
+            rewriteSortHref(link, key, nextDir);
+
+            if (link.classList.contains('grid-sort-pill')) {
+                link.classList.toggle('active', active);
+                link.textContent = label + (active ? ' ' + arrow : '');
+            } else {
+                link.textContent = label;
+                if (active) {
+                    var arrowEl = document.createElement('span');
+                    arrowEl.className = 'sort-arrow';
+                    arrowEl.textContent = arrow;
+                    link.appendChild(document.createTextNode(' '));
+                    link.appendChild(arrowEl);
+                }
+            }
+            var th = link.closest('th');
+            if (th) th.setAttribute('aria-sort', active ? (listingSort.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+        });
+
+        // Folder, breadcrumb and download links carry the sort so it survives navigation.
+        document.querySelectorAll('.header-title a[href*="dir="], table.listing tbody a[href*="dir="], .grid-container a[href*="dir="], .search-clear')
+            .forEach(function(link) { rewriteSortHref(link, listingSort.key, listingSort.dir); });
+        document.querySelectorAll('.search-panel input[type="hidden"]').forEach(function(input) {
+            if (SORT_KEYS.indexOf(input.name) >= 0) input.name = listingSort.key;
+            else if (input.name === 'dir') input.value = listingSort.dir;
+        });
+    }
+
+    function applySort(key, dir) {
+        listingSort = { key: key, dir: dir };
+        sortListing();
+        updateSortControls();
+        if (window.history && history.replaceState) {
+            history.replaceState(history.state, '', window.location.pathname
+                + buildSortSearch(window.location.search, key, dir) + window.location.hash);
         }
-        if (data.size <= data.maxFileSizeForHashing) {
-            html += '<button type="button" class="preview-hash-btn" id="previewHashBtn">Calculate hashes</button>';
+        // Paged chunks are requested with the page's own query, so reload once the URL carries the new sort.
+        if (listingPaged) reloadPagedListing();
+    }
+
+    if (listingSort) {
+        sortLinks.forEach(function(link) {
+            link.setAttribute('data-sort-label', link.textContent.replace(/[\u25B4\u25BE]/g, '').trim());
+            link.addEventListener('click', function(e) {
+                if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+                e.preventDefault();
+                var key = link.getAttribute('data-sort-key');
+                applySort(key, key === listingSort.key
+                    ? (listingSort.dir === 'asc' ? 'desc' : 'asc')
+                    : getDefaultSortDir(key));
+            });
+        });
+
+        // Paged listings keep the server order, which always puts folders first.
+        if (foldersFirstToggle && !listingPaged) {
+            foldersFirstToggle.hidden = false;
+            foldersFirstToggle.setAttribute('aria-pressed', foldersFirst ? 'true' : 'false');
+            foldersFirstToggle.addEventListener('click', function() {
+                foldersFirst = !foldersFirst;
+                localStorage.setItem(foldersFirstStorageKey, foldersFirst ? 'true' : 'false');
+                foldersFirstToggle.setAttribute('aria-pressed', foldersFirst ? 'true' : 'false');
+                sortListing();
+            });
         }
-        if (data.sidecarAlgorithm) {
-            var verifyLabel = data.sidecarTargetPath
-                ? 'Verify ' + escapeHtml(data.sidecarTargetPath.split('/').pop())
-                : 'Verify ' + escapeHtml(data.sidecarAlgorithm.toUpperCase());
-            html += '<button type="button" class="preview-hash-btn preview-verify-btn" id="previewVerifyBtn">'
-                  + verifyLabel + '</button>';
+
+        // The server orders names ordinally and always puts folders first; re-sort once to match the client rules.
+        sortListing();
+    }
+
+    // --- Live refresh ---
+    // The Live toggle subscribes to the ListingEvents stream. Each change event carries the entries that
+    // appeared or changed and the paths that went away; rows and cards are patched in place and briefly
+    // highlighted. A reset event (after a reconnect that missed changes) carries the whole folder.
+    var liveToggle = document.getElementById('liveRefreshToggle');
+    var liveStorageKey = 'dirforge-live-refresh';
+    var LIVE_HIGHLIGHT_MS = 2000;
+    var liveSource = null;
+    var liveImagesByName = null;
+
+    function readRenderedImages() {
+        var byName = {};
+        var dataEl = document.getElementById('lightboxImageData');
+        try {
+            (dataEl ? JSON.parse(dataEl.textContent) || [] : []).forEach(function(image) { byName[image.name] = image; });
+        } catch (e) {
+            // Ignore malformed data; images return as live events list them.
         }
-        previewVerifyTargetPath = data.sidecarTargetPath || null;
-        previewMeta.innerHTML = html;
-        previewHashes.innerHTML = '';
+        return byName;
+    }
 
-        var hashBtn = document.getElementById('previewHashBtn');
-        if (hashBtn) {
-            hashBtn.addEventListener('click', function() {
-                hashBtn.textContent = 'Calculating\u2026';
-                hashBtn.disabled = true;
+    function mapNodesByPath(nodes) {
+        var byPath = {};
+        nodes.forEach(function(node) { byPath[node.getAttribute('data-path')] = node; });
+        return byPath;
+    }
 
-                var pathSegments = previewFiles[previewCurrentIndex].path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
-                var hashUrl = new URL('/' + pathSegments, window.location.origin);
-                hashUrl.searchParams.set('handler', 'FileHashes');
-                var shareParam = activeShareToken;
-                if (shareParam) hashUrl.searchParams.set('s', shareParam);
+    function highlightLiveNode(node) {
+        node.classList.add('live-updated');
+        setTimeout(function() { node.classList.remove('live-updated'); }, LIVE_HIGHLIGHT_MS);
+    }
 
-                fetch(hashUrl.toString())
-                    .then(function(r) {
-                        if (!r.ok) throw new Error('Hash calculation failed (' + r.status + ')');
-                        return r.json();
-                    })
-                    .then(function(hashes) {
-                        var hashNames = ['crc32', 'md5', 'sha1', 'sha256', 'sha512'];
-                        var hashLabels = { crc32: 'CRC32', md5: 'MD5', sha1: 'SHA1', sha256: 'SHA256', sha512: 'SHA512' };
-                        var hhtml = '';
-                        for (var j = 0; j < hashNames.length; j++) {
-                            var key = hashNames[j];
-                            hhtml += '<span class="preview-hash-chip" title="Click to copy" data-hash-value="' + escapeHtml(hashes[key]) + '">'
-                                   + '<span class="preview-chip-label">' + hashLabels[key] + '</span>'
-                                   + '<span class="preview-hash-value">' + escapeHtml(hashes[key]) + '</span>'
-                                   + '<svg class="hash-check" xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>'
-                                   + '</span>';
-                        }
-                        hashBtn.style.display = 'none';
-                        previewHashes.innerHTML = hhtml;
+    function removeLiveNode(node) {
+        if (node && node.parentNode) node.parentNode.removeChild(node);
+    }
 
-                        previewHashes.querySelectorAll('.preview-hash-chip').forEach(function(chip) {
-                            chip.addEventListener('click', function() {
-                                var val = chip.getAttribute('data-hash-value');
-                                var label = chip.querySelector('.preview-chip-label');
-                                var originalLabel = label ? label.textContent : '';
-                                var done = function() {
-                                    chip.classList.add('copied');
-                                    if (label) label.textContent = 'Copied';
-                                    setTimeout(function() {
-                                        chip.classList.remove('copied');
-                                        if (label) label.textContent = originalLabel;
-                                    }, 2000);
-                                };
-                                copyToClipboard(val, done);
-                            });
-                        });
-                    })
-                    .catch(function(err) {
-                        previewHashes.innerHTML = '<span class="preview-hash-error">' + escapeHtml(err.message) + '</span>';
-                    });
-            });
+    function placeLiveNode(node, previous, container) {
+        if (previous && previous.parentNode) previous.parentNode.replaceChild(node, previous);
+        else container.appendChild(node);
+    }
+
+    function applyLiveChange(data) {
+        var tbody = tableView.tBodies[0];
+        var gridContainer = gridView ? gridView.querySelector('.grid-container') : null;
+        var rowsByPath = mapNodesByPath(getEntryRows(false));
+        var cardsByPath = mapNodesByPath(gridContainer
+            ? Array.prototype.slice.call(gridContainer.querySelectorAll('.grid-card[data-path]'))
+            : []);
+        var previewsByPath = {};
+        allPreviewFiles.forEach(function(file) { previewsByPath[file.path] = file; });
+        if (!liveImagesByName) liveImagesByName = readRenderedImages();
+
+        var removed = (data.removed || []).slice();
+        if (data.reset) {
+            var listed = {};
+            data.entries.forEach(function(entry) { listed[entry.path] = true; });
+            Object.keys(rowsByPath).forEach(function(path) { if (!listed[path]) removed.push(path); });
         }
+        removed.forEach(function(path) {
+            var row = rowsByPath[path];
+            if (row) delete liveImagesByName[row.getAttribute('data-name')];
+            removeLiveNode(row);
+            removeLiveNode(cardsByPath[path]);
+            delete previewsByPath[path];
+            delete selectedPaths[path];
+        });
 
-        var verifyBtn = document.getElementById('previewVerifyBtn');
-        if (verifyBtn) {
-            verifyBtn.addEventListener('click', function() {
-                verifyBtn.textContent = 'Verifying\u2026';
-                verifyBtn.disabled = true;
-                verifyBtn.classList.remove('preview-verify-ok', 'preview-verify-fail');
+        data.entries.forEach(function(entry) {
+            var previous = rowsByPath[entry.path];
+            var changed = !previous
+                || previous.getAttribute('data-modified') !== String(entry.modified)
+                || previous.getAttribute('data-size-bytes') !== (entry.sizeKnown ? String(entry.size) : '');
+            entry.preview = entry.isDirectory ? null : { path: entry.path, icon: entry.iconPath, row: null };
+            var hidden = !matchesListingFilter(entry.name);
+
+            var row = buildEntryRow(entry);
+            row.hidden = hidden;
+            placeLiveNode(row, previous, tbody);
+            if (changed) highlightLiveNode(row);
+            if (entry.preview) {
+                entry.preview.row = row;
+                previewsByPath[entry.path] = entry.preview;
+            } else {
+                delete previewsByPath[entry.path];
+            }
 
-                var targetPath = previewVerifyTargetPath || previewFiles[previewCurrentIndex].path;
-                var pathSegments = targetPath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
-                var verifyUrl = new URL('/' + pathSegments, window.location.origin);
-                verifyUrl.searchParams.set('handler', 'VerifySidecar');
-                var shareParam = activeShareToken;
-                if (shareParam) verifyUrl.searchParams.set('s', shareParam);
+            if (gridContainer) {
+                var card = buildEntryCard(entry);
+                card.hidden = hidden;
+                placeLiveNode(card, cardsByPath[entry.path], gridContainer);
+                if (changed) highlightLiveNode(card);
+            }
 
-                fetch(verifyUrl.toString())
-                    .then(function(r) {
-                        if (!r.ok) return r.text().then(function(t) { throw new Error(t || 'Verification failed (' + r.status + ')'); });
-                        return r.json();
-                    })
-                    .then(function(result) {
-                        if (result.verified) {
-                            verifyBtn.classList.add('preview-verify-ok');
-                            verifyBtn.textContent = 'Verified';
-                            verifyBtn.title = result.algorithm.toUpperCase() + ': ' + result.computedHash;
-                        } else {
-                            verifyBtn.classList.add('preview-verify-fail');
-                            verifyBtn.textContent = 'Mismatch';
-                            verifyBtn.title = 'Expected: ' + result.expectedHash + '\nGot: ' + result.computedHash;
-                        }
-                    })
-                    .catch(function(err) {
-                        verifyBtn.classList.add('preview-verify-fail');
-                        verifyBtn.textContent = 'Error';
-                        verifyBtn.title = err.message;
-                    });
-            });
+            if (entry.isImage) liveImagesByName[entry.name] = { url: entry.imageHref, name: entry.name, size: entry.humanSize, thumb: entry.thumbnailHref };
+            else delete liveImagesByName[entry.name];
+        });
+
+        var rows = getEntryRows(false);
+        document.querySelectorAll('[data-listing-empty]').forEach(function(el) { el.hidden = rows.length > 0; });
+        allPreviewFiles = rows
+            .map(function(row) { return previewsByPath[row.getAttribute('data-path')]; })
+            .filter(Boolean);
+        sortListing();
+        syncPreviewFiles();
+        updateAudioPlayAll();
+
+        if (window.DirForgeLightbox && window.DirForgeLightbox.setImages) {
+            var names = getEntryRows(false).map(function(row) { return row.getAttribute('data-name'); });
+            window.DirForgeLightbox.setImages(names
+                .filter(function(name) { return liveImagesByName[name]; })
+                .map(function(name) { return liveImagesByName[name]; }));
+            window.DirForgeLightbox.setOrder(names);
         }
+        recomputeListingSummary();
+        updateSelectionUi();
+        syncListingTabindex();
     }
 
-    if (previewCloseBtn) {
-        previewCloseBtn.addEventListener('click', closePreview);
+    function buildLiveUrl() {
+        var url = new URL(window.location.href);
+        url.hash = '';
+        url.searchParams.set('handler', 'ListingEvents');
+        url.searchParams.set('since', tableView.getAttribute('data-listing-version') || '');
+        return url.toString();
     }
 
-    if (previewModal) {
-        previewModal.addEventListener('click', function(e) {
-            if (e.target === previewModal) closePreview();
-        });
+    function setLiveState(state) {
+        liveToggle.classList.toggle('is-live', state === 'live');
+        liveToggle.classList.toggle('is-reconnecting', state === 'reconnecting');
+        liveToggle.title = state === 'reconnecting'
+            ? 'Live updates paused; reconnecting\u2026'
+            : 'Update this listing as files are added, changed or removed';
     }
 
-    if (previewPrev) {
-        previewPrev.addEventListener('click', function() {
-            if (previewCurrentIndex > 0) {
-                pauseActiveMedia();
-                openPreview(previewCurrentIndex - 1);
-            }
-        });
+    function stopLiveRefresh() {
+        if (liveSource) liveSource.close();
+        liveSource = null;
+        setLiveState('off');
     }
 
-    if (previewNext) {
-        previewNext.addEventListener('click', function() {
-            if (previewCurrentIndex < previewFiles.length - 1) {
-                pauseActiveMedia();
-                openPreview(previewCurrentIndex + 1);
+    function startLiveRefresh() {
+        if (liveSource) return;
+        liveSource = new EventSource(buildLiveUrl());
+        liveSource.addEventListener('open', function() { setLiveState('live'); });
+        liveSource.addEventListener('error', function() {
+            // EventSource retries on its own unless the server refused the stream outright.
+            if (liveSource && liveSource.readyState === EventSource.CLOSED) {
+                stopLiveRefresh();
+                liveToggle.setAttribute('aria-pressed', 'false');
+            } else {
+                setLiveState('reconnecting');
             }
         });
+        liveSource.addEventListener('change', function(e) {
+            var data;
+            try {
+                data = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            applyLiveChange(data);
+            if (e.lastEventId) tableView.setAttribute('data-listing-version', e.lastEventId);
+        });
+        // The folder itself was removed or renamed.
+        liveSource.addEventListener('gone', function() {
+            stopLiveRefresh();
+            liveToggle.setAttribute('aria-pressed', 'false');
+            liveToggle.title = 'This folder no longer exists';
+        });
     }
 
-    document.addEventListener('keydown', function(e) {
-        if (e.defaultPrevented) return;
-        if (e.key === 'Escape' && window.DirForgeQR && window.DirForgeQR.isOpen && window.DirForgeQR.isOpen()) {
-            window.DirForgeQR.close();
-            e.preventDefault();
-            return;
-        }
-        if (previewModal && !previewModal.hidden) {
-            if (e.key === 'Escape') { closePreview(); e.preventDefault(); }
-            else if (e.key === 'ArrowLeft' && previewCurrentIndex > 0) { pauseActiveMedia(); openPreview(previewCurrentIndex - 1); e.preventDefault(); }
-            else if (e.key === 'ArrowRight' && previewCurrentIndex < previewFiles.length - 1) { pauseActiveMedia(); openPreview(previewCurrentIndex + 1); e.preventDefault(); }
+    if (liveToggle && tableView && tableView.tBodies.length && entryRowTemplate && entryCardTemplate && window.EventSource) {
+        liveToggle.hidden = false;
+        liveToggle.addEventListener('click', function() {
+            var enabled = liveToggle.getAttribute('aria-pressed') !== 'true';
+            liveToggle.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+            localStorage.setItem(liveStorageKey, enabled ? 'true' : 'false');
+            if (enabled) startLiveRefresh();
+            else stopLiveRefresh();
+        });
+        if (localStorage.getItem(liveStorageKey) === 'true') {
+            liveToggle.setAttribute('aria-pressed', 'true');
+            startLiveRefresh();
         }
-    });
+    }
+
+    var readmePanel = document.getElementById('readmePanel');
+    if (readmePanel) loadReadmePanel(readmePanel);
+
+    restorePreviewState();
 })();